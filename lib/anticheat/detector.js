@@ -0,0 +1,64 @@
+// --- ANTI-CHEAT DETECTOR (pure statistics, no I/O) ---
+// rounds: newest first, [{ e: signed stop error (tenths of ms), g: start gap (ms) }]
+const {
+    ANTICHEAT_MIN_ROUNDS,
+    ANTICHEAT_TIGHT_STDDEV,
+    ANTICHEAT_TIGHT_MEAN_ABS,
+    ANTICHEAT_GAP_MAX_CV,
+    ANTICHEAT_JUMP_RECENT,
+    ANTICHEAT_JUMP_RATIO,
+    ANTICHEAT_JUMP_MIN_BASELINE
+} = require('../config');
+
+function mean(xs) {
+    return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+function stddev(xs) {
+    const m = mean(xs);
+    return Math.sqrt(mean(xs.map(x => (x - m) ** 2)));
+}
+
+function median(xs) {
+    const sorted = [...xs].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Returns { flagged, reasons: ['tight' | 'machine_timing' | 'skill_jump'], stats }
+function analyzeRounds(rounds) {
+    const reasons = [];
+    const stats = { rounds: rounds.length };
+    if (rounds.length < ANTICHEAT_MIN_ROUNDS) return { flagged: false, reasons, stats };
+
+    // 1. Implausibly tight stop distribution
+    const errors = rounds.map(r => r.e);
+    stats.errStddev = Math.round(stddev(errors));
+    stats.errMeanAbs = Math.round(mean(errors.map(Math.abs)));
+    if (stats.errStddev <= ANTICHEAT_TIGHT_STDDEV && stats.errMeanAbs <= ANTICHEAT_TIGHT_MEAN_ABS) {
+        reasons.push('tight');
+    }
+
+    // 2. Machine-like inter-event timing (time from result/ready to the next 'st')
+    const gaps = rounds.map(r => r.g).filter(g => Number.isFinite(g) && g > 0);
+    if (gaps.length >= ANTICHEAT_MIN_ROUNDS) {
+        stats.gapCv = Math.round((stddev(gaps) / mean(gaps)) * 1000) / 1000;
+        if (stats.gapCv <= ANTICHEAT_GAP_MAX_CV) reasons.push('machine_timing');
+    }
+
+    // 3. Sudden skill jump: latest rounds far better than the same user's earlier play
+    const recent = errors.slice(0, ANTICHEAT_JUMP_RECENT).map(Math.abs);
+    const baseline = errors.slice(ANTICHEAT_JUMP_RECENT).map(Math.abs);
+    if (baseline.length >= ANTICHEAT_JUMP_RECENT) {
+        stats.recentMedian = median(recent);
+        stats.baselineMedian = median(baseline);
+        if (stats.baselineMedian >= ANTICHEAT_JUMP_MIN_BASELINE &&
+            stats.recentMedian <= stats.baselineMedian * ANTICHEAT_JUMP_RATIO) {
+            reasons.push('skill_jump');
+        }
+    }
+
+    return { flagged: reasons.length > 0, reasons, stats };
+}
+
+module.exports = { analyzeRounds };
@@ -0,0 +1,137 @@
+// --- ANTI-CHEAT (round history, review queue, reward holds) ---
+// Every recorded tournament round is appended to the player's history and re-analyzed.
+// Flagged players land in the admin review queue; until an admin approves them, any
+// user_rewards rows for them are held in the queue entry instead of being inserted.
+const { ANTICHEAT_HISTORY } = require('../config');
+const { analyzeRounds } = require('./detector');
+
+const REVIEW_KEY = 'anticheat:review'; // hash: userId -> JSON review entry
+const roundsKey = userId => `anticheat:rounds:${userId}`;
+
+function createAntiCheat(ctx) {
+    const { redis, supabase } = ctx;
+
+    async function getEntry(userId) {
+        const raw = await redis.hget(REVIEW_KEY, userId);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async function saveEntry(entry) {
+        await redis.hset(REVIEW_KEY, entry.userId, JSON.stringify(entry));
+    }
+
+    // round: { e: signed stop error (tenths of ms), g: start gap (ms), tid }
+    async function recordRound(userId, round) {
+        try {
+            const key = roundsKey(userId);
+            await redis.lpush(key, JSON.stringify({ ...round, ts: ctx.now() }));
+            await redis.ltrim(key, 0, ANTICHEAT_HISTORY - 1);
+            await redis.expire(key, 86400 * 7); // 7 days TTL
+
+            const rounds = (await redis.lrange(key, 0, -1)).map(r => JSON.parse(r));
+            const result = analyzeRounds(rounds);
+            if (result.flagged) await flag(userId, result, round.tid);
+            return result;
+        } catch (e) {
+            console.error('❌ [ANTICHEAT] Round record error:', e.message);
+            return null;
+        }
+    }
+
+    async function flag(userId, result, tournamentId) {
+        const existing = await getEntry(userId);
+        if (existing && existing.status === 'pending') {
+            // Keep the held rewards, refresh the evidence
+            existing.reasons = result.reasons;
+            existing.stats = result.stats;
+            existing.updatedAt = ctx.now();
+            return saveEntry(existing);
+        }
+        console.log(`🚩 [ANTICHEAT] Flagged ${userId}: ${result.reasons.join(', ')}`);
+        await saveEntry({
+            userId,
+            status: 'pending',
+            reasons: result.reasons,
+            stats: result.stats,
+            tournamentId: tournamentId || null,
+            flaggedAt: ctx.now(),
+            updatedAt: ctx.now(),
+            held: []
+        });
+    }
+
+    async function isFlagged(userId) {
+        const entry = await getEntry(userId);
+        return !!entry && entry.status === 'pending';
+    }
+
+    // Split user_rewards rows: returns the rows safe to insert, holds the rest in the queue
+    async function holdRewards(rewardRows) {
+        const allowed = [];
+        for (const row of rewardRows) {
+            const entry = await getEntry(row.user_id);
+            if (!entry || entry.status !== 'pending') {
+                allowed.push(row);
+                continue;
+            }
+            // Distribution can run twice (p→l and the endTournament fallback): hold each reward once
+            if (!entry.held.some(h => h.tournament_id === row.tournament_id && h.rank_achieved === row.rank_achieved && h.reward_name === row.reward_name)) {
+                entry.held.push(row);
+                await saveEntry(entry);
+                console.log(`⏸️ [ANTICHEAT] Holding reward '${row.reward_name}' for ${row.user_id} (rank ${row.rank_achieved})`);
+            }
+        }
+        return allowed;
+    }
+
+    async function listQueue(status = 'pending') {
+        const all = await redis.hgetall(REVIEW_KEY);
+        return Object.values(all)
+            .map(raw => JSON.parse(raw))
+            .filter(e => !status || e.status === status)
+            .sort((a, b) => b.flaggedAt - a.flaggedAt);
+    }
+
+    // action: 'approve' → insert held rewards, reset history; 'reject' → drop held rewards
+    async function review(userId, action, reviewer = 'admin') {
+        const entry = await getEntry(userId);
+        if (!entry) return { error: 'No review entry for this user' };
+        if (entry.status !== 'pending') return { error: `Already ${entry.status}` };
+
+        let released = 0;
+        if (action === 'approve') {
+            if (entry.held.length > 0) {
+                if (!supabase) return { error: 'Supabase not configured' };
+                const { error } = await supabase.from('user_rewards').insert(entry.held);
+                if (error) return { error: error.message };
+                released = entry.held.length;
+            }
+            entry.status = 'approved';
+            await redis.del(roundsKey(userId)); // Start a clean history so old evidence doesn't re-flag
+        } else if (action === 'reject') {
+            // Give assigned redeem codes back to the pool
+            if (supabase) {
+                for (const row of entry.held.filter(h => h.redeem_code)) {
+                    try {
+                        await supabase.from('reward_redeem_codes')
+                            .update({ assigned_to: null, assigned_tournament: null })
+                            .eq('code', row.redeem_code);
+                    } catch (e) { /* ignore */ }
+                }
+            }
+            entry.status = 'rejected';
+        } else {
+            return { error: "action must be 'approve' or 'reject'" };
+        }
+
+        entry.reviewedAt = ctx.now();
+        entry.reviewedBy = reviewer;
+        await saveEntry(entry);
+        console.log(`🛡️ [ANTICHEAT] ${userId} ${entry.status} (${released} held rewards released)`);
+        return { success: true, status: entry.status, released };
+    }
+
+    return { recordRound, isFlagged, holdRewards, listQueue, review, getEntry };
+}
+
+module.exports = { createAntiCheat };
@@ -0,0 +1,155 @@
+// --- APP FACTORY ---
+// Builds the Fastify + Socket.IO server with its dependencies injected, so tests can
+// run it against in-memory storage without Supabase or Firebase. server.js is the
+// production entry that wires the real clients in.
+const crypto = require('crypto');
+const Fastify = require('fastify');
+const socketIo = require('socket.io');
+const { createState } = require('./state');
+const { fbTrack: defaultFbTrack } = require('./fb');
+const { createAuth } = require('./auth');
+const { createPushNotifier } = require('./push');
+const { createSocketAdapter, createPresence } = require('./cluster');
+const { createPlayerNames } = require('./playerNames');
+const { createTournamentTiming } = require('./tournaments/timing');
+const { createTournamentLifecycle } = require('./tournaments/lifecycle');
+const { createTargets } = require('./tournaments/target');
+const { createRanking } = require('./tournaments/ranking');
+const { createLiveBoards } = require('./tournaments/liveBoard');
+const { createGlobalBoards } = require('./tournaments/globalBoards');
+const { createSeasons } = require('./tournaments/seasons');
+const { createRooms } = require('./tournaments/rooms');
+const { createTournamentRegistry } = require('./tournaments/registry');
+const { createEntryGate } = require('./tournaments/entry');
+const { createEvents } = require('./tournaments/events');
+const { createAntiCheat } = require('./anticheat');
+const { createAttemptLog } = require('./attempts');
+const { createScheduler } = require('./scheduler');
+const { createRateLimiter } = require('./sockets/rateLimit');
+const { createClockSync } = require('./sockets/clockSync');
+const { createRoundTokens } = require('./sockets/roundTokens');
+const { createRoundEngine } = require('./sockets/roundEngine');
+const { createDuels } = require('./duels');
+const { SCORING_MODE } = require('./config');
+const { registerGameSocket } = require('./sockets/game');
+const { registerDuelSocket } = require('./sockets/duel');
+const { registerLeaderboardSocket } = require('./sockets/leaderboard');
+const { registerAdminRoutes } = require('./routes/admin');
+const { registerAntiCheatRoutes } = require('./routes/anticheat');
+const { registerDuelRoutes } = require('./routes/duels');
+const { registerRoomRoutes } = require('./routes/rooms');
+const { registerEventRoutes } = require('./routes/events');
+const { registerHealthRoutes } = require('./routes/health');
+const { registerPlayerRoutes } = require('./routes/player');
+const { registerRewardRoutes } = require('./routes/rewards');
+const { registerTournamentRoutes } = require('./routes/tournament');
+const { registerLeaderboardRoutes } = require('./routes/leaderboards');
+const { registerSeasonRoutes } = require('./routes/seasons');
+
+function createApp({ redis, supabase = null, firebaseAdmin = null, adminSecret = null, roundSecret = null, logger = true, fbTrack = defaultFbTrack, now = Date.now, scoringMode = SCORING_MODE, instanceId = crypto.randomUUID(), duels: duelOptions = {} } = {}) {
+    if (!redis) throw new Error('createApp: redis storage is required');
+
+    const fastify = Fastify({ logger });
+    fastify.register(require('@fastify/cors'), { origin: "*" });
+
+    // Broadcasts reach sockets on every instance when Redis has pub/sub (see lib/cluster.js)
+    const socketAdapter = createSocketAdapter(redis);
+    const io = socketIo(fastify.server, {
+        cors: {
+            origin: "*",
+            methods: ["GET", "POST"]
+        },
+        ...(socketAdapter ? { adapter: socketAdapter.adapter } : {})
+    });
+
+    // Shared dependencies, built in dependency order
+    const ctx = {
+        redis,
+        supabase,
+        io,
+        firebaseAdmin,
+        isSecureMode: !!firebaseAdmin,
+        adminSecret,
+        fbTrack,
+        now, // Tournament clock (tests pass a fake one)
+        scoringMode, // 'raw' | 'compensated'
+        instanceId, // This server process (leader locks, presence)
+        state: createState()
+    };
+    ctx.timing = createTournamentTiming(ctx);
+    ctx.push = createPushNotifier(ctx);
+    ctx.presence = createPresence(ctx);
+    ctx.playerNames = createPlayerNames(ctx);
+    ctx.antiCheat = createAntiCheat(ctx);
+    ctx.attempts = createAttemptLog(ctx);
+    ctx.targets = createTargets(ctx);
+    ctx.ranking = createRanking(ctx);
+    ctx.liveBoards = createLiveBoards(ctx);
+    ctx.globalBoards = createGlobalBoards(ctx);
+    ctx.seasons = createSeasons(ctx);
+    ctx.tournaments = createTournamentRegistry(ctx);
+    ctx.entry = createEntryGate(ctx);
+    ctx.lifecycle = createTournamentLifecycle(ctx);
+    ctx.rooms = createRooms(ctx);
+    ctx.events = createEvents(ctx);
+    ctx.scheduler = createScheduler(ctx);
+    ctx.auth = createAuth(ctx);
+    ctx.rateLimiter = createRateLimiter();
+    ctx.clockSync = createClockSync(ctx);
+    ctx.roundTokens = createRoundTokens({ secret: roundSecret });
+    ctx.roundEngine = createRoundEngine(ctx);
+    ctx.duels = createDuels(ctx, duelOptions); // duelOptions: { countdownMs, roundTimeoutMs }
+
+    fastify.get('/', async () => {
+        return { status: 'Time Clash Socket Server Online' };
+    });
+    fastify.addHook('onRequest', ctx.auth.adminAuthHook);
+
+    registerPlayerRoutes(fastify, ctx);
+    registerAdminRoutes(fastify, ctx);
+    registerAntiCheatRoutes(fastify, ctx);
+    registerHealthRoutes(fastify, ctx);
+    registerRewardRoutes(fastify, ctx);
+    registerTournamentRoutes(fastify, ctx);
+    registerLeaderboardRoutes(fastify, ctx);
+    registerSeasonRoutes(fastify, ctx);
+    registerDuelRoutes(fastify, ctx);
+    registerRoomRoutes(fastify, ctx);
+    registerEventRoutes(fastify, ctx);
+    registerGameSocket(io, ctx);
+    registerDuelSocket(io, ctx);
+    registerLeaderboardSocket(io, ctx);
+
+    async function listen(port = process.env.PORT || 3000, host = '0.0.0.0') {
+        await fastify.listen({ port, host });
+        console.log(`🚀 Server Running on Port ${port}`);
+    }
+
+    // Background jobs (tournament loop, schedule checks, rate-limit cleanup, attempt log flush, duel matchmaking, live leaderboards)
+    async function startJobs() {
+        ctx.rateLimiter.start();
+        ctx.attempts.start();
+        ctx.duels.start();
+        ctx.liveBoards.start();
+        await ctx.scheduler.start();
+    }
+
+    async function close() {
+        await ctx.scheduler.stop(); // Also hands the scheduler lock over
+        ctx.rateLimiter.stop();
+        ctx.attempts.stop();
+        ctx.duels.stop();
+        ctx.liveBoards.stop();
+        await ctx.attempts.drain(); // Don't strand queued attempts on shutdown
+        for (const interval of ctx.state.gameIntervals.values()) clearInterval(interval);
+        ctx.state.gameIntervals.clear();
+        ctx.state.clockSync.clear();
+        io.close();
+        await fastify.close();
+        if (socketAdapter) await socketAdapter.close();
+    }
+
+    return { fastify, io, ctx, listen, startJobs, close };
+}
+
+module.exports = { createApp };
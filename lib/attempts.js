@@ -0,0 +1,107 @@
+// --- ROUND ATTEMPT LOG ---
+// Every finished round is queued in Redis (survives restarts) and flushed to the
+// Supabase round_attempts table in batches. Used for disputes, anti-cheat review
+// and player stats (attempt counts, improvement curves).
+// Every instance queues; only the holder of the 'attempts' leader lock flushes and enforces
+// ATTEMPT_QUEUE_MAX, so nothing else trims the head while a batch is being inserted.
+const { ATTEMPT_BATCH_SIZE, ATTEMPT_FLUSH_MS, ATTEMPT_QUEUE_MAX, ATTEMPT_LOCK_TTL_S } = require('./config');
+const { createLeaderLock } = require('./leaderLock');
+
+const QUEUE_KEY = 'attempts:queue';
+
+function createAttemptLog(ctx) {
+    const { redis, supabase } = ctx;
+    let flushInterval = null;
+    let flushing = false;
+    const leaderLock = createLeaderLock(ctx, 'attempts', ATTEMPT_LOCK_TTL_S);
+
+    // attempt: { userId, tournamentId, mode, target, duration, rawDuration, diff, correction, rtt, verified, newRecord, game, laps }
+    async function record(attempt) {
+        try {
+            await redis.rpush(QUEUE_KEY, JSON.stringify({ ...attempt, ts: ctx.now() }));
+        } catch (e) {
+            console.error('❌ [ATTEMPTS] Queue error:', e.message);
+        }
+    }
+
+    function toRow(a) {
+        return {
+            user_id: a.userId,
+            tournament_id: a.tournamentId || null,
+            mode: a.mode,
+            target_time: a.target,
+            duration: a.duration,
+            raw_duration: a.rawDuration,
+            diff: a.diff,
+            latency_correction: a.correction || 0,
+            rtt_ms: a.rtt != null ? a.rtt : null,
+            verified: !!a.verified,
+            new_record: !!a.newRecord,
+            game: a.game || 'single',
+            laps: a.laps || null,
+            created_at: new Date(a.ts).toISOString()
+        };
+    }
+
+    // Drain the queue oldest-first; a failed batch stays queued for the next run
+    async function flush() {
+        if (flushing) return 0;
+        flushing = true;
+        let written = 0;
+        try {
+            while (true) {
+                // Renewed per batch: a flush never outlives the lock
+                if (!await leaderLock.acquire()) break;
+                // Drop the oldest beyond the cap (Supabase down or not configured)
+                const size = await redis.llen(QUEUE_KEY);
+                if (size > ATTEMPT_QUEUE_MAX) await redis.ltrim(QUEUE_KEY, size - ATTEMPT_QUEUE_MAX, -1);
+                if (!supabase) break;
+
+                const batch = await redis.lrange(QUEUE_KEY, 0, ATTEMPT_BATCH_SIZE - 1);
+                if (batch.length === 0) break;
+
+                const rows = [];
+                for (const raw of batch) {
+                    try { rows.push(toRow(JSON.parse(raw))); } catch (e) { /* drop corrupt entry */ }
+                }
+                if (rows.length > 0) {
+                    const { error } = await supabase.from('round_attempts').insert(rows);
+                    if (error) {
+                        console.error('❌ [ATTEMPTS] Batch insert failed (will retry):', error.message || error);
+                        break;
+                    }
+                }
+                await redis.ltrim(QUEUE_KEY, batch.length, -1);
+                written += rows.length;
+                if (batch.length < ATTEMPT_BATCH_SIZE) break;
+            }
+            if (written > 0) console.log(`🗂️ [ATTEMPTS] ${written} attempts saved to Supabase`);
+        } catch (e) {
+            console.error('❌ [ATTEMPTS] Flush error:', e.message);
+        } finally {
+            flushing = false;
+        }
+        return written;
+    }
+
+    function start() {
+        stop();
+        flushInterval = setInterval(flush, ATTEMPT_FLUSH_MS);
+    }
+
+    function stop() {
+        if (flushInterval) clearInterval(flushInterval);
+        flushInterval = null;
+    }
+
+    // Last flush on shutdown, then hand the lock to another instance
+    async function drain() {
+        stop();
+        await flush();
+        await leaderLock.release();
+    }
+
+    return { record, flush, start, stop, drain };
+}
+
+module.exports = { createAttemptLog };
@@ -0,0 +1,99 @@
+// --- AUTH (admin key + player Firebase ID token) ---
+
+function createAuth(ctx) {
+    const { firebaseAdmin: admin, isSecureMode } = ctx;
+
+    // --- ADMIN AUTH MIDDLEWARE ---
+    const ADMIN_SECRET = ctx.adminSecret || null;
+    if (!ADMIN_SECRET) {
+        console.log("⚠️ WARNING: ADMIN_SECRET not set! Admin endpoints will be BLOCKED. Set ADMIN_SECRET env var.");
+    }
+
+    // onRequest hook: every /api/admin* route needs the x-admin-key header
+    async function adminAuthHook(req, reply) {
+        if (req.url.startsWith('/api/admin')) {
+            if (!ADMIN_SECRET) {
+                reply.code(403).send({ error: 'Admin access not configured' });
+                return;
+            }
+            const key = req.headers['x-admin-key'];
+            if (key !== ADMIN_SECRET) {
+                reply.code(401).send({ error: 'Unauthorized' });
+                return;
+            }
+        }
+    }
+
+    // --- PLAYER AUTH (Firebase ID token) ---
+    // preHandler for player endpoints: verifies 'Authorization: Bearer <idToken>' and sets req.uid.
+    // userId in body/query is IGNORED on these routes — the uid always comes from the token.
+    async function requirePlayerAuth(req, reply) {
+        if (!isSecureMode) {
+            reply.code(503).send({ error: 'Player auth not configured' });
+            return reply;
+        }
+        const header = req.headers['authorization'] || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (!match) {
+            reply.code(401).send({ error: 'Missing Authorization header' });
+            return reply;
+        }
+        try {
+            const decodedToken = await admin.auth().verifyIdToken(match[1]);
+            req.uid = decodedToken.uid;
+        } catch (e) {
+            console.error("❌ [AUTH] REST token verification failed:", e.message);
+            reply.code(401).send({ error: e.code === 'auth/id-token-expired' ? 'Token expired' : 'Invalid token' });
+            return reply;
+        }
+    }
+
+    // --- SOCKET PLAYER AUTH ---
+    // Tournament sessions must carry a valid Firebase ID token; otherwise 'ig' is rejected
+    // with an 'auth_error' event and nothing is written to the leaderboard.
+    // Set STRICT_TOURNAMENT_AUTH=false to allow unverified play (local dev only).
+    const strictTournamentAuth = process.env.STRICT_TOURNAMENT_AUTH !== 'false';
+    const AUTH_ERROR_MESSAGES = {
+        AUTH_REQUIRED: 'Login required to join tournaments.',
+        AUTH_INVALID: 'Your session is invalid. Please login again.',
+        AUTH_EXPIRED: 'Your session has expired. Please login again.',
+        AUTH_UNAVAILABLE: 'Tournament login is temporarily unavailable.'
+    };
+
+    if (strictTournamentAuth && !isSecureMode) {
+        console.log("⚠️ WARNING: STRICT_TOURNAMENT_AUTH is on but Firebase Admin is missing - tournament joins will be REJECTED.");
+    }
+
+    // Socket payload { u, e, n, t: idToken } → identity. Unverified players keep the claimed
+    // id (fine for practice) and get an errorCode for the 'auth_error' event.
+    async function verifySocketPlayer(data, socketId) {
+        const player = {
+            userId: data.u || socketId,
+            email: data.e || null, // Email from client
+            username: data.n || 'Guest', // Username from client
+            isVerified: false,
+            errorCode: null
+        };
+        if (isSecureMode && data.t) {
+            try {
+                const decodedToken = await admin.auth().verifyIdToken(data.t);
+                player.userId = decodedToken.uid; // USE REAL UID from Google
+                player.email = decodedToken.email || player.email;
+                player.username = decodedToken.name || player.username;
+                player.isVerified = true;
+            } catch (err) {
+                console.error("❌ Token Verification Failed:", err.message);
+                player.errorCode = err.code === 'auth/id-token-expired' ? 'AUTH_EXPIRED' : 'AUTH_INVALID';
+            }
+        } else if (!isSecureMode) {
+            player.errorCode = 'AUTH_UNAVAILABLE';
+        } else {
+            player.errorCode = 'AUTH_REQUIRED';
+        }
+        return player;
+    }
+
+    return { adminAuthHook, requirePlayerAuth, verifySocketPlayer, strictTournamentAuth, AUTH_ERROR_MESSAGES };
+}
+
+module.exports = { createAuth };
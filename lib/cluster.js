@@ -0,0 +1,88 @@
+// --- MULTI-INSTANCE SUPPORT ---
+// Several server processes can share one Redis (REDIS_URL must be a TCP redis:// URL):
+//   - broadcasts (io.emit / io.to(room)) go through the Socket.IO Redis adapter
+//   - the active tournament registry is a Redis hash (see tournaments/registry.js)
+//   - one elected instance runs the tournament loop and schedule checks (see scheduler.js)
+//   - connected users are listed per instance in Redis (presence below)
+// A socket, its round session (hrtime clock, 't' stream, round tokens) and its rate-limit
+// counters stay on the instance it connected to, so the load balancer needs sticky sessions
+// for the polling transport (websocket-only clients don't). Duel matchmaking is still per instance.
+const { PRESENCE_TTL_S } = require('./config');
+
+// Socket.IO adapter over Redis pub/sub → { adapter, close } or null when there's no pub/sub
+// (memory driver = one process; Upstash HTTP can't subscribe)
+function createSocketAdapter(redis) {
+    if (redis.driver !== 'ioredis') {
+        if (redis.driver === 'upstash') {
+            console.log("⚠️ [CLUSTER] Upstash (HTTP) has no pub/sub - broadcasts only reach this instance. Use a redis:// URL to run several.");
+        }
+        return null;
+    }
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pub = redis.duplicate();
+    const sub = redis.duplicate();
+    console.log("📡 [CLUSTER] Socket.IO Redis adapter enabled");
+    return {
+        adapter: createAdapter(pub, sub),
+        close: async () => {
+            await Promise.all([pub.quit(), sub.quit()]).catch(() => {});
+        }
+    };
+}
+
+// Connected users across instances. state.activeUsers holds this instance's sockets and is
+// mirrored into presence:<instanceId> (socketId → user JSON); every instance renews the TTL
+// from its loop, so a crashed instance's users drop out on their own.
+function createPresence(ctx) {
+    const { redis, state } = ctx;
+    const key = `presence:${ctx.instanceId}`;
+
+    async function add(socketId, user) {
+        state.activeUsers.set(socketId, user);
+        try {
+            await redis.hset(key, socketId, JSON.stringify(user));
+            await redis.expire(key, PRESENCE_TTL_S);
+        } catch (e) {
+            console.error('❌ [PRESENCE] add error:', e.message);
+        }
+    }
+
+    function remove(socketId) {
+        const removed = state.activeUsers.delete(socketId);
+        if (removed) redis.hdel(key, socketId).catch(e => console.error('❌ [PRESENCE] remove error:', e.message));
+        return removed;
+    }
+
+    // Rewrite this instance's list (lastActivity changes locally on every round) and keep it alive
+    async function heartbeat() {
+        if (state.activeUsers.size === 0) return; // Nothing to keep: the key expires
+        try {
+            const fields = {};
+            for (const [socketId, user] of state.activeUsers) fields[socketId] = JSON.stringify(user);
+            await redis.hset(key, fields);
+            await redis.expire(key, PRESENCE_TTL_S);
+        } catch (e) {
+            console.error('❌ [PRESENCE] heartbeat error:', e.message);
+        }
+    }
+
+    // Every connected user on every instance → [{ userId, email, username, connectedAt, lastActivity, socketId }]
+    async function list() {
+        const users = [];
+        try {
+            for (const instanceKey of await redis.keys('presence:*') || []) {
+                for (const raw of Object.values(await redis.hgetall(instanceKey) || {})) {
+                    try { users.push(typeof raw === 'string' ? JSON.parse(raw) : raw); } catch (e) { /* skip bad data */ }
+                }
+            }
+        } catch (e) {
+            console.error('❌ [PRESENCE] list error:', e.message);
+            return Array.from(state.activeUsers.values());
+        }
+        return users;
+    }
+
+    return { add, remove, heartbeat, list };
+}
+
+module.exports = { createSocketAdapter, createPresence };
@@ -0,0 +1,184 @@
+// --- SHARED CONSTANTS ---
+
+// Auto tournaments run every 15 minutes: 12 minutes play + 3 minutes winner/leaderboard
+const TOURNAMENT_DURATION_MS = 15 * 60 * 1000; // 15 minutes total
+const PLAY_TIME_MS = 12 * 60 * 1000; // 12 minutes play time
+const LEADERBOARD_TIME_MS = 3 * 60 * 1000; // 3 minutes winner/leaderboard time
+
+// Server-side health system (anti-cheat)
+const HEALTH_MAX = 20;
+const HEALTH_REFILL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Clock sync / latency-compensated scoring (see lib/sockets/clockSync.js)
+// SCORING_MODE=compensated ranks by the corrected duration; 'raw' (default) keeps today's scoring
+const SCORING_MODE = process.env.SCORING_MODE === 'compensated' ? 'compensated' : 'raw';
+const CLOCK_SYNC_SAMPLES = 5; // Pings per handshake
+const CLOCK_SYNC_MIN_SAMPLES = 3; // Fewer than this → no correction
+const CLOCK_SYNC_MAX_AGE_MS = 5 * 60 * 1000; // Older estimates are ignored
+const MAX_SYNC_JITTER_MS = 40; // Median RTT minus best RTT above this → connection too unstable
+const MAX_LATENCY_CORRECTION_MS = 150; // Hard cap on how much a round can be shortened
+// LATENCY_CORRECTION=one_way subtracts RTT/2 instead of the full RTT (default 'rtt', see clockSync.js)
+const LATENCY_CORRECTION = process.env.LATENCY_CORRECTION === 'one_way' ? 'one_way' : 'rtt';
+
+// Anti-cheat detector (see lib/anticheat). Errors are in tenths of ms, gaps in ms.
+const ANTICHEAT_HISTORY = 50; // Rounds kept per user
+const ANTICHEAT_MIN_ROUNDS = 8; // Below this nothing is flagged
+const ANTICHEAT_TIGHT_STDDEV = 50; // 5ms spread of stop error — humans are ~30-60ms
+const ANTICHEAT_TIGHT_MEAN_ABS = 100; // ...combined with a 10ms average miss
+const ANTICHEAT_GAP_MAX_CV = 0.05; // Start gaps varying <5% look scripted
+const ANTICHEAT_JUMP_RECENT = 5; // Latest rounds compared against the user's own baseline
+const ANTICHEAT_JUMP_RATIO = 0.2; // Recent median miss below 20% of the baseline median
+const ANTICHEAT_JUMP_MIN_BASELINE = 100; // Only for players whose baseline miss was ≥10ms
+
+// Per-attempt log (see lib/attempts.js)
+const ATTEMPT_BATCH_SIZE = 500; // Rows per Supabase insert
+const ATTEMPT_FLUSH_MS = 5000; // Flush interval
+const ATTEMPT_QUEUE_MAX = 50000; // Oldest attempts dropped beyond this while Supabase is down
+const ATTEMPT_LOCK_TTL_S = 60; // Flush leader lock lifetime; renewed before every batch
+
+// Multi-target rounds (see lib/tournaments/multiTarget.js)
+// MULTI_TARGET_SCORING=max ranks by the worst lap; 'sum' (default) by the total miss
+const MULTI_TARGET_MIN_LAPS = 2;
+const MULTI_TARGET_MAX_LAPS = 5;
+const MULTI_TARGET_DEFAULT_LAPS = 3;
+const MULTI_TARGET_SCORING = process.env.MULTI_TARGET_SCORING === 'max' ? 'max' : 'sum';
+
+// Blind timer rounds (see lib/tournaments/blind.js)
+const BLIND_DEFAULT_CUTOFF = 0.5; // Stream stops at half the target (practice / no cutoff configured)
+
+// Duels (see lib/duels)
+const DUEL_BEST_OF = 3; // Default rounds per duel (players may ask for 1, 3 or 5)
+const DUEL_MAX_TIEBREAKS = 2; // Tied rounds replayed at most this many times before a draw
+const DUEL_COUNTDOWN_MS = 3000; // Shared target shown, then both timers start together
+const DUEL_ROUND_TIMEOUT_MS = 10000; // After the target: a player who hasn't stopped loses the round
+const DUEL_MATCH_WINDOW = 150; // Rating gap allowed when a player joins the queue...
+const DUEL_MATCH_WINDOW_GROWTH = 50; // ...widened by this much...
+const DUEL_MATCH_WINDOW_STEP_MS = 5000; // ...every 5 seconds of waiting
+const ELO_DEFAULT = 1200;
+const ELO_K = 32;
+
+// Private rooms (see lib/tournaments/rooms.js)
+const ROOM_CODE_LENGTH = 6;
+const ROOM_DEFAULT_PLAY_MS = 5 * 60 * 1000;
+const ROOM_MIN_PLAY_MS = 60 * 1000;
+const ROOM_MAX_PLAY_MS = 60 * 60 * 1000;
+const ROOM_LEADERBOARD_MS = 2 * 60 * 1000; // Results phase after play time (host may pick 30s-10min)
+const ROOM_MAX_PER_HOST = 3; // Open rooms per host at once
+
+// Bracket events (see lib/tournaments/events.js)
+const EVENT_MIN_STAGES = 2; // Qualifier + final at least
+const EVENT_MAX_STAGES = 5;
+
+// Recurring daily schedules (see lib/tournaments/recurrence.js)
+const RECURRENCE_DEFAULT_TZ = 'Asia/Kolkata'; // Schedules without a timezone run in IST
+const RECURRENCE_MAX_PREVIEW = 50; // Occurrences returned by the admin preview
+
+// Missed schedules and multi-instance scheduling (see lib/tournaments/catchUp.js, lib/leaderLock.js)
+const SCHEDULE_CATCH_UP = 'shorten'; // Default policy for a start missed during downtime: run | shorten | skip
+const SCHEDULE_MAX_LATE_MS = 6 * 60 * 60 * 1000; // Older misses are always skipped
+const SCHEDULER_LOCK_TTL_S = 30; // Leader lock lifetime; the leader renews it every pass (10s)
+
+// Several server instances on one Redis (see lib/cluster.js)
+const PRESENCE_TTL_S = 60; // An instance's connected-user list outlives it by this much
+
+// Leaderboard ties (see lib/tournaments/ranking.js)
+// TIE_BREAK=shared gives equal scores a shared rank with split rewards; 'earliest' (default)
+// ranks the earlier achievement higher. Admins can pick per tournament with `tieBreak`.
+const TIE_BREAK = process.env.TIE_BREAK === 'shared' ? 'shared' : 'earliest';
+
+// Live leaderboard pushes (see lib/tournaments/liveBoard.js)
+const LIVE_BOARD_PUSH_MS = 1000; // Changed boards are pushed to subscribers at most this often
+const LIVE_BOARD_DEFAULT_TOP = 10;
+const LIVE_BOARD_MAX_TOP = 50;
+const LIVE_BOARD_DEFAULT_AROUND = 2; // Players shown above and below the subscriber
+const LIVE_BOARD_MAX_AROUND = 10;
+
+// Leaderboard pages (GET /api/leaderboard/:tournamentId)
+const LEADERBOARD_PAGE_DEFAULT = 50;
+const LEADERBOARD_PAGE_MAX = 100;
+const LEADERBOARD_AROUND_DEFAULT = 5; // Players above and below ?userId=
+const LEADERBOARD_AROUND_MAX = 25;
+
+// Cross-tournament leaderboards (see lib/tournaments/globalBoards.js)
+const GLOBAL_BOARD_TZ = RECURRENCE_DEFAULT_TZ; // Weeks (Mon-Sun) and months follow this calendar
+const GLOBAL_BOARD_MIN_TOURNAMENTS = 3; // Needed to rank by average percentile
+
+// Seasons (see lib/tournaments/seasons.js): points per finishing rank, unless the season sets its own
+const SEASON_DEFAULT_POINTS = [
+    { min: 1, max: 1, points: 100 },
+    { min: 2, max: 2, points: 80 },
+    { min: 3, max: 3, points: 65 },
+    { min: 4, max: 10, points: 40 },
+    { min: 11, max: 50, points: 20 },
+    { min: 51, max: null, points: 5 } // Every finish counts for something
+];
+const SEASON_LEVEL_POINTS = 100; // Season pass: one level per this many points
+
+module.exports = {
+    TOURNAMENT_DURATION_MS,
+    PLAY_TIME_MS,
+    LEADERBOARD_TIME_MS,
+    HEALTH_MAX,
+    HEALTH_REFILL_MS,
+    SCORING_MODE,
+    CLOCK_SYNC_SAMPLES,
+    CLOCK_SYNC_MIN_SAMPLES,
+    CLOCK_SYNC_MAX_AGE_MS,
+    MAX_SYNC_JITTER_MS,
+    MAX_LATENCY_CORRECTION_MS,
+    LATENCY_CORRECTION,
+    ANTICHEAT_HISTORY,
+    ANTICHEAT_MIN_ROUNDS,
+    ANTICHEAT_TIGHT_STDDEV,
+    ANTICHEAT_TIGHT_MEAN_ABS,
+    ANTICHEAT_GAP_MAX_CV,
+    ANTICHEAT_JUMP_RECENT,
+    ANTICHEAT_JUMP_RATIO,
+    ANTICHEAT_JUMP_MIN_BASELINE,
+    ATTEMPT_BATCH_SIZE,
+    ATTEMPT_FLUSH_MS,
+    ATTEMPT_QUEUE_MAX,
+    ATTEMPT_LOCK_TTL_S,
+    MULTI_TARGET_MIN_LAPS,
+    MULTI_TARGET_MAX_LAPS,
+    MULTI_TARGET_DEFAULT_LAPS,
+    MULTI_TARGET_SCORING,
+    BLIND_DEFAULT_CUTOFF,
+    DUEL_BEST_OF,
+    DUEL_MAX_TIEBREAKS,
+    DUEL_COUNTDOWN_MS,
+    DUEL_ROUND_TIMEOUT_MS,
+    DUEL_MATCH_WINDOW,
+    DUEL_MATCH_WINDOW_GROWTH,
+    DUEL_MATCH_WINDOW_STEP_MS,
+    ELO_DEFAULT,
+    ELO_K,
+    ROOM_CODE_LENGTH,
+    ROOM_DEFAULT_PLAY_MS,
+    ROOM_MIN_PLAY_MS,
+    ROOM_MAX_PLAY_MS,
+    ROOM_LEADERBOARD_MS,
+    ROOM_MAX_PER_HOST,
+    EVENT_MIN_STAGES,
+    EVENT_MAX_STAGES,
+    RECURRENCE_DEFAULT_TZ,
+    RECURRENCE_MAX_PREVIEW,
+    SCHEDULE_CATCH_UP,
+    SCHEDULE_MAX_LATE_MS,
+    SCHEDULER_LOCK_TTL_S,
+    PRESENCE_TTL_S,
+    TIE_BREAK,
+    LIVE_BOARD_PUSH_MS,
+    LIVE_BOARD_DEFAULT_TOP,
+    LIVE_BOARD_MAX_TOP,
+    LIVE_BOARD_DEFAULT_AROUND,
+    LIVE_BOARD_MAX_AROUND,
+    LEADERBOARD_PAGE_DEFAULT,
+    LEADERBOARD_PAGE_MAX,
+    LEADERBOARD_AROUND_DEFAULT,
+    LEADERBOARD_AROUND_MAX,
+    GLOBAL_BOARD_TZ,
+    GLOBAL_BOARD_MIN_TOURNAMENTS,
+    SEASON_DEFAULT_POINTS,
+    SEASON_LEVEL_POINTS
+};
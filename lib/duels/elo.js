@@ -0,0 +1,15 @@
+// --- ELO RATINGS (pure) ---
+const { ELO_K } = require('../config');
+
+// Probability that A beats B
+function expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+// scoreA: 1 = A won, 0.5 = draw, 0 = B won → new ratings (rounded)
+function updateRatings(ratingA, ratingB, scoreA, k = ELO_K) {
+    const deltaA = Math.round(k * (scoreA - expectedScore(ratingA, ratingB)));
+    return { a: ratingA + deltaA, b: ratingB - deltaA, deltaA };
+}
+
+module.exports = { expectedScore, updateRatings };
@@ -0,0 +1,333 @@
+// --- DUELS (head-to-head, best-of-N) ---
+// 'dq' joins the matchmaking queue. Two matched players share a Socket.IO room `duel:${id}`.
+// Every round: shared target + countdown ('drs'), both timers start on the same server tick
+// ('dgo', then the usual 't' stream from the round engine), each player stops with 'dsp',
+// the lower miss wins the round ('dr'). First to a majority wins the duel ('de').
+// Leaving ('dl') or disconnecting mid-duel forfeits.
+// Elo ratings live in Redis (duel:player:${userId}); finished duels are archived to Supabase.
+const crypto = require('crypto');
+const {
+    DUEL_BEST_OF,
+    DUEL_MAX_TIEBREAKS,
+    DUEL_COUNTDOWN_MS,
+    DUEL_ROUND_TIMEOUT_MS,
+    ELO_DEFAULT
+} = require('../config');
+const { updateRatings } = require('./elo');
+const { findMatch } = require('./matchmaking');
+
+const BEST_OF_ALLOWED = [1, 3, 5];
+const MATCH_INTERVAL_MS = 2000; // Re-run matchmaking as rating windows widen
+const playerKey = userId => `duel:player:${userId}`;
+
+// results: [{ d: miss or null if the player never stopped }] → winning index or null (tie)
+function roundWinner(results) {
+    const [a, b] = results.map(r => r.d);
+    if (a === null && b === null) return null;
+    if (a === null) return 1;
+    if (b === null) return 0;
+    if (a === b) return null;
+    return a < b ? 0 : 1;
+}
+
+function createDuels(ctx, options = {}) {
+    const { redis, supabase, io, state } = ctx;
+    const roundEngine = ctx.roundEngine;
+    const clockSync = ctx.clockSync;
+    const attempts = ctx.attempts;
+    const countdownMs = options.countdownMs ?? DUEL_COUNTDOWN_MS;
+    const roundTimeoutMs = options.roundTimeoutMs ?? DUEL_ROUND_TIMEOUT_MS;
+    let matchInterval = null;
+
+    async function getRating(userId) {
+        const p = await redis.hgetall(playerKey(userId)) || {};
+        return {
+            userId,
+            rating: parseInt(p.rating) || ELO_DEFAULT,
+            played: parseInt(p.played) || 0,
+            wins: parseInt(p.wins) || 0,
+            losses: parseInt(p.losses) || 0,
+            draws: parseInt(p.draws) || 0
+        };
+    }
+
+    function duelFor(socketId) {
+        const id = state.duelBySocket.get(socketId);
+        return id ? state.duels.get(id) : null;
+    }
+
+    function isBusy(userId) {
+        if (state.duelQueue.some(e => e.userId === userId)) return true;
+        for (const duel of state.duels.values()) {
+            if (duel.players.some(p => p.userId === userId)) return true;
+        }
+        return false;
+    }
+
+    // player: verified identity from auth.verifySocketPlayer
+    async function queue(socket, player, bestOf) {
+        if (isBusy(player.userId)) return socket.emit('to', 'Already in a duel or queue.');
+        const bo = BEST_OF_ALLOWED.includes(parseInt(bestOf)) ? parseInt(bestOf) : DUEL_BEST_OF;
+        let rating;
+        try {
+            ({ rating } = await getRating(player.userId));
+        } catch (e) {
+            console.error('❌ Duel rating lookup error:', e.message);
+            return socket.emit('to', 'Could not join the duel queue, try again.');
+        }
+        // Another socket of the same user may have queued while the rating loaded
+        if (isBusy(player.userId)) return socket.emit('to', 'Already in a duel or queue.');
+        state.duelQueue.push({
+            socket,
+            userId: player.userId,
+            username: player.username,
+            isVerified: player.isVerified,
+            rating,
+            bestOf: bo,
+            joinedAt: ctx.now()
+        });
+        socket.emit('dqw', { bo, r: rating, q: state.duelQueue.length }); // Waiting for an opponent
+        tryMatch();
+    }
+
+    function leaveQueue(socketId) {
+        const i = state.duelQueue.findIndex(e => e.socket.id === socketId);
+        if (i === -1) return false;
+        state.duelQueue.splice(i, 1);
+        return true;
+    }
+
+    function tryMatch() {
+        let pair;
+        while ((pair = findMatch(state.duelQueue, ctx.now()))) {
+            const b = state.duelQueue.splice(pair[1], 1)[0];
+            const a = state.duelQueue.splice(pair[0], 1)[0];
+            createDuel(a, b);
+        }
+    }
+
+    function createDuel(a, b) {
+        const id = `duel_${ctx.now()}_${crypto.randomBytes(3).toString('hex')}`;
+        const duel = {
+            id,
+            room: `duel:${id}`,
+            bestOf: a.bestOf,
+            status: 'active',
+            startedAt: ctx.now(),
+            rounds: [],
+            round: null,
+            timer: null,
+            players: [a, b].map(e => ({
+                socket: e.socket,
+                userId: e.userId,
+                username: e.username,
+                isVerified: e.isVerified,
+                rating: e.rating,
+                wins: 0
+            }))
+        };
+        state.duels.set(id, duel);
+        for (const p of duel.players) {
+            p.socket.join(duel.room);
+            state.duelBySocket.set(p.socket.id, id);
+        }
+        io.to(duel.room).emit('dm', {
+            id,
+            bo: duel.bestOf,
+            p: duel.players.map(p => ({ u: p.userId, n: p.username, r: p.rating }))
+        });
+        console.log(`⚔️ [DUEL] ${id}: ${a.userId} (${a.rating}) vs ${b.userId} (${b.rating}), best of ${duel.bestOf}`);
+        startRound(duel);
+    }
+
+    function startRound(duel) {
+        const rd = duel.rounds.length + 1;
+        const target = Math.floor(Math.random() * 15000) + 20000; // Shared target (2.0000s-3.4999s in tenths of ms)
+        duel.round = { rd, target, running: false, stops: new Map() };
+        io.to(duel.room).emit('drs', { id: duel.id, rd, t: target, in: countdownMs, sc: duel.players.map(p => p.wins) });
+        duel.timer = setTimeout(() => go(duel), countdownMs);
+    }
+
+    // Simultaneous start: both timers begin on the same server tick
+    function go(duel) {
+        if (duel.status !== 'active' || !duel.round) return;
+        for (const p of duel.players) roundEngine.start(p.socket, p);
+        duel.round.running = true;
+        io.to(duel.room).emit('dgo', { id: duel.id, rd: duel.round.rd });
+        duel.timer = setTimeout(() => resolveRound(duel), Math.ceil(duel.round.target / 10) + roundTimeoutMs);
+    }
+
+    // 'dsp': a player stops their timer
+    function handleStop(socket) {
+        const duel = duelFor(socket.id);
+        if (!duel || !duel.round || !duel.round.running) return;
+        const idx = duel.players.findIndex(p => p.socket.id === socket.id);
+        const p = duel.players[idx];
+        if (p.status !== 'running') return; // Prevent double submission
+
+        roundEngine.stopStream(socket.id);
+        p.status = 'finished';
+        const { rawDuration } = roundEngine.measure(p);
+        const timing = clockSync.correctDuration(socket.id, rawDuration);
+        const duration = ctx.scoringMode === 'compensated' ? timing.corrected : rawDuration;
+        const target = duel.round.target;
+        const diff = Math.abs(duration - target);
+        duel.round.stops.set(idx, { ft: duration, d: diff });
+        socket.emit('dst', { id: duel.id, rd: duel.round.rd, ft: duration, d: diff }); // Own result; opponent's comes with 'dr'
+
+        attempts.record({
+            userId: p.userId,
+            tournamentId: null,
+            mode: 'd',
+            target,
+            duration,
+            rawDuration: timing.raw,
+            diff,
+            correction: timing.correction,
+            rtt: timing.estimate ? timing.estimate.rtt : null,
+            verified: p.isVerified,
+            newRecord: false,
+            game: 'duel'
+        });
+
+        if (duel.round.stops.size === duel.players.length) resolveRound(duel);
+    }
+
+    function resolveRound(duel) {
+        if (duel.status !== 'active' || !duel.round) return;
+        clearTimeout(duel.timer);
+        const round = duel.round;
+        duel.round = null;
+
+        const results = duel.players.map((p, idx) => {
+            roundEngine.stopStream(p.socket.id);
+            p.status = 'finished';
+            const stop = round.stops.get(idx);
+            return { u: p.userId, ft: stop ? stop.ft : null, d: stop ? stop.d : null };
+        });
+        const winnerIdx = roundWinner(results);
+        if (winnerIdx !== null) duel.players[winnerIdx].wins++;
+        const w = winnerIdx !== null ? duel.players[winnerIdx].userId : null;
+        duel.rounds.push({ rd: round.rd, t: round.target, res: results, w });
+        io.to(duel.room).emit('dr', { id: duel.id, rd: round.rd, t: round.target, res: results, w, sc: duel.players.map(p => p.wins) });
+
+        const need = Math.floor(duel.bestOf / 2) + 1;
+        const leader = duel.players.findIndex(p => p.wins >= need);
+        if (leader !== -1) return finish(duel, leader, 'score');
+        if (duel.rounds.length >= duel.bestOf + DUEL_MAX_TIEBREAKS) {
+            const [a, b] = duel.players;
+            return finish(duel, a.wins === b.wins ? null : (a.wins > b.wins ? 0 : 1), 'rounds');
+        }
+        startRound(duel);
+    }
+
+    // winnerIdx: index into duel.players, null = draw. reason: 'score' | 'rounds' | 'forfeit'
+    async function finish(duel, winnerIdx, reason) {
+        if (duel.status !== 'active') return;
+        duel.status = 'ended';
+        clearTimeout(duel.timer);
+        for (const p of duel.players) {
+            roundEngine.stopStream(p.socket.id);
+            state.duelBySocket.delete(p.socket.id);
+        }
+        state.duels.delete(duel.id);
+
+        const [a, b] = duel.players;
+        const scoreA = winnerIdx === null ? 0.5 : (winnerIdx === 0 ? 1 : 0);
+        const ratings = updateRatings(a.rating, b.rating, scoreA);
+        a.newRating = ratings.a;
+        b.newRating = ratings.b;
+        try {
+            await saveResult(a, scoreA);
+            await saveResult(b, 1 - scoreA);
+        } catch (e) {
+            console.error('❌ [DUEL] Rating save error:', e.message);
+        }
+
+        const winner = winnerIdx === null ? null : duel.players[winnerIdx].userId;
+        io.to(duel.room).emit('de', {
+            id: duel.id,
+            w: winner,
+            reason,
+            sc: duel.players.map(p => p.wins),
+            ra: duel.players.map(p => ({ u: p.userId, r: p.newRating, d: p.newRating - p.rating }))
+        });
+        for (const p of duel.players) p.socket.leave(duel.room);
+        console.log(`🏁 [DUEL] ${duel.id} ended (${reason}): ${winner || 'draw'} | ${a.userId} ${a.rating}→${a.newRating}, ${b.userId} ${b.rating}→${b.newRating}`);
+
+        archiveDuel(duel, winner, reason).catch(e => {
+            console.error('❌ [DUEL] Supabase archive error:', e);
+        });
+    }
+
+    async function saveResult(p, score) {
+        const key = playerKey(p.userId);
+        await redis.hset(key, { rating: p.newRating });
+        await redis.hincrby(key, 'played', 1);
+        await redis.hincrby(key, score === 1 ? 'wins' : score === 0 ? 'losses' : 'draws', 1);
+    }
+
+    async function archiveDuel(duel, winner, reason) {
+        if (!supabase) return;
+        const [a, b] = duel.players;
+        const { error } = await supabase.from('duels').insert({
+            id: duel.id,
+            player_a: a.userId,
+            player_b: b.userId,
+            winner_id: winner,
+            reason,
+            best_of: duel.bestOf,
+            score_a: a.wins,
+            score_b: b.wins,
+            rating_a_before: a.rating,
+            rating_a_after: a.newRating,
+            rating_b_before: b.rating,
+            rating_b_after: b.newRating,
+            rounds: duel.rounds,
+            started_at: new Date(duel.startedAt).toISOString(),
+            ended_at: new Date(ctx.now()).toISOString()
+        });
+        if (error) console.error('❌ [DUEL] duels insert error:', error);
+
+        const rows = [];
+        for (const p of duel.players) {
+            const r = await getRating(p.userId);
+            rows.push({
+                user_id: p.userId,
+                username: p.username,
+                rating: r.rating,
+                played: r.played,
+                wins: r.wins,
+                losses: r.losses,
+                draws: r.draws,
+                updated_at: new Date(ctx.now()).toISOString()
+            });
+        }
+        const { error: ratingError } = await supabase.from('duel_ratings').upsert(rows, { onConflict: 'user_id' });
+        if (ratingError) console.error('❌ [DUEL] duel_ratings upsert error:', ratingError);
+    }
+
+    // 'dl' or disconnect: leave the queue, or forfeit a running duel
+    function leave(socketId) {
+        if (leaveQueue(socketId)) return;
+        const duel = duelFor(socketId);
+        if (!duel) return;
+        const idx = duel.players.findIndex(p => p.socket.id === socketId);
+        console.log(`🏳️ [DUEL] ${duel.players[idx].userId} forfeits ${duel.id}`);
+        return finish(duel, idx === 0 ? 1 : 0, 'forfeit');
+    }
+
+    function start() {
+        if (!matchInterval) matchInterval = setInterval(tryMatch, MATCH_INTERVAL_MS);
+    }
+
+    function stop() {
+        if (matchInterval) clearInterval(matchInterval);
+        matchInterval = null;
+        for (const duel of state.duels.values()) clearTimeout(duel.timer);
+    }
+
+    return { queue, leave, handleStop, getRating, tryMatch, start, stop };
+}
+
+module.exports = { createDuels, roundWinner };
@@ -0,0 +1,32 @@
+// --- DUEL MATCHMAKING (pure) ---
+// queue: [{ userId, rating, bestOf, joinedAt }], oldest first.
+// Each player accepts opponents within a rating window that widens the longer they wait.
+const { DUEL_MATCH_WINDOW, DUEL_MATCH_WINDOW_GROWTH, DUEL_MATCH_WINDOW_STEP_MS } = require('../config');
+
+function matchWindow(entry, now) {
+    const waited = Math.max(0, now - entry.joinedAt);
+    return DUEL_MATCH_WINDOW + Math.floor(waited / DUEL_MATCH_WINDOW_STEP_MS) * DUEL_MATCH_WINDOW_GROWTH;
+}
+
+// Oldest player first, paired with the closest-rated compatible opponent → [i, j] or null
+function findMatch(queue, now) {
+    for (let i = 0; i < queue.length; i++) {
+        const a = queue[i];
+        let best = -1;
+        let bestGap = Infinity;
+        for (let j = i + 1; j < queue.length; j++) {
+            const b = queue[j];
+            if (b.userId === a.userId || b.bestOf !== a.bestOf) continue;
+            const gap = Math.abs(a.rating - b.rating);
+            // Either side's window is enough: the longer-waiting player drives the match
+            if (gap <= Math.max(matchWindow(a, now), matchWindow(b, now)) && gap < bestGap) {
+                best = j;
+                bestGap = gap;
+            }
+        }
+        if (best !== -1) return [i, best];
+    }
+    return null;
+}
+
+module.exports = { findMatch, matchWindow };
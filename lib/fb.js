@@ -0,0 +1,41 @@
+// --- FACEBOOK CONVERSIONS API ---
+const FB_PIXEL_ID = process.env.FB_PIXEL_ID || '883642314508915';
+const FB_ACCESS_TOKEN = process.env.FB_ACCESS_TOKEN || 'EAAMmb7okhPUBQmdnvCYSMKLr35cZBr8kdYL3YZAtiyZC74VA1oGQHKjYml2br3GE5OEFu9skSEtUWo2ORexTdCHvYA0RZATNQNqP79Y9oL0HmH7QiLsA1WEB7QGcZB2dcLHUOiGZAE9EV8bq5yCkxmvvhpFLZBRnDkeweaqhLQu9SSUYpPRZAt0cRwdeioDfUwZDZD';
+const crypto = require('crypto');
+
+async function fbTrack(eventName, userData = {}, customData = {}) {
+    if (!FB_ACCESS_TOKEN || !FB_PIXEL_ID) return;
+    try {
+        const eventData = {
+            event_name: eventName,
+            event_time: Math.floor(Date.now() / 1000),
+            action_source: 'app',
+            user_data: {}
+        };
+        // Hash PII fields per Facebook requirements (SHA256)
+        if (userData.email) eventData.user_data.em = [crypto.createHash('sha256').update(userData.email.toLowerCase().trim()).digest('hex')];
+        if (userData.userId) eventData.user_data.external_id = [crypto.createHash('sha256').update(userData.userId).digest('hex')];
+        if (userData.phone) eventData.user_data.ph = [crypto.createHash('sha256').update(userData.phone.replace(/\D/g, '')).digest('hex')];
+        if (userData.ip) eventData.user_data.client_ip_address = userData.ip;
+        if (userData.ua) eventData.user_data.client_user_agent = userData.ua;
+        if (Object.keys(customData).length > 0) eventData.custom_data = customData;
+
+        const payload = { data: [eventData] };
+        const url = `https://graph.facebook.com/v21.0/${FB_PIXEL_ID}/events?access_token=${FB_ACCESS_TOKEN}`;
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const result = await res.json();
+        if (result.events_received) {
+            console.log(`📊 [FB] ${eventName} tracked (${result.events_received} events)`);
+        } else {
+            console.log(`⚠️ [FB] ${eventName} response:`, JSON.stringify(result));
+        }
+    } catch (e) {
+        console.error(`❌ [FB] Error tracking ${eventName}:`, e.message);
+    }
+}
+
+module.exports = { fbTrack };
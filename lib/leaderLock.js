@@ -0,0 +1,42 @@
+// --- LEADER LOCK ---
+// A Redis key held by one instance at a time (value = ctx.instanceId, TTL-bound so a dead
+// instance loses it). The holder renews it on every pass; everyone else skips the work.
+// Used so several server instances don't create the same scheduled tournament twice.
+
+function createLeaderLock(ctx, name, ttlSeconds) {
+    const { redis } = ctx;
+    const key = `lock:${name}`;
+    let held = false;
+
+    // Take the lock or renew it if we already hold it → true if this instance leads
+    async function acquire() {
+        try {
+            if (await redis.setIfAbsent(key, ctx.instanceId, ttlSeconds)) {
+                if (!held) console.log(`👑 [LOCK] ${ctx.instanceId} now leads ${name}`);
+                held = true;
+                return true;
+            }
+            if (await redis.get(key) === ctx.instanceId) {
+                await redis.expire(key, ttlSeconds);
+                held = true;
+                return true;
+            }
+        } catch (e) {
+            console.error(`❌ [LOCK] ${name} error:`, e.message);
+        }
+        held = false;
+        return false;
+    }
+
+    // Hand the lock over on shutdown instead of waiting for the TTL
+    async function release() {
+        try {
+            if (await redis.get(key) === ctx.instanceId) await redis.del(key);
+        } catch (e) { /* expires on its own */ }
+        held = false;
+    }
+
+    return { acquire, release, isLeader: () => held };
+}
+
+module.exports = { createLeaderLock };
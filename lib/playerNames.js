@@ -0,0 +1,41 @@
+// --- PLAYER DISPLAY NAMES ---
+// user_meta:<userId> (username, email — saved on every 'ig') for a whole leaderboard page in
+// one pipelined round trip instead of an await per row. Players with no saved metadata fall
+// back to this instance's connected users; callers pick their own last-resort label.
+
+function createPlayerNames(ctx) {
+    const { redis, state } = ctx;
+
+    // [userId] → Map userId → { username (null = unknown), email }
+    async function lookup(userIds) {
+        const ids = Array.from(new Set(userIds));
+        let metas = [];
+        try {
+            metas = await redis.hgetallMany(ids.map(u => `user_meta:${u}`));
+        } catch (e) {
+            console.error('❌ [NAMES] lookup error:', e.message);
+        }
+
+        let connected = null; // userId → active user, built only if some metadata is missing
+        const found = new Map();
+        ids.forEach((userId, i) => {
+            const meta = metas[i] || {};
+            let username = meta.username || null;
+            let email = meta.email || '';
+            if (!username) {
+                if (!connected) connected = new Map(Array.from(state.activeUsers.values()).map(u => [u.userId, u]));
+                const activeUser = connected.get(userId);
+                if (activeUser) {
+                    username = activeUser.username || null;
+                    email = email || activeUser.email || '';
+                }
+            }
+            found.set(userId, { username, email });
+        });
+        return found;
+    }
+
+    return { lookup };
+}
+
+module.exports = { createPlayerNames };
@@ -0,0 +1,163 @@
+// --- PUSH NOTIFICATION SYSTEM (FCM) ---
+
+function createPushNotifier(ctx) {
+    const { redis, firebaseAdmin: admin, isSecureMode } = ctx;
+
+    // Multicast in batches of 500 (FCM max), dropping tokens FCM reports as dead → { sent, failed }
+    async function sendToTokens(tokens, message) {
+        const batchSize = 500;
+        let sent = 0;
+        let failed = 0;
+        const invalidTokens = [];
+
+        for (let i = 0; i < tokens.length; i += batchSize) {
+            const batch = tokens.slice(i, i + batchSize);
+            try {
+                const response = await admin.messaging().sendEachForMulticast({
+                    tokens: batch,
+                    notification: message.notification,
+                    data: message.data,
+                    android: message.android,
+                });
+
+                sent += response.successCount;
+                failed += response.failureCount;
+
+                // Collect invalid tokens for cleanup
+                response.responses.forEach((resp, idx) => {
+                    if (!resp.success && resp.error) {
+                        const code = resp.error.code;
+                        if (code === 'messaging/invalid-registration-token' ||
+                            code === 'messaging/registration-token-not-registered') {
+                            invalidTokens.push(batch[idx]);
+                        }
+                    }
+                });
+            } catch (batchErr) {
+                console.error(`🔔 [FCM] Batch send error:`, batchErr.message);
+                failed += batch.length;
+            }
+        }
+
+        // Cleanup invalid tokens
+        if (invalidTokens.length > 0) {
+            for (const t of invalidTokens) {
+                await redis.srem('fcm:tokens', t);
+                await redis.hdel('fcm:token_users', t);
+            }
+            console.log(`🔔 [FCM] Cleaned ${invalidTokens.length} invalid tokens`);
+        }
+
+        return { sent, failed };
+    }
+
+    // Send push notification to all registered devices
+    async function sendTournamentPushNotification(tournamentKey, rewards) {
+        if (!isSecureMode || !admin || !admin.messaging) {
+            console.log('🔔 [FCM] Skipping push — Firebase Admin not available');
+            return;
+        }
+
+        try {
+            // Get all registered FCM tokens
+            const tokens = await redis.smembers('fcm:tokens');
+            if (!tokens || tokens.length === 0) {
+                console.log('🔔 [FCM] No registered tokens — skipping push');
+                return;
+            }
+
+            // Build notification content
+            let title = '🏆 Tournament LIVE NOW!';
+            let body = 'A new tournament just started! Jump in and compete for prizes!';
+            let imageUrl = '';
+
+            if (rewards && rewards.length > 0) {
+                const topReward = rewards[0];
+                const maxRank = Math.max(...rewards.map(r => parseInt(r.max) || 0));
+                title = `🏆 Tournament LIVE — Win ${topReward.name}!`;
+                body = `Top ${maxRank} players win prizes! Play now before time runs out ⏳`;
+                if (topReward.img && topReward.img.startsWith('http')) {
+                    imageUrl = topReward.img;
+                }
+            }
+
+            // Build FCM message
+            const message = {
+                notification: {
+                    title: title,
+                    body: body,
+                },
+                data: {
+                    action: 'open_tournament',
+                    tournamentId: tournamentKey || '',
+                    image: imageUrl,
+                },
+                android: {
+                    priority: 'high',
+                    notification: {
+                        channelId: 'tournament_alerts',
+                        icon: 'ic_launcher',
+                        color: '#FFD700',
+                        sound: 'default',
+                        clickAction: 'FLUTTER_NOTIFICATION_CLICK',
+                    },
+                },
+            };
+
+            // Add image to notification if available
+            if (imageUrl) {
+                message.notification.imageUrl = imageUrl;
+                message.android.notification.imageUrl = imageUrl;
+            }
+
+            const { sent, failed } = await sendToTokens(tokens, message);
+
+            console.log(`🔔 [FCM] Push sent! ✅ ${sent} delivered, ❌ ${failed} failed, 📱 ${tokens.length} total tokens`);
+        } catch (e) {
+            console.error('🔔 [FCM] Push notification error:', e.message);
+        }
+    }
+
+    // Send to specific players (their devices from fcm:token_users), e.g. bracket advancement
+    async function sendUserPushNotification(userIds, { title, body, data = {} }) {
+        if (!isSecureMode || !admin || !admin.messaging) {
+            console.log('🔔 [FCM] Skipping push — Firebase Admin not available');
+            return;
+        }
+        if (!userIds || userIds.length === 0) return;
+
+        try {
+            const wanted = new Set(userIds);
+            const tokenUsers = await redis.hgetall('fcm:token_users') || {};
+            const tokens = Object.keys(tokenUsers).filter(token => {
+                try { return wanted.has(JSON.parse(tokenUsers[token]).userId); } catch (e) { return false; }
+            });
+            if (tokens.length === 0) {
+                console.log(`🔔 [FCM] No devices for ${userIds.length} players — skipping push`);
+                return;
+            }
+
+            const { sent, failed } = await sendToTokens(tokens, {
+                notification: { title, body },
+                data,
+                android: {
+                    priority: 'high',
+                    notification: {
+                        channelId: 'tournament_alerts',
+                        icon: 'ic_launcher',
+                        color: '#FFD700',
+                        sound: 'default',
+                        clickAction: 'FLUTTER_NOTIFICATION_CLICK',
+                    },
+                },
+            });
+            console.log(`🔔 [FCM] Player push sent! ✅ ${sent} delivered, ❌ ${failed} failed, 👥 ${userIds.length} players`);
+        } catch (e) {
+            console.error('🔔 [FCM] Player push error:', e.message);
+        }
+    }
+
+    return { sendTournamentPushNotification, sendUserPushNotification };
+}
+
+module.exports = { createPushNotifier };
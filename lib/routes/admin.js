@@ -0,0 +1,772 @@
+// --- ADMIN ENDPOINTS (x-admin-key protected, see lib/auth.js) ---
+const { TOURNAMENT_DURATION_MS, PLAY_TIME_MS, LEADERBOARD_TIME_MS, RECURRENCE_MAX_PREVIEW } = require('../config');
+const { parseTargetConfig } = require('../tournaments/target');
+const { parseBlindConfig, blindInfoFields } = require('../tournaments/blind');
+const { parseEntryRules, entryInfoFields } = require('../tournaments/entry');
+const { parseRecurrence, toRule, nextOccurrences } = require('../tournaments/recurrence');
+const { parseCatchUp } = require('../tournaments/catchUp');
+const { parseTieBreak, tieBreakInfoFields } = require('../tournaments/ranking');
+
+function registerAdminRoutes(fastify, ctx) {
+    const { redis, supabase, io, state, firebaseAdmin: admin, isSecureMode } = ctx;
+    const { getCustomTournamentTiming, getTournamentTimeLeft } = ctx.timing;
+    const targets = ctx.targets;
+    const tournaments = ctx.tournaments;
+
+    // Admin: Get Active Firebase Users (Real-time active users from heartbeat + socket)
+    fastify.get('/api/admin/firebase-active-users', async (req, reply) => {
+        try {
+            // 1. Get heartbeat users from Redis (all pages)
+            const heartbeatKeys = await redis.keys('heartbeat:*');
+            const heartbeatUsers = new Map(); // userId -> data
+            for (const key of heartbeatKeys) {
+                try {
+                    const raw = await redis.get(key);
+                    if (raw) {
+                        const data = JSON.parse(raw);
+                        heartbeatUsers.set(data.userId, data);
+                    }
+                } catch (e) { /* skip bad data */ }
+            }
+
+            // 2. Merge with socket-connected users on every instance (adds tournament-specific data)
+            for (const su of await ctx.presence.list()) {
+                if (!heartbeatUsers.has(su.userId)) {
+                    heartbeatUsers.set(su.userId, {
+                        userId: su.userId,
+                        username: su.username || 'Player',
+                        email: su.email || '',
+                        page: 'tournament',
+                        lastSeen: su.lastActivity || ctx.now()
+                    });
+                } else {
+                    // Update lastSeen if socket is more recent
+                    const existing = heartbeatUsers.get(su.userId);
+                    if ((su.lastActivity || 0) > (existing.lastSeen || 0)) {
+                        existing.lastSeen = su.lastActivity;
+                        existing.page = 'tournament';
+                    }
+                }
+            }
+
+            const allUserIds = Array.from(heartbeatUsers.keys());
+
+            if (allUserIds.length === 0) {
+                return { count: 0, users: [], message: "No active users currently" };
+            }
+
+            // 3. Build user list with Firebase details if available
+            if (isSecureMode && admin && admin.auth) {
+                const users = await Promise.all(allUserIds.map(async (uid) => {
+                    const hb = heartbeatUsers.get(uid);
+                    try {
+                        const user = await admin.auth().getUser(uid);
+                        return {
+                            uid: user.uid,
+                            email: user.email || hb.email || 'N/A',
+                            displayName: user.displayName || user.email?.split('@')[0] || hb.username || 'Guest',
+                            photoURL: user.photoURL || null,
+                            emailVerified: user.emailVerified || false,
+                            creationTime: user.metadata.creationTime,
+                            lastSignInTime: user.metadata.lastSignInTime || null,
+                            connectedAt: hb.lastSeen || ctx.now(),
+                            lastActivity: hb.lastSeen || ctx.now(),
+                            page: hb.page || 'unknown',
+                            isActive: true
+                        };
+                    } catch (e) {
+                        return {
+                            uid: uid,
+                            email: hb.email || 'Guest User',
+                            displayName: hb.username || 'Guest',
+                            photoURL: null, emailVerified: false,
+                            creationTime: null, lastSignInTime: null,
+                            connectedAt: hb.lastSeen || ctx.now(),
+                            lastActivity: hb.lastSeen || ctx.now(),
+                            page: hb.page || 'unknown',
+                            isActive: true, isGuest: true
+                        };
+                    }
+                }));
+                return { count: users.length, users: users.sort((a, b) => b.lastActivity - a.lastActivity) };
+            } else {
+                const users = allUserIds.map(uid => {
+                    const hb = heartbeatUsers.get(uid);
+                    return {
+                        uid: uid,
+                        email: hb.email || 'N/A',
+                        displayName: hb.username || 'Guest',
+                        photoURL: null, emailVerified: false,
+                        creationTime: null, lastSignInTime: null,
+                        connectedAt: hb.lastSeen || ctx.now(),
+                        lastActivity: hb.lastSeen || ctx.now(),
+                        page: hb.page || 'unknown',
+                        isActive: true, isGuest: !hb.email
+                    };
+                });
+                return { count: users.length, users: users.sort((a, b) => b.lastActivity - a.lastActivity) };
+            }
+        } catch (e) {
+            console.error("❌ Error fetching active Firebase users:", e);
+            return {
+                error: e.message,
+                count: 0,
+                users: []
+            };
+        }
+    });
+
+    // Admin: Get Current Tournament Details
+    fastify.get('/api/admin/current-tournament', async (req, reply) => {
+        try {
+            // ?tournamentId= picks one of the active tournaments; default is the featured one
+            const currentTournamentId = req.query.tournamentId || state.currentTournamentKey || null;
+
+            if (!currentTournamentId) {
+                return {
+                    tournamentId: null,
+                    participantCount: 0,
+                    participants: [],
+                    timeLeft: 0,
+                    playTimeLeft: 0,
+                    hasActiveTournament: false
+                };
+            }
+            const participants = (await ctx.ranking.range(currentTournamentId))
+                .map(p => ({ userId: p.member, score: p.score, rank: p.rank }));
+
+            // Get user emails from connected users (any instance) or Redis
+            const connected = await ctx.presence.list();
+            const participantsWithDetails = await Promise.all(participants.map(async (p) => {
+                const activeUser = connected.find(u => u.userId === p.userId);
+
+                let email = activeUser?.email || null;
+                let username = activeUser?.username || null;
+
+                // Fallback: Check Redis for persisted metadata
+                if (!email || !username || username === 'Guest') {
+                    try {
+                        const meta = await redis.hgetall(`user_meta:${p.userId}`);
+                        if (meta) {
+                            email = email || meta.email || 'N/A';
+                            username = username || meta.username || 'Guest';
+                        }
+                    } catch (e) { /* ignore */ }
+                }
+
+                return {
+                    userId: p.userId,
+                    score: p.score,
+                    rank: p.rank,
+                    email: email || 'N/A',
+                    username: username || 'Guest'
+                };
+            }));
+
+            // Get time left with custom timing support
+            const timeLeft = await getTournamentTimeLeft(currentTournamentId);
+
+            // Get custom timing if available
+            const custom = await getCustomTournamentTiming(currentTournamentId);
+            let playTimeLeft = 0;
+            if (custom) {
+                const elapsed = ctx.now() - custom.startTime;
+                playTimeLeft = Math.max(0, custom.playTime - elapsed);
+            } else {
+                playTimeLeft = Math.max(0, PLAY_TIME_MS - (ctx.now() - Math.floor(ctx.now() / TOURNAMENT_DURATION_MS) * TOURNAMENT_DURATION_MS));
+            }
+
+            return {
+                tournamentId: currentTournamentId,
+                participantCount: participants.length,
+                participants: participantsWithDetails.sort((a, b) => a.score - b.score),
+                timeLeft: timeLeft,
+                playTimeLeft: playTimeLeft
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Update Player Score in Live Tournament
+    fastify.post('/api/admin/update-score', async (req, reply) => {
+        try {
+            const { tournamentId, userId, newScore } = req.body;
+            if (!tournamentId || !userId || newScore === undefined) {
+                return { error: 'Missing tournamentId, userId, or newScore' };
+            }
+
+            const currentScore = await redis.leaderboard.score(tournamentId, userId);
+            await ctx.ranking.record(tournamentId, userId, parseInt(newScore));
+            const newRank = await ctx.ranking.rank(tournamentId, userId);
+
+            // Update cached top3
+            try {
+                const top3 = (await ctx.ranking.top(tournamentId, 3)).slice(0, 3);
+                if (top3.length > 0) {
+                    state.leaderboardCache.set(tournamentId, { top3: top3.map(p => ({ user: p.member, score: p.score, rank: p.rank })), at: ctx.now() });
+                }
+            } catch (e) { /* ignore */ }
+
+            return {
+                success: true,
+                userId,
+                oldScore: currentScore,
+                newScore: parseInt(newScore),
+                newRank,
+                wasNew: currentScore === null
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Remove Player from Live Tournament
+    fastify.post('/api/admin/remove-player', async (req, reply) => {
+        try {
+            const { tournamentId, userId } = req.body;
+            if (!tournamentId || !userId) {
+                return { error: 'Missing tournamentId or userId' };
+            }
+            const removed = await ctx.ranking.remove(tournamentId, userId);
+            return { success: true, removed };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Get Tournament Status (Auto mode, current state)
+    fastify.get('/api/admin/tournament-status', async (req, reply) => {
+        try {
+            const scheduled = await redis.lrange('tournament:scheduled', 0, 99);
+            const scheduledList = scheduled.map(x => {
+                try {
+                    return JSON.parse(x);
+                } catch (e) {
+                    return null;
+                }
+            }).filter(x => x !== null);
+
+            return {
+                autoEnabled: state.autoTournamentEnabled,
+                currentTournamentId: state.currentTournamentKey,
+                scheduledCount: scheduledList.length,
+                scheduled: scheduledList
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Toggle Auto Tournament (Pause/Resume)
+    fastify.post('/api/admin/tournament/toggle-auto', async (req, reply) => {
+        try {
+            // Toggle what's saved: another instance may have flipped it since our last sync
+            const saved = await redis.get('tournament:auto_enabled');
+            if (saved !== null) state.autoTournamentEnabled = saved === 'true';
+            const oldState = state.autoTournamentEnabled;
+            state.autoTournamentEnabled = !state.autoTournamentEnabled;
+
+            console.log(`🔄 [TOGGLE AUTO] Changing from ${oldState ? 'ENABLED' : 'DISABLED'} to ${state.autoTournamentEnabled ? 'ENABLED' : 'DISABLED'}`);
+
+            await redis.set('tournament:auto_enabled', state.autoTournamentEnabled.toString());
+            console.log(`💾 [TOGGLE AUTO] State saved to Redis: ${state.autoTournamentEnabled}`);
+
+            if (state.autoTournamentEnabled) {
+                console.log("✅ [TOGGLE AUTO] Auto Tournaments ENABLED - Will start at next time boundary");
+            } else {
+                console.log("⏸️ [TOGGLE AUTO] Auto Tournaments DISABLED - Will stop after current tournament");
+            }
+
+            return {
+                success: true,
+                autoEnabled: state.autoTournamentEnabled,
+                message: state.autoTournamentEnabled ? 'Auto tournaments enabled' : 'Auto tournaments disabled'
+            };
+        } catch (e) {
+            console.error(`❌ [TOGGLE AUTO ERROR]:`, e);
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Create Manual Tournament
+    fastify.post('/api/admin/tournament/create', async (req, reply) => {
+        try {
+            const { duration, playTime, leaderboardTime } = req.body;
+            // Optional target: fixed `target` or `targetMin`/`targetMax` (ms)
+            const targetConfig = parseTargetConfig(req.body);
+            if (targetConfig.error) return { error: targetConfig.error };
+            // Optional blind variant: `blindCutoff` (0-1) and `blindRewards` tiers
+            const blindConfig = parseBlindConfig(req.body);
+            if (blindConfig.error) return { error: blindConfig.error };
+            // Optional entry rules: `entryMinGames`, `entryMinAccountDays`, `entryQualifier` + `entryQualifierTop`, `entryInvite`
+            const entryRules = parseEntryRules(req.body);
+            if (entryRules.error) return { error: entryRules.error };
+            // Equal scores: `tieBreak` = earliest | shared (see lib/tournaments/ranking.js)
+            const tieBreak = parseTieBreak(req.body);
+            if (tieBreak.error) return { error: tieBreak.error };
+
+            // Create new tournament (runs alongside the active ones) with custom or default timing
+            const customDuration = duration || TOURNAMENT_DURATION_MS;
+            const customPlayTime = playTime || PLAY_TIME_MS;
+            const customLeaderboardTime = leaderboardTime || LEADERBOARD_TIME_MS;
+
+            // Generate new tournament ID
+            const now = ctx.now();
+            const newTournamentId = `tournament_manual_${now}`;
+
+            // Set custom timing for this tournament (store in Redis)
+            await redis.setex(`tournament:${newTournamentId}:duration`, Math.ceil(customDuration / 1000), customDuration.toString());
+            await redis.setex(`tournament:${newTournamentId}:playTime`, Math.ceil(customDuration / 1000), customPlayTime.toString());
+            await redis.setex(`tournament:${newTournamentId}:leaderboardTime`, Math.ceil(customDuration / 1000), customLeaderboardTime.toString());
+            // Without startTime the timing lookup fails and the loop ends the tournament on its next pass
+            await redis.setex(`tournament:${newTournamentId}:startTime`, Math.ceil(customDuration / 1000), now.toString());
+            await targets.assign(newTournamentId, targetConfig.config, Math.ceil(customDuration / 1000) + 300);
+            if (blindConfig.config || entryRules.config || tieBreak.policy) {
+                await redis.hset(`tournament:info:${newTournamentId}`, {
+                    ...(blindConfig.config ? blindInfoFields(blindConfig.config) : {}),
+                    ...(entryRules.config ? entryInfoFields(entryRules.config) : {}),
+                    ...tieBreakInfoFields(tieBreak.policy)
+                });
+                await redis.expire(`tournament:info:${newTournamentId}`, Math.ceil(customDuration / 1000) + 300);
+            }
+
+            tournaments.register(newTournamentId, 'manual');
+
+            // Broadcast new tournament
+            io.emit('tournament_new', {
+                id: newTournamentId,
+                duration: customDuration,
+                playTime: customPlayTime,
+                leaderboardTime: customLeaderboardTime
+            });
+
+            console.log(`✅ Manual Tournament Created: ${newTournamentId}`);
+
+            return {
+                success: true,
+                tournamentId: newTournamentId,
+                duration: customDuration,
+                playTime: customPlayTime,
+                leaderboardTime: customLeaderboardTime
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Schedule Tournament
+    fastify.post('/api/admin/tournament/schedule', async (req, reply) => {
+        try {
+            const { scheduledTime, duration, playTime, leaderboardTime } = req.body;
+
+            if (!scheduledTime) {
+                return { error: 'scheduledTime is required (Unix timestamp in ms)' };
+            }
+            const targetConfig = parseTargetConfig(req.body);
+            if (targetConfig.error) return { error: targetConfig.error };
+            const blindConfig = parseBlindConfig(req.body);
+            if (blindConfig.error) return { error: blindConfig.error };
+            const entryRules = parseEntryRules(req.body);
+            if (entryRules.error) return { error: entryRules.error };
+            // Start missed during downtime: `catchUp` = run | shorten | skip (see lib/tournaments/catchUp.js)
+            const catchUp = parseCatchUp(req.body);
+            if (catchUp.error) return { error: catchUp.error };
+            const tieBreak = parseTieBreak(req.body);
+            if (tieBreak.error) return { error: tieBreak.error };
+
+            const schedule = {
+                id: `schedule_${ctx.now()}`,
+                scheduledTime: parseInt(scheduledTime),
+                duration: duration || TOURNAMENT_DURATION_MS,
+                playTime: playTime || PLAY_TIME_MS,
+                leaderboardTime: leaderboardTime || LEADERBOARD_TIME_MS,
+                target: targetConfig.config, // null = default range (tenths of ms)
+                blind: blindConfig.config, // null = no blind variant
+                entry: entryRules.config, // null = open entry (see lib/tournaments/entry.js)
+                catchUp: catchUp.policy,
+                tieBreak: tieBreak.policy, // null = TIE_BREAK default
+                createdAt: ctx.now()
+            };
+
+            // Add to scheduled list
+            await redis.lpush('tournament:scheduled', JSON.stringify(schedule));
+            await redis.ltrim('tournament:scheduled', 0, 99); // Keep last 100
+
+            console.log(`📅 Tournament Scheduled: ${new Date(parseInt(scheduledTime)).toISOString()}`);
+
+            return {
+                success: true,
+                schedule: schedule
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Delete Scheduled Tournament
+    fastify.delete('/api/admin/tournament/schedule/:scheduleId', async (req, reply) => {
+        try {
+            const { scheduleId } = req.params;
+            const scheduled = await redis.lrange('tournament:scheduled', 0, 99);
+
+            const filtered = scheduled.filter(x => {
+                try {
+                    const s = JSON.parse(x);
+                    return s.id !== scheduleId;
+                } catch (e) {
+                    return true;
+                }
+            });
+
+            // Replace the list
+            await redis.del('tournament:scheduled');
+            if (filtered.length > 0) {
+                await redis.rpush('tournament:scheduled', ...filtered);
+            }
+
+            return { success: true, message: 'Schedule deleted' };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Add Daily Tournament Schedule
+    fastify.post('/api/admin/tournament/daily-schedule', async (req, reply) => {
+        try {
+            const { playTime, leaderboardTime, rewards } = req.body;
+
+            // When it runs: `time` (HH:MM) or `times`, plus optional days / everyHours / from / until /
+            // blackout / timezone (IANA, default IST) — see lib/tournaments/recurrence.js
+            const recurrence = parseRecurrence(req.body);
+            if (recurrence.error) return { error: recurrence.error };
+            const time = recurrence.config.times[0];
+
+            const targetConfig = parseTargetConfig(req.body);
+            if (targetConfig.error) return { error: targetConfig.error };
+            const blindConfig = parseBlindConfig(req.body);
+            if (blindConfig.error) return { error: blindConfig.error };
+            const entryRules = parseEntryRules(req.body);
+            if (entryRules.error) return { error: entryRules.error };
+            const catchUp = parseCatchUp(req.body);
+            if (catchUp.error) return { error: catchUp.error };
+            const tieBreak = parseTieBreak(req.body);
+            if (tieBreak.error) return { error: tieBreak.error };
+
+            const playTimeMs = (playTime || 12) * 60 * 1000;
+            const leaderboardTimeMs = (leaderboardTime || 3) * 60 * 1000;
+            const duration = playTimeMs + leaderboardTimeMs;
+
+            // Check if an identical rule already exists
+            const existing = await redis.lrange('tournament:daily-schedules', 0, 99);
+            for (const item of existing) {
+                try {
+                    const s = JSON.parse(item);
+                    if (JSON.stringify(toRule(s)) === JSON.stringify(recurrence.config)) {
+                        return { error: `Daily schedule already exists for ${time}` };
+                    }
+                } catch (e) {
+                    continue;
+                }
+            }
+
+            const schedule = {
+                id: `daily_${ctx.now()}`,
+                time: time, // First start time, kept for older admin panels
+                recurrence: recurrence.config,
+                playTime: playTime || 12,
+                leaderboardTime: leaderboardTime || 3,
+                rewards: rewards || [],
+                target: targetConfig.config, // null = default range (tenths of ms)
+                blind: blindConfig.config, // null = no blind variant
+                entry: entryRules.config, // null = open entry (see lib/tournaments/entry.js)
+                catchUp: catchUp.policy,
+                tieBreak: tieBreak.policy, // null = TIE_BREAK default
+                duration: duration,
+                createdAt: ctx.now()
+            };
+
+            // Add to daily schedules list
+            await redis.lpush('tournament:daily-schedules', JSON.stringify(schedule));
+            await redis.ltrim('tournament:daily-schedules', 0, 99); // Keep last 100
+            // Occurrences from now on are tracked, so one missed during downtime still catches up
+            await redis.set(`tournament:daily-cursor:${schedule.id}`, String(schedule.createdAt));
+
+            console.log(`📆 Daily Tournament Schedule Added: ${recurrence.config.times.join(', ')} ${recurrence.config.tz} (Play: ${playTime}min, Leaderboard: ${leaderboardTime}min)`);
+
+            // Also persist reward configs to Supabase if rewards present
+            if (supabase && rewards && rewards.length > 0) {
+                try {
+                    const inserts = rewards.map((r, idx) => ({
+                        schedule_id: schedule.id,
+                        name: r.name,
+                        image_url: r.img || null,
+                        reward_type: r.reward_type || 'default',
+                        link_url: r.link_url || null,
+                        min_rank: parseInt(r.min),
+                        max_rank: parseInt(r.max),
+                        sort_order: idx
+                    }));
+                    await supabase.from('tournament_reward_configs').delete().eq('schedule_id', schedule.id);
+                    await supabase.from('tournament_reward_configs').insert(inserts);
+                    console.log(`🎁 [DAILY] Saved ${inserts.length} reward configs to Supabase for ${schedule.id}`);
+                } catch (e) { console.error("⚠️ Error saving daily reward configs to Supabase:", e.message); }
+            }
+
+            return {
+                success: true,
+                scheduleId: schedule.id,
+                schedule: schedule
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Get All Daily Schedules
+    fastify.get('/api/admin/tournament/daily-schedules', async (req, reply) => {
+        try {
+            const schedulesRaw = await redis.lrange('tournament:daily-schedules', 0, 99);
+            const schedules = schedulesRaw.map(x => {
+                try {
+                    return JSON.parse(x);
+                } catch (e) {
+                    return null;
+                }
+            }).filter(x => x !== null);
+
+            return {
+                success: true,
+                schedules: schedules
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Preview the next N occurrences of a recurrence rule before saving it
+    // Body: the same time / times / days / everyHours / from / until / blackout / timezone as daily-schedule
+    fastify.post('/api/admin/tournament/recurrence/preview', async (req, reply) => {
+        try {
+            const recurrence = parseRecurrence(req.body || {});
+            if (recurrence.error) return { error: recurrence.error };
+            const count = Math.min(parseInt((req.body || {}).count) || 10, RECURRENCE_MAX_PREVIEW);
+            return { success: true, rule: recurrence.config, occurrences: nextOccurrences(recurrence.config, ctx.now(), count) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Next N occurrences of a saved daily schedule (?count=, default 10)
+    fastify.get('/api/admin/tournament/daily-schedule/:scheduleId/occurrences', async (req, reply) => {
+        try {
+            const schedules = await redis.lrange('tournament:daily-schedules', 0, 99);
+            let schedule = null;
+            for (const item of schedules) {
+                try {
+                    const s = JSON.parse(item);
+                    if (s.id === req.params.scheduleId) schedule = s;
+                } catch (e) {
+                    continue;
+                }
+            }
+            if (!schedule) return { error: 'Schedule not found' };
+
+            const count = Math.min(parseInt(req.query.count) || 10, RECURRENCE_MAX_PREVIEW);
+            const rule = toRule(schedule);
+            return { success: true, scheduleId: schedule.id, rule, occurrences: nextOccurrences(rule, ctx.now(), count) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Update Daily Schedule Rewards
+    fastify.put('/api/admin/tournament/daily-schedule/:scheduleId', async (req, reply) => {
+        try {
+            const { scheduleId } = req.params;
+            const { rewards, playTime, leaderboardTime } = req.body;
+            const schedules = await redis.lrange('tournament:daily-schedules', 0, 99);
+
+            let found = false;
+            const updated = schedules.map(x => {
+                try {
+                    const s = JSON.parse(x);
+                    if (s.id === scheduleId) {
+                        found = true;
+                        if (rewards !== undefined) s.rewards = rewards;
+                        if (playTime !== undefined) {
+                            s.playTime = playTime;
+                            s.duration = (playTime + (s.leaderboardTime || 3)) * 60 * 1000;
+                        }
+                        if (leaderboardTime !== undefined) {
+                            s.leaderboardTime = leaderboardTime;
+                            s.duration = ((s.playTime || 12) + leaderboardTime) * 60 * 1000;
+                        }
+                        return JSON.stringify(s);
+                    }
+                    return x;
+                } catch (e) {
+                    return x;
+                }
+            });
+
+            if (!found) {
+                return { error: 'Schedule not found' };
+            }
+
+            // Replace the list
+            await redis.del('tournament:daily-schedules');
+            if (updated.length > 0) {
+                await redis.rpush('tournament:daily-schedules', ...updated);
+            }
+
+            console.log(`✏️ Daily Schedule Updated: ${scheduleId}`);
+            return { success: true, message: 'Daily schedule updated' };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Delete Daily Schedule
+    fastify.delete('/api/admin/tournament/daily-schedule/:scheduleId', async (req, reply) => {
+        try {
+            const { scheduleId } = req.params;
+            const schedules = await redis.lrange('tournament:daily-schedules', 0, 99);
+
+            const filtered = schedules.filter(x => {
+                try {
+                    const s = JSON.parse(x);
+                    return s.id !== scheduleId;
+                } catch (e) {
+                    return true;
+                }
+            });
+
+            // Replace the list
+            await redis.del('tournament:daily-schedules');
+            if (filtered.length > 0) {
+                await redis.rpush('tournament:daily-schedules', ...filtered);
+            }
+            await redis.del(`tournament:daily-cursor:${scheduleId}`);
+
+            return { success: true, message: 'Daily schedule deleted' };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Get Tournament History with Full Details
+    fastify.get('/api/admin/tournament-history', async (req, reply) => {
+        try {
+            const historyRaw = await redis.lrange('tournament_history', 0, 49);
+
+            if (!historyRaw || historyRaw.length === 0) {
+                return { history: [] };
+            }
+
+            const history = historyRaw.map(x => {
+                try {
+                    return JSON.parse(x);
+                } catch (e) {
+                    console.error("Error parsing tournament history:", e);
+                    return null;
+                }
+            }).filter(x => x !== null);
+
+            // Get full participant list for each tournament
+            const historyWithDetails = await Promise.all(history.map(async (tournament) => {
+                try {
+                    if (!tournament.id) {
+                        return { ...tournament, participantCount: 0, allParticipants: [] };
+                    }
+
+                    const participants = (await ctx.ranking.range(tournament.id))
+                        .map(p => ({ userId: p.member, score: p.score, rank: p.rank }));
+                    return {
+                        ...tournament,
+                        participantCount: participants.length,
+                        allParticipants: participants
+                    };
+                } catch (e) {
+                    console.error(`Error getting participants for tournament ${tournament.id}:`, e);
+                    return { ...tournament, participantCount: 0, allParticipants: [] };
+                }
+            }));
+
+            console.log(`📜 Returning ${historyWithDetails.length} tournaments in history`);
+            return { history: historyWithDetails };
+        } catch (e) {
+            console.error("❌ Error fetching tournament history:", e);
+            return { error: e.message, history: [] };
+        }
+    });
+
+    // Admin: Search tournaments by date range (from Supabase)
+    fastify.get('/api/admin/search-tournaments', async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Supabase not configured', tournaments: [] };
+            const { from, to, limit: lim } = req.query;
+            let query = supabase.from('tournaments').select('*').order('started_at', { ascending: false }).limit(parseInt(lim) || 50);
+            if (from) query = query.gte('started_at', new Date(from).toISOString());
+            if (to) query = query.lte('started_at', new Date(to + 'T23:59:59').toISOString());
+            const { data, error } = await query;
+            if (error) return { error: error.message, tournaments: [] };
+            return { tournaments: data || [] };
+        } catch (e) { return { error: e.message, tournaments: [] }; }
+    });
+
+    // Admin: Search player history by email or userId (from Supabase)
+    fastify.get('/api/admin/search-player', async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Supabase not configured', results: [] };
+            const { email, userId } = req.query;
+            if (!email && !userId) return { error: 'Provide email or userId', results: [] };
+
+            let query = supabase.from('tournament_results').select('*').order('created_at', { ascending: false }).limit(100);
+            if (email) query = query.eq('email', email);
+            else if (userId) query = query.eq('user_id', userId);
+            const { data, error } = await query;
+            if (error) return { error: error.message, results: [] };
+
+            // Also get rewards for this player
+            let rewards = [];
+            if (data && data.length > 0) {
+                const uid = data[0].user_id;
+                const { data: rData } = await supabase.from('user_rewards').select('*').eq('user_id', uid).order('created_at', { ascending: false });
+                if (rData) rewards = rData;
+            }
+
+            return { results: data || [], rewards };
+        } catch (e) { return { error: e.message, results: [] }; }
+    });
+
+    // Admin: Get tournament details by ID (from Supabase)
+    fastify.get('/api/admin/tournament-detail/:tournamentId', async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Supabase not configured' };
+            const tid = req.params.tournamentId;
+            const { data: meta } = await supabase.from('tournaments').select('*').eq('id', tid).single();
+            const { data: results } = await supabase.from('tournament_results').select('*').eq('tournament_id', tid).order('rank_position');
+            const { data: rewards } = await supabase.from('user_rewards').select('*').eq('tournament_id', tid).order('rank_achieved');
+            return { tournament: meta || null, results: results || [], rewards: rewards || [] };
+        } catch (e) { return { error: e.message }; }
+    });
+
+    // Get/Set WhatsApp contact number (admin config in Redis)
+    fastify.get('/api/admin/whatsapp-config', async (req, reply) => {
+        try {
+            const number = await redis.get('admin:whatsapp_number') || '';
+            return { number };
+        } catch (e) { return { number: '', error: e.message }; }
+    });
+    fastify.post('/api/admin/whatsapp-config', async (req, reply) => {
+        try {
+            const { number } = req.body;
+            if (!number) return { error: 'number required' };
+            await redis.set('admin:whatsapp_number', number);
+            return { success: true };
+        } catch (e) { return { error: e.message }; }
+    });
+}
+
+module.exports = { registerAdminRoutes };
@@ -0,0 +1,46 @@
+// --- ANTI-CHEAT REVIEW ENDPOINTS (admin) ---
+const { analyzeRounds } = require('../anticheat/detector');
+
+function registerAntiCheatRoutes(fastify, ctx) {
+    const { redis, antiCheat } = ctx;
+
+    // Admin: Review queue (?status=pending|approved|rejected|all)
+    fastify.get('/api/admin/anticheat/queue', async (req, reply) => {
+        try {
+            const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+            const entries = await antiCheat.listQueue(status);
+            return { count: entries.length, entries };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Round history + current analysis for one player
+    fastify.get('/api/admin/anticheat/rounds/:userId', async (req, reply) => {
+        try {
+            const { userId } = req.params;
+            const rounds = (await redis.lrange(`anticheat:rounds:${userId}`, 0, -1)).map(r => JSON.parse(r));
+            return {
+                userId,
+                rounds,
+                analysis: analyzeRounds(rounds),
+                review: await antiCheat.getEntry(userId)
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Approve (release held rewards) or reject (discard them) a flagged player
+    fastify.post('/api/admin/anticheat/review', async (req, reply) => {
+        try {
+            const { userId, action } = req.body || {};
+            if (!userId || !action) return { error: 'userId and action are required' };
+            return await antiCheat.review(userId, action);
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerAntiCheatRoutes };
@@ -0,0 +1,16 @@
+// --- DUEL ROUTES ---
+
+function registerDuelRoutes(fastify, ctx) {
+    const { duels } = ctx;
+
+    // Elo rating + record for a player (defaults for players who never dueled)
+    fastify.get('/api/duel-rating/:userId', async (req, reply) => {
+        try {
+            return await duels.getRating(req.params.userId);
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerDuelRoutes };
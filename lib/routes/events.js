@@ -0,0 +1,58 @@
+// --- BRACKET EVENT ENDPOINTS (see lib/tournaments/events.js) ---
+const { parseEventConfig } = require('../tournaments/events');
+
+function registerEventRoutes(fastify, ctx) {
+    const events = ctx.events;
+
+    // Admin: define an event and queue its stages as scheduled tournaments
+    fastify.post('/api/admin/events', async (req, reply) => {
+        try {
+            const parsed = parseEventConfig(req.body || {});
+            if (parsed.error) return { error: parsed.error };
+            const result = await events.create(parsed.config);
+            if (result.error) return { error: result.error };
+            return { success: true, event: result.event };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: all events, newest first
+    fastify.get('/api/admin/events', async (req, reply) => {
+        try {
+            return { success: true, events: await events.list() };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: cancel an event (stages that haven't started are unscheduled)
+    fastify.delete('/api/admin/events/:eventId', async (req, reply) => {
+        try {
+            const event = await events.cancel(req.params.eventId);
+            if (!event) {
+                reply.code(404);
+                return { error: 'Event not found' };
+            }
+            return { success: true, event };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Public: bracket state (stages, live phase, top 10, who advanced, champion)
+    fastify.get('/api/events/:eventId', async (req, reply) => {
+        try {
+            const bracket = await events.bracket(req.params.eventId);
+            if (!bracket) {
+                reply.code(404);
+                return { error: 'Event not found' };
+            }
+            return bracket;
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerEventRoutes };
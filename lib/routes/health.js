@@ -0,0 +1,146 @@
+// =============================================
+// SERVER-SIDE HEALTH SYSTEM (Anti-Cheat)
+// Health stored in Redis — client syncs from server
+// =============================================
+const { HEALTH_MAX, HEALTH_REFILL_MS } = require('../config');
+
+function registerHealthRoutes(fastify, ctx) {
+    const { redis, state } = ctx;
+    const { requirePlayerAuth } = ctx.auth;
+
+    // GET current health + regen info
+    fastify.get('/api/health', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const userId = req.uid;
+
+            const health = parseInt(await redis.get(`health:${userId}`)) || 0;
+            const regenStart = await redis.get(`health_regen:${userId}`);
+            let regenRemaining = null;
+
+            if (health <= 0 && regenStart) {
+                const elapsed = Date.now() - parseInt(regenStart);
+                if (elapsed >= HEALTH_REFILL_MS) {
+                    // Refill ready — grant health
+                    await redis.set(`health:${userId}`, HEALTH_MAX);
+                    await redis.del(`health_regen:${userId}`);
+                    return { health: HEALTH_MAX, regenRemaining: null };
+                } else {
+                    regenRemaining = HEALTH_REFILL_MS - elapsed;
+                }
+            } else if (health <= 0 && !regenStart) {
+                // Start regen timer
+                await redis.set(`health_regen:${userId}`, Date.now());
+                regenRemaining = HEALTH_REFILL_MS;
+            }
+
+            return { health: Math.max(0, health), regenRemaining };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // POST: Tournament entry — reset health to 20 (only ONCE per tournament)
+    fastify.post('/api/health/tournament-entry', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const userId = req.uid;
+
+            // Check if user already got health for this tournament
+            const activeTid = state.currentTournamentKey || 'none';
+            const lastHealthTid = await redis.get(`health_tid:${userId}`);
+
+            if (lastHealthTid === activeTid) {
+                // Same tournament — return current health, don't reset
+                const currentHealth = parseInt(await redis.get(`health:${userId}`)) || 0;
+                console.log(`❤️ [HEALTH] Re-entry same tournament: ${userId} → ${currentHealth} HP (no reset)`);
+                return { success: true, health: currentHealth, sameTourn: true };
+            }
+
+            // Different tournament — reset to 20
+            await redis.set(`health:${userId}`, HEALTH_MAX);
+            await redis.del(`health_regen:${userId}`);
+            await redis.set(`health_tid:${userId}`, activeTid);
+            console.log(`❤️ [HEALTH] Tournament entry: ${userId} → ${HEALTH_MAX} HP (tid: ${activeTid})`);
+            return { success: true, health: HEALTH_MAX, sameTourn: false };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // POST: Ad reward — +20 health (rate-limited: max 15 per 10 minutes per user)
+    fastify.post('/api/health/ad-reward', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const userId = req.uid;
+
+            // Rate limit: max 15 ad rewards per 10 minutes
+            const adKey = `health_ad_count:${userId}`;
+            const adCount = parseInt(await redis.get(adKey)) || 0;
+            if (adCount >= 15) {
+                return { error: 'Too many ad rewards. Try again later.', success: false };
+            }
+            await redis.set(adKey, adCount + 1);
+            await redis.expire(adKey, 600); // 10 minutes TTL
+
+            await redis.set(`health:${userId}`, HEALTH_MAX);
+            await redis.del(`health_regen:${userId}`);
+            console.log(`❤️ [HEALTH] Ad reward: ${userId} → ${HEALTH_MAX} HP`);
+            return { success: true, health: HEALTH_MAX };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // POST: Refill (5-min timer validated on server)
+    fastify.post('/api/health/refill', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const userId = req.uid;
+
+            const currentHealth = parseInt(await redis.get(`health:${userId}`)) || 0;
+            if (currentHealth > 0) return { success: false, health: currentHealth, message: 'Health not empty' };
+
+            const regenStart = await redis.get(`health_regen:${userId}`);
+            if (!regenStart) return { success: false, health: 0, message: 'No refill timer active' };
+
+            const elapsed = Date.now() - parseInt(regenStart);
+            if (elapsed < HEALTH_REFILL_MS) {
+                return { success: false, health: 0, remaining: HEALTH_REFILL_MS - elapsed, message: 'Refill not ready' };
+            }
+
+            // Refill!
+            await redis.set(`health:${userId}`, HEALTH_MAX);
+            await redis.del(`health_regen:${userId}`);
+            console.log(`❤️ [HEALTH] Refill complete: ${userId} → ${HEALTH_MAX} HP`);
+            return { success: true, health: HEALTH_MAX };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // POST: Consume 1 health (called by game on each round start)
+    fastify.post('/api/health/consume', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const userId = req.uid;
+
+            const current = parseInt(await redis.get(`health:${userId}`)) || 0;
+            if (current <= 0) {
+                // Start regen if not already
+                const existing = await redis.get(`health_regen:${userId}`);
+                if (!existing) await redis.set(`health_regen:${userId}`, Date.now());
+                return { success: false, health: 0, message: 'No health remaining' };
+            }
+
+            const newHealth = current - 1;
+            await redis.set(`health:${userId}`, newHealth);
+
+            // If health just hit 0, start regen timer
+            if (newHealth <= 0) {
+                await redis.set(`health_regen:${userId}`, Date.now());
+            }
+
+            return { success: true, health: newHealth };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerHealthRoutes };
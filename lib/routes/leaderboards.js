@@ -0,0 +1,62 @@
+// --- GLOBAL LEADERBOARD ENDPOINTS (see lib/tournaments/globalBoards.js) ---
+const { PERIODS, METRICS } = require('../tournaments/globalBoards');
+
+// ?key= formats per period (past weeks / months; default is the current one)
+const KEY_FORMATS = {
+    weekly: /^\d{4}-W\d{2}$/,
+    monthly: /^\d{4}-\d{2}$/,
+    all_time: /^all$/
+};
+
+function registerLeaderboardRoutes(fastify, ctx) {
+    const { supabase } = ctx;
+    const globalBoards = ctx.globalBoards;
+
+    // /api/leaderboards/weekly|monthly|all-time?metric=wins|podiums|percentile|best&limit=&offset=&key=&userId=
+    fastify.get('/api/leaderboards/:period', async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Leaderboards not available' };
+            const period = req.params.period.replace('-', '_');
+            if (!PERIODS.includes(period)) {
+                reply.code(404);
+                return { error: 'period must be weekly, monthly or all-time' };
+            }
+            const metric = req.query.metric || 'wins';
+            if (!METRICS[metric]) return { error: `metric must be one of ${Object.keys(METRICS).join(', ')}` };
+            if (req.query.key && !KEY_FORMATS[period].test(req.query.key)) return { error: `Invalid ${period} key` };
+
+            const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+            const { key, entries, me } = await globalBoards.read({
+                period,
+                metric,
+                ...(req.query.key ? { key: req.query.key } : {}),
+                limit,
+                offset,
+                userId: req.query.userId || null
+            });
+
+            const view = row => ({
+                userId: row.user_id,
+                name: row.username || row.user_id.substring(0, 8),
+                tournaments: row.tournaments,
+                wins: row.wins,
+                podiums: row.podiums,
+                avgPercentile: row.avg_percentile,
+                bestScore: row.best_score
+            });
+            return {
+                period,
+                key,
+                metric,
+                entries: entries.map((row, i) => ({ rank: offset + i + 1, ...view(row) })),
+                ...(req.query.userId ? { me: me ? view(me) : null } : {})
+            };
+        } catch (e) {
+            console.error("❌ Error fetching global leaderboard:", e);
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerLeaderboardRoutes };
@@ -0,0 +1,178 @@
+// --- PLAYER ENDPOINTS (heartbeat, FCM, history, attempt stats) ---
+const { GAMES } = require('../tournaments/modes');
+
+const STATS_PAGE_SIZE = 1000; // Supabase caps a select at 1000 rows
+
+function registerPlayerRoutes(fastify, ctx) {
+    const { redis, supabase, state, fbTrack } = ctx;
+    const { requirePlayerAuth } = ctx.auth;
+
+    // --- HEARTBEAT (Track active users across ALL pages) ---
+    fastify.post('/api/heartbeat', async (req, reply) => {
+        try {
+            const { userId, username, email, page } = req.body;
+            if (!userId) return { success: false };
+
+            // Store in Redis with 60s TTL — auto-expires if user goes offline
+            const key = `heartbeat:${userId}`;
+            const isNew = !(await redis.exists(key));
+            await redis.set(key, JSON.stringify({
+                userId, username: username || 'Player', email: email || '',
+                page: page || 'unknown', lastSeen: Date.now()
+            }));
+            await redis.expire(key, 60); // 60 second TTL
+
+            // FB track: only on first heartbeat (session start)
+            if (isNew) {
+                const ip = req.headers['x-forwarded-for'] || req.ip;
+                const ua = req.headers['user-agent'] || '';
+                fbTrack('PageView', { userId, email, ip, ua }, { page: page || 'unknown' });
+
+                // FB App Install tracking: fires ONCE per user ever (persistent key, no expiry)
+                const installKey = `fb_installed:${userId}`;
+                const alreadyTracked = await redis.exists(installKey);
+                if (!alreadyTracked) {
+                    await redis.set(installKey, Date.now().toString());
+                    fbTrack('Lead', { userId, email, ip, ua }, {
+                        content_name: 'app_install',
+                        content_category: 'install',
+                        currency: 'INR',
+                        value: 0
+                    });
+                    console.log(`📲 [FB] App install tracked for user ${userId}`);
+                }
+            }
+
+            return { success: true };
+        } catch (e) { return { success: false }; }
+    });
+
+    // --- PUSH NOTIFICATION SYSTEM (FCM) ---
+    // Register FCM token from client
+    fastify.post('/api/register-fcm-token', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const { token, username } = req.body;
+            const userId = req.uid;
+            if (!token) return { error: 'Token required' };
+
+            // Store token in Redis set (auto-deduplicates)
+            await redis.sadd('fcm:tokens', token);
+            // Store user mapping for token
+            await redis.hset('fcm:token_users', token, JSON.stringify({ userId, username: username || 'Player', updatedAt: Date.now() }));
+
+            console.log(`🔔 [FCM] Token registered: ${token.substring(0, 20)}... (user: ${userId || 'anon'})`);
+            return { success: true };
+        } catch (e) {
+            console.error('🔔 [FCM] Registration error:', e.message);
+            return { error: e.message };
+        }
+    });
+
+    // Unregister FCM token (on logout)
+    fastify.post('/api/unregister-fcm-token', async (req, reply) => {
+        try {
+            const { token } = req.body;
+            if (!token) return { error: 'Token required' };
+            await redis.srem('fcm:tokens', token);
+            await redis.hdel('fcm:token_users', token);
+            return { success: true };
+        } catch (e) { return { error: e.message }; }
+    });
+
+    // Get WhatsApp number (public — for user contact button)
+    fastify.get('/api/whatsapp-number', async (req, reply) => {
+        try {
+            const number = await redis.get('admin:whatsapp_number') || '';
+            return { number };
+        } catch (e) { return { number: '' }; }
+    });
+
+    // Get user's tournament history (best score per tournament)
+    fastify.get('/api/user-game-history', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const userId = req.uid;
+
+            // Read from hash: each field = tournamentId, value = best game JSON
+            const historyKey = `user:best_games:${userId}`;
+            const allEntries = await redis.hgetall(historyKey);
+
+            if (!allEntries || Object.keys(allEntries).length === 0) {
+                return { games: [] };
+            }
+
+            const games = Object.values(allEntries).map(x => {
+                try { return JSON.parse(x); } catch { return null; }
+            }).filter(Boolean);
+
+            // Sort by timestamp (most recent first), return last 10
+            games.sort((a, b) => (b.ts || 0) - (a.ts || 0));
+
+            return { games: games.slice(0, 10) };
+        } catch (e) {
+            return { error: e.message, games: [] };
+        }
+    });
+
+    // Get user's attempt stats for one game: counts and a daily improvement curve (?game=single|multi|blind, ?days=30, max 90)
+    // Diffs are only comparable within a game (multi sums its laps, blind scores the hidden stop)
+    fastify.get('/api/user-attempt-stats', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Stats not available' };
+            const days = Math.min(parseInt(req.query.days) || 30, 90);
+            const game = req.query.game || 'single';
+            if (!GAMES.includes(game)) {
+                reply.code(400);
+                return { error: `game must be one of ${GAMES.join(', ')}` };
+            }
+            const since = new Date(ctx.now() - days * 86400000).toISOString();
+
+            // Supabase returns at most 1000 rows per request: page through the whole window
+            const attempts = [];
+            for (let offset = 0; ; offset += STATS_PAGE_SIZE) {
+                const { data, error } = await supabase
+                    .from('round_attempts')
+                    .select('mode, diff, created_at')
+                    .eq('user_id', req.uid)
+                    .eq('game', game)
+                    .gte('created_at', since)
+                    .order('created_at', { ascending: true })
+                    .order('id', { ascending: true })
+                    .range(offset, offset + STATS_PAGE_SIZE - 1);
+                if (error) return { error: error.message };
+                attempts.push(...(data || []));
+                if (!data || data.length < STATS_PAGE_SIZE) break;
+            }
+
+            const byDay = new Map();
+            let best = null;
+            for (const a of attempts) {
+                const day = a.created_at.slice(0, 10);
+                if (!byDay.has(day)) byDay.set(day, { day, attempts: 0, best: null, total: 0 });
+                const d = byDay.get(day);
+                d.attempts++;
+                d.total += a.diff;
+                if (d.best === null || a.diff < d.best) d.best = a.diff;
+                if (best === null || a.diff < best) best = a.diff;
+            }
+
+            return {
+                days,
+                game,
+                total: attempts.length,
+                tournament: attempts.filter(a => a.mode === 't').length,
+                practice: attempts.filter(a => a.mode === 'p').length,
+                best,
+                curve: Array.from(byDay.values()).map(d => ({
+                    day: d.day,
+                    attempts: d.attempts,
+                    best: d.best,
+                    avg: Math.round(d.total / d.attempts)
+                }))
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerPlayerRoutes };
@@ -0,0 +1,551 @@
+// --- REWARD API ENDPOINTS ---
+
+function registerRewardRoutes(fastify, ctx) {
+    const { redis, supabase, state } = ctx;
+    const { requirePlayerAuth } = ctx.auth;
+
+    // --- REWARD API ENDPOINTS ---
+
+    // Admin: Save reward configs for a schedule (persists to Supabase)
+    fastify.post('/api/admin/reward-configs', async (req, reply) => {
+        try {
+            const { schedule_id, rewards } = req.body;
+            if (!schedule_id || !rewards || !Array.isArray(rewards)) {
+                return { error: 'schedule_id and rewards array are required' };
+            }
+
+            // Validate reward tiers
+            for (const r of rewards) {
+                if (!r.name || r.min === undefined || r.max === undefined) {
+                    return { error: 'Each reward needs: name, min, max. Optional: img' };
+                }
+                if (parseInt(r.min) > parseInt(r.max)) {
+                    return { error: `Invalid rank range: min(${r.min}) > max(${r.max})` };
+                }
+            }
+
+            // 1. Save to Redis (for active tournament use)
+            const schedules = await redis.lrange('tournament:daily-schedules', 0, 99);
+            let found = false;
+            const updated = schedules.map(x => {
+                try {
+                    const s = JSON.parse(x);
+                    if (s.id === schedule_id) {
+                        found = true;
+                        s.rewards = rewards;
+                        return JSON.stringify(s);
+                    }
+                    return x;
+                } catch (e) { return x; }
+            });
+
+            if (found) {
+                await redis.del('tournament:daily-schedules');
+                if (updated.length > 0) await redis.rpush('tournament:daily-schedules', ...updated);
+            }
+
+            // 2. Save to Supabase (persistent storage)
+            if (supabase) {
+                // Delete existing configs for this schedule (cascades to redeem codes)
+                await supabase.from('tournament_reward_configs').delete().eq('schedule_id', schedule_id);
+
+                // Insert new configs with reward_type support
+                const inserts = rewards.map((r, idx) => ({
+                    schedule_id: schedule_id,
+                    name: r.name,
+                    image_url: r.img || null,
+                    reward_type: r.reward_type || 'default',
+                    link_url: r.link_url || null,
+                    min_rank: parseInt(r.min),
+                    max_rank: parseInt(r.max),
+                    sort_order: idx
+                }));
+
+                const { error } = await supabase.from('tournament_reward_configs').insert(inserts);
+                if (error) {
+                    console.error("❌ Supabase reward config save error:", error);
+                    // If table doesn't exist, still return success since Redis has the data
+                    if (error.code === '42P01') {
+                        console.log("⚠️ tournament_reward_configs table doesn't exist in Supabase. Using Redis only.");
+                        return { success: true, message: 'Saved to Redis (Supabase table missing)', rewards };
+                    }
+                } else {
+                    console.log(`✅ [REWARD CONFIGS] Saved ${rewards.length} tiers to Supabase for ${schedule_id}`);
+                }
+            }
+
+            return { success: true, rewards };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Get reward configs for a schedule (from Supabase, fallback Redis)
+    fastify.get('/api/admin/reward-configs/:scheduleId', async (req, reply) => {
+        try {
+            const { scheduleId } = req.params;
+
+            // Try Supabase first
+            if (supabase) {
+                const { data, error } = await supabase
+                    .from('tournament_reward_configs')
+                    .select('*')
+                    .eq('schedule_id', scheduleId)
+                    .order('sort_order', { ascending: true });
+
+                if (!error && data && data.length > 0) {
+                    const rewards = data.map(r => ({
+                        name: r.name,
+                        img: r.image_url,
+                        min: r.min_rank,
+                        max: r.max_rank
+                    }));
+                    return { success: true, rewards, source: 'supabase' };
+                }
+            }
+
+            // Fallback: Redis daily schedule
+            const schedules = await redis.lrange('tournament:daily-schedules', 0, 99);
+            for (const item of schedules) {
+                try {
+                    const s = JSON.parse(item);
+                    if (s.id === scheduleId && s.rewards) {
+                        return { success: true, rewards: s.rewards, source: 'redis' };
+                    }
+                } catch (e) { continue; }
+            }
+
+            return { success: true, rewards: [] };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Get ALL reward configs (from Supabase)
+    fastify.get('/api/admin/reward-configs', async (req, reply) => {
+        try {
+            if (supabase) {
+                const { data, error } = await supabase
+                    .from('tournament_reward_configs')
+                    .select('*')
+                    .order('schedule_id', { ascending: true })
+                    .order('sort_order', { ascending: true });
+
+                if (!error && data) {
+                    // Group by schedule_id
+                    const grouped = {};
+                    data.forEach(r => {
+                        if (!grouped[r.schedule_id]) grouped[r.schedule_id] = [];
+                        grouped[r.schedule_id].push({
+                            name: r.name,
+                            img: r.image_url,
+                            min: r.min_rank,
+                            max: r.max_rank
+                        });
+                    });
+                    return { success: true, configs: grouped };
+                }
+            }
+            return { success: true, configs: {} };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: Delete reward configs for a schedule
+    fastify.delete('/api/admin/reward-configs/:scheduleId', async (req, reply) => {
+        try {
+            const { scheduleId } = req.params;
+
+            // Remove from Redis
+            const schedules = await redis.lrange('tournament:daily-schedules', 0, 99);
+            const updated = schedules.map(x => {
+                try {
+                    const s = JSON.parse(x);
+                    if (s.id === scheduleId) { s.rewards = []; return JSON.stringify(s); }
+                    return x;
+                } catch (e) { return x; }
+            });
+            await redis.del('tournament:daily-schedules');
+            if (updated.length > 0) await redis.rpush('tournament:daily-schedules', ...updated);
+
+            // Remove from Supabase
+            if (supabase) {
+                await supabase.from('tournament_reward_configs').delete().eq('schedule_id', scheduleId);
+            }
+
+            return { success: true, message: 'Reward configs deleted' };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Helper: Create/Fix Supabase tables for rewards (run once)
+    fastify.post('/api/admin/setup-reward-tables', async (req, reply) => {
+        if (!supabase) return { error: 'Supabase not configured' };
+
+        try {
+            // Test if user_rewards table exists
+            const { error: testError1 } = await supabase.from('user_rewards').select('id').limit(1);
+            const { error: testError2 } = await supabase.from('tournament_reward_configs').select('id').limit(1);
+
+            const missing = [];
+            if (testError1 && testError1.code === '42P01') missing.push('user_rewards');
+            if (testError2 && testError2.code === '42P01') missing.push('tournament_reward_configs');
+
+            // Check if user_id column type needs fixing (UUID → TEXT)
+            let needsColumnFix = false;
+            if (testError1 && testError1.code === '22P02') needsColumnFix = true;
+
+            return {
+                success: missing.length === 0 && !needsColumnFix,
+                message: missing.length === 0 && !needsColumnFix
+                    ? 'All reward tables exist and are correctly configured!'
+                    : `Run this SQL in Supabase SQL Editor to create/fix tables:`,
+                tables: ['user_rewards', 'tournament_reward_configs'],
+                needsColumnFix,
+                sql: `
+    -- STEP 0: Drop dependent tables first (foreign key order matters)
+    DROP TABLE IF EXISTS physical_reward_orders;
+    DROP TABLE IF EXISTS reward_redeem_codes;
+
+    -- STEP 1: Drop and recreate user_rewards with reward types support
+    DROP TABLE IF EXISTS user_rewards;
+    CREATE TABLE user_rewards (
+        id BIGSERIAL PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        tournament_id TEXT NOT NULL,
+        reward_name TEXT NOT NULL,
+        reward_image TEXT,
+        reward_type TEXT DEFAULT 'default',
+        redeem_code TEXT,
+        link_url TEXT,
+        rank_achieved INTEGER NOT NULL,
+        is_claimed BOOLEAN DEFAULT FALSE,
+        claim_data JSONB,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_rewards_user ON user_rewards(user_id);
+    CREATE INDEX IF NOT EXISTS idx_user_rewards_tournament ON user_rewards(tournament_id);
+
+    -- STEP 2: Create reward configs table with reward type support
+    DROP TABLE IF EXISTS tournament_reward_configs;
+    CREATE TABLE tournament_reward_configs (
+        id BIGSERIAL PRIMARY KEY,
+        schedule_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        image_url TEXT,
+        reward_type TEXT DEFAULT 'default',
+        link_url TEXT,
+        min_rank INTEGER NOT NULL,
+        max_rank INTEGER NOT NULL,
+        sort_order INTEGER DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_reward_configs_schedule ON tournament_reward_configs(schedule_id);
+
+    -- STEP 3: Redeem codes pool (pre-assigned codes per reward config)
+    CREATE TABLE reward_redeem_codes (
+        id BIGSERIAL PRIMARY KEY,
+        config_id BIGINT REFERENCES tournament_reward_configs(id) ON DELETE CASCADE,
+        schedule_id TEXT NOT NULL,
+        rank_position INTEGER NOT NULL,
+        code TEXT NOT NULL,
+        assigned_to TEXT,
+        assigned_tournament TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_redeem_codes_config ON reward_redeem_codes(config_id);
+    CREATE INDEX IF NOT EXISTS idx_redeem_codes_schedule ON reward_redeem_codes(schedule_id);
+
+    -- STEP 4: Physical reward orders
+    CREATE TABLE physical_reward_orders (
+        id BIGSERIAL PRIMARY KEY,
+        user_reward_id BIGINT REFERENCES user_rewards(id),
+        user_id TEXT NOT NULL,
+        full_name TEXT NOT NULL,
+        phone TEXT NOT NULL,
+        address TEXT NOT NULL,
+        city TEXT NOT NULL,
+        state TEXT NOT NULL,
+        pincode TEXT NOT NULL,
+        order_status TEXT DEFAULT 'pending',
+        admin_notes TEXT,
+        tracking_link TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_physical_orders_user ON physical_reward_orders(user_id);
+                `
+            };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Get Current Tournament Rewards (Prize Pool display)
+    fastify.get('/api/tournament-rewards', async (req, reply) => {
+        try {
+            if (!state.currentTournamentKey) {
+                return { rewards: [] };
+            }
+
+            // Get rewards config from Redis
+            const rewardsConfigRaw = await redis.hget(`tournament:info:${state.currentTournamentKey}`, 'rewards');
+            let rewards = rewardsConfigRaw ? JSON.parse(rewardsConfigRaw) : [];
+
+            // Fallback: if Redis empty, try Supabase using stored schedule_id
+            if (rewards.length === 0 && supabase) {
+                try {
+                    const scheduleId = await redis.hget(`tournament:info:${state.currentTournamentKey}`, 'schedule_id');
+                    if (scheduleId) {
+                        const { data } = await supabase
+                            .from('tournament_reward_configs')
+                            .select('*')
+                            .eq('schedule_id', scheduleId)
+                            .order('sort_order');
+
+                        if (data && data.length > 0) {
+                            rewards = data.map(r => ({ name: r.name, img: r.image_url, min: r.min_rank, max: r.max_rank, reward_type: r.reward_type || 'default', link_url: r.link_url || null }));
+                            // Cache back to Redis
+                            await redis.hset(`tournament:info:${state.currentTournamentKey}`, { rewards: JSON.stringify(rewards) });
+                            console.log(`🎁 [REWARDS] Loaded ${rewards.length} from Supabase for schedule ${scheduleId}`);
+                        }
+                    }
+                } catch (e) { /* ignore fallback errors */ }
+            }
+
+            return { rewards };
+        } catch (e) {
+            console.error("❌ Error fetching tournament rewards:", e);
+            return { rewards: [] };
+        }
+    });
+
+    // Get User Rewards (My Wins)
+    fastify.get('/api/user-rewards', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const userId = req.uid;
+
+            if (!supabase) {
+                return { error: 'Database not configured', rewards: [] };
+            }
+
+            const { data, error } = await supabase
+                .from('user_rewards')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                console.error("❌ Error fetching user rewards:", error);
+                return { error: error.message, rewards: [] };
+            }
+
+            return { rewards: data || [] };
+        } catch (e) {
+            console.error("❌ Error in user-rewards:", e);
+            return { error: e.message, rewards: [] };
+        }
+    });
+
+    // Claim a Reward (handles all reward types)
+    fastify.post('/api/claim-reward', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const { rewardId, shippingData } = req.body;
+            if (!rewardId) {
+                return { error: 'rewardId is required' };
+            }
+
+            if (!supabase) {
+                return { error: 'Database not configured' };
+            }
+
+            // First fetch the reward to check its type
+            const { data: existing, error: fetchErr } = await supabase
+                .from('user_rewards')
+                .select('*')
+                .eq('id', rewardId)
+                .single();
+
+            if (fetchErr || !existing) {
+                return { error: 'Reward not found' };
+            }
+
+            // Ownership: only the winner can claim their own reward
+            if (existing.user_id !== req.uid) {
+                console.log(`🚫 [REWARD CLAIM] ${req.uid} tried to claim reward ${rewardId} owned by ${existing.user_id}`);
+                reply.code(403);
+                return { error: 'Not your reward' };
+            }
+
+            if (existing.is_claimed) {
+                // For physical rewards, verify shipping data was actually provided
+                const rt = existing.reward_type || 'default';
+                if (rt === 'physical_reward' && !existing.claim_data) {
+                    // Was incorrectly marked claimed without shipping — reset and require form
+                    await supabase.from('user_rewards').update({ is_claimed: false }).eq('id', rewardId);
+                    // Fall through to normal flow
+                } else {
+                    return { success: true, reward: existing, message: 'Already claimed' };
+                }
+            }
+
+            const rewardType = existing.reward_type || 'default';
+
+            // For physical_reward, REQUIRE shipping data — cannot claim without it
+            if (rewardType === 'physical_reward') {
+                if (!shippingData || !shippingData.fullName || !shippingData.phone || !shippingData.address || !shippingData.pincode) {
+                    return { error: 'Shipping details required for physical rewards', requiresShipping: true };
+                }
+                // Save physical reward order
+                const { error: orderErr } = await supabase
+                    .from('physical_reward_orders')
+                    .insert({
+                        user_reward_id: existing.id,
+                        user_id: existing.user_id,
+                        full_name: shippingData.fullName,
+                        phone: shippingData.phone,
+                        address: shippingData.address,
+                        city: shippingData.city,
+                        state: shippingData.state,
+                        pincode: shippingData.pincode
+                    });
+                if (orderErr) {
+                    console.error("❌ Error saving physical reward order:", orderErr);
+                }
+            }
+
+            // Mark as claimed, store claim_data if provided
+            const updateData = { is_claimed: true };
+            if (shippingData) updateData.claim_data = shippingData;
+
+            const { data, error } = await supabase
+                .from('user_rewards')
+                .update(updateData)
+                .eq('id', rewardId)
+                .select();
+
+            if (error) {
+                console.error("❌ Error claiming reward:", error);
+                return { error: error.message };
+            }
+
+            if (!data || data.length === 0) {
+                return { error: 'Reward not found' };
+            }
+
+            console.log(`✅ [REWARD CLAIMED] Reward ${rewardId} (type: ${rewardType}) claimed`);
+            return { success: true, reward: data[0] };
+        } catch (e) {
+            console.error("❌ Error in claim-reward:", e);
+            return { error: e.message };
+        }
+    });
+
+    // Save redeem codes for a reward config (admin)
+    fastify.post('/api/admin/redeem-codes', async (req, reply) => {
+        try {
+            const { schedule_id, config_id, codes } = req.body;
+            if (!schedule_id || !codes || !Array.isArray(codes)) {
+                return { error: 'schedule_id and codes array required' };
+            }
+            if (!supabase) return { error: 'Database not configured' };
+
+            // Delete existing codes for this config/schedule
+            if (config_id) {
+                await supabase.from('reward_redeem_codes').delete().eq('config_id', config_id);
+            } else {
+                await supabase.from('reward_redeem_codes').delete().eq('schedule_id', schedule_id);
+            }
+
+            // Insert new codes: codes = [{ rank_position: 1, code: "ABC123" }, ...]
+            const inserts = codes.map(c => ({
+                config_id: config_id || null,
+                schedule_id,
+                rank_position: c.rank_position,
+                code: c.code
+            }));
+
+            const { error } = await supabase.from('reward_redeem_codes').insert(inserts);
+            if (error) {
+                console.error("❌ Error saving redeem codes:", error);
+                return { error: error.message };
+            }
+
+            return { success: true, count: inserts.length };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Get redeem codes for a schedule (admin)
+    fastify.get('/api/admin/redeem-codes/:scheduleId', async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Database not configured', codes: [] };
+            const { data, error } = await supabase
+                .from('reward_redeem_codes')
+                .select('*')
+                .eq('schedule_id', req.params.scheduleId)
+                .order('rank_position');
+            if (error) return { error: error.message, codes: [] };
+            return { codes: data || [] };
+        } catch (e) {
+            return { error: e.message, codes: [] };
+        }
+    });
+
+    // Get physical reward orders (admin)
+    fastify.get('/api/admin/physical-orders', async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Database not configured', orders: [] };
+            const { data, error } = await supabase
+                .from('physical_reward_orders')
+                .select('*, user_rewards(reward_name, reward_image, tournament_id)')
+                .order('created_at', { ascending: false })
+                .limit(100);
+            if (error) return { error: error.message, orders: [] };
+            return { orders: data || [] };
+        } catch (e) {
+            return { error: e.message, orders: [] };
+        }
+    });
+
+    // Update physical reward order status (admin) — also accepts tracking_link
+    fastify.post('/api/admin/physical-orders/:orderId/status', async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Database not configured' };
+            const { status, admin_notes, tracking_link } = req.body;
+            const updateData = {};
+            if (status) updateData.order_status = status;
+            if (admin_notes !== undefined) updateData.admin_notes = admin_notes;
+            if (tracking_link !== undefined) updateData.tracking_link = tracking_link;
+            const { data, error } = await supabase
+                .from('physical_reward_orders')
+                .update(updateData)
+                .eq('id', req.params.orderId)
+                .select();
+            if (error) return { error: error.message };
+            return { success: true, order: data?.[0] };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Get physical order status for a specific user_reward (for user My Wins OPEN)
+    fastify.get('/api/physical-order-status', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const { rewardId } = req.query;
+            if (!rewardId || !supabase) return { order: null };
+            const { data, error } = await supabase
+                .from('physical_reward_orders')
+                .select('id, order_status, tracking_link, full_name, phone, address, city, state, pincode, created_at')
+                .eq('user_reward_id', rewardId)
+                .eq('user_id', req.uid)
+                .single();
+            if (error) return { order: null };
+            return { order: data };
+        } catch (e) { return { order: null }; }
+    });
+}
+
+module.exports = { registerRewardRoutes };
@@ -0,0 +1,73 @@
+// --- PRIVATE ROOM ENDPOINTS (see lib/tournaments/rooms.js) ---
+const { parseRoomConfig, parseRewardTiers } = require('../tournaments/rooms');
+
+function registerRoomRoutes(fastify, ctx) {
+    const { redis } = ctx;
+    const { requirePlayerAuth } = ctx.auth;
+    const rooms = ctx.rooms;
+
+    // Player: open a room → { room: { id, code, ... } }. Friends join with 'ig' { m: 't', rc: code }
+    fastify.post('/api/rooms', { preHandler: requirePlayerAuth }, async (req, reply) => {
+        try {
+            const parsed = parseRoomConfig(req.body || {});
+            if (parsed.error) {
+                reply.code(400);
+                return { error: parsed.error };
+            }
+            const meta = await redis.hgetall(`user_meta:${req.uid}`) || {};
+            const result = await rooms.create({ userId: req.uid, username: (req.body && req.body.username) || meta.username }, parsed.config);
+            if (result.error) {
+                reply.code(409);
+                return { error: result.error };
+            }
+            return { success: true, room: result.room };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Public: room status + top 10 by join code
+    fastify.get('/api/rooms/:code', async (req, reply) => {
+        try {
+            const id = await rooms.resolve(req.params.code);
+            const room = id ? await rooms.get(id) : null;
+            if (!room) {
+                reply.code(404);
+                return { error: 'Room not found or already ended' };
+            }
+            const top = (await ctx.ranking.top(id, 10)).map(x => ({ u: x.member, s: x.score, r: x.rank }));
+            const names = await ctx.playerNames.lookup(top.map(e => e.u));
+            for (const entry of top) entry.n = names.get(entry.u).username || entry.u.substring(0, 8);
+            return { ...room, top };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: open rooms
+    fastify.get('/api/admin/rooms', async (req, reply) => {
+        try {
+            return { rooms: await rooms.list() };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: sponsor a room with reward tiers — the normal p→l distribution then pays out
+    fastify.post('/api/admin/rooms/:code/sponsor', async (req, reply) => {
+        try {
+            const id = await rooms.resolve(req.params.code);
+            if (!id) {
+                reply.code(404);
+                return { error: 'Room not found or already ended' };
+            }
+            const parsed = parseRewardTiers(req.body && req.body.rewards);
+            if (parsed.error) return { error: parsed.error };
+            return { success: true, room: await rooms.sponsor(id, parsed.rewards) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerRoomRoutes };
@@ -0,0 +1,97 @@
+// --- SEASON ENDPOINTS (see lib/tournaments/seasons.js) ---
+const { parseSeasonConfig } = require('../tournaments/seasons');
+
+// Client view of a season definition
+const seasonView = s => ({
+    id: s.id,
+    name: s.name,
+    startsAt: Date.parse(s.starts_at),
+    endsAt: Date.parse(s.ends_at),
+    status: s.status,
+    points: s.points,
+    levelPoints: s.level_points,
+    rewards: s.rewards || [],
+    passRewards: s.pass_rewards || []
+});
+
+function registerSeasonRoutes(fastify, ctx) {
+    const { supabase } = ctx;
+    const seasons = ctx.seasons;
+
+    // Admin: define a season (windows can't overlap)
+    fastify.post('/api/admin/seasons', async (req, reply) => {
+        try {
+            const parsed = parseSeasonConfig(req.body || {});
+            if (parsed.error) return { error: parsed.error };
+            const result = await seasons.create(parsed.config);
+            if (result.error) return { error: result.error };
+            return { success: true, season: seasonView(result.season) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: all seasons, latest first
+    fastify.get('/api/admin/seasons', async (req, reply) => {
+        try {
+            return { success: true, seasons: (await seasons.list()).map(seasonView) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+
+    // Admin: end a season and distribute its rewards
+    fastify.post('/api/admin/seasons/:seasonId/close', async (req, reply) => {
+        try {
+            const result = await seasons.close(req.params.seasonId);
+            if (!result) {
+                reply.code(404);
+                return { error: 'Season not found' };
+            }
+            if (result.error) return { error: result.error };
+            return { success: true, season: seasonView(result.season), players: result.players, rewards: result.rewards, held: result.held };
+        } catch (e) {
+            console.error("❌ Error closing season:", e);
+            return { error: e.message };
+        }
+    });
+
+    // Public: season standings, /api/seasons/current for the running one (?limit=&offset=&userId=)
+    fastify.get('/api/seasons/:seasonId', async (req, reply) => {
+        try {
+            if (!supabase) return { error: 'Seasons not available' };
+            const season = req.params.seasonId === 'current'
+                ? await seasons.openAt(ctx.now())
+                : await seasons.get(req.params.seasonId);
+            if (!season) {
+                reply.code(404);
+                return { error: 'Season not found' };
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+            const { entries, me } = await seasons.standings(season.id, { limit, offset, userId: req.query.userId || null });
+
+            const view = row => ({
+                userId: row.user_id,
+                name: row.username || row.user_id.substring(0, 8),
+                points: row.points,
+                level: row.level,
+                nextLevelAt: (row.level + 1) * season.level_points,
+                tournaments: row.tournaments,
+                wins: row.wins,
+                podiums: row.podiums
+            });
+            return {
+                season: seasonView(season),
+                entries: entries.map((row, i) => ({ rank: offset + i + 1, ...view(row) })),
+                ...(req.query.userId ? { me: me ? view(me) : null } : {})
+            };
+        } catch (e) {
+            console.error("❌ Error fetching season standings:", e);
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerSeasonRoutes };
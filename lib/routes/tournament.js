@@ -0,0 +1,334 @@
+// --- PUBLIC TOURNAMENT ENDPOINTS ---
+const { leaderboardKey, GAMES } = require('../tournaments/modes');
+const { toRule, nextOccurrences } = require('../tournaments/recurrence');
+const { percentileOf } = require('../tournaments/ranking');
+const {
+    LEADERBOARD_PAGE_DEFAULT, LEADERBOARD_PAGE_MAX, LEADERBOARD_AROUND_DEFAULT, LEADERBOARD_AROUND_MAX
+} = require('../config');
+
+// ?n= → integer in [min, max], `fallback` when missing or invalid
+function queryInt(value, fallback, min, max) {
+    const n = parseInt(value);
+    return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+function registerTournamentRoutes(fastify, ctx) {
+    const { redis, supabase, state } = ctx;
+    const { getCustomTournamentTiming, getTournamentTimeLeft, getTournamentPhase, getLeaderboardTimeLeft } = ctx.timing;
+    const tournaments = ctx.tournaments;
+    const ranking = ctx.ranking;
+    const playerNames = ctx.playerNames;
+
+    // Get Current Tournament Top Scores (Live leaderboard for game page)
+    // ?tournamentId= any tournament (active or recent); default is the featured one
+    fastify.get('/api/tournament-top-scores', async (req, reply) => {
+        try {
+            const tournamentId = req.query.tournamentId || state.currentTournamentKey;
+            if (!tournamentId) {
+                return { scores: [], tournament: null };
+            }
+
+            const count = Math.min(parseInt(req.query.count) || 10, 50);
+            // ?game=multi|blind → that variant's leaderboard
+            const game = GAMES.includes(req.query.game) ? req.query.game : 'single';
+            const key = leaderboardKey(tournamentId, game);
+            const entries = (await ranking.top(key, count))
+                .map(x => ({ u: x.member, s: x.score, r: x.rank }));
+            const names = await playerNames.lookup(entries.map(e => e.u));
+            const players = entries.map(entry => {
+                const name = names.get(entry.u).username || entry.u.substring(0, 8);
+                return {
+                    rank: entry.r,
+                    name: name.length > 14 ? name.substring(0, 12) + '...' : name,
+                    score: entry.s,
+                    isYou: entry.u === req.query.userId
+                };
+            });
+
+            return { scores: players, tournament: tournamentId };
+        } catch (e) {
+            console.error("❌ Error fetching top scores:", e);
+            return { scores: [], tournament: null };
+        }
+    });
+
+    // Full leaderboard of any tournament, a page at a time (the top-scores list above stops at 50)
+    // ?game=multi|blind, ?limit= (max 100), ?cursor= from the previous page's nextCursor,
+    // ?userId= adds that player's rank, score and percentile plus ?around= players above and below
+    fastify.get('/api/leaderboard/:tournamentId', async (req, reply) => {
+        try {
+            const game = GAMES.includes(req.query.game) ? req.query.game : 'single';
+            const key = leaderboardKey(req.params.tournamentId, game);
+            const limit = queryInt(req.query.limit, LEADERBOARD_PAGE_DEFAULT, 1, LEADERBOARD_PAGE_MAX);
+
+            let pageResult;
+            try {
+                pageResult = await ranking.page(key, { cursor: req.query.cursor || null, limit });
+            } catch (e) {
+                reply.code(400);
+                return { error: e.message };
+            }
+            const total = await redis.leaderboard.count(key);
+
+            let me = null;
+            let around = [];
+            const userId = req.query.userId || null;
+            if (userId) {
+                const radius = queryInt(req.query.around, LEADERBOARD_AROUND_DEFAULT, 0, LEADERBOARD_AROUND_MAX);
+                around = await ranking.around(key, userId, radius);
+                const mine = around.find(e => e.member === userId);
+                if (mine) me = { rank: mine.rank, score: mine.score, percentile: percentileOf(mine.rank, total) };
+            }
+
+            // One batched name lookup for the page and the window
+            const names = await playerNames.lookup([...pageResult.entries, ...around].map(e => e.member));
+            const view = e => ({
+                rank: e.rank,
+                userId: e.member,
+                name: names.get(e.member).username || e.member.substring(0, 8),
+                score: e.score
+            });
+
+            return {
+                tournamentId: req.params.tournamentId,
+                game,
+                total,
+                entries: pageResult.entries.map(view),
+                nextCursor: pageResult.nextCursor,
+                ...(userId ? { me, around: around.map(view) } : {})
+            };
+        } catch (e) {
+            console.error("❌ Error fetching leaderboard page:", e);
+            return { error: e.message };
+        }
+    });
+
+    // API: Get Tournament Data (History + Status + Scheduled + Daily)
+    // Used by Tournament Page
+    fastify.get('/api/tournament-data', async (req, reply) => {
+        try {
+            const historyRaw = await redis.lrange('tournament_history', 0, 9);
+            const history = historyRaw.map(x => {
+                try {
+                    return JSON.parse(x);
+                } catch (e) {
+                    return null;
+                }
+            }).filter(x => x !== null);
+
+            // Get scheduled tournaments (only upcoming ones)
+            const scheduledRaw = await redis.lrange('tournament:scheduled', 0, 99);
+            const scheduled = scheduledRaw.map(x => {
+                try {
+                    return JSON.parse(x);
+                } catch (e) {
+                    return null;
+                }
+            }).filter(x => x !== null && x.scheduledTime > ctx.now()).sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+            // Get daily schedules and calculate next tournament time
+            const dailySchedulesRaw = await redis.lrange('tournament:daily-schedules', 0, 99);
+            const dailySchedules = dailySchedulesRaw.map(x => {
+                try {
+                    return JSON.parse(x);
+                } catch (e) {
+                    return null;
+                }
+            }).filter(x => x !== null);
+
+            // Next daily tournament: earliest upcoming occurrence of any schedule's recurrence rule
+            let nextDailyTournament = null;
+            for (const daily of dailySchedules) {
+                const rule = toRule(daily);
+                const [next] = nextOccurrences(rule, ctx.now(), 1);
+                if (!next || (nextDailyTournament && nextDailyTournament.scheduledTime <= next.at)) continue;
+                nextDailyTournament = {
+                    id: daily.id,
+                    scheduledTime: next.at,
+                    playTime: daily.playTime * 60 * 1000,
+                    leaderboardTime: daily.leaderboardTime * 60 * 1000,
+                    duration: (daily.playTime + daily.leaderboardTime) * 60 * 1000,
+                    type: 'daily',
+                    time: next.time, // Local time in `tz`
+                    tz: rule.tz,
+                    rewards: daily.rewards || []
+                };
+            }
+
+            // Every active tournament, featured first (clients join one with 'ig' { tid })
+            const active = [];
+            for (const t of tournaments.list()) {
+                active.push({
+                    id: t.id,
+                    type: t.type,
+                    ph: await getTournamentPhase(t.id),
+                    tl: await getTournamentTimeLeft(t.id),
+                    ltl: await getLeaderboardTimeLeft(t.id),
+                    players: await redis.leaderboard.count(t.id),
+                    featured: t.id === state.currentTournamentKey
+                });
+            }
+            active.sort((a, b) => b.featured - a.featured);
+
+            // Get current tournament info (?tournamentId= scopes it, default is the featured one)
+            const currentId = req.query.tournamentId || state.currentTournamentKey;
+            let timeLeft = 0;
+            let hasActiveTournament = false;
+
+            if (currentId && tournaments.has(currentId)) {
+                // Check if tournament exists in Redis (has participants or custom timing)
+                const participantCount = await redis.leaderboard.count(currentId);
+                const customTiming = await getCustomTournamentTiming(currentId);
+
+                if (participantCount > 0 || customTiming) {
+                    hasActiveTournament = true;
+                    timeLeft = await getTournamentTimeLeft(currentId);
+                }
+            }
+
+            // Determine the next tournament (scheduled or daily, whichever is earlier)
+            let nextTournament = null;
+            if (scheduled.length > 0 && nextDailyTournament) {
+                // Compare scheduled vs daily, pick the earlier one
+                nextTournament = scheduled[0].scheduledTime < nextDailyTournament.scheduledTime
+                    ? scheduled[0]
+                    : nextDailyTournament;
+            } else if (scheduled.length > 0) {
+                nextTournament = scheduled[0];
+            } else if (nextDailyTournament) {
+                nextTournament = nextDailyTournament;
+            }
+
+            return {
+                currentId: currentId || null,
+                hasActiveTournament: hasActiveTournament,
+                timeLeft: timeLeft,
+                active: active,
+                history: history,
+                scheduled: nextTournament // Next tournament (scheduled or daily)
+            };
+        } catch (e) {
+            console.error("Error in /api/tournament-data:", e);
+            return { error: "Failed to fetch data", history: [], scheduled: null, hasActiveTournament: false };
+        }
+    });
+
+    // API: Get Current Tournament Results (Winners, Target Time, User Rank)
+    fastify.get('/api/tournament-results', async (req, reply) => {
+        try {
+            const userId = req.query.userId || null;
+
+            if (!state.currentTournamentKey) {
+                return { error: "No active tournament", winners: [], targetTime: null, userRank: null };
+            }
+
+            // Get target time for this tournament
+            // Check both key formats (old and new)
+            const targetKey1 = `${state.currentTournamentKey}_target`;
+            const targetKey2 = `tournament:${state.currentTournamentKey}:target`;
+            let targetTime = await redis.get(targetKey1);
+            if (!targetTime) {
+                targetTime = await redis.get(targetKey2);
+            }
+
+            // Get total player count
+            const totalPlayers = await redis.leaderboard.count(state.currentTournamentKey);
+
+            // Top 50 (the rest: /api/leaderboard/:tournamentId pages)
+            const winners = (await ranking.top(state.currentTournamentKey, 50))
+                .map(x => ({ userId: x.member, score: x.score, rank: x.rank }));
+
+            // Display names and ACTUAL TIMES for winners, each in one batch
+            const ids = winners.map(w => w.userId);
+            const names = await playerNames.lookup(ids);
+            let times = [];
+            if (ids.length > 0) {
+                try {
+                    const raw = await redis.hmget(`tournament_times:${state.currentTournamentKey}`, ...ids);
+                    times = Array.isArray(raw) ? raw : ids.map(u => (raw || {})[u]); // Upstash answers with an object
+                } catch (e) { /* ignore */ }
+            }
+            winners.forEach((w, i) => {
+                const { username, email } = names.get(w.userId);
+                w.username = username || w.userId.substring(0, 10) + '...';
+                w.email = email;
+                if (times[i]) {
+                    w.actualTime = parseInt(times[i]);
+                } else if (targetTime) {
+                    // Fallback: Assume Overshoot if no time stored
+                    w.actualTime = parseInt(targetTime) + w.score;
+                } else {
+                    w.actualTime = w.score; // Worst case fallback
+                }
+            });
+
+            // Get user's rank if userId provided
+            let userRank = null;
+            if (userId) {
+                const userScore = await redis.leaderboard.score(state.currentTournamentKey, userId);
+                if (userScore !== null) {
+                    const rank = await ranking.rank(state.currentTournamentKey, userId);
+
+                    // Fetch actual time for user
+                    let actualTime = await redis.hget(`tournament_times:${state.currentTournamentKey}`, userId);
+                    let finalTime = actualTime ? parseInt(actualTime) : (parseInt(targetTime || 0) + userScore);
+
+                    userRank = {
+                        rank,
+                        percentile: percentileOf(rank, totalPlayers),
+                        score: userScore,
+                        actualTime: finalTime
+                    };
+                }
+            }
+
+            return {
+                tournamentId: state.currentTournamentKey,
+                targetTime: targetTime ? parseInt(targetTime) : null,
+                winners: winners,
+                userRank: userRank,
+                totalPlayers: totalPlayers
+            };
+        } catch (e) {
+            console.error("Error in /api/tournament-results:", e);
+            return { error: e.message, winners: [], targetTime: null, userRank: null };
+        }
+    });
+
+    // Target proof: commitment while running, seed + target once the tournament ended.
+    // Verify: sha256(seed) === commitment and min + HMAC-SHA256(seed, id) mod (max - min + 1) === target
+    fastify.get('/api/tournament-target/:tournamentId', async (req, reply) => {
+        try {
+            const { tournamentId } = req.params;
+            const proof = await ctx.targets.getProof(tournamentId);
+            if (proof) return proof;
+
+            // Redis proof expired: fall back to the archived tournament row
+            if (supabase) {
+                const { data } = await supabase
+                    .from('tournaments')
+                    .select('id, target_time, target_min, target_max, target_commitment, target_seed')
+                    .eq('id', tournamentId)
+                    .maybeSingle();
+                if (data && data.target_commitment) {
+                    return {
+                        tournamentId,
+                        mode: data.target_min === data.target_max ? 'fixed' : 'range',
+                        min: data.target_min,
+                        max: data.target_max,
+                        commitment: data.target_commitment,
+                        revealed: !!data.target_seed,
+                        seed: data.target_seed || null,
+                        target: data.target_seed ? data.target_time : null
+                    };
+                }
+            }
+            reply.code(404);
+            return { error: 'No target proof for this tournament' };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+}
+
+module.exports = { registerTournamentRoutes };
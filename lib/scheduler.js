@@ -0,0 +1,372 @@
+// --- TOURNAMENT SCHEDULER (auto loop + scheduled/daily checks) ---
+const { TOURNAMENT_DURATION_MS, PLAY_TIME_MS, SCHEDULE_CATCH_UP, SCHEDULE_MAX_LATE_MS, SCHEDULER_LOCK_TTL_S } = require('./config');
+const { getTournamentKey } = require('./tournaments/timing');
+const { tournamentChannel, tournamentType } = require('./tournaments/registry');
+const { toRule, nextOccurrences } = require('./tournaments/recurrence');
+const { planRun } = require('./tournaments/catchUp');
+const { createLeaderLock } = require('./leaderLock');
+
+const SCHEDULE_EARLY_MS = 5000; // A start may fire this early (loop runs every 10s)
+const SCHEDULE_GRACE_MS = 15000; // Up to this late it's on time; later is a catch-up
+
+function createScheduler(ctx) {
+    const { redis, supabase, io, state } = ctx;
+    const { getCustomTournamentTiming, getTournamentTimeLeft, getTournamentPhase, getLeaderboardTimeLeft } = ctx.timing;
+    const { endTournament, createTournamentFromSchedule, handlePlayTimeEnded } = ctx.lifecycle;
+    const { sendTournamentPushNotification } = ctx.push;
+    const rooms = ctx.rooms;
+    const tournaments = ctx.tournaments;
+    // One instance (the lock holder) runs the tournament loop and the schedule checks
+    const leaderLock = createLeaderLock(ctx, 'scheduler', SCHEDULER_LOCK_TTL_S);
+
+    // Initialize tournament state from Redis
+    async function loadTournamentState() {
+        await syncSharedState();
+        console.log(`📊 Tournament Auto Mode: ${state.autoTournamentEnabled ? 'ENABLED' : 'DISABLED'}`);
+        await restoreTournaments();
+    }
+
+    // State other instances may have changed: the active registry and the auto toggle
+    async function syncSharedState() {
+        await tournaments.sync();
+        try {
+            const saved = await redis.get('tournament:auto_enabled');
+            if (saved !== null) state.autoTournamentEnabled = saved === 'true';
+        } catch (e) {
+            console.error("Error loading tournament state:", e);
+        }
+    }
+
+    // Boot: re-register custom tournaments still running according to their Redis timing keys,
+    // so a restart mid-tournament doesn't orphan it (and the featured tournament is right again)
+    async function restoreTournaments() {
+        try {
+            for (const key of await redis.keys('tournament:*:startTime') || []) {
+                const id = key.slice('tournament:'.length, -':startTime'.length);
+                const type = tournamentType(id);
+                if (type === 'auto' || type === 'room' || tournaments.has(id)) continue; // Rooms: see rooms.checkRooms
+
+                const custom = await getCustomTournamentTiming(id);
+                if (!custom || ctx.now() - custom.startTime >= custom.playTime + custom.leaderboardTime) continue;
+
+                // Phase as of now: no repeat start push, and no second archive if play time already ended
+                const info = await redis.hgetall(`tournament:info:${id}`) || {};
+                tournaments.register(id, type, {
+                    startedAt: custom.startTime,
+                    lastPhase: await getTournamentPhase(id),
+                    archived: info.play_archived === '1'
+                });
+                console.log(`♻️ [RESTORE] ${id} (${type}) is back in the active registry`);
+            }
+        } catch (e) {
+            console.error("Error restoring tournaments:", e);
+        }
+    }
+
+    let autoCheckCount = 0;
+    let scheduledCheckCount = 0;
+    let tournamentCheckInterval = null;
+    let scheduledCheckInterval = null;
+
+    // End a tournament and drop it from the registry
+    async function finishTournament(entry) {
+        await endTournament(entry.id, { archived: entry.archived });
+        tournaments.unregister(entry.id);
+    }
+
+    // One pass of the tournament loop: rotate the auto slot, end expired custom tournaments
+    // and broadcast phase changes for every active tournament. Every instance keeps its
+    // presence and registry copy fresh; only the leader does the rest.
+    async function checkTournament() {
+        await ctx.presence.heartbeat();
+        await syncSharedState();
+        if (!await leaderLock.acquire()) return;
+
+        autoCheckCount++;
+
+        // --- AUTO TOURNAMENT HANDLING (15-min slots) ---
+        // 1. Calculate what the current tournament key SHOULD be based on time
+        const newKey = getTournamentKey(ctx.now());
+        const auto = tournaments.list().find(t => t.type === 'auto');
+
+        // 2. Check if we moved to a new time slot
+        if (!auto || auto.id !== newKey) {
+            if (auto) {
+                console.log(`🔄 [TIME BOUNDARY] 15-min Slot Changed: ${auto.id} -> ${newKey}`);
+                console.log(`   Current Time: ${new Date(ctx.now()).toISOString()}`);
+                await finishTournament(auto); // 3. End the old slot
+            }
+
+            // 4. Start NEW slot ONLY if Auto is Enabled
+            if (state.autoTournamentEnabled) {
+                tournaments.register(newKey, 'auto');
+                console.log(`✅ [AUTO START] Started new tournament: ${newKey}`);
+            } else if (auto) {
+                console.log(`🛑 [AUTO STOP] Auto disabled - waiting for manual/scheduled or toggle.`);
+            }
+        }
+
+        // --- CUSTOM TOURNAMENT HANDLING (scheduled/manual/daily, any number at once) ---
+        for (const entry of tournaments.list().filter(t => t.type !== 'auto')) {
+            try {
+                const custom = await getCustomTournamentTiming(entry.id);
+                if (!custom) {
+                    // Custom timing data missing from Redis (expired TTL) - tournament is over
+                    console.log(`⚠️ [CUSTOM TOURNAMENT] Timing data expired for ${entry.id} - ending tournament`);
+                    await finishTournament(entry);
+                    continue;
+                }
+                const elapsed = ctx.now() - custom.startTime;
+                const totalDuration = custom.playTime + (custom.leaderboardTime || (TOURNAMENT_DURATION_MS - custom.playTime));
+                if (elapsed >= totalDuration) {
+                    // Custom tournament has EXPIRED (leaderboard time also over)
+                    console.log(`🏁 [CUSTOM TOURNAMENT ENDED] ${entry.id} (elapsed: ${Math.round(elapsed / 1000)}s / total: ${Math.round(totalDuration / 1000)}s)`);
+                    await finishTournament(entry);
+                }
+            } catch (e) {
+                console.error(`❌ [CUSTOM TOURNAMENT CHECK ERROR] ${entry.id}:`, e);
+            }
+        }
+
+        if (autoCheckCount % 6 === 0) { // Log every 60 seconds
+            console.log(`✅ [HEARTBEAT #${autoCheckCount}] Active: ${tournaments.list().map(t => t.id).join(', ') || 'None'} | Featured: ${state.currentTournamentKey || 'None'} | Auto: ${state.autoTournamentEnabled}`);
+        }
+
+        // --- REAL-TIME PHASE BROADCAST (per tournament, to its own Socket.IO room) ---
+        for (const entry of tournaments.list()) {
+            try {
+                await broadcastPhase(entry);
+            } catch (e) {
+                console.error(`❌ [PHASE BROADCAST ERROR] ${entry.id}:`, e);
+            }
+        }
+
+        // --- LOBBY BROADCAST ---
+        // Everyone (clients that haven't picked a tournament) follows the featured one
+        const featured = state.currentTournamentKey;
+        const featuredPhase = await getTournamentPhase(featured);
+        if (featuredPhase !== state.lastBroadcastPhase || featured !== state.lastBroadcastTournament) {
+            state.lastBroadcastPhase = featuredPhase;
+            state.lastBroadcastTournament = featured;
+            io.emit('tu', {
+                ph: featuredPhase,
+                tl: await getTournamentTimeLeft(featured),
+                ltl: await getLeaderboardTimeLeft(featured),
+                tid: featured || null
+            });
+        }
+
+        // --- PRIVATE ROOMS (own timing, broadcasts scoped to each room) ---
+        await rooms.checkRooms();
+    }
+
+    // Phase change for one tournament: scoped 'tu', push at start, archive at play-time end
+    async function broadcastPhase(entry) {
+        const currentPhase = await getTournamentPhase(entry.id);
+        if (currentPhase === entry.lastPhase) return;
+
+        const previousPhase = entry.lastPhase;
+        entry.lastPhase = currentPhase;
+        tournaments.save(entry); // A new leader won't repeat the start push or the archive
+        const tl = await getTournamentTimeLeft(entry.id);
+        const ltl = await getLeaderboardTimeLeft(entry.id);
+
+        console.log(`📡 [BROADCAST] Phase changed to '${currentPhase}' | TID: ${entry.id} | TL: ${tl} | LTL: ${ltl}`);
+
+        io.to(tournamentChannel(entry.id)).emit('tu', {
+            ph: currentPhase,
+            tl: tl,
+            ltl: ltl,
+            tid: entry.id
+        });
+
+        // --- SEND PUSH NOTIFICATION WHEN TOURNAMENT STARTS ---
+        if (currentPhase === 'p' && previousPhase !== 'p') {
+            // Tournament just started! Send push notifications
+            let notifRewards = [];
+            try {
+                const rRaw = await redis.hget(`tournament:info:${entry.id}`, 'rewards');
+                if (rRaw) notifRewards = JSON.parse(rRaw);
+            } catch (e) { /* ignore */ }
+            // Supabase fallback
+            if (notifRewards.length === 0 && supabase) {
+                try {
+                    const sId = await redis.hget(`tournament:info:${entry.id}`, 'schedule_id');
+                    if (sId) {
+                        const { data: sRewards } = await supabase
+                            .from('tournament_reward_configs')
+                            .select('name, image_url, min_rank, max_rank')
+                            .eq('schedule_id', sId)
+                            .order('sort_order');
+                        if (sRewards && sRewards.length > 0) {
+                            notifRewards = sRewards.map(r => ({ name: r.name, img: r.image_url, min: r.min_rank, max: r.max_rank }));
+                        }
+                    }
+                } catch (e) { /* ignore */ }
+            }
+            // Fire and forget — don't block the main loop
+            sendTournamentPushNotification(entry.id, notifRewards).catch(e => {
+                console.error('🔔 [FCM] Push error (non-blocking):', e.message);
+            });
+        }
+
+        // --- ARCHIVE TO SUPABASE WHEN PLAY TIME ENDS ---
+        // When phase transitions from 'p' (play) to 'l' (leaderboard),
+        // that means play time is over → archive the tournament data NOW
+        if (previousPhase === 'p' && currentPhase === 'l' && !entry.archived) {
+            entry.archived = true;
+            tournaments.save(entry);
+            await redis.hset(`tournament:info:${entry.id}`, { play_archived: '1' }); // Survives a restart (see restoreTournaments)
+            console.log(`🗄️ [PLAY TIME ENDED] Archiving tournament to Supabase: ${entry.id}`);
+            await handlePlayTimeEnded(entry.id, ltl);
+        }
+    }
+
+    // A due start (a one-time schedule or one occurrence of a daily rule). The claim key makes it
+    // run at most once across passes, restarts and instances; a late start follows the
+    // schedule's catch-up policy (see lib/tournaments/catchUp.js).
+    async function runScheduledStart(schedule, scheduleType, dueAt, claimKey, durations) {
+        const plan = planRun(dueAt, ctx.now(), durations, schedule.catchUp, SCHEDULE_GRACE_MS);
+        if (!await redis.setIfAbsent(claimKey, plan.action, 2 * 86400)) return null; // Already handled
+
+        if (plan.action === 'skip') {
+            console.log(`⏭️ [CATCH-UP] Skipping ${schedule.id} due ${new Date(dueAt).toISOString()} (${Math.round(plan.late / 1000)}s late, ${plan.reason})`);
+            return plan;
+        }
+        if (plan.late > SCHEDULE_GRACE_MS) {
+            console.log(`⏱️ [CATCH-UP] ${schedule.id} is ${Math.round(plan.late / 1000)}s late → ${schedule.catchUp || SCHEDULE_CATCH_UP}`);
+        }
+        await createTournamentFromSchedule(schedule, scheduleType, schedule.id, { startTime: plan.startTime });
+        return plan;
+    }
+
+    // One pass over one-time scheduled tournaments and daily schedules (leader instance only)
+    async function checkSchedules() {
+        try {
+            if (!await leaderLock.acquire()) return; // Another instance runs the schedules
+
+            scheduledCheckCount++;
+            const now = ctx.now();
+            const currentDate = new Date(now);
+
+            // Check one-time scheduled tournaments
+            const scheduled = await redis.lrange('tournament:scheduled', 0, 99);
+            if (scheduled && scheduled.length > 0) {
+                console.log(`🔍 [SCHEDULED CHECK #${scheduledCheckCount}] Checking ${scheduled.length} scheduled tournament(s)`);
+
+                const handledIds = [];
+                for (const item of scheduled) {
+                    try {
+                        const schedule = JSON.parse(item);
+                        const timeDiff = now - schedule.scheduledTime;
+                        const scheduledDate = new Date(schedule.scheduledTime);
+                        const diffMinutes = Math.round(timeDiff / 60000);
+                        const diffSeconds = Math.round(timeDiff / 1000);
+
+                        console.log(`   📅 Schedule ID: ${schedule.id}`);
+                        console.log(`      Scheduled: ${scheduledDate.toLocaleString()}`);
+                        console.log(`      Current: ${currentDate.toLocaleString()}`);
+                        console.log(`      Time Diff: ${diffMinutes}min (${diffSeconds}s) ${timeDiff >= -SCHEDULE_EARLY_MS ? '✅ DUE' : '⏳ WAITING'}`);
+
+                        // Due from 5 seconds before its time; late ones (missed during downtime) catch up
+                        if (timeDiff >= -SCHEDULE_EARLY_MS) {
+                            console.log(`⏰ [EXECUTING] Scheduled Tournament: ${schedule.id}`);
+                            await runScheduledStart(schedule, 'scheduled', schedule.scheduledTime,
+                                `tournament:scheduled-executed:${schedule.id}`, { playTime: schedule.playTime || PLAY_TIME_MS });
+                            handledIds.push(schedule.id);
+                        }
+                    } catch (e) {
+                        console.error(`❌ [ERROR] Processing schedule:`, e);
+                    }
+                }
+
+                // Remove handled ones (started or skipped) from the scheduled list
+                if (handledIds.length > 0) {
+                    const filtered = scheduled.filter(x => {
+                        try {
+                            const s = JSON.parse(x);
+                            return !handledIds.includes(s.id);
+                        } catch (e) {
+                            return true;
+                        }
+                    });
+                    await redis.del('tournament:scheduled');
+                    if (filtered.length > 0) {
+                        await redis.rpush('tournament:scheduled', ...filtered);
+                    }
+                }
+            }
+
+            // Check daily schedules — each one's recurrence rule in its own timezone (legacy: daily in IST).
+            // tournament:daily-cursor:<id> is the last occurrence handled, so starts missed while no
+            // instance was running are found on the next pass.
+            const dailySchedules = await redis.lrange('tournament:daily-schedules', 0, 99);
+            if (dailySchedules && dailySchedules.length > 0) {
+                for (const item of dailySchedules) {
+                    try {
+                        const dailySchedule = JSON.parse(item);
+                        const rule = toRule(dailySchedule);
+
+                        const cursorKey = `tournament:daily-cursor:${dailySchedule.id}`;
+                        const saved = await redis.get(cursorKey);
+                        // Untracked schedule (saved before cursors existed): start from the normal window
+                        if (!saved) await redis.set(cursorKey, String(now - SCHEDULE_GRACE_MS - 1));
+                        const cursor = Math.max(saved ? parseInt(saved) : now - SCHEDULE_GRACE_MS - 1, now - SCHEDULE_MAX_LATE_MS - 1);
+
+                        const due = nextOccurrences(rule, cursor, 100).filter(o => o.at <= now + SCHEDULE_EARLY_MS);
+                        if (due.length === 0) continue;
+
+                        // Several missed occurrences: only the latest one can still run
+                        const occurrence = due[due.length - 1];
+                        if (due.length > 1) console.log(`⏭️ [CATCH-UP] ${dailySchedule.id}: ${due.length - 1} older missed occurrence(s) skipped`);
+
+                        console.log(`⏰ [EXECUTING] Daily Tournament: ${occurrence.date} ${occurrence.time} ${rule.tz} (ID: ${dailySchedule.id})`);
+                        console.log(`   Scheduled Time: ${new Date(occurrence.at).toISOString()}`);
+                        console.log(`   Time Difference: ${Math.round((now - occurrence.at) / 1000)} seconds`);
+
+                        await runScheduledStart(dailySchedule, 'daily', occurrence.at,
+                            `tournament:daily-executed:${dailySchedule.id}:${occurrence.date}_${occurrence.time}`,
+                            { playTime: (dailySchedule.playTime || 12) * 60 * 1000 });
+                        await redis.set(cursorKey, String(occurrence.at));
+                    } catch (e) {
+                        console.error(`❌ [ERROR] Processing daily schedule:`, e);
+                    }
+                }
+            }
+
+            if (scheduledCheckCount % 6 === 0) { // Log every 60 seconds
+                const scheduledCount = scheduled ? scheduled.length : 0;
+                const dailyCount = dailySchedules ? dailySchedules.length : 0;
+                if (scheduledCount === 0 && dailyCount === 0) {
+                    console.log(`🔍 [SCHEDULED CHECK #${scheduledCheckCount}] No scheduled tournaments found`);
+                }
+            }
+        } catch (e) {
+            console.error(`❌ [ERROR] Checking scheduled tournaments:`, e);
+        }
+    }
+
+    // Load state and start both loops (tournament loop always runs so tournaments can END)
+    async function start() {
+        console.log(`🚀 [INIT] Loading tournament state and starting check intervals...`);
+        await loadTournamentState();
+        console.log(`📊 [INIT] Tournament state loaded - Auto enabled: ${state.autoTournamentEnabled}`);
+        await stop();
+        tournamentCheckInterval = setInterval(checkTournament, 10000);
+        scheduledCheckInterval = setInterval(checkSchedules, 10000); // Check every 10 seconds for better accuracy
+        console.log(`✅ [INIT] Tournament management initialized`);
+    }
+
+    async function stop() {
+        const running = tournamentCheckInterval || scheduledCheckInterval;
+        if (tournamentCheckInterval) clearInterval(tournamentCheckInterval);
+        if (scheduledCheckInterval) clearInterval(scheduledCheckInterval);
+        tournamentCheckInterval = null;
+        scheduledCheckInterval = null;
+        if (running) await leaderLock.release(); // Let another instance take over now
+    }
+
+    return { loadTournamentState, restoreTournaments, checkTournament, checkSchedules, start, stop };
+}
+
+module.exports = { createScheduler };
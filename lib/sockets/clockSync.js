@@ -0,0 +1,109 @@
+// --- CLOCK SYNC (latency-compensated scoring) ---
+// NTP-style handshake over the socket. The client asks for a sync with 'cs'; the server
+// sends CLOCK_SYNC_SAMPLES pings ('cp' {i, s}) one after another and the client echoes
+// each with its own clock ('cp' {i, c}). RTT is measured on the server's hrtime only,
+// so a client can't fake a fast connection — only a slow one, which the bounds below cap.
+//
+// Why RTT and not RTT/2: the player stops on the server's 't' ticks, which reach them one
+// downlink latency late, and 'sp' then needs one uplink latency to arrive. The measured
+// duration is therefore long by one one-way latency on each leg. LATENCY_CORRECTION=one_way
+// switches to the classic RTT/2 for deployments that prefer the smaller correction.
+const {
+    CLOCK_SYNC_SAMPLES,
+    CLOCK_SYNC_MIN_SAMPLES,
+    CLOCK_SYNC_MAX_AGE_MS,
+    MAX_SYNC_JITTER_MS,
+    MAX_LATENCY_CORRECTION_MS,
+    LATENCY_CORRECTION
+} = require('../config');
+
+// Pure estimator: samples = [{ rtt, offset }] in ms, basis = 'rtt' | 'one_way'
+function estimateLatency(samples, basis = LATENCY_CORRECTION) {
+    if (!samples || samples.length === 0) return null;
+    const sorted = [...samples].sort((a, b) => a.rtt - b.rtt);
+    const best = sorted[0]; // Least queuing delay → most trustworthy sample
+    const median = sorted[Math.floor(sorted.length / 2)].rtt;
+    const jitter = median - best.rtt;
+
+    // Confidence window: enough samples and a stable connection, else no correction
+    const confident = samples.length >= CLOCK_SYNC_MIN_SAMPLES && jitter <= MAX_SYNC_JITTER_MS;
+    const oneWay = best.rtt / 2;
+    return {
+        rtt: best.rtt,
+        oneWay,
+        offset: best.offset, // client clock minus server clock (informational)
+        jitter,
+        samples: samples.length,
+        confident,
+        // Use the minimum RTT so we never correct by more than the fastest observed round trip
+        correctionMs: confident ? Math.min(basis === 'one_way' ? oneWay : best.rtt, MAX_LATENCY_CORRECTION_MS) : 0
+    };
+}
+
+function hrMs() {
+    return Number(process.hrtime.bigint()) / 1e6;
+}
+
+function createClockSync(ctx) {
+    const { state } = ctx;
+
+    // Begin (or restart) a handshake for this socket
+    function start(socket) {
+        state.clockSync.set(socket.id, { samples: [], pending: null, estimate: null, syncedAt: 0 });
+        sendPing(socket);
+    }
+
+    function sendPing(socket) {
+        const sync = state.clockSync.get(socket.id);
+        if (!sync) return;
+        const i = sync.samples.length + 1;
+        sync.pending = { i, sentAt: hrMs(), serverTime: ctx.now() };
+        socket.emit('cp', { i, s: sync.pending.serverTime });
+    }
+
+    // Client echo of a ping: { i, c: clientTimeMs }
+    function handlePong(socket, data) {
+        const sync = state.clockSync.get(socket.id);
+        if (!sync || !sync.pending || !data || data.i !== sync.pending.i) return;
+
+        const rtt = hrMs() - sync.pending.sentAt;
+        const clientTime = Number(data.c);
+        const offset = Number.isFinite(clientTime) ? clientTime - (sync.pending.serverTime + rtt / 2) : 0;
+        sync.samples.push({ rtt, offset });
+        sync.pending = null;
+
+        if (sync.samples.length < CLOCK_SYNC_SAMPLES) return sendPing(socket);
+
+        sync.estimate = estimateLatency(sync.samples);
+        sync.syncedAt = ctx.now();
+        const e = sync.estimate;
+        socket.emit('cs', {
+            rtt: Math.round(e.rtt * 10) / 10,
+            off: Math.round(e.offset),
+            j: Math.round(e.jitter * 10) / 10,
+            n: e.samples,
+            ok: e.confident ? 1 : 0
+        });
+    }
+
+    // Returns { raw, corrected, correction } in tenths of ms plus the estimate used
+    function correctDuration(socketId, rawTenths) {
+        const sync = state.clockSync.get(socketId);
+        const fresh = sync && sync.estimate && ctx.now() - sync.syncedAt <= CLOCK_SYNC_MAX_AGE_MS;
+        const correction = fresh ? Math.round(sync.estimate.correctionMs * 10) : 0;
+        return {
+            raw: rawTenths,
+            corrected: Math.max(0, rawTenths - correction),
+            correction,
+            estimate: fresh ? sync.estimate : null
+        };
+    }
+
+    function clear(socketId) {
+        state.clockSync.delete(socketId);
+    }
+
+    return { start, handlePong, correctDuration, clear };
+}
+
+module.exports = { createClockSync, estimateLatency };
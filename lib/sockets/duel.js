@@ -0,0 +1,44 @@
+// --- SOCKET.IO DUEL HANDLERS (see lib/duels) ---
+// dq: join queue { u, n, t, bo } | dl: leave queue / forfeit | dsp: stop the timer in a duel round
+
+function registerDuelSocket(io, ctx) {
+    const { checkRateLimit } = ctx.rateLimiter;
+    const { verifySocketPlayer, AUTH_ERROR_MESSAGES } = ctx.auth;
+    const STRICT_TOURNAMENT_AUTH = ctx.auth.strictTournamentAuth;
+    const duels = ctx.duels;
+
+    io.on('connection', (socket) => {
+        socket.on('dq', async (data = {}) => {
+            if (!checkRateLimit(socket, 'dq')) {
+                return socket.emit('to', 'Too many requests. Please wait.');
+            }
+            const player = await verifySocketPlayer(data, socket.id);
+
+            // Ratings are persistent, so duels follow the tournament auth rule
+            if (STRICT_TOURNAMENT_AUTH && !player.isVerified) {
+                console.log(`🚫 [AUTH] Rejected duel queue (${player.errorCode}) for claimed user ${data.u || socket.id}`);
+                return socket.emit('auth_error', {
+                    code: player.errorCode,
+                    msg: AUTH_ERROR_MESSAGES[player.errorCode],
+                    m: 'd'
+                });
+            }
+            await duels.queue(socket, player, data.bo);
+        });
+
+        socket.on('dl', async () => {
+            await duels.leave(socket.id);
+        });
+
+        socket.on('dsp', () => {
+            if (!checkRateLimit(socket, 'dsp')) return;
+            duels.handleStop(socket);
+        });
+
+        socket.on('disconnect', async () => {
+            await duels.leave(socket.id); // Mid-duel disconnect = forfeit
+        });
+    });
+}
+
+module.exports = { registerDuelSocket };
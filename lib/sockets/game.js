@@ -0,0 +1,590 @@
+// --- SOCKET.IO GAME HANDLERS (THE CLOUD TIMER ENGINE) ---
+const { getTournamentKey } = require('../tournaments/timing');
+const { ROUND_ERRORS } = require('./roundTokens');
+const { parseGameMode, leaderboardKey } = require('../tournaments/modes');
+const { randomLapTargets, lapDurations, scoreLaps } = require('../tournaments/multiTarget');
+const { cutoffTenths, readBlindConfig } = require('../tournaments/blind');
+const { roomChannel } = require('../tournaments/rooms');
+const { tournamentChannel } = require('../tournaments/registry');
+const { MULTI_TARGET_DEFAULT_LAPS, MULTI_TARGET_SCORING, BLIND_DEFAULT_CUTOFF } = require('../config');
+
+function registerGameSocket(io, ctx) {
+    const { redis, state, fbTrack } = ctx;
+    const { getTournamentTimeLeft, getTournamentPhase, getLeaderboardTimeLeft } = ctx.timing;
+    const { refreshLeaderboardCache } = ctx.lifecycle;
+    const { checkRateLimit } = ctx.rateLimiter;
+    const clockSync = ctx.clockSync;
+    const roundTokens = ctx.roundTokens;
+    const antiCheat = ctx.antiCheat;
+    const attempts = ctx.attempts;
+    const targets = ctx.targets;
+    const roundEngine = ctx.roundEngine;
+    const rooms = ctx.rooms;
+    const tournaments = ctx.tournaments;
+    const ranking = ctx.ranking;
+
+    // --- STRICT TOURNAMENT AUTH (see lib/auth.js) ---
+    const { verifySocketPlayer, AUTH_ERROR_MESSAGES } = ctx.auth;
+    const STRICT_TOURNAMENT_AUTH = ctx.auth.strictTournamentAuth;
+
+    function rejectRound(socket, session, code) {
+        console.log(`🚫 [ROUND] ${code} for ${session.userId}`);
+        socket.emit('round_error', { code, msg: ROUND_ERRORS[code] });
+    }
+
+    io.on('connection', (socket) => {
+        // console.log('User Connected:', socket.id);
+
+        // 1. INIT GAME -> 'ig'
+        socket.on('ig', async (data) => {
+            if (!checkRateLimit(socket, 'ig')) {
+                return socket.emit('to', 'Too many requests. Please wait.'); // 'to' = toast/error
+            }
+
+            // --- SECURITY CHECK ---
+            const { userId, email: userEmail, username, isVerified, errorCode: authErrorCode } = await verifySocketPlayer(data, socket.id);
+
+            // Mode: 'p' = Practice, 't' = Tournament (Default); variants 'mt'/'mp' (multi-target), 'bt'/'bp' (blind)
+            // tid: which active tournament to join (default: the featured one); rc: private room join code
+            const gameMode = parseGameMode(data.m);
+            const mode = gameMode.mode;
+            let game = gameMode.game;
+
+            // STRICT TOURNAMENT MODE: unverified sessions can't join (practice stays open)
+            if (mode === 't' && STRICT_TOURNAMENT_AUTH && !isVerified) {
+                console.log(`🚫 [AUTH] Rejected tournament join (${authErrorCode}) for claimed user ${data.u || socket.id}`);
+                return socket.emit('auth_error', {
+                    code: authErrorCode,
+                    msg: AUTH_ERROR_MESSAGES[authErrorCode],
+                    m: mode
+                });
+            }
+
+            // Get current tournament ID - the chosen one, else the featured state.currentTournamentKey
+            const noTournament = () => socket.emit('grd', {
+                t: 0,
+                b: -1,
+                r: -1,
+                tl: 0,
+                tid: null,
+                ph: 'n',
+                noTournament: true
+            });
+            let currentTournamentId;
+            let roomId = null;
+            let channel = null; // Socket.IO room with this tournament's scoped events
+            if (mode === 't' && data.rc) {
+                // Private room: its own tournament id, leaderboard and timing (see lib/tournaments/rooms.js)
+                try {
+                    roomId = await rooms.resolve(data.rc);
+                } catch (e) {
+                    console.error('❌ Room lookup error:', e.message);
+                    return socket.emit('to', 'Could not join the room, try again.');
+                }
+                if (!roomId) return socket.emit('to', 'Room not found or already ended.');
+                currentTournamentId = roomId;
+                channel = roomChannel(roomId);
+            } else if (mode === 't' && data.tid) {
+                // Explicit pick among the active tournaments (auto slot, scheduled, daily, manual);
+                // one started by another instance may not be in this copy of the registry yet
+                if (!tournaments.has(data.tid)) await tournaments.sync();
+                if (!tournaments.has(data.tid)) return noTournament();
+                currentTournamentId = data.tid;
+                channel = tournamentChannel(data.tid);
+            } else if (mode === 't') {
+                // Tournament mode - check if there's an active tournament
+                if (!state.currentTournamentKey) {
+                    // No active tournament - check if auto tournaments are enabled
+                    if (state.autoTournamentEnabled) {
+                        // Auto tournaments enabled - register the current slot
+                        tournaments.register(getTournamentKey(ctx.now()), 'auto');
+                        currentTournamentId = state.currentTournamentKey;
+                    } else {
+                        // Auto tournaments disabled - but scheduled/daily tournaments can still run
+                        // Check if there's a scheduled/daily tournament that should be active
+                        // If not, return no tournament
+                        return noTournament();
+                    }
+                } else {
+                    // Active tournament exists (could be auto, scheduled, manual, or daily)
+                    currentTournamentId = state.currentTournamentKey;
+                }
+            } else {
+                // Practice mode - use any tournament key for practice
+                currentTournamentId = getTournamentKey(ctx.now());
+            }
+
+            // Entry requirements (qualifier → final chains etc.) are checked before any session exists
+            if (mode === 't') {
+                const denied = await ctx.entry.check(currentTournamentId, { userId, email: userEmail });
+                if (denied) {
+                    console.log(`🚫 [ENTRY] ${userId} denied ${currentTournamentId} (${denied.code})`);
+                    return socket.emit('grd', {
+                        t: 0,
+                        b: -1,
+                        r: -1,
+                        tl: await getTournamentTimeLeft(currentTournamentId),
+                        tid: currentTournamentId,
+                        ph: await getTournamentPhase(currentTournamentId),
+                        entryDenied: true,
+                        er: denied // { code, msg, need?, have?, qid? }
+                    });
+                }
+            }
+
+            // Scoped events follow the tournament this socket plays; leave the previous one
+            const previous = state.sessionStore.get(socket.id);
+            if (previous && previous.channel && previous.channel !== channel) socket.leave(previous.channel);
+            if (channel) socket.join(channel);
+
+            // Get target time for tournament - SAME NUMBER FOR ALL USERS IN ONE TOURNAMENT
+            let targetTime;
+            let targetCommitment = null; // sha256 of the target seed, revealed when the tournament ends
+            if (mode === 't') {
+                // Tournament mode: same target for all users, generated from the tournament's seed
+                // (scheduled/daily/manual tournaments already have one; auto ones get it on first join)
+                try {
+                    targetTime = await targets.assign(currentTournamentId);
+                    const proof = await targets.getProof(currentTournamentId);
+                    targetCommitment = proof ? proof.commitment : null;
+                } catch (e) {
+                    console.error("❌ Error getting/setting tournament target:", e);
+                    // Fallback to random if Redis fails (2.0000s-3.4999s in tenths of ms)
+                    targetTime = Math.floor(Math.random() * 15000) + 20000;
+                }
+            } else {
+                // Practice mode: random target per user (2.0000s-3.4999s in tenths of ms)
+                targetTime = Math.floor(Math.random() * 15000) + 20000;
+            }
+
+            // Multi-target: the tournament's lap sequence (lap 1 = the tournament target)
+            let lapTargets = null;
+            let lapScoring = MULTI_TARGET_SCORING;
+            if (game === 'multi') {
+                if (mode === 't') {
+                    try {
+                        const seq = await targets.getLapTargets(currentTournamentId);
+                        if (seq) {
+                            lapTargets = seq.targets;
+                            lapScoring = seq.scoring;
+                        }
+                    } catch (e) {
+                        console.error("❌ Error getting lap targets:", e);
+                    }
+                    // No seed for this tournament: same sequence for everyone rather than a random one
+                    if (!lapTargets) lapTargets = Array(MULTI_TARGET_DEFAULT_LAPS).fill(targetTime);
+                } else {
+                    lapTargets = randomLapTargets(data.c);
+                }
+                targetTime = lapTargets[0];
+            }
+
+            // Blind: only if this tournament enables it, otherwise it's a regular round (grd 'gm' says which)
+            let blindCutoff = null;
+            if (game === 'blind') {
+                if (mode === 't') {
+                    const blind = readBlindConfig(await redis.hgetall(`tournament:info:${currentTournamentId}`));
+                    if (blind) blindCutoff = blind.cutoff;
+                    else game = 'single';
+                } else {
+                    blindCutoff = BLIND_DEFAULT_CUTOFF;
+                }
+            }
+            const boardKey = leaderboardKey(currentTournamentId, game);
+
+            // Fetch Best Score & Rank for CURRENT Tournament (ONLY IF TOURNAMENT MODE)
+            let bestScore = null;
+            let currentRank = null;
+
+            if (mode === 't') {
+                try {
+                    const [score, rank] = await Promise.all([
+                        redis.leaderboard.score(boardKey, userId),
+                        ranking.rank(boardKey, userId) // 1-based, ties resolved (see tournaments/ranking.js)
+                    ]);
+                    bestScore = score;
+                    currentRank = rank;
+                } catch (e) { console.error(e); }
+            }
+
+            // STORE IN MEMORY
+            const session = {
+                userId,
+                targetTime,
+                startTime: 0,
+                status: 'ready',
+                bestScore: bestScore,
+                tournamentId: currentTournamentId, // Lock user to this tournament ID
+                roomId, // Private room id (null = global tournament / practice)
+                channel, // Joined Socket.IO room (room:<id> / tournament:<id>), null = lobby broadcasts only
+                isVerified: isVerified, // Mark session as verified
+                mode: mode, // STORE MODE
+                game, // 'single' | 'multi' | 'blind'
+                lapTargets, // Multi-target only
+                lapScoring,
+                blindCutoff, // Blind only: fraction of the target that is streamed
+                splits: [], // hrtime of each 'lp' tap in the running round
+                round: null, // Current signed round (see roundTokens.js)
+                usedRounds: []
+            };
+            state.sessionStore.set(socket.id, session);
+
+            // Track active user (listed across instances, see lib/cluster.js)
+            await ctx.presence.add(socket.id, {
+                userId: userId,
+                email: userEmail,
+                username: username,
+                connectedAt: Date.now(),
+                lastActivity: Date.now(),
+                socketId: socket.id
+            });
+
+            // PERSIST user metadata in Redis (survives disconnect + server restart)
+            try {
+                if (userId) {
+                    await redis.hset(`user_meta:${userId}`, {
+                        email: userEmail || '',
+                        username: username || '',
+                        lastSeen: Date.now().toString()
+                    });
+                }
+            } catch (e) {
+                console.error('❌ Error saving user metadata:', e);
+            }
+
+            // Send Game Ready Data (grd)
+            // t: target, b: best, r: rank, tl: timeLeft (ms), tid: tournamentId, ph: phase, ltl: leaderboardTimeLeft
+            const timeLeft = await getTournamentTimeLeft(currentTournamentId);
+            const phase = await getTournamentPhase(currentTournamentId);
+            const lbTimeLeft = await getLeaderboardTimeLeft(currentTournamentId);
+
+            // Fetch Rewards for active tournament
+            let activeRewards = [];
+            try {
+                const rRaw = await redis.hget(`tournament:info:${currentTournamentId}`, 'rewards');
+                if (rRaw) {
+                    activeRewards = JSON.parse(rRaw);
+                } else if (currentTournamentId && currentTournamentId.includes('_daily_')) {
+                    // FALLBACK: Try to retrieve from daily schedule list if missing (for active tournaments created before fix)
+                    const dailySchedules = await redis.lrange('tournament:daily-schedules', 0, 99);
+                    for (const item of dailySchedules) {
+                        try {
+                            const s = JSON.parse(item);
+                            if (s.id && currentTournamentId.includes(s.id) && s.rewards && s.rewards.length > 0) {
+                                activeRewards = s.rewards;
+                                // Cache it to avoid repeated scanning
+                                await redis.hset(`tournament:info:${currentTournamentId}`, {
+                                    rewards: JSON.stringify(activeRewards)
+                                });
+                                console.log(`🔧 [FALLBACK] Recovered rewards for ${currentTournamentId} from schedule ${s.id}`);
+                                break;
+                            }
+                        } catch (e) { }
+                    }
+                }
+            } catch (e) { /* ignore */ }
+
+            socket.emit('grd', {
+                t: targetTime,
+                b: bestScore !== null ? bestScore : -1,
+                r: currentRank !== null ? currentRank : -1,
+                tl: timeLeft,
+                tid: currentTournamentId,
+                ph: phase,
+                ltl: lbTimeLeft,
+                rw: activeRewards, // Send Rewards
+                gm: game,
+                ...(game === 'multi' ? { ts: lapTargets, ls: lapScoring } : {}), // Lap targets + scoring ('sum' | 'max')
+                ...(game === 'blind' ? { bl: blindCutoff } : {}), // Blind: hide the display; 't' stops at bl × target
+                tc: targetCommitment, // Target commitment (verify at /api/tournament-target/:id after the end)
+                n: roundTokens.issue(session) // Signed round token: echo in 'st' and 'sp'
+            });
+            session.readyAt = Date.now(); // Start-gap baseline for the anti-cheat detector
+
+            // Facebook Conversions API: Track tournament join
+            fbTrack('ViewContent', { userId, email: userEmail }, {
+                content_name: mode === 't' ? 'tournament_join' : 'practice_join',
+                content_category: 'game',
+                tournament_id: currentTournamentId || 'practice'
+            });
+        });
+
+        // CLOCK SYNC -> 'cs' starts a handshake, 'cp' echoes each ping (see clockSync.js)
+        socket.on('cs', () => {
+            if (!checkRateLimit(socket, 'cs')) return;
+            clockSync.start(socket);
+        });
+        socket.on('cp', (data) => {
+            if (!checkRateLimit(socket, 'cp')) return;
+            clockSync.handlePong(socket, data);
+        });
+
+        // 2. START CLOUD TIMER -> 'st'
+        socket.on('st', async (data) => {
+            if (!checkRateLimit(socket, 'st')) return;
+            const session = state.sessionStore.get(socket.id);
+            if (!session) return;
+
+            const roundError = roundTokens.verify(session, data && data.n, 'st');
+            if (roundError) return rejectRound(socket, session, roundError);
+            // Before the first await: a second 'st' with the same token is now out of order
+            roundTokens.markStarted(session);
+
+            // SERVER-SIDE HEALTH CHECK (anti-cheat) — tournament mode only
+            if (session.mode === 't' && session.userId) {
+                try {
+                    // Deduct 1 health atomically; going below zero means there was none left
+                    const newHealth = await redis.incrby(`health:${session.userId}`, -1);
+                    if (newHealth < 0) {
+                        await redis.incrby(`health:${session.userId}`, 1);
+                        if (session.round) session.round.stage = 'issued'; // Not started: the token stays usable after a refill
+                        socket.emit('no_health', { health: 0 });
+                        return; // Block round start
+                    }
+                    if (newHealth <= 0) {
+                        await redis.set(`health_regen:${session.userId}`, Date.now());
+                    }
+                    socket.emit('health_update', { health: newHealth });
+                } catch (e) {
+                    console.error('❌ Health check error:', e.message);
+                }
+            }
+
+            // Blind rounds stream only up to the cutoff, then send 'th' (timer hidden) once
+            const streamUntil = session.game === 'blind' ? cutoffTenths(session.targetTime, session.blindCutoff) : Infinity;
+            roundEngine.start(socket, session, { streamUntil });
+            session.splits = [];
+            session.startGap = session.readyAt ? session.startTime - session.readyAt : null;
+        });
+
+        // 2b. LAP STOP (multi-target) -> 'lp'
+        // Ends the current lap; the last lap is ended by 'sp'
+        socket.on('lp', (data) => {
+            if (!checkRateLimit(socket, 'lp')) return;
+            const splitHrtime = process.hrtime.bigint();
+            const session = state.sessionStore.get(socket.id);
+            if (!session || session.game !== 'multi') return;
+
+            const roundError = roundTokens.verify(session, data && data.n, 'lp');
+            if (roundError) return rejectRound(socket, session, roundError);
+            if (session.status !== 'running') return;
+            if (session.splits.length >= session.lapTargets.length - 1) return; // Last lap needs 'sp'
+
+            session.splits.push(splitHrtime);
+            const i = session.splits.length - 1;
+            const [lap] = lapDurations(i === 0 ? session.startHrtime : session.splits[i - 1], [splitHrtime]);
+            // i: lap index, ft: lap time, tt: lap target (raw timing; the result in 'gr' is authoritative)
+            socket.emit('lp', { i, ft: lap, tt: session.lapTargets[i] });
+        });
+
+        // 3. STOP CLOUD TIMER -> 'sp'
+        socket.on('sp', async (data) => {
+            if (!checkRateLimit(socket, 'sp')) return;
+            const stopTime = Date.now();
+            const session = state.sessionStore.get(socket.id);
+
+            if (!session) {
+                socket.emit('game_over', { error: "Invalid Session" });
+                return;
+            }
+
+            // Checked before touching the timer so a forged 'sp' can't stop a real round
+            const roundError = roundTokens.verify(session, data && data.n, 'sp');
+            if (roundError) return rejectRound(socket, session, roundError);
+
+            roundEngine.stopStream(socket.id);
+
+            // Update active user last activity
+            if (state.activeUsers.has(socket.id)) {
+                state.activeUsers.get(socket.id).lastActivity = Date.now();
+            }
+
+            if (session.status !== 'running') return; // Prevent double submission
+            session.status = 'finished';
+            roundTokens.markFinished(session);
+
+            // Use hrtime for sub-ms precision (tenths of ms)
+            const { rawDuration, stopHrtime } = roundEngine.measure(session, stopTime);
+            let target = session.targetTime;
+
+            // Latency compensation: both values are kept, the scoring mode picks which one ranks
+            const timing = clockSync.correctDuration(socket.id, rawDuration);
+            const compensated = ctx.scoringMode === 'compensated';
+            const serverDuration = compensated ? timing.corrected : rawDuration;
+
+            // FINAL CALCULATION (in tenths of ms)
+            const multi = session.game === 'multi' && !!session.startHrtime;
+            let diff = Math.abs(serverDuration - target);
+            let stopError = serverDuration - target; // Signed, for the anti-cheat detector
+            let laps = null;
+            if (multi) {
+                // Score the laps: every 'lp' tap plus this stop
+                const durations = lapDurations(session.startHrtime, [...session.splits, stopHrtime]);
+                const result = scoreLaps(durations, session.lapTargets, session.lapScoring, compensated ? timing.correction : 0);
+                laps = result.laps;
+                diff = result.score;
+                target = session.lapTargets.reduce((a, b) => a + b, 0);
+                stopError = laps[0].ft - laps[0].tt; // Lap 1 is timed exactly like a single round
+            }
+            const win = diff === 0;
+
+            // --- TOURNAMENT LOGIC ---
+            let newRecord = false;
+            let rank = null;
+            let bestScore = session.bestScore;
+            // Use session's locked tournament ID (set at connect time) — NOT getTournamentKey()
+            // getTournamentKey() generates auto-keys which break custom/daily/scheduled tournaments
+            const currentTournamentId = session.tournamentId || state.currentTournamentKey || getTournamentKey(session.startTime);
+            const boardKey = leaderboardKey(currentTournamentId, session.game);
+
+            // ONLY UPDATE REDIS IF IN TOURNAMENT MODE (and identity is verified in strict mode)
+            const canRecord = session.isVerified || !STRICT_TOURNAMENT_AUTH;
+            if (session.mode === 't' && !canRecord) {
+                console.log(`🚫 [AUTH] Unverified session ${socket.id} (${session.userId}) - score not recorded`);
+            }
+            if (session.mode === 't' && canRecord) {
+                // Every round (not just the best) feeds the anti-cheat detector — fire and forget
+                antiCheat.recordRound(session.userId, {
+                    e: stopError,
+                    g: session.startGap,
+                    tid: currentTournamentId
+                });
+
+                // ONLY Update Redis if High Score (Lower Diff is Better)
+                if (bestScore === null || diff < bestScore) {
+                    newRecord = true;
+                    bestScore = diff;
+                    session.bestScore = bestScore;
+
+                    try {
+                        // UPDATE REDIS
+                        // Uses 'LT' (Less Than) option if available in newer Redis, 
+                        // but our manual check above covers it. 
+                        // We overwrite because we already verified it's better.
+                        // The achievement time breaks ties (see tournaments/ranking.js)
+                        await ranking.record(boardKey, session.userId, diff);
+
+                        // STORE ACTUAL TIME SEPARATELY (for display)
+                        // We need the actual time because zadd only stores difference
+                        await redis.hset(`tournament_times:${boardKey}`, session.userId, serverDuration);
+
+                        // Audit trail: raw vs corrected duration behind the leaderboard score
+                        await redis.hset(`tournament_timing:${boardKey}`, session.userId, JSON.stringify({
+                            raw: timing.raw,
+                            corrected: timing.corrected,
+                            lc: timing.correction,
+                            rtt: timing.estimate ? timing.estimate.rtt : null,
+                            j: timing.estimate ? timing.estimate.jitter : null,
+                            n: timing.estimate ? timing.estimate.samples : 0,
+                            mode: ctx.scoringMode,
+                            ts: Date.now()
+                        }));
+                        await redis.expire(`tournament_timing:${boardKey}`, 86400); // Archived to Supabase at play-time end
+
+                        // Get Updated Rank
+                        rank = await ranking.rank(boardKey, session.userId);
+                    } catch (e) { console.error(e); }
+                } else {
+                    // Fetch current rank anyway (even if score didn't improve)
+                    try {
+                        rank = await ranking.rank(boardKey, session.userId);
+                    } catch (e) { }
+                }
+            }
+
+            // Per-attempt log (every round, every mode) — batched to Supabase
+            attempts.record({
+                userId: session.userId,
+                tournamentId: session.mode === 't' ? currentTournamentId : null,
+                mode: session.mode,
+                target,
+                duration: serverDuration,
+                rawDuration: timing.raw,
+                diff,
+                correction: timing.correction,
+                rtt: timing.estimate ? timing.estimate.rtt : null,
+                verified: session.isVerified,
+                newRecord,
+                game: session.game,
+                laps
+            });
+
+            // Use Cached Leaderboard
+            const top3 = session.mode === 't' ? await refreshLeaderboardCache(boardKey) : [];
+            const optimizedLeaders = top3.map(p => ({ u: p.user, s: p.score, r: p.rank }));
+
+            // Save BEST score per tournament (not every try)
+            if (session.userId && session.mode === 't' && newRecord) {
+                try {
+                    const gameEntry = JSON.stringify({
+                        ts: Date.now(),
+                        diff: diff,
+                        time: serverDuration,
+                        raw: timing.raw,
+                        corrected: timing.corrected,
+                        target: target,
+                        rank: rank,
+                        win: win ? 1 : 0,
+                        tid: currentTournamentId,
+                        game: session.game
+                    });
+                    const historyKey = `user:best_games:${session.userId}`;
+                    await redis.hset(historyKey, boardKey, gameEntry);
+                    await redis.expire(historyKey, 86400 * 7); // 7 days TTL
+                    // Trim to last 10 tournaments (cleanup old entries)
+                    const allFields = await redis.hkeys(historyKey);
+                    if (allFields.length > 10) {
+                        // Parse all entries, sort by timestamp, remove oldest
+                        const entries = [];
+                        for (const f of allFields) {
+                            try { entries.push({ field: f, data: JSON.parse(await redis.hget(historyKey, f)) }); } catch {}
+                        }
+                        entries.sort((a, b) => (b.data.ts || 0) - (a.data.ts || 0));
+                        const toRemove = entries.slice(10).map(e => e.field);
+                        if (toRemove.length > 0) await redis.hdel(historyKey, ...toRemove);
+                    }
+                } catch (e) { /* ignore history save errors */ }
+            }
+
+            socket.emit('gr', {
+                w: win ? 1 : 0,
+                d: diff,
+                ft: serverDuration,
+                rft: timing.raw, // Raw server-measured duration
+                lc: timing.correction, // Latency correction available (tenths of ms)
+                tt: target,
+                r: rank,
+                bs: bestScore,
+                nr: newRecord ? 1 : 0,
+                tl: optimizedLeaders,
+                tid: currentTournamentId,
+                gm: session.game,
+                ...(multi ? { lps: laps } : {}), // Per-lap { ft, tt, d }; d/ft/tt above are the totals
+                rem: await getTournamentTimeLeft(session.tournamentId || state.currentTournamentKey),
+                ph: await getTournamentPhase(session.tournamentId || state.currentTournamentKey),
+                n: roundTokens.issue(session) // Token for the next round
+            });
+            session.readyAt = Date.now();
+
+            // Facebook Conversions API: Track game complete
+            fbTrack('CompleteRegistration', { userId: session.userId, email: session.email }, {
+                content_name: 'game_round_complete',
+                status: win ? 'win' : 'loss',
+                value: diff,
+                currency: 'USD'
+            });
+        });
+
+        socket.on('disconnect', () => {
+            roundEngine.stopStream(socket.id);
+            state.sessionStore.delete(socket.id);
+            clockSync.clear(socket.id);
+            const removed = ctx.presence.remove(socket.id); // Remove from active users
+            if (removed) {
+                console.log(`❌ Active User Removed: ${socket.id} - Total Active: ${state.activeUsers.size}`);
+            }
+        });
+    });
+}
+
+module.exports = { registerGameSocket };
@@ -0,0 +1,26 @@
+// --- SOCKET.IO LIVE LEADERBOARD HANDLERS (see lib/tournaments/liveBoard.js) ---
+// ls: subscribe { n, a } to the board of this socket's tournament session | lu: unsubscribe
+
+function registerLeaderboardSocket(io, ctx) {
+    const { checkRateLimit } = ctx.rateLimiter;
+    const liveBoards = ctx.liveBoards;
+
+    io.on('connection', (socket) => {
+        socket.on('ls', async (data = {}) => {
+            if (!checkRateLimit(socket, 'ls')) {
+                return socket.emit('to', 'Too many requests. Please wait.');
+            }
+            await liveBoards.subscribe(socket, data || {});
+        });
+
+        socket.on('lu', () => {
+            liveBoards.unsubscribe(socket.id);
+        });
+
+        socket.on('disconnect', () => {
+            liveBoards.unsubscribe(socket.id);
+        });
+    });
+}
+
+module.exports = { registerLeaderboardSocket };
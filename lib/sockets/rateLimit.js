@@ -0,0 +1,57 @@
+// --- RATE LIMITING (SECURITY PHASE 3) ---
+const RATE_LIMITS = {
+    'ig': { max: 10, window: 60 * 1000 },    // 10 Games per minute
+    'st': { max: 5, window: 10 * 1000 },     // 5 Starts per 10 seconds (Prevents rapid retries)
+    'sp': { max: 10, window: 20 * 1000 },    // 10 Stops per 20 seconds
+    'lp': { max: 40, window: 20 * 1000 },    // Lap stops (multi-target: up to 4 per round)
+    'cs': { max: 5, window: 60 * 1000 },     // 5 Clock-sync handshakes per minute
+    'dq': { max: 5, window: 60 * 1000 },     // 5 Duel queue joins per minute
+    'dsp': { max: 10, window: 20 * 1000 },   // Duel stops
+    'ls': { max: 10, window: 60 * 1000 },    // Live leaderboard subscriptions
+    'default': { max: 20, window: 1000 }     // 20 Packets per second (General DOS)
+};
+
+function createRateLimiter() {
+    const requestCounts = new Map(); // Key: socket.id + event
+    let cleanupInterval = null;
+
+    function checkRateLimit(socket, event) {
+        const key = `${socket.id}:${event}`;
+        const limit = RATE_LIMITS[event] || RATE_LIMITS['default'];
+        const now = Date.now();
+
+        if (!requestCounts.has(key)) {
+            requestCounts.set(key, []);
+        }
+
+        const timestamps = requestCounts.get(key);
+
+        // Remove old timestamps outside the window
+        const newTimestamps = timestamps.filter(t => now - t < limit.window);
+
+        if (newTimestamps.length >= limit.max) {
+            return false; // Rate limit exceeded
+        }
+
+        newTimestamps.push(now);
+        requestCounts.set(key, newTimestamps);
+        return true;
+    }
+
+    // Cleanup Interval (Every 5 mins clear old memory)
+    function start() {
+        stop();
+        cleanupInterval = setInterval(() => {
+            requestCounts.clear();
+        }, 5 * 60 * 1000);
+    }
+
+    function stop() {
+        if (cleanupInterval) clearInterval(cleanupInterval);
+        cleanupInterval = null;
+    }
+
+    return { checkRateLimit, start, stop };
+}
+
+module.exports = { createRateLimiter, RATE_LIMITS };
@@ -0,0 +1,56 @@
+// --- HRTIME ROUND ENGINE ---
+// The server owns the clock: a round starts on the server's hrtime, elapsed time is
+// streamed as 't' every 100ms, and the duration is measured on the server at stop.
+// Shared by solo rounds ('st'/'sp') and duels. Durations are tenths of ms.
+
+function createRoundEngine(ctx) {
+    const { state } = ctx;
+
+    // round: the object being timed (game session, duel player) — gets startHrtime/startTime/status
+    // streamUntil: stop streaming at this elapsed time and send 'th' once (blind rounds; 0 = never stream)
+    function start(socket, round, { streamUntil = Infinity } = {}) {
+        const startHrtime = process.hrtime.bigint(); // nanosecond precision
+        const startTime = Date.now(); // keep for compatibility
+
+        stopStream(socket.id);
+        if (streamUntil > 0) {
+            const intervalId = setInterval(() => {
+                const elapsed = Number((process.hrtime.bigint() - startHrtime) / 100000n); // tenths of ms
+                if (elapsed >= streamUntil) {
+                    clearInterval(intervalId);
+                    if (state.gameIntervals.get(socket.id) === intervalId) state.gameIntervals.delete(socket.id);
+                    return socket.emit('th');
+                }
+                socket.emit('t', elapsed);
+            }, 100);
+
+            state.gameIntervals.set(socket.id, intervalId);
+        } else {
+            socket.emit('th');
+        }
+
+        round.startTime = startTime;
+        round.startHrtime = startHrtime;
+        round.status = 'running';
+    }
+
+    function stopStream(socketId) {
+        if (state.gameIntervals.has(socketId)) {
+            clearInterval(state.gameIntervals.get(socketId));
+            state.gameIntervals.delete(socketId);
+        }
+    }
+
+    // Server-measured duration → { rawDuration, stopHrtime }
+    function measure(round, stopTime = Date.now()) {
+        const stopHrtime = process.hrtime.bigint();
+        const rawDuration = round.startHrtime
+            ? Number((stopHrtime - round.startHrtime) / 100000n)
+            : (stopTime - round.startTime) * 10; // fallback: convert ms to tenths
+        return { rawDuration, stopHrtime };
+    }
+
+    return { start, stopStream, measure };
+}
+
+module.exports = { createRoundEngine };
@@ -0,0 +1,86 @@
+// --- SIGNED ROUND TOKENS (replay protection for st/sp) ---
+// Every 'grd' / 'gr' carries a fresh token for the NEXT round. 'st' and 'sp' must echo it.
+// The token is an HMAC-signed payload binding the round to the session's tournamentId,
+// target and user, so it can't be forged, reused, or carried over to another tournament.
+// Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+const crypto = require('crypto');
+
+const ROUND_ERRORS = {
+    ROUND_TOKEN_MISSING: 'Round token missing. Please reload.',
+    ROUND_TOKEN_INVALID: 'Invalid round token.',
+    ROUND_TOKEN_REPLAYED: 'This round was already played.',
+    ROUND_TOKEN_STALE: 'Round expired. Please reload.',
+    ROUND_TOKEN_MISMATCH: 'Round does not match this tournament.',
+    ROUND_OUT_OF_ORDER: 'Round events out of order.'
+};
+
+const USED_ROUNDS_KEPT = 20; // Recent round ids remembered per session for replay detection
+
+function createRoundTokens({ secret } = {}) {
+    // Without a configured secret tokens only validate on this process (see ROUND_TOKEN_SECRET)
+    const key = secret || crypto.randomBytes(32).toString('hex');
+
+    function sign(body) {
+        return crypto.createHmac('sha256', key).update(body).digest('base64url');
+    }
+
+    // Start a new round on the session and return its token
+    function issue(session) {
+        const payload = {
+            r: crypto.randomBytes(12).toString('base64url'),
+            u: session.userId,
+            tid: session.tournamentId,
+            t: session.targetTime
+        };
+        const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const token = `${body}.${sign(body)}`;
+        session.round = { id: payload.r, stage: 'issued' };
+        return token;
+    }
+
+    function decode(token) {
+        if (typeof token !== 'string') return null;
+        const [body, sig] = token.split('.');
+        if (!body || !sig) return null;
+        const expected = Buffer.from(sign(body));
+        const given = Buffer.from(sig);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+        try {
+            return JSON.parse(Buffer.from(body, 'base64url').toString());
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Returns an error code (key of ROUND_ERRORS) or null if the token is valid for `stage`
+    // ('st' needs a fresh round; 'lp' and 'sp' a started one)
+    function verify(session, token, stage) {
+        if (!token) return 'ROUND_TOKEN_MISSING';
+        const payload = decode(token);
+        if (!payload) return 'ROUND_TOKEN_INVALID';
+        if (session.usedRounds.includes(payload.r)) return 'ROUND_TOKEN_REPLAYED';
+        if (!session.round || payload.r !== session.round.id) return 'ROUND_TOKEN_STALE';
+        if (payload.tid !== session.tournamentId || payload.t !== session.targetTime || payload.u !== session.userId) {
+            return 'ROUND_TOKEN_MISMATCH';
+        }
+        const expectedStage = stage === 'st' ? 'issued' : 'started';
+        if (session.round.stage !== expectedStage) return 'ROUND_OUT_OF_ORDER';
+        return null;
+    }
+
+    // 'st' accepted: the round is running
+    function markStarted(session) {
+        session.round.stage = 'started';
+    }
+
+    // 'sp' accepted: burn the round id so the token can never be used again
+    function markFinished(session) {
+        session.usedRounds.push(session.round.id);
+        if (session.usedRounds.length > USED_ROUNDS_KEPT) session.usedRounds.shift();
+        session.round = null;
+    }
+
+    return { issue, verify, markStarted, markFinished };
+}
+
+module.exports = { createRoundTokens, ROUND_ERRORS };
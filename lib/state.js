@@ -0,0 +1,30 @@
+// --- IN-MEMORY STATE (For Extreme Performance) ---
+// Process-local state shared by routes, socket handlers and the scheduler.
+// One instance per app (see lib/app.js), so tests get a clean slate each time.
+
+function createState() {
+    return {
+        // Global tournament management
+        tournaments: new Map(), // Active tournaments: id -> {id, type, startedAt, lastPhase, archived} (see tournaments/registry.js)
+        currentTournamentKey: null, // Featured tournament (newest custom, else auto); kept in sync by the registry
+        autoTournamentEnabled: true, // Auto tournament enabled by default
+        lastBroadcastPhase: null, // Last featured-tournament phase sent to everyone (lobby 'tu')
+        lastBroadcastTournament: null, // ...and which tournament it was for
+
+        // Hot session data (replaces Redis)
+        gameIntervals: new Map(),
+        sessionStore: new Map(),
+        activeUsers: new Map(), // socketId -> {userId, email, username, connectedAt, lastActivity}
+        clockSync: new Map(), // socketId -> {samples, pending, estimate, syncedAt}
+
+        // Duels (see lib/duels)
+        duelQueue: [], // [{socket, userId, username, rating, bestOf, joinedAt}], oldest first
+        duels: new Map(), // duelId -> duel
+        duelBySocket: new Map(), // socketId -> duelId
+
+        // Leaderboard cache: board key (tournament id or variant board) -> {top3: [{user, score, rank}], at, version}
+        leaderboardCache: new Map()
+    };
+}
+
+module.exports = { createState };
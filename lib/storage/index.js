@@ -0,0 +1,30 @@
+// --- STORAGE ADAPTER ---
+// Single entry point for Redis-backed state. Picks a driver from the URL:
+//   memory://          → in-process store (local dev / tests, no Redis needed)
+//   https://*.upstash  → Upstash HTTP client (serverless)
+//   anything else      → ioredis TCP client (AWS/Render/Local)
+// Every driver exposes the raw commands the server uses, typed leaderboard
+// operations on `storage.leaderboard` (see ./leaderboard.js) and
+// `setIfAbsent(key, value, ttlSeconds)` for SET NX EX (signatures differ per client)
+// and `hgetallMany(keys)` for pipelined HGETALLs (one round trip, [{...}] in key order).
+
+const { parseWithScores } = require('./leaderboard');
+
+function createStorage(options = {}) {
+    const url = options.url || '';
+    const driver = options.driver ||
+        (url.startsWith('memory:') ? 'memory' : url.includes('upstash') ? 'upstash' : 'ioredis');
+
+    if (driver === 'memory') {
+        console.log("🔌 Using In-Memory Storage (no Redis)");
+        return require('./memory').createMemoryStorage(options);
+    }
+    if (driver === 'upstash') {
+        console.log("🔌 Connecting to Upstash Redis (HTTP Mode)");
+        return require('./upstash').createUpstashStorage(options);
+    }
+    console.log("🔌 Connecting to Standard Redis (TCP Mode)");
+    return require('./ioredis').createIORedisStorage(options);
+}
+
+module.exports = { createStorage, parseWithScores };
@@ -0,0 +1,24 @@
+// --- IOREDIS DRIVER (TCP Mode - AWS/Render/Local) ---
+const { createLeaderboard } = require('./leaderboard');
+
+function createIORedisStorage({ url } = {}) {
+    const IORedis = require('ioredis');
+    const client = new IORedis(url || 'redis://localhost:6379');
+
+    client.driver = 'ioredis';
+    // SET NX EX: true if this call created the key
+    client.setIfAbsent = async (key, value, ttlSeconds) =>
+        (await client.set(key, value, 'EX', ttlSeconds, 'NX')) === 'OK';
+    client.hgetallMany = async (keys) => {
+        if (keys.length === 0) return [];
+        const results = await client.pipeline(keys.map(key => ['hgetall', key])).exec();
+        return results.map(([err, hash]) => (err ? {} : hash || {}));
+    };
+    client.leaderboard = createLeaderboard(client, {
+        add: async (key, score, member) => { await client.zadd(key, score, member); },
+        rangeWithScores: (key, start, stop) => client.zrange(key, start, stop, 'WITHSCORES')
+    });
+    return client;
+}
+
+module.exports = { createIORedisStorage };
@@ -0,0 +1,49 @@
+// --- TYPED LEADERBOARD OPERATIONS ---
+// Sorted-set helpers shared by every storage driver. Scores are diffs in
+// tenths of ms (lower = better), so rank 0 is the current leader.
+
+// Normalize ZRANGE ... WITHSCORES output into [{ member, score }].
+// Handles both the flat array format ([m1, s1, m2, s2]) and the object format ([{ member, score }]).
+function parseWithScores(raw) {
+    const entries = [];
+    if (!Array.isArray(raw) || raw.length === 0) return entries;
+
+    if (typeof raw[0] === 'object' && raw[0] !== null) {
+        raw.forEach(x => entries.push({ member: x.member, score: parseFloat(x.score) }));
+    } else {
+        for (let i = 0; i + 1 < raw.length; i += 2) {
+            entries.push({ member: String(raw[i]), score: parseFloat(raw[i + 1]) });
+        }
+    }
+    return entries;
+}
+
+// Drivers only supply the two commands whose signatures differ between clients.
+function createLeaderboard(client, { add, rangeWithScores }) {
+    return {
+        add,
+        async range(key, start = 0, stop = -1) {
+            return parseWithScores(await rangeWithScores(key, start, stop));
+        },
+        async top(key, count) {
+            if (count <= 0) return [];
+            return this.range(key, 0, count - 1);
+        },
+        async rank(key, member) {
+            const rank = await client.zrank(key, member);
+            return rank === null || rank === undefined ? null : Number(rank);
+        },
+        async score(key, member) {
+            const score = await client.zscore(key, member);
+            return score === null || score === undefined ? null : parseFloat(score);
+        },
+        async remove(key, member) {
+            return (await client.zrem(key, member)) > 0;
+        },
+        async count(key) {
+            return Number(await client.zcard(key)) || 0;
+        }
+    };
+}
+
+module.exports = { parseWithScores, createLeaderboard };
@@ -0,0 +1,306 @@
+// --- IN-MEMORY DRIVER (Local dev / tests) ---
+// Implements the subset of Redis commands the server uses, with ioredis-style
+// return values (strings for scalars, flat arrays for WITHSCORES, {} for a missing hash).
+// Nothing is persisted: restarting the process wipes everything.
+const { createLeaderboard } = require('./leaderboard');
+
+function createMemoryStorage({ now = () => Date.now() } = {}) {
+    const data = new Map(); // key -> { type, value, expiresAt }
+
+    // Lazily drop expired keys on access (no background sweeper)
+    function entry(key) {
+        const e = data.get(key);
+        if (!e) return null;
+        if (e.expiresAt !== null && e.expiresAt <= now()) {
+            data.delete(key);
+            return null;
+        }
+        return e;
+    }
+
+    function typed(key, type, create) {
+        const e = entry(key);
+        if (e) {
+            if (e.type !== type) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+            return e.value;
+        }
+        if (!create) return null;
+        const value = type === 'hash' || type === 'zset' ? new Map() : type === 'set' ? new Set() : [];
+        data.set(key, { type, value, expiresAt: null });
+        return value;
+    }
+
+    function listIndex(len, i) {
+        return i < 0 ? len + i : i;
+    }
+
+    function sliceRange(arr, start, stop) {
+        const s = Math.max(0, listIndex(arr.length, parseInt(start)));
+        const e = Math.min(arr.length - 1, listIndex(arr.length, parseInt(stop)));
+        return s > e ? [] : arr.slice(s, e + 1);
+    }
+
+    function sortedZset(key) {
+        const z = typed(key, 'zset', false);
+        if (!z) return [];
+        return Array.from(z.entries())
+            .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    }
+
+    function globToRegex(pattern) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp(`^${escaped}$`);
+    }
+
+    const client = {
+        driver: 'memory',
+
+        // --- KEYS ---
+        async del(...keys) {
+            let count = 0;
+            for (const k of keys.flat()) if (entry(k) && data.delete(k)) count++;
+            return count;
+        },
+        async exists(...keys) {
+            return keys.flat().filter(k => entry(k)).length;
+        },
+        async expire(key, seconds) {
+            const e = entry(key);
+            if (!e) return 0;
+            e.expiresAt = now() + parseInt(seconds) * 1000;
+            return 1;
+        },
+        async pexpire(key, ms) {
+            const e = entry(key);
+            if (!e) return 0;
+            e.expiresAt = now() + parseInt(ms);
+            return 1;
+        },
+        async ttl(key) {
+            const e = entry(key);
+            if (!e) return -2;
+            if (e.expiresAt === null) return -1;
+            return Math.ceil((e.expiresAt - now()) / 1000);
+        },
+        async keys(pattern) {
+            const re = globToRegex(pattern);
+            return Array.from(data.keys()).filter(k => entry(k) && re.test(k));
+        },
+        async type(key) {
+            const e = entry(key);
+            return e ? e.type : 'none';
+        },
+
+        // --- STRINGS ---
+        async get(key) {
+            const v = typed(key, 'string', false);
+            return v === null ? null : v;
+        },
+        // Supports: set(key, val), set(key, val, 'EX', s), set(key, val, 'PX', ms), plus 'NX' / 'XX'
+        async set(key, value, ...args) {
+            let expiresAt = null;
+            let nx = false;
+            let xx = false;
+            for (let i = 0; i < args.length; i++) {
+                const opt = String(args[i]).toUpperCase();
+                if (opt === 'EX') expiresAt = now() + parseInt(args[++i]) * 1000;
+                else if (opt === 'PX') expiresAt = now() + parseInt(args[++i]);
+                else if (opt === 'NX') nx = true;
+                else if (opt === 'XX') xx = true;
+            }
+            const exists = !!entry(key);
+            if ((nx && exists) || (xx && !exists)) return null;
+            data.set(key, { type: 'string', value: String(value), expiresAt });
+            return 'OK';
+        },
+        // SET NX EX: true if this call created the key (same helper as the other drivers)
+        async setIfAbsent(key, value, ttlSeconds) {
+            return (await client.set(key, value, 'EX', ttlSeconds, 'NX')) === 'OK';
+        },
+        async setex(key, seconds, value) {
+            data.set(key, { type: 'string', value: String(value), expiresAt: now() + parseInt(seconds) * 1000 });
+            return 'OK';
+        },
+        async incrby(key, by) {
+            const e = entry(key);
+            const next = (e ? parseInt(e.value) || 0 : 0) + parseInt(by);
+            data.set(key, { type: 'string', value: String(next), expiresAt: e ? e.expiresAt : null });
+            return next;
+        },
+        async incr(key) {
+            return client.incrby(key, 1);
+        },
+
+        // --- HASHES ---
+        // Supports: hset(key, field, value, ...) and hset(key, { field: value })
+        async hset(key, ...args) {
+            const h = typed(key, 'hash', true);
+            const pairs = [];
+            if (typeof args[0] === 'object' && args[0] !== null) {
+                pairs.push(...Object.entries(args[0]));
+            } else {
+                for (let i = 0; i + 1 < args.length; i += 2) pairs.push([args[i], args[i + 1]]);
+            }
+            let added = 0;
+            for (const [f, v] of pairs) {
+                if (!h.has(String(f))) added++;
+                h.set(String(f), String(v));
+            }
+            return added;
+        },
+        async hsetnx(key, field, value) {
+            const h = typed(key, 'hash', true);
+            if (h.has(String(field))) return 0;
+            h.set(String(field), String(value));
+            return 1;
+        },
+        async hget(key, field) {
+            const h = typed(key, 'hash', false);
+            return h && h.has(field) ? h.get(field) : null;
+        },
+        async hmget(key, ...fields) {
+            const h = typed(key, 'hash', false);
+            return fields.flat().map(f => (h && h.has(f) ? h.get(f) : null));
+        },
+        async hgetall(key) {
+            const h = typed(key, 'hash', false);
+            return h ? Object.fromEntries(h) : {};
+        },
+        async hgetallMany(keys) {
+            return keys.map(key => {
+                const h = typed(key, 'hash', false);
+                return h ? Object.fromEntries(h) : {};
+            });
+        },
+        async hkeys(key) {
+            const h = typed(key, 'hash', false);
+            return h ? Array.from(h.keys()) : [];
+        },
+        async hdel(key, ...fields) {
+            const h = typed(key, 'hash', false);
+            if (!h) return 0;
+            return fields.flat().filter(f => h.delete(f)).length;
+        },
+        async hincrby(key, field, by) {
+            const h = typed(key, 'hash', true);
+            const next = (parseInt(h.get(field)) || 0) + parseInt(by);
+            h.set(field, String(next));
+            return next;
+        },
+
+        // --- LISTS ---
+        async lpush(key, ...values) {
+            const l = typed(key, 'list', true);
+            values.flat().forEach(v => l.unshift(String(v)));
+            return l.length;
+        },
+        async rpush(key, ...values) {
+            const l = typed(key, 'list', true);
+            values.flat().forEach(v => l.push(String(v)));
+            return l.length;
+        },
+        async lrange(key, start, stop) {
+            const l = typed(key, 'list', false);
+            return l ? sliceRange(l, start, stop) : [];
+        },
+        async ltrim(key, start, stop) {
+            const l = typed(key, 'list', false);
+            if (!l) return 'OK';
+            const kept = sliceRange(l, start, stop);
+            l.splice(0, l.length, ...kept);
+            if (l.length === 0) data.delete(key);
+            return 'OK';
+        },
+        async llen(key) {
+            const l = typed(key, 'list', false);
+            return l ? l.length : 0;
+        },
+
+        // --- SETS ---
+        async sadd(key, ...members) {
+            const s = typed(key, 'set', true);
+            let added = 0;
+            members.flat().forEach(m => { if (!s.has(String(m))) { s.add(String(m)); added++; } });
+            return added;
+        },
+        async srem(key, ...members) {
+            const s = typed(key, 'set', false);
+            if (!s) return 0;
+            return members.flat().filter(m => s.delete(String(m))).length;
+        },
+        async smembers(key) {
+            const s = typed(key, 'set', false);
+            return s ? Array.from(s) : [];
+        },
+        async sismember(key, member) {
+            const s = typed(key, 'set', false);
+            return s && s.has(String(member)) ? 1 : 0;
+        },
+
+        // --- SORTED SETS ---
+        // zadd(key, score, member, score2, member2, ...)
+        async zadd(key, ...args) {
+            const z = typed(key, 'zset', true);
+            let added = 0;
+            for (let i = 0; i + 1 < args.length; i += 2) {
+                const member = String(args[i + 1]);
+                if (!z.has(member)) added++;
+                z.set(member, parseFloat(args[i]));
+            }
+            return added;
+        },
+        async zrange(key, start, stop, withScores) {
+            const range = sliceRange(sortedZset(key), start, stop);
+            if (withScores && String(withScores).toUpperCase() === 'WITHSCORES') {
+                return range.flatMap(([m, s]) => [m, String(s)]);
+            }
+            return range.map(([m]) => m);
+        },
+        async zrank(key, member) {
+            const idx = sortedZset(key).findIndex(([m]) => m === String(member));
+            return idx === -1 ? null : idx;
+        },
+        async zscore(key, member) {
+            const z = typed(key, 'zset', false);
+            return z && z.has(String(member)) ? String(z.get(String(member))) : null;
+        },
+        async zrem(key, ...members) {
+            const z = typed(key, 'zset', false);
+            if (!z) return 0;
+            return members.flat().filter(m => z.delete(String(m))).length;
+        },
+        async zcard(key) {
+            const z = typed(key, 'zset', false);
+            return z ? z.size : 0;
+        },
+        // min / max: numbers, '-inf' / '+inf', or '(' + number for an exclusive bound
+        async zcount(key, min, max) {
+            const bound = v => {
+                const str = String(v);
+                if (str === '-inf' || str === '+inf' || str === 'inf') return { value: str === '-inf' ? -Infinity : Infinity, open: false };
+                return str.startsWith('(') ? { value: parseFloat(str.slice(1)), open: true } : { value: parseFloat(str), open: false };
+            };
+            const lo = bound(min);
+            const hi = bound(max);
+            return sortedZset(key).filter(([, s]) =>
+                (lo.open ? s > lo.value : s >= lo.value) && (hi.open ? s < hi.value : s <= hi.value)).length;
+        },
+
+        // --- LIFECYCLE ---
+        async flushall() {
+            data.clear();
+            return 'OK';
+        },
+        async quit() {
+            return 'OK';
+        }
+    };
+
+    client.leaderboard = createLeaderboard(client, {
+        add: async (key, score, member) => { await client.zadd(key, score, member); },
+        rangeWithScores: (key, start, stop) => client.zrange(key, start, stop, 'WITHSCORES')
+    });
+    return client;
+}
+
+module.exports = { createMemoryStorage };
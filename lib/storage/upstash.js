@@ -0,0 +1,25 @@
+// --- UPSTASH DRIVER (HTTP Mode - Serverless) ---
+const { createLeaderboard } = require('./leaderboard');
+
+function createUpstashStorage({ url, token } = {}) {
+    const { Redis } = require('@upstash/redis');
+    const client = new Redis({ url, token });
+
+    client.driver = 'upstash';
+    // SET NX EX: true if this call created the key
+    client.setIfAbsent = async (key, value, ttlSeconds) =>
+        (await client.set(key, value, { nx: true, ex: ttlSeconds })) === 'OK';
+    client.hgetallMany = async (keys) => {
+        if (keys.length === 0) return [];
+        const pipeline = client.pipeline();
+        keys.forEach(key => pipeline.hgetall(key));
+        return (await pipeline.exec()).map(hash => hash || {}); // Missing hash = null
+    };
+    client.leaderboard = createLeaderboard(client, {
+        add: async (key, score, member) => { await client.zadd(key, { score, member }); },
+        rangeWithScores: (key, start, stop) => client.zrange(key, start, stop, { withScores: true })
+    });
+    return client;
+}
+
+module.exports = { createUpstashStorage };
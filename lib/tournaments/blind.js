@@ -0,0 +1,47 @@
+// --- BLIND TIMER ROUNDS ---
+// A tournament can enable a blind variant in its schedule config. 'ig' with m: 'bt'
+// ('bp' for practice) streams 't' only until cutoff × target has elapsed, then sends
+// 'th' once and goes silent — the player stops on their own sense of time.
+// cutoff 0 = the stream is never sent. Blind rounds rank in their own sorted set
+// (see ./modes.js) with their own reward tiers.
+// Stored on tournament:info as blind_cutoff / blind_rewards.
+const { BLIND_DEFAULT_CUTOFF } = require('../config');
+
+// Admin input: { blindCutoff: 0-1, blindRewards: [{ name, img, min, max, reward_type, link_url }] }
+// Returns { config } (null = no blind variant) or { error }
+function parseBlindConfig(body = {}) {
+    const hasCutoff = body.blindCutoff !== undefined && body.blindCutoff !== null && body.blindCutoff !== '';
+    const hasRewards = body.blindRewards !== undefined && body.blindRewards !== null;
+    if (!hasCutoff && !hasRewards) return { config: null };
+
+    const cutoff = hasCutoff ? parseFloat(body.blindCutoff) : BLIND_DEFAULT_CUTOFF;
+    if (!(cutoff >= 0 && cutoff <= 1)) return { error: 'blindCutoff must be between 0 and 1' };
+
+    const rewards = hasRewards ? body.blindRewards : [];
+    if (!Array.isArray(rewards)) return { error: 'blindRewards must be an array' };
+    for (const r of rewards) {
+        if (!r || !r.name || !(parseInt(r.min) >= 1) || !(parseInt(r.max) >= parseInt(r.min))) {
+            return { error: 'Each blind reward needs a name and 1 <= min <= max' };
+        }
+    }
+    return { config: { cutoff, rewards } };
+}
+
+// Tenths of ms after which 't' stops (0 = never streamed)
+function cutoffTenths(target, cutoff) {
+    return Math.floor(target * cutoff);
+}
+
+function blindInfoFields(config) {
+    return { blind_cutoff: String(config.cutoff), blind_rewards: JSON.stringify(config.rewards || []) };
+}
+
+// tournament:info hash → { cutoff, rewards } or null if the tournament has no blind variant
+function readBlindConfig(info) {
+    if (!info || info.blind_cutoff === undefined || info.blind_cutoff === null || info.blind_cutoff === '') return null;
+    let rewards = [];
+    try { rewards = info.blind_rewards ? JSON.parse(info.blind_rewards) : []; } catch (e) { /* ignore */ }
+    return { cutoff: parseFloat(info.blind_cutoff), rewards };
+}
+
+module.exports = { parseBlindConfig, cutoffTenths, blindInfoFields, readBlindConfig };
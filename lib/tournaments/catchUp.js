@@ -0,0 +1,34 @@
+// --- MISSED SCHEDULE CATCH-UP ---
+// A schedule whose start passed while no instance was checking (deploy, crash) is handled
+// by its `catchUp` policy instead of being silently dropped:
+//   'run'     — start it now with its full play time
+//   'shorten' — start it now but keep the original end (only the remaining play time)
+//   'skip'    — don't run it
+// Anything later than SCHEDULE_MAX_LATE_MS is skipped whatever the policy.
+const { SCHEDULE_CATCH_UP, SCHEDULE_MAX_LATE_MS } = require('../config');
+
+const CATCH_UP_POLICIES = ['run', 'shorten', 'skip'];
+
+// Admin input: { catchUp } → { policy } or { error }
+function parseCatchUp(body = {}) {
+    const policy = body.catchUp || SCHEDULE_CATCH_UP;
+    if (!CATCH_UP_POLICIES.includes(policy)) return { error: `catchUp must be one of ${CATCH_UP_POLICIES.join(', ')}` };
+    return { policy };
+}
+
+// What to do with a run due at `dueAt`: { action: 'run', startTime, late } or { action: 'skip', reason, late }.
+// Within `grace` ms of the due time it's simply on time and starts now.
+function planRun(dueAt, now, { playTime }, policy = SCHEDULE_CATCH_UP, grace = 0) {
+    const late = Math.max(0, now - dueAt);
+    if (late <= grace) return { action: 'run', startTime: now, late };
+    if (late > SCHEDULE_MAX_LATE_MS) return { action: 'skip', reason: 'too_late', late };
+
+    if (policy === 'skip') return { action: 'skip', reason: 'policy', late };
+    if (policy === 'shorten') {
+        if (late >= playTime) return { action: 'skip', reason: 'play_time_over', late };
+        return { action: 'run', startTime: dueAt, late };
+    }
+    return { action: 'run', startTime: now, late };
+}
+
+module.exports = { parseCatchUp, planRun, CATCH_UP_POLICIES };
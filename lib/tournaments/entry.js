@@ -0,0 +1,169 @@
+// --- ENTRY REQUIREMENTS (qualification tiers) ---
+// A schedule (or manual tournament) can declare entry rules; 'ig' checks them before a
+// session is created and rejects with a 'grd' carrying `entryDenied` + `er: { code, msg }`.
+// Rules (all must pass), read from the archived Supabase data:
+//   minGames       — users.total_games
+//   minAccountDays — users.created_at (first_played for older rows)
+//   qualifier      — top-N finish in another tournament. `id` is a tournament id or a schedule
+//                    id (= its latest tournament), so a daily qualifier can feed a final.
+//   invite         — user ids / emails allowed in
+//   event          — { id, stage }: advanced from the previous stage of a bracket event (./events.js)
+// Stored on tournament:info as entry_rules (JSON).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const eventRosterKey = (id, stage) => `event:${id}:roster:${stage}`; // Players who reached that stage
+
+const ENTRY_ERRORS = {
+    min_games: 'You need more games played to enter this tournament.',
+    account_age: 'Your account is too new to enter this tournament.',
+    qualifier: 'Only top finishers of the qualifier can enter this tournament.',
+    invite_only: 'This tournament is invite-only.',
+    not_advanced: 'Only players who advanced from the previous stage can enter.',
+    entry_unavailable: 'Entry requirements cannot be checked right now. Please try again later.'
+};
+
+const isSet = v => v !== undefined && v !== null && v !== '';
+
+// Admin input: { entryMinGames, entryMinAccountDays, entryQualifier, entryQualifierTop, entryInvite: [uid|email] }
+// Returns { config } (null = open entry) or { error }
+function parseEntryRules(body = {}) {
+    const config = {};
+
+    if (isSet(body.entryMinGames)) {
+        const minGames = parseInt(body.entryMinGames);
+        if (!(minGames >= 1)) return { error: 'entryMinGames must be a positive integer' };
+        config.minGames = minGames;
+    }
+
+    if (isSet(body.entryMinAccountDays)) {
+        const days = parseFloat(body.entryMinAccountDays);
+        if (!(days > 0)) return { error: 'entryMinAccountDays must be greater than 0' };
+        config.minAccountDays = days;
+    }
+
+    if (isSet(body.entryQualifier) || isSet(body.entryQualifierTop)) {
+        const id = String(body.entryQualifier || '').trim();
+        const top = parseInt(body.entryQualifierTop);
+        if (!id) return { error: 'entryQualifier (tournament or schedule id) is required with entryQualifierTop' };
+        if (!(top >= 1)) return { error: 'entryQualifierTop must be a positive integer' };
+        config.qualifier = { id, top };
+    }
+
+    if (isSet(body.entryInvite)) {
+        if (!Array.isArray(body.entryInvite) || body.entryInvite.length === 0) {
+            return { error: 'entryInvite must be a non-empty array of user ids or emails' };
+        }
+        config.invite = body.entryInvite.map(x => String(x).trim().toLowerCase()).filter(Boolean);
+    }
+
+    return { config: Object.keys(config).length > 0 ? config : null };
+}
+
+function entryInfoFields(config) {
+    return { entry_rules: JSON.stringify(config) };
+}
+
+// tournament:info hash → rules or null if entry is open
+function readEntryRules(info) {
+    if (!info || !info.entry_rules) return null;
+    try { return JSON.parse(info.entry_rules); } catch (e) { return null; }
+}
+
+function deny(code, details = {}) {
+    return { code, msg: ENTRY_ERRORS[code], ...details };
+}
+
+function createEntryGate(ctx) {
+    const { redis, supabase } = ctx;
+
+    async function loadUser(userId) {
+        const { data } = await supabase
+            .from('users')
+            .select('id, total_games, created_at, first_played')
+            .eq('id', userId)
+            .maybeSingle();
+        return data || null;
+    }
+
+    // Schedule ids resolve to the newest tournament started from that schedule
+    async function resolveQualifier(id) {
+        if (id.startsWith('tournament_')) return id;
+        if (!supabase) return null;
+        const { data } = await supabase
+            .from('tournaments')
+            .select('id, started_at')
+            .eq('schedule_id', id)
+            .order('started_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        return data ? data.id : null;
+    }
+
+    // 1-based final rank: the live leaderboard while it's kept, else the archive
+    async function qualifierRank(tournamentId, userId) {
+        const rank = await ctx.ranking.rank(tournamentId, userId);
+        if (rank !== null) return rank;
+        if (!supabase) return null;
+        const { data } = await supabase
+            .from('tournament_scores')
+            .select('rank')
+            .eq('tournament_id', tournamentId)
+            .eq('user_id', userId)
+            .maybeSingle();
+        return data && data.rank ? data.rank : null;
+    }
+
+    // player: { userId, email } → null when allowed, else { code, msg, ... } for the 'grd' payload
+    async function check(tournamentId, player) {
+        try {
+            const rules = readEntryRules(await redis.hgetall(`tournament:info:${tournamentId}`));
+            if (!rules) return null;
+
+            if (rules.invite) {
+                const ids = [player.userId, player.email].filter(Boolean).map(x => String(x).toLowerCase());
+                if (!ids.some(x => rules.invite.includes(x))) return deny('invite_only');
+            }
+
+            if (rules.event) {
+                if (!await redis.sismember(eventRosterKey(rules.event.id, rules.event.stage), player.userId)) {
+                    return deny('not_advanced', { eid: rules.event.id });
+                }
+            }
+
+            if (rules.minGames || rules.minAccountDays) {
+                if (!supabase) return deny('entry_unavailable');
+                const user = await loadUser(player.userId);
+
+                if (rules.minGames) {
+                    const have = user ? user.total_games || 0 : 0;
+                    if (have < rules.minGames) return deny('min_games', { need: rules.minGames, have });
+                }
+
+                if (rules.minAccountDays) {
+                    const since = user && (user.created_at || user.first_played);
+                    const days = since ? (ctx.now() - new Date(since).getTime()) / DAY_MS : 0;
+                    if (days < rules.minAccountDays) {
+                        return deny('account_age', { need: rules.minAccountDays, have: Math.floor(days) });
+                    }
+                }
+            }
+
+            if (rules.qualifier) {
+                const qualifierId = await resolveQualifier(rules.qualifier.id);
+                const rank = qualifierId ? await qualifierRank(qualifierId, player.userId) : null;
+                if (!rank || rank > rules.qualifier.top) {
+                    return deny('qualifier', { need: rules.qualifier.top, have: rank, qid: qualifierId || rules.qualifier.id });
+                }
+            }
+        } catch (e) {
+            console.error(`❌ [ENTRY] Check failed for ${tournamentId}:`, e.message);
+            return deny('entry_unavailable');
+        }
+
+        return null;
+    }
+
+    return { check };
+}
+
+module.exports = { createEntryGate, parseEntryRules, entryInfoFields, readEntryRules, eventRosterKey, ENTRY_ERRORS };
@@ -0,0 +1,296 @@
+// --- BRACKET EVENTS (qualifiers feeding a final) ---
+// An event links several scheduled tournaments: e.g. an open qualifier, a semi-final for its
+// top N and a final with the real prize pool. Each stage is queued on tournament:scheduled
+// (schedule id <eventId>_s<n>) and runs like any scheduled tournament. When a stage ends,
+// endTournament calls advance(): its top `advance` players go on the next stage's roster
+// (event:<id>:roster:<n>, checked by the entry gate, see ./entry.js) and get a push.
+// The event itself is a JSON blob at event:<id>; GET /api/events/:id shows the bracket.
+const { PLAY_TIME_MS, LEADERBOARD_TIME_MS, EVENT_MIN_STAGES, EVENT_MAX_STAGES } = require('../config');
+const { parseTargetConfig } = require('./target');
+const { parseEntryRules, eventRosterKey } = require('./entry');
+const { parseRewardTiers } = require('./rooms');
+
+const INDEX_KEY = 'events';
+const eventKey = id => `event:${id}`;
+
+// Admin input: { name, stages: [{ name, scheduledTime, playTime, leaderboardTime (ms), advance,
+//   rewards, target / targetMin / targetMax, entry* rules }] } — `advance` on every stage but the last.
+// Returns { config } or { error }
+function parseEventConfig(body = {}) {
+    const name = String(body.name || '').trim().slice(0, 60);
+    if (!name) return { error: 'name is required' };
+
+    const input = body.stages;
+    if (!Array.isArray(input) || input.length < EVENT_MIN_STAGES || input.length > EVENT_MAX_STAGES) {
+        return { error: `stages must be an array of ${EVENT_MIN_STAGES}-${EVENT_MAX_STAGES} stages` };
+    }
+
+    const stages = [];
+    for (let i = 0; i < input.length; i++) {
+        const s = input[i] || {};
+        const label = `Stage ${i + 1}`;
+        const isFinal = i === input.length - 1;
+
+        const scheduledTime = parseInt(s.scheduledTime);
+        if (!(scheduledTime > 0)) return { error: `${label}: scheduledTime is required (Unix timestamp in ms)` };
+        const playTime = s.playTime ? parseInt(s.playTime) : PLAY_TIME_MS;
+        const leaderboardTime = s.leaderboardTime ? parseInt(s.leaderboardTime) : LEADERBOARD_TIME_MS;
+        if (!(playTime > 0) || !(leaderboardTime > 0)) return { error: `${label}: playTime and leaderboardTime must be positive` };
+
+        // Advancement runs when the previous stage ends, so stages can't overlap
+        const prev = stages[i - 1];
+        if (prev && scheduledTime < prev.scheduledTime + prev.playTime + prev.leaderboardTime) {
+            return { error: `${label} starts before ${prev.name} ends` };
+        }
+
+        let advance = null;
+        if (!isFinal) {
+            advance = parseInt(s.advance);
+            if (!(advance >= 1)) return { error: `${label}: advance (top N to the next stage) must be a positive integer` };
+        }
+
+        let rewards = [];
+        if (Array.isArray(s.rewards) && s.rewards.length > 0) {
+            const parsed = parseRewardTiers(s.rewards);
+            if (parsed.error) return { error: `${label}: ${parsed.error}` };
+            rewards = parsed.rewards;
+        }
+
+        const target = parseTargetConfig(s);
+        if (target.error) return { error: `${label}: ${target.error}` };
+        const entry = parseEntryRules(s);
+        if (entry.error) return { error: `${label}: ${entry.error}` };
+
+        stages.push({
+            name: String(s.name || '').trim().slice(0, 40) || (isFinal ? 'Final' : label),
+            scheduledTime,
+            playTime,
+            leaderboardTime,
+            advance,
+            rewards,
+            target: target.config,
+            entry: entry.config
+        });
+    }
+
+    return { config: { name, stages } };
+}
+
+function createEvents(ctx) {
+    const { redis, io } = ctx;
+    const { getTournamentPhase } = ctx.timing;
+
+    async function load(id) {
+        try {
+            const raw = await redis.get(eventKey(id));
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function save(event) {
+        await redis.set(eventKey(event.id), JSON.stringify(event));
+    }
+
+    async function displayName(userId) {
+        try {
+            const meta = await redis.hgetall(`user_meta:${userId}`);
+            if (meta && meta.username) return meta.username;
+        } catch (e) { /* ignore */ }
+        return userId.substring(0, 8);
+    }
+
+    async function create(config) {
+        const now = ctx.now();
+        if (config.stages[0].scheduledTime <= now) return { error: 'The first stage must start in the future' };
+
+        const id = `event_${now}`;
+        const event = {
+            id,
+            name: config.name,
+            status: 'scheduled', // scheduled → running → finished | cancelled
+            createdAt: now,
+            champion: null,
+            stages: config.stages.map((s, i) => ({
+                stage: i,
+                name: s.name,
+                scheduleId: `${id}_s${i}`,
+                scheduledTime: s.scheduledTime,
+                playTime: s.playTime,
+                leaderboardTime: s.leaderboardTime,
+                advance: s.advance,
+                tournamentId: null,
+                status: 'pending', // pending → live → done | cancelled
+                players: 0,
+                advanced: []
+            }))
+        };
+
+        // Every stage is a regular scheduled tournament; later stages are roster-only
+        for (let i = 0; i < config.stages.length; i++) {
+            const s = config.stages[i];
+            const schedule = {
+                id: `${id}_s${i}`,
+                scheduledTime: s.scheduledTime,
+                duration: s.playTime + s.leaderboardTime,
+                playTime: s.playTime,
+                leaderboardTime: s.leaderboardTime,
+                rewards: s.rewards,
+                target: s.target,
+                blind: null,
+                entry: i === 0 ? s.entry : { ...(s.entry || {}), event: { id, stage: i } },
+                event: { id, stage: i },
+                createdAt: now
+            };
+            await redis.lpush('tournament:scheduled', JSON.stringify(schedule));
+        }
+        await redis.ltrim('tournament:scheduled', 0, 99);
+
+        await save(event);
+        await redis.sadd(INDEX_KEY, id);
+        console.log(`🏟️ [EVENT] ${id} "${event.name}" created with ${event.stages.length} stages`);
+        return { event };
+    }
+
+    // createTournamentFromSchedule: a stage's tournament just started
+    async function attach(ref, tournamentId) {
+        const event = await load(ref.id);
+        const stage = event && event.stages[ref.stage];
+        if (!stage) return;
+        stage.tournamentId = tournamentId;
+        stage.status = 'live';
+        if (event.status === 'scheduled') event.status = 'running';
+        await save(event);
+        console.log(`🏟️ [EVENT] ${event.id} ${stage.name} is live: ${tournamentId}`);
+    }
+
+    // endTournament: move the top finishers of a stage on, or crown the champion after the final.
+    // Runs once per stage; returns the finished stage or null if the tournament isn't part of an event.
+    async function advance(tournamentId, to = io) {
+        try {
+            const info = await redis.hgetall(`tournament:info:${tournamentId}`) || {};
+            if (!info.event_id) return null;
+            const event = await load(info.event_id);
+            const stage = event && event.stages[parseInt(info.event_stage)];
+            if (!stage || stage.status === 'done' || stage.status === 'cancelled') return null;
+
+            const next = event.status === 'cancelled' ? null : event.stages[stage.stage + 1] || null;
+            stage.players = await redis.leaderboard.count(tournamentId);
+            stage.status = 'done';
+
+            if (next) {
+                // Ties at the cut: the earlier achiever goes through, or the whole tied group on a shared rank
+                stage.advanced = (await ctx.ranking.top(tournamentId, stage.advance)).map(x => x.member);
+                if (stage.advanced.length > 0) await redis.sadd(eventRosterKey(event.id, next.stage), ...stage.advanced);
+            } else if (event.status !== 'cancelled') {
+                const [first] = await ctx.ranking.top(tournamentId, 1);
+                event.champion = first ? first.member : null;
+                event.status = 'finished';
+            }
+            await save(event);
+
+            to.emit('event_advance', {
+                eid: event.id,
+                stage: stage.stage,
+                next: next ? next.stage : null,
+                advanced: stage.advanced,
+                champion: event.champion
+            });
+            console.log(`🏟️ [EVENT] ${event.id} ${stage.name} done | ${next ? `${stage.advanced.length} advance to ${next.name}` : `Champion: ${event.champion || 'None'}`}`);
+
+            if (next && stage.advanced.length > 0) {
+                await ctx.push.sendUserPushNotification(stage.advanced, {
+                    title: `🎉 You made it to the ${next.name}!`,
+                    body: `${event.name}: you finished top ${stage.advance} in the ${stage.name}. Don't miss the next stage!`,
+                    data: { action: 'open_event', eventId: event.id, stage: String(next.stage) }
+                });
+            }
+            return stage;
+        } catch (e) {
+            console.error(`❌ [EVENT] Advance failed for ${tournamentId}:`, e);
+            return null;
+        }
+    }
+
+    // Public bracket: stages with status, live phase, top 10 and who advanced
+    async function bracket(id) {
+        const event = await load(id);
+        if (!event) return null;
+
+        const stages = [];
+        for (const s of event.stages) {
+            const view = {
+                stage: s.stage,
+                name: s.name,
+                status: s.status,
+                scheduledTime: s.scheduledTime,
+                playTime: s.playTime,
+                leaderboardTime: s.leaderboardTime,
+                advance: s.advance,
+                tournamentId: s.tournamentId,
+                players: s.players,
+                top: [],
+                advanced: []
+            };
+            if (s.tournamentId) {
+                if (s.status === 'live') {
+                    view.ph = await getTournamentPhase(s.tournamentId);
+                    view.players = await redis.leaderboard.count(s.tournamentId);
+                }
+                view.top = (await ctx.ranking.top(s.tournamentId, 10)).map(x => ({ u: x.member, s: x.score, r: x.rank }));
+                for (const entry of view.top) entry.n = await displayName(entry.u);
+            }
+            for (const u of s.advanced) view.advanced.push({ u, n: await displayName(u) });
+            stages.push(view);
+        }
+
+        return {
+            id: event.id,
+            name: event.name,
+            status: event.status,
+            champion: event.champion ? { u: event.champion, n: await displayName(event.champion) } : null,
+            stages
+        };
+    }
+
+    async function list() {
+        const events = [];
+        for (const id of await redis.smembers(INDEX_KEY) || []) {
+            const event = await load(id);
+            if (event) events.push(event);
+        }
+        return events.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Admin: drop the stages that haven't started; a live stage finishes as a plain tournament
+    async function cancel(id) {
+        const event = await load(id);
+        if (!event) return null;
+
+        const scheduled = await redis.lrange('tournament:scheduled', 0, 99);
+        const kept = scheduled.filter(x => {
+            try {
+                const s = JSON.parse(x);
+                return !(s.event && s.event.id === id);
+            } catch (e) {
+                return true;
+            }
+        });
+        await redis.del('tournament:scheduled');
+        if (kept.length > 0) await redis.rpush('tournament:scheduled', ...kept);
+
+        for (const s of event.stages) {
+            if (s.status === 'pending') s.status = 'cancelled';
+            await redis.del(eventRosterKey(id, s.stage));
+        }
+        event.status = 'cancelled';
+        await save(event);
+        console.log(`🗑️ [EVENT] ${id} cancelled`);
+        return event;
+    }
+
+    return { create, attach, advance, bracket, list, cancel, get: load };
+}
+
+module.exports = { createEvents, parseEventConfig };
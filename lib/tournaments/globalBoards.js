@@ -0,0 +1,104 @@
+// --- GLOBAL LEADERBOARDS (weekly, monthly, all-time) ---
+// Rankings across tournaments, kept as running totals in the Supabase table period_stats
+// (one row per player per period: 'weekly' 2025-W02, 'monthly' 2025-01, 'all_time' all).
+// archiveTournamentToSupabase rolls every archived tournament into the three periods it
+// belongs to, so reads never aggregate tournament_scores. Private rooms don't count.
+// Metrics: wins (rank 1), podiums (top 3), average rank percentile (see ranking.percentileOf,
+// needs GLOBAL_BOARD_MIN_TOURNAMENTS) and best score.
+const { GLOBAL_BOARD_TZ, GLOBAL_BOARD_MIN_TOURNAMENTS } = require('../config');
+const { localParts } = require('./recurrence');
+const { percentileOf } = require('./ranking');
+
+const PERIODS = ['weekly', 'monthly', 'all_time'];
+// metric → ordering (first column decides, the rest break ties)
+const METRICS = {
+    wins: [['wins', false], ['podiums', false], ['best_score', true]],
+    podiums: [['podiums', false], ['wins', false], ['best_score', true]],
+    percentile: [['avg_percentile', false], ['tournaments', false]],
+    best: [['best_score', true], ['wins', false]]
+};
+const ROLLED_UP_TTL_S = 7 * 86400;
+
+// ISO week (Mon-Sun) of a calendar date → '2025-W02'
+function isoWeek(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const weekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekday); // Thursday of the same week decides the year
+    const weekYear = date.getUTCFullYear();
+    const week = Math.ceil(((date - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+    return `${weekYear}-W${String(week).padStart(2, '0')}`;
+}
+
+// Period keys a timestamp falls in → { weekly, monthly, all_time }
+function periodKeys(ts, tz = GLOBAL_BOARD_TZ) {
+    const p = localParts(ts, tz);
+    return {
+        weekly: isoWeek(p.year, p.month, p.day),
+        monthly: `${p.year}-${String(p.month).padStart(2, '0')}`,
+        all_time: 'all'
+    };
+}
+
+function createGlobalBoards(ctx) {
+    const { redis, supabase } = ctx;
+
+    // participants: [{ userId, username, rank, score }] of a finished tournament
+    // One add_period_results call (supabase_schema.sql) adds it to all three periods in a single
+    // transaction, incrementing the totals in SQL so concurrent archives don't overwrite each other
+    async function rollup(tournamentId, participants, startedAt) {
+        if (!supabase || participants.length === 0) return false;
+        // Archive can run again for the same tournament (fallback pass, retries): count it once
+        const marker = `tournament:rolled_up:${tournamentId}`;
+        if (!await redis.setIfAbsent(marker, '1', ROLLED_UP_TTL_S)) return false;
+
+        const keys = periodKeys(startedAt);
+        try {
+            const { error } = await supabase.rpc('add_period_results', {
+                p_keys: keys,
+                p_at: new Date(ctx.now()).toISOString(),
+                p_results: participants.map(p => ({
+                    user_id: p.userId,
+                    username: p.username,
+                    win: p.rank === 1 ? 1 : 0,
+                    podium: p.rank <= 3 ? 1 : 0,
+                    percentile: percentileOf(p.rank, participants.length),
+                    score: p.score
+                }))
+            });
+            if (error) throw new Error(error.message);
+        } catch (e) {
+            await redis.del(marker); // Nothing was written: the next archive pass retries
+            throw e;
+        }
+        console.log(`🌍 [GLOBAL BOARDS] ${tournamentId} rolled into ${Object.values(keys).join(', ')} (${participants.length} players)`);
+        return true;
+    }
+
+    // One page of a period's board → { key, entries: [row], me: row | null }
+    async function read({ period, metric, key = periodKeys(ctx.now())[period], limit, offset = 0, userId = null }) {
+        let query = supabase
+            .from('period_stats')
+            .select('user_id, username, tournaments, wins, podiums, avg_percentile, best_score')
+            .eq('period_key', key);
+        if (metric === 'percentile') query = query.gte('tournaments', GLOBAL_BOARD_MIN_TOURNAMENTS);
+        for (const [column, ascending] of METRICS[metric]) query = query.order(column, { ascending, nullsFirst: false });
+        const { data, error } = await query.range(offset, offset + limit - 1);
+        if (error) throw new Error(error.message);
+
+        let me = null;
+        if (userId) {
+            const { data: mine } = await supabase
+                .from('period_stats')
+                .select('user_id, username, tournaments, wins, podiums, avg_percentile, best_score')
+                .eq('period_key', key)
+                .eq('user_id', userId)
+                .maybeSingle();
+            me = mine || null;
+        }
+        return { key, entries: data || [], me };
+    }
+
+    return { rollup, read };
+}
+
+module.exports = { createGlobalBoards, periodKeys, isoWeek, PERIODS, METRICS };
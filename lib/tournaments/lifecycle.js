@@ -0,0 +1,791 @@
+// --- TOURNAMENT LIFECYCLE (create, play-time end, end, archive) ---
+const { TOURNAMENT_DURATION_MS, PLAY_TIME_MS, LEADERBOARD_TIME_MS } = require('../config');
+const { leaderboardKey } = require('./modes');
+const { tournamentType } = require('./registry');
+const { blindInfoFields, readBlindConfig } = require('./blind');
+const { entryInfoFields } = require('./entry');
+const { tieBreakInfoFields, allocateRewards } = require('./ranking');
+
+function createTournamentLifecycle(ctx) {
+    const { redis, supabase, io, state } = ctx;
+    const { getCustomTournamentTiming, getTournamentTimeLeft, getTournamentPhase, getLeaderboardTimeLeft } = ctx.timing;
+    const antiCheat = ctx.antiCheat;
+    const targets = ctx.targets;
+    const tournaments = ctx.tournaments;
+    const ranking = ctx.ranking;
+    const playerNames = ctx.playerNames;
+    const globalBoards = ctx.globalBoards;
+    const seasons = ctx.seasons;
+
+    // Client view of an allocated reward tier (share only when tied players split it)
+    const rewardView = ({ tier, share }) => ({
+        name: tier.name,
+        img: tier.img,
+        reward_type: tier.reward_type || 'default',
+        ...(share < 1 ? { share } : {})
+    });
+
+    // Lifetime stats and tournament_results skip unsponsored private rooms (a host and a friend could farm wins)
+    async function countsTowardStats(tournamentId) {
+        if (tournamentType(tournamentId) !== 'room') return true;
+        return await redis.hget(`tournament:info:${tournamentId}`, 'room_sponsored') === '1';
+    }
+
+    // Helper: Refresh Leaderboard Cache (Only on Demand) → top 3 [{ user, score, rank }] of that board
+    // (a tournament id, or its variant board for multi / blind rounds)
+    async function refreshLeaderboardCache(boardKey) {
+        const now = ctx.now();
+        const cached = state.leaderboardCache.get(boardKey);
+
+        // Cache valid for 10 seconds per board, unless a score changed since
+        try {
+            const version = await ranking.version(boardKey);
+            if (cached && cached.version === version && now - cached.at < 10000) return cached.top3;
+
+            const top3 = (await ranking.top(boardKey, 3)).slice(0, 3)
+                .map(item => ({ user: item.member, score: item.score, rank: item.rank }));
+            state.leaderboardCache.set(boardKey, { top3, at: now, version });
+            console.log(`Leaderboard Cache Updated for ${boardKey}`);
+            return top3;
+        } catch (e) {
+            console.error("Leaderboard Cache Error:", e);
+            return cached ? cached.top3 : [];
+        }
+    }
+
+    // Helper function to create tournament from schedule
+    // Runs alongside whatever is already active (auto slot, other schedules)
+    // startTime: a late start shortened by the catch-up policy keeps its original start (and end)
+    async function createTournamentFromSchedule(schedule, scheduleType, scheduleId, { startTime } = {}) {
+        const tournamentStartTime = startTime || ctx.now();
+        const newTournamentId = `tournament_${scheduleType}_${scheduleId}_${tournamentStartTime}`;
+        console.log(`   ➕ Creating new tournament: ${newTournamentId}`);
+
+        // Handle different schedule formats:
+        // - Scheduled tournaments: playTime and leaderboardTime are in milliseconds
+        // - Daily schedules: playTime and leaderboardTime are in minutes
+        let playTime, leaderboardTime, duration;
+
+        if (scheduleType === 'daily') {
+            // Daily schedules store time in minutes
+            playTime = (schedule.playTime || 12) * 60 * 1000;
+            leaderboardTime = (schedule.leaderboardTime || 3) * 60 * 1000;
+            duration = playTime + leaderboardTime;
+        } else {
+            // Scheduled tournaments store time in milliseconds
+            playTime = schedule.playTime || PLAY_TIME_MS;
+            leaderboardTime = schedule.leaderboardTime || LEADERBOARD_TIME_MS;
+            duration = schedule.duration || (playTime + leaderboardTime);
+        }
+
+        const expirySeconds = Math.ceil(duration / 1000);
+        await redis.setex(`tournament:${newTournamentId}:duration`, expirySeconds, duration.toString());
+        await redis.setex(`tournament:${newTournamentId}:playTime`, expirySeconds, playTime.toString());
+        await redis.setex(`tournament:${newTournamentId}:leaderboardTime`, expirySeconds, leaderboardTime.toString());
+
+        await redis.setex(`tournament:${newTournamentId}:startTime`, expirySeconds, tournamentStartTime.toString());
+
+        // Target is fixed now (seeded, commitment published), not on the first player's join
+        await targets.assign(newTournamentId, schedule.target || null, expirySeconds + 300);
+
+        // 5. Store Rewards Config if present (try Redis first, then Supabase fallback)
+        let rewardsToStore = schedule.rewards && schedule.rewards.length > 0 ? schedule.rewards : [];
+
+        // If no rewards in schedule, try loading from Supabase
+        if (rewardsToStore.length === 0 && supabase && scheduleId) {
+            try {
+                const { data: supaRewards } = await supabase
+                    .from('tournament_reward_configs')
+                    .select('*')
+                    .eq('schedule_id', scheduleId)
+                    .order('sort_order', { ascending: true });
+
+                if (supaRewards && supaRewards.length > 0) {
+                    rewardsToStore = supaRewards.map(r => ({
+                        name: r.name,
+                        img: r.image_url,
+                        min: r.min_rank,
+                        max: r.max_rank,
+                        reward_type: r.reward_type || 'default',
+                        link_url: r.link_url || null
+                    }));
+                    console.log(`🎁 [REWARDS] Loaded ${rewardsToStore.length} reward tiers from Supabase for ${scheduleId}`);
+                }
+            } catch (e) {
+                console.error("⚠️ Error loading rewards from Supabase:", e.message);
+            }
+        }
+
+        // Always store schedule_id in tournament info for Supabase reward lookup
+        const infoExpiry = expirySeconds + 300;
+        const infoData = { schedule_id: scheduleId || '' };
+        if (rewardsToStore.length > 0) {
+            infoData.rewards = JSON.stringify(rewardsToStore);
+            console.log(`🎁 [REWARDS] Saved ${rewardsToStore.length} reward tiers for ${newTournamentId} (TTL: ${infoExpiry}s)`);
+        }
+        if (schedule.blind) Object.assign(infoData, blindInfoFields(schedule.blind));
+        if (schedule.entry) Object.assign(infoData, entryInfoFields(schedule.entry));
+        if (schedule.tieBreak) Object.assign(infoData, tieBreakInfoFields(schedule.tieBreak));
+        if (schedule.event) Object.assign(infoData, { event_id: schedule.event.id, event_stage: String(schedule.event.stage) });
+        await redis.hset(`tournament:info:${newTournamentId}`, infoData);
+        await redis.expire(`tournament:info:${newTournamentId}`, infoExpiry);
+
+        // Timing keys are in place: the loop can pick it up now
+        tournaments.register(newTournamentId, scheduleType);
+        if (schedule.event) await ctx.events.attach(schedule.event, newTournamentId);
+
+        // Broadcast tournament creation
+        io.emit('tournament_new', {
+            id: newTournamentId,
+            duration: duration,
+            playTime: playTime,
+            leaderboardTime: leaderboardTime
+        });
+
+        // Immediately broadcast phase update so clients know tournament is active
+        // Retry a few times to ensure Redis data is available
+        let retryCount = 0;
+        const maxRetries = 5;
+        const broadcastPhase = async () => {
+            try {
+                const phase = await getTournamentPhase(newTournamentId);
+                const timeLeft = await getTournamentTimeLeft(newTournamentId);
+                const lbTimeLeft = await getLeaderboardTimeLeft(newTournamentId);
+
+                // Only broadcast if phase is valid (not 'n')
+                if (phase !== 'n' || retryCount >= maxRetries) {
+                    io.emit('tu', {
+                        ph: phase,
+                        tid: newTournamentId,
+                        tl: timeLeft,
+                        ltl: lbTimeLeft
+                    });
+                    // Newest custom tournament is the featured one: the loop's lobby broadcast is now up to date
+                    state.lastBroadcastPhase = phase;
+                    state.lastBroadcastTournament = newTournamentId;
+                    console.log(`📡 [BROADCAST] Tournament phase after creation: ${phase} | TID: ${newTournamentId} | TL: ${timeLeft}ms | LTL: ${lbTimeLeft}ms`);
+                } else {
+                    // Retry if phase is 'n' and we haven't exceeded max retries
+                    retryCount++;
+                    setTimeout(broadcastPhase, 200);
+                }
+            } catch (e) {
+                console.error(`❌ Error broadcasting tournament phase:`, e);
+                if (retryCount < maxRetries) {
+                    retryCount++;
+                    setTimeout(broadcastPhase, 200);
+                }
+            }
+        };
+        setTimeout(broadcastPhase, 100); // Initial delay to ensure Redis data is available
+
+        console.log(`✅ [SUCCESS] Tournament Created: ${newTournamentId}`);
+        console.log(`   Duration: ${duration / 60000}min | Play: ${playTime / 60000}min | Leaderboard: ${leaderboardTime / 60000}min`);
+        console.log(`   Featured Tournament: ${state.currentTournamentKey} | Active: ${tournaments.list().length}`);
+    }
+
+    // Play time over (p→l): announce winners, distribute rewards and archive while Redis data is fresh
+    // to: where tournament_winners goes (private rooms pass their Socket.IO room)
+    async function handlePlayTimeEnded(tournamentId, ltl, to = io) {
+        // Get winners for the archive
+        try {
+            // Get rewards config for this tournament (Redis first, Supabase fallback)
+            let rewardsConfig = [];
+            try {
+                const rRaw = await redis.hget(`tournament:info:${tournamentId}`, 'rewards');
+                if (rRaw) rewardsConfig = JSON.parse(rRaw);
+            } catch (e) { /* ignore */ }
+
+            // Supabase fallback if Redis rewards empty
+            if (rewardsConfig.length === 0 && supabase) {
+                try {
+                    const sId = await redis.hget(`tournament:info:${tournamentId}`, 'schedule_id');
+                    if (sId) {
+                        const { data: sRewards } = await supabase
+                            .from('tournament_reward_configs')
+                            .select('*')
+                            .eq('schedule_id', sId)
+                            .order('sort_order');
+                        if (sRewards && sRewards.length > 0) {
+                            rewardsConfig = sRewards.map(r => ({ name: r.name, img: r.image_url, min: r.min_rank, max: r.max_rank }));
+                            // Cache back to Redis
+                            await redis.hset(`tournament:info:${tournamentId}`, { rewards: JSON.stringify(rewardsConfig) });
+                            console.log(`🎁 [P→L] Loaded ${rewardsConfig.length} rewards from Supabase for schedule ${sId}`);
+                        }
+                    }
+                } catch (e) { console.error('⚠️ Supabase reward fallback error:', e.message); }
+            }
+
+            // Find max rank needed (at least top 3, or max reward rank)
+            const maxRewardRank = rewardsConfig.length > 0
+                ? Math.max(3, ...rewardsConfig.map(r => parseInt(r.max) || 0))
+                : 3;
+
+            // Get all qualifying players (up to max reward rank, ties resolved by the tournament's policy)
+            const allWinners = (await ranking.top(tournamentId, maxRewardRank))
+                .map(x => ({ u: x.member, s: x.score, rank: x.rank }));
+
+            // Resolve display names (one batch)
+            const names = await playerNames.lookup(allWinners.map(w => w.u));
+            for (const w of allWinners) {
+                const { username, email } = names.get(w.u);
+                w.n = username || w.u;
+                if (username) w.e = email;
+            }
+
+            // Attach matching reward to each winner (tied players on a shared rank split the pooled tiers)
+            const allocated = allocateRewards(allWinners, rewardsConfig);
+            const winnersWithRewards = allocated.map(({ rewards, ...w }) => ({
+                ...w,
+                reward: rewards.length > 0 ? rewardView(rewards[0]) : null,
+                ...(rewards.length > 1 ? { split: rewards.map(rewardView) } : {})
+            }));
+
+            // Blind variant has its own leaderboard and reward tiers
+            const blind = await distributeBlindRewards(tournamentId);
+
+            // 🎉 EMIT tournament_winners to ALL clients (or the room's players) with full details
+            to.emit('tournament_winners', {
+                tid: tournamentId,
+                winners: winnersWithRewards,
+                rewards: rewardsConfig,
+                ltl: ltl,
+                ...(blind ? { blind } : {}) // { winners, rewards } of the blind leaderboard
+            });
+            console.log(`🏆 [BROADCAST] tournament_winners emitted: ${winnersWithRewards.length} winners, ${rewardsConfig.length} rewards`);
+
+            // 🎁 DISTRIBUTE REWARDS TO SUPABASE NOW (Redis data is fresh during p→l)
+            if (rewardsConfig.length > 0 && supabase) {
+                try {
+                    // Pre-fetch redeem codes for this tournament's schedule
+                    let redeemCodesMap = {};
+                    const scheduleId = await redis.hget(`tournament:info:${tournamentId}`, 'schedule_id');
+                    if (scheduleId) {
+                        try {
+                            const { data: codes } = await supabase
+                                .from('reward_redeem_codes')
+                                .select('*')
+                                .eq('schedule_id', scheduleId)
+                                .is('assigned_to', null)
+                                .order('rank_position');
+                            if (codes) {
+                                codes.forEach(c => {
+                                    if (!redeemCodesMap[c.rank_position]) redeemCodesMap[c.rank_position] = [];
+                                    redeemCodesMap[c.rank_position].push(c);
+                                });
+                            }
+                        } catch (e) { /* redeem codes table may not exist */ }
+                    }
+
+                    // A shared rank covers several positions: its players take codes from any of them
+                    const takeCode = (rank, positions) => {
+                        for (let pos = rank; pos < rank + positions; pos++) {
+                            if (redeemCodesMap[pos] && redeemCodesMap[pos].length > 0) return redeemCodesMap[pos].shift();
+                        }
+                        return null;
+                    };
+                    const positions = rank => allocated.filter(w => w.rank === rank).length;
+
+                    const rewardInserts = [];
+                    const codeAssignments = []; // track code assignments
+                    for (const player of allocated) {
+                        const rank = player.rank;
+                        for (const { tier: matchingReward, share } of player.rewards) {
+                            const rewardType = matchingReward.reward_type || 'default';
+                            let redeemCode = null;
+                            let linkUrl = matchingReward.link_url || null;
+
+                            // Assign redeem code if reward type is redeem_code (a code can't be split)
+                            if (rewardType === 'redeem_code' && share === 1) {
+                                const codeEntry = takeCode(rank, positions(rank));
+                                if (codeEntry) {
+                                    redeemCode = codeEntry.code;
+                                    codeAssignments.push({ id: codeEntry.id, userId: player.u });
+                                }
+                            }
+
+                            console.log(`   🎁 Rank ${rank} (${player.n}) → ${matchingReward.name} [${rewardType}]${share < 1 ? ` share ${share}` : ''}${redeemCode ? ' code:***' : ''}`);
+                            rewardInserts.push({
+                                user_id: player.u,
+                                tournament_id: tournamentId,
+                                reward_name: matchingReward.name,
+                                reward_image: matchingReward.img || null,
+                                reward_type: rewardType,
+                                redeem_code: redeemCode,
+                                link_url: linkUrl,
+                                rank_achieved: rank,
+                                ...(share < 1 ? { reward_share: share } : {}),
+                                is_claimed: false
+                            });
+                        }
+                    }
+
+                    if (rewardInserts.length > 0) {
+                        // Flagged players' rows wait in the anti-cheat review queue
+                        const allowedInserts = await antiCheat.holdRewards(rewardInserts);
+                        if (allowedInserts.length > 0) {
+                            const { data: insertedData, error: rewardError } = await supabase
+                                .from('user_rewards')
+                                .insert(allowedInserts)
+                                .select();
+
+                            if (rewardError) {
+                                console.error("❌ [REWARD INSERT ERROR] user_rewards insert failed:", rewardError);
+                                console.error("   Insert data was:", JSON.stringify(allowedInserts));
+                            } else {
+                                console.log(`✅ [REWARDS DISTRIBUTED] ${allowedInserts.length} rewards saved to Supabase user_rewards!`);
+                                if (insertedData) console.log(`   IDs: ${insertedData.map(r => r.id).join(', ')}`);
+                            }
+                        }
+
+                        // Mark assigned redeem codes
+                        for (const ca of codeAssignments) {
+                            try {
+                                await supabase.from('reward_redeem_codes')
+                                    .update({ assigned_to: ca.userId, assigned_tournament: tournamentId })
+                                    .eq('id', ca.id);
+                            } catch (e) { /* ignore */ }
+                        }
+                    } else {
+                        console.log(`ℹ️ [REWARDS] No matching rewards for any winners`);
+                    }
+                } catch (rewardErr) {
+                    console.error("❌ [REWARD DISTRIBUTION ERROR]:", rewardErr);
+                }
+            } else {
+                if (rewardsConfig.length === 0) console.log(`ℹ️ [REWARDS] No reward config for this tournament`);
+                if (!supabase) console.log(`⚠️ [REWARDS] Supabase not configured - cannot save rewards`);
+            }
+
+            // Save ALL results to Supabase tournament_results table
+            if (supabase && allWinners.length > 0) {
+                if (await countsTowardStats(tournamentId)) {
+                    try {
+                        const tgtTime = await redis.get(`${tournamentId}_target`) || await redis.get(`tournament:${tournamentId}:target`);
+                        const resultInserts = allWinners.map(w => ({
+                            tournament_id: tournamentId,
+                            user_id: w.u,
+                            username: w.n || null,
+                            email: w.e || null,
+                            score: parseFloat(w.s) || 0,
+                            rank_position: w.rank,
+                            target_time: tgtTime ? parseFloat(tgtTime) : null,
+                            actual_time: tgtTime ? parseFloat(tgtTime) + (parseFloat(w.s) || 0) : null,
+                            diff: parseFloat(w.s) || 0
+                        }));
+                        await supabase.from('tournament_results').insert(resultInserts);
+                        console.log(`📊 [P→L] Saved ${resultInserts.length} player results to Supabase`);
+                    } catch (e) { console.error('❌ tournament_results insert error:', e.message); }
+                }
+
+                // Save tournament metadata
+                try {
+                    const info = await redis.hgetall(`tournament:info:${tournamentId}`);
+                    await supabase.from('tournaments').upsert({
+                        id: tournamentId,
+                        schedule_id: info?.schedule_id || null,
+                        started_at: info?.startTime ? new Date(parseInt(info.startTime)).toISOString() : new Date(ctx.now()).toISOString(),
+                        player_count: allWinners.length,
+                        tournament_status: 'leaderboard',
+                        play_time_ms: info?.playTime ? parseInt(info.playTime) : null,
+                        leaderboard_time_ms: info?.leaderboardTime ? parseInt(info.leaderboardTime) : null
+                    });
+                    console.log(`📊 [P→L] Tournament metadata saved to Supabase`);
+                } catch (e) { console.error('❌ tournaments upsert error:', e.message); }
+            }
+
+            // Use top 3 for archive
+            const winners = allWinners.slice(0, 3);
+
+            archiveTournamentToSupabase(tournamentId, winners).catch(e => {
+                console.error("❌ Supabase Archive Error:", e);
+            });
+        } catch (e) {
+            console.error("❌ Error preparing archive at play time end:", e);
+        }
+    }
+
+    // Blind variant rewards. Rows use the blind leaderboard key as tournament_id so they never
+    // mix with the main distribution or its fallback check. Safe to call twice.
+    // Returns { winners, rewards } or null if the tournament has no blind variant.
+    async function distributeBlindRewards(tournamentId) {
+        try {
+            const blind = readBlindConfig(await redis.hgetall(`tournament:info:${tournamentId}`));
+            if (!blind) return null;
+
+            const key = leaderboardKey(tournamentId, 'blind');
+            const maxRank = Math.max(3, ...blind.rewards.map(r => parseInt(r.max) || 0));
+            const ranked = (await ranking.top(key, maxRank)).map(x => ({ u: x.member, s: x.score, rank: x.rank }));
+            const winners = allocateRewards(ranked, blind.rewards);
+            const names = await playerNames.lookup(winners.map(w => w.u));
+            for (const w of winners) w.n = names.get(w.u).username || w.u;
+
+            const rewardInserts = winners.flatMap(w => w.rewards.map(({ tier, share }) => ({
+                user_id: w.u,
+                tournament_id: key,
+                reward_name: tier.name,
+                reward_image: tier.img || null,
+                reward_type: tier.reward_type || 'default',
+                link_url: tier.link_url || null,
+                rank_achieved: w.rank,
+                ...(share < 1 ? { reward_share: share } : {}),
+                is_claimed: false
+            })));
+            if (supabase && rewardInserts.length > 0) {
+                const { data: existing } = await supabase
+                    .from('user_rewards')
+                    .select('id')
+                    .eq('tournament_id', key)
+                    .limit(1);
+                if (!existing || existing.length === 0) {
+                    const allowedInserts = await antiCheat.holdRewards(rewardInserts);
+                    if (allowedInserts.length > 0) {
+                        const { error } = await supabase.from('user_rewards').insert(allowedInserts);
+                        if (error) console.error("❌ [BLIND REWARDS] Insert error:", error);
+                        else console.log(`✅ [BLIND REWARDS] ${allowedInserts.length} rewards distributed for ${key}`);
+                    }
+                }
+            }
+
+            return {
+                winners: winners.map(w => ({
+                    u: w.u, n: w.n, s: w.s, rank: w.rank,
+                    reward: w.rewards.length > 0 ? rewardView(w.rewards[0]) : null,
+                    ...(w.rewards.length > 1 ? { split: w.rewards.map(rewardView) } : {})
+                })),
+                rewards: blind.rewards
+            };
+        } catch (e) {
+            console.error("❌ [BLIND REWARDS] Error:", e);
+            return null;
+        }
+    }
+
+    // Global Tournament End Function
+    // Private rooms pass their Socket.IO room as `to` and their own archived flag
+    async function endTournament(oldKey, { to = io, archived = tournaments.isArchived(oldKey) } = {}) {
+        console.log(`🏁 Ending Tournament: ${oldKey}`);
+        try {
+            // 1. Get Top 3 Winners
+            const winners = (await ranking.top(oldKey, 3)).slice(0, 3)
+                .map(x => ({ u: x.member, s: x.score, rank: x.rank }));
+
+            // Resolve display names (Redis metadata, then connected users, last resort the userId)
+            const names = await playerNames.lookup(winners.map(w => w.u));
+            for (const w of winners) {
+                const { username, email } = names.get(w.u);
+                w.n = username || w.u;
+                if (username) w.e = email;
+            }
+
+            // --- DISTRIBUTE REWARDS (FALLBACK) ---
+            // Primary distribution happens during p→l transition. This is a safety net.
+            try {
+                if (supabase) {
+                    // Check if rewards were already distributed during p→l transition
+                    const { data: existingRewards } = await supabase
+                        .from('user_rewards')
+                        .select('id')
+                        .eq('tournament_id', oldKey)
+                        .limit(1);
+
+                    if (existingRewards && existingRewards.length > 0) {
+                        console.log(`ℹ️ [REWARDS] Already distributed for ${oldKey} (found ${existingRewards.length} in Supabase)`);
+                    } else {
+                        // Fallback: try distributing now
+                        const rewardsConfigRaw = await redis.hget(`tournament:info:${oldKey}`, 'rewards');
+                        const rewardsConfig = rewardsConfigRaw ? JSON.parse(rewardsConfigRaw) : [];
+
+                        if (rewardsConfig.length > 0) {
+                            console.log(`🎁 [REWARDS FALLBACK] Distributing rewards for ${oldKey}...`);
+                            const maxRewardRank = Math.max(...rewardsConfig.map(r => parseInt(r.max) || 0));
+                            const qualifiedPlayers = (await ranking.top(oldKey, maxRewardRank))
+                                .map(x => ({ u: x.member, s: x.score, rank: x.rank }));
+
+                            const rewardInserts = [];
+                            for (const player of allocateRewards(qualifiedPlayers, rewardsConfig)) {
+                                for (const { tier: matchingReward, share } of player.rewards) {
+                                    rewardInserts.push({
+                                        user_id: player.u,
+                                        tournament_id: oldKey,
+                                        reward_name: matchingReward.name,
+                                        reward_image: matchingReward.img || null,
+                                        reward_type: matchingReward.reward_type || 'default',
+                                        link_url: matchingReward.link_url || null,
+                                        rank_achieved: player.rank,
+                                        ...(share < 1 ? { reward_share: share } : {}),
+                                        is_claimed: false
+                                    });
+                                }
+                            }
+
+                            const allowedInserts = await antiCheat.holdRewards(rewardInserts);
+                            if (allowedInserts.length > 0) {
+                                const { error: rewardError } = await supabase
+                                    .from('user_rewards')
+                                    .insert(allowedInserts);
+                                if (rewardError) console.error("❌ [REWARDS FALLBACK] Insert Error:", rewardError);
+                                else console.log(`✅ [REWARDS FALLBACK] ${allowedInserts.length} rewards distributed!`);
+                            }
+                        } else {
+                            console.log(`ℹ️ [REWARDS] No reward config found in Redis for ${oldKey}`);
+                        }
+                    }
+                }
+            } catch (e) {
+                console.error("❌ Error in reward distribution fallback:", e);
+            }
+            await distributeBlindRewards(oldKey); // No-op if already done at p→l
+
+            // Reveal the target seed so the target can be verified against the commitment
+            const targetProof = await targets.reveal(oldKey);
+
+            // 2. Archive to History
+            const archive = {
+                id: oldKey,
+                ts: ctx.now(),
+                winners: winners,
+                target: targetProof
+            };
+
+            // Push to History List (Keep last 50 for admin panel)
+            await redis.lpush('tournament_history', JSON.stringify(archive));
+            await redis.ltrim('tournament_history', 0, 49); // Keep last 50 tournaments
+
+            // 3. Broadcast End Event
+            to.emit('tou_end', {
+                id: oldKey,
+                winners: winners,
+                tp: targetProof // { commitment, seed, target, min, max, mode }
+            });
+
+            console.log(`✅ Tournament Archived: ${oldKey} with ${winners.length} winners`);
+
+            // Bracket event stage: top finishers move on to the next stage (no-op otherwise)
+            await ctx.events.advance(oldKey, to);
+
+            // 4. PERSIST to Supabase (only if not already archived at play time end)
+            if (!archived) {
+                archiveTournamentToSupabase(oldKey, winners).catch(e => {
+                    console.error("❌ Supabase Archive Error:", e);
+                });
+            } else {
+                console.log(`🗄️ [SUPABASE] Already archived at play time end, skipping: ${oldKey}`);
+            }
+
+            // 5. Mark tournament as 'ended' in Supabase
+            if (supabase) {
+                try {
+                    const ended = { tournament_status: 'ended', ended_at: new Date(ctx.now()).toISOString() };
+                    if (targetProof) ended.target_seed = targetProof.seed;
+                    await supabase.from('tournaments')
+                        .update(ended)
+                        .eq('id', oldKey);
+                } catch (e) { /* ignore if table doesn't exist yet */ }
+            }
+
+        } catch (e) {
+            console.error("❌ Error Ending Tournament:", e);
+        }
+    }
+
+    // --- SUPABASE ARCHIVE FUNCTION ---
+    // Saves COMPLETE tournament data to PostgreSQL (runs in background)
+    async function archiveTournamentToSupabase(tournamentId, winners) {
+        if (!supabase) return; // Skip if Supabase not configured
+
+        console.log(`🗄️ [SUPABASE] Archiving tournament: ${tournamentId}`);
+
+        try {
+            // 1. Get ALL participants from Redis (not just top 3)
+            const participants = (await ranking.range(tournamentId))
+                .map(x => ({ userId: x.member, score: x.score, rank: x.rank }));
+
+            // 2. Resolve display names for ALL participants (one pipelined batch)
+            const names = await playerNames.lookup(participants.map(p => p.userId));
+            for (const p of participants) {
+                const { username, email } = names.get(p.userId);
+                p.username = username || p.userId;
+                p.email = email;
+            }
+
+            // 3. Get tournament timing info
+            const custom = await getCustomTournamentTiming(tournamentId);
+            const type = tournamentType(tournamentId);
+
+            // 4. Get target time for this tournament
+            let targetTime = null;
+            try {
+                const targetKey = `${tournamentId}_target`;
+                const target = await redis.get(targetKey);
+                if (target) targetTime = parseInt(target);
+            } catch (e) { /* ignore */ }
+
+            // Target proof: commitment always, seed only once revealed (endTournament)
+            const targetProof = await targets.getProof(tournamentId);
+
+            // 5. INSERT tournament record
+            const tournamentRecord = {
+                id: tournamentId,
+                type,
+                started_at: custom ? new Date(custom.startTime).toISOString() : new Date(ctx.now()).toISOString(),
+                ended_at: new Date(ctx.now()).toISOString(),
+                duration_ms: custom ? custom.duration || (custom.playTime + custom.leaderboardTime) : TOURNAMENT_DURATION_MS,
+                play_time_ms: custom ? custom.playTime : PLAY_TIME_MS,
+                leaderboard_time_ms: custom ? custom.leaderboardTime : LEADERBOARD_TIME_MS,
+                target_time: targetTime,
+                target_min: targetProof ? targetProof.min : null,
+                target_max: targetProof ? targetProof.max : null,
+                target_commitment: targetProof ? targetProof.commitment : null,
+                total_players: participants.length,
+                winner_uid: winners[0]?.u || null,
+                winner_name: winners[0]?.n || null,
+                winner_score: winners[0]?.s != null ? parseFloat(winners[0].s) : null,
+                second_uid: winners[1]?.u || null,
+                second_name: winners[1]?.n || null,
+                second_score: winners[1]?.s != null ? parseFloat(winners[1].s) : null,
+                third_uid: winners[2]?.u || null,
+                third_name: winners[2]?.n || null,
+                third_score: winners[2]?.s != null ? parseFloat(winners[2].s) : null
+            };
+            if (targetProof && targetProof.revealed) tournamentRecord.target_seed = targetProof.seed;
+
+            const { error: tournamentError } = await supabase
+                .from('tournaments')
+                .upsert(tournamentRecord, { onConflict: 'id' });
+
+            if (tournamentError) {
+                console.error("❌ [SUPABASE] Tournament insert error:", tournamentError);
+                return;
+            }
+
+            console.log(`🗄️ [SUPABASE] Tournament record saved: ${tournamentId} (${participants.length} players)`);
+
+            // 6. INSERT all participant scores (batch insert in chunks of 500)
+            if (participants.length > 0) {
+                // Raw vs latency-corrected durations recorded by the 'sp' handler
+                let timingAudit = {};
+                try {
+                    timingAudit = await redis.hgetall(`tournament_timing:${tournamentId}`) || {};
+                } catch (e) { /* ignore */ }
+
+                const scoreRows = participants.map(p => {
+                    let audit = null;
+                    try { audit = timingAudit[p.userId] ? JSON.parse(timingAudit[p.userId]) : null; } catch (e) { /* ignore */ }
+                    return {
+                        tournament_id: tournamentId,
+                        user_id: p.userId,
+                        username: p.username,
+                        email: p.email,
+                        best_score: p.score,
+                        rank: p.rank,
+                        raw_time: audit ? audit.raw : null,
+                        corrected_time: audit ? audit.corrected : null,
+                        latency_correction: audit ? audit.lc : 0,
+                        rtt_ms: audit ? audit.rtt : null,
+                        scoring_mode: audit ? audit.mode : 'raw'
+                    };
+                });
+
+                // Batch insert in chunks (Supabase has row limits)
+                const CHUNK_SIZE = 500;
+                for (let i = 0; i < scoreRows.length; i += CHUNK_SIZE) {
+                    const chunk = scoreRows.slice(i, i + CHUNK_SIZE);
+                    const { error: scoresError } = await supabase
+                        .from('tournament_scores')
+                        .upsert(chunk, { onConflict: 'tournament_id,user_id' });
+
+                    if (scoresError) {
+                        console.error(`❌ [SUPABASE] Scores batch ${Math.floor(i / CHUNK_SIZE) + 1} error:`, scoresError);
+                    }
+                }
+
+                console.log(`🗄️ [SUPABASE] ${participants.length} participant scores saved`);
+            }
+
+            // 7. UPDATE user lifetime stats (not for unsponsored private rooms, see countsTowardStats)
+            const statParticipants = await countsTowardStats(tournamentId) ? participants : [];
+            for (const p of statParticipants) {
+                // All users are authenticated - no guest users
+
+                try {
+                    // Check if user exists
+                    const { data: existingUser } = await supabase
+                        .from('users')
+                        .select('id, total_games, total_tournaments, total_wins, total_top3, best_ever_score, total_score')
+                        .eq('id', p.userId)
+                        .single();
+
+                    if (existingUser) {
+                        // UPDATE existing user
+                        const updates = {
+                            username: p.username,
+                            email: p.email,
+                            total_tournaments: existingUser.total_tournaments + 1,
+                            total_score: (existingUser.total_score || 0) + p.score,
+                            last_played: new Date(ctx.now()).toISOString(),
+                            updated_at: new Date(ctx.now()).toISOString()
+                        };
+
+                        if (p.rank === 1) updates.total_wins = existingUser.total_wins + 1;
+                        if (p.rank <= 3) updates.total_top3 = (existingUser.total_top3 || 0) + 1;
+                        if (!existingUser.best_ever_score || p.score < existingUser.best_ever_score) {
+                            updates.best_ever_score = p.score;
+                        }
+
+                        await supabase.from('users').update(updates).eq('id', p.userId);
+                    } else {
+                        // INSERT new user
+                        await supabase.from('users').insert({
+                            id: p.userId,
+                            username: p.username,
+                            email: p.email,
+                            total_tournaments: 1,
+                            total_wins: p.rank === 1 ? 1 : 0,
+                            total_top3: p.rank <= 3 ? 1 : 0,
+                            best_ever_score: p.score,
+                            total_score: p.score,
+                            last_played: new Date(ctx.now()).toISOString()
+                        });
+                    }
+                } catch (e) {
+                    // Ignore individual user update errors
+                }
+            }
+
+            // 8. Weekly / monthly / all-time boards, incrementally (see ./globalBoards.js)
+            if (type !== 'room') {
+                try {
+                    await globalBoards.rollup(tournamentId, participants, custom ? custom.startTime : ctx.now());
+                } catch (e) {
+                    console.error("❌ [SUPABASE] Global leaderboard rollup error:", e.message);
+                }
+            }
+
+            // 9. Season points by finishing rank (see ./seasons.js)
+            if (type !== 'room') {
+                try {
+                    await seasons.award(tournamentId, participants, custom ? custom.startTime : ctx.now());
+                } catch (e) {
+                    console.error("❌ [SUPABASE] Season points error:", e.message);
+                }
+            }
+
+            console.log(`🗄️ [SUPABASE] ✅ Tournament fully archived: ${tournamentId} | ${participants.length} players | Winner: ${winners[0]?.n || 'None'}`);
+
+        } catch (e) {
+            console.error("❌ [SUPABASE] Archive failed:", e);
+        }
+    }
+
+    return {
+        refreshLeaderboardCache,
+        createTournamentFromSchedule,
+        handlePlayTimeEnded,
+        distributeBlindRewards,
+        endTournament,
+        archiveTournamentToSupabase
+    };
+}
+
+module.exports = { createTournamentLifecycle };
@@ -0,0 +1,190 @@
+// --- LIVE LEADERBOARD PUSHES ---
+// Sockets subscribe with 'ls' { n: top count, a: players above/below me } instead of polling
+// /api/tournament-top-scores. The board is the one the socket's session plays (session.tournamentId
+// + variant), so a new 'ig' moves the subscription along. Every LIVE_BOARD_PUSH_MS the boards
+// whose version changed (see ./ranking.js — any instance's writes count) are re-read once and each
+// subscriber gets only what changed in its view:
+//   'lb'  snapshot { tid, gm, c, top: [{ u, n, s, r }], me: { s, r } | null, ar: [...] }
+//   'lbd' diff     { tid, gm, c?, top?: changed or new entries (n only for new), rm?: [u], me?, ar? }
+// 'lu' (or disconnect) unsubscribes.
+const { leaderboardKey } = require('./modes');
+const {
+    LIVE_BOARD_PUSH_MS, LIVE_BOARD_DEFAULT_TOP, LIVE_BOARD_MAX_TOP,
+    LIVE_BOARD_DEFAULT_AROUND, LIVE_BOARD_MAX_AROUND
+} = require('../config');
+
+const clamp = (value, fallback, max) => {
+    const n = parseInt(value);
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : fallback;
+};
+
+function createLiveBoards(ctx) {
+    const { redis, state } = ctx;
+    const ranking = ctx.ranking;
+    const subscribers = new Map(); // socketId → { socket, count, radius, board, version, total, top: Map u → { s, r }, me, ar }
+    const names = new Map(); // userId → display name
+    let pushInterval = null;
+    let pushing = false;
+
+    // Board of the socket's current tournament session (null = practice / not joined)
+    function boardOf(socketId) {
+        const session = state.sessionStore.get(socketId);
+        if (!session || session.mode !== 't' || !session.tournamentId) return null;
+        return leaderboardKey(session.tournamentId, session.game);
+    }
+
+    async function displayNames(userIds) {
+        const missing = userIds.filter(u => !names.has(u));
+        if (names.size + missing.length > 5000) names.clear();
+        if (missing.length > 0) {
+            for (const [u, { username }] of await ctx.playerNames.lookup(missing)) names.set(u, username || u.substring(0, 8));
+        }
+        return userIds.map(u => names.get(u) || u.substring(0, 8));
+    }
+
+    const view = e => ({ u: e.member, s: e.score, r: e.rank });
+
+    async function withNames(entries) {
+        const resolved = await displayNames(entries.map(e => e.u));
+        return entries.map((e, i) => ({ ...e, n: resolved[i] }));
+    }
+
+    // Read a board once per push for all of its subscribers
+    async function readBoard(board, count) {
+        const [top, total] = await Promise.all([ranking.top(board, count), redis.leaderboard.count(board)]);
+        return { top: top.map(view), count: total };
+    }
+
+    async function readMine(board, sub, userId) {
+        if (!userId) return { me: null, ar: [] };
+        const window = sub.radius > 0 ? await ranking.around(board, userId, sub.radius) : [];
+        const mine = window.find(e => e.member === userId);
+        if (mine) return { me: { s: mine.score, r: mine.rank }, ar: window.map(view) };
+        const score = await redis.leaderboard.score(board, userId);
+        return { me: score === null ? null : { s: score, r: await ranking.rank(board, userId) }, ar: [] };
+    }
+
+    const meKey = me => (me ? `${me.s}:${me.r}` : '');
+    const arKey = ar => ar.map(e => `${e.u}:${e.s}:${e.r}`).join(',');
+
+    async function snapshot(socketId, sub, board, read) {
+        const session = state.sessionStore.get(socketId);
+        const top = read.top.filter(e => e.r <= sub.count);
+        const mine = await readMine(board, sub, session.userId);
+        sub.board = board;
+        sub.version = read.version;
+        sub.top = new Map(top.map(e => [e.u, { s: e.s, r: e.r }]));
+        sub.total = read.count;
+        sub.me = meKey(mine.me);
+        sub.ar = arKey(mine.ar);
+        sub.socket.emit('lb', {
+            tid: session.tournamentId,
+            gm: session.game,
+            c: read.count,
+            top: await withNames(top),
+            me: mine.me,
+            ar: await withNames(mine.ar)
+        });
+    }
+
+    async function diff(socketId, sub, board, read) {
+        const session = state.sessionStore.get(socketId);
+        const top = read.top.filter(e => e.r <= sub.count);
+        const added = top.filter(e => !sub.top.has(e.u));
+        const addedNames = new Map((await withNames(added)).map(e => [e.u, e.n]));
+        const changed = [];
+        for (const e of top) {
+            const before = sub.top.get(e.u);
+            if (!before) changed.push({ ...e, n: addedNames.get(e.u) });
+            else if (before.s !== e.s || before.r !== e.r) changed.push(e);
+        }
+        const next = new Map(top.map(e => [e.u, { s: e.s, r: e.r }]));
+        const removed = Array.from(sub.top.keys()).filter(u => !next.has(u));
+        const mine = await readMine(board, sub, session.userId);
+
+        const update = {};
+        if (read.count !== sub.total) update.c = read.count;
+        if (changed.length > 0) update.top = changed;
+        if (removed.length > 0) update.rm = removed;
+        if (meKey(mine.me) !== sub.me) update.me = mine.me;
+        if (arKey(mine.ar) !== sub.ar) update.ar = await withNames(mine.ar);
+
+        sub.version = read.version;
+        sub.top = next;
+        sub.total = read.count;
+        sub.me = meKey(mine.me);
+        sub.ar = arKey(mine.ar);
+        if (Object.keys(update).length > 0) {
+            sub.socket.emit('lbd', { tid: session.tournamentId, gm: session.game, ...update });
+        }
+    }
+
+    // 'ls': subscribe (or change n / a) and get a snapshot of the current board right away
+    async function subscribe(socket, { n, a } = {}) {
+        const sub = subscribers.get(socket.id) || { socket, board: null, version: null, top: new Map(), me: '', ar: '' };
+        sub.count = Math.max(1, clamp(n, LIVE_BOARD_DEFAULT_TOP, LIVE_BOARD_MAX_TOP));
+        sub.radius = clamp(a, LIVE_BOARD_DEFAULT_AROUND, LIVE_BOARD_MAX_AROUND);
+        sub.board = null; // Force a snapshot with the new view size
+        subscribers.set(socket.id, sub);
+        await push([socket.id]);
+    }
+
+    function unsubscribe(socketId) {
+        return subscribers.delete(socketId);
+    }
+
+    // Push changes to the given subscribers (default: all). Each board is read once.
+    async function push(socketIds = Array.from(subscribers.keys())) {
+        const byBoard = new Map(); // board → [socketId]
+        for (const socketId of socketIds) {
+            const sub = subscribers.get(socketId);
+            if (!sub) continue;
+            const board = boardOf(socketId);
+            if (!board) {
+                sub.board = null; // Practice / left: a later 'ig' gets a fresh snapshot
+                continue;
+            }
+            if (!byBoard.has(board)) byBoard.set(board, []);
+            byBoard.get(board).push(socketId);
+        }
+
+        for (const [board, ids] of byBoard) {
+            try {
+                const version = await ranking.version(board);
+                const stale = ids.filter(id => {
+                    const sub = subscribers.get(id);
+                    return sub.board !== board || sub.version !== version;
+                });
+                if (stale.length === 0) continue;
+                const count = Math.max(...stale.map(id => subscribers.get(id).count));
+                const read = { ...await readBoard(board, count), version };
+                for (const id of stale) {
+                    const sub = subscribers.get(id);
+                    if (!sub || !state.sessionStore.has(id)) continue; // Disconnected meanwhile
+                    if (sub.board !== board) await snapshot(id, sub, board, read);
+                    else await diff(id, sub, board, read);
+                }
+            } catch (e) {
+                console.error(`❌ [LIVE BOARD] push error for ${board}:`, e.message);
+            }
+        }
+    }
+
+    function start() {
+        stop();
+        pushInterval = setInterval(async () => {
+            if (pushing) return; // Slow Redis: skip a beat rather than pile up
+            pushing = true;
+            try { await push(); } finally { pushing = false; }
+        }, LIVE_BOARD_PUSH_MS);
+    }
+
+    function stop() {
+        if (pushInterval) clearInterval(pushInterval);
+        pushInterval = null;
+    }
+
+    return { subscribe, unsubscribe, push, start, stop };
+}
+
+module.exports = { createLiveBoards };
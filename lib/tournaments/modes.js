@@ -0,0 +1,30 @@
+// --- GAME MODES ---
+// The 'm' field of 'ig': 't' = tournament (default), 'p' = practice, plus variants
+//   'mt' / 'mp' → multi-target laps (see ./multiTarget.js)
+//   'bt' / 'bp' → blind timer (see ./blind.js)
+// Each variant ranks in its own sorted set next to the tournament's main leaderboard.
+const VARIANTS = {
+    mt: { mode: 't', game: 'multi' },
+    mp: { mode: 'p', game: 'multi' },
+    bt: { mode: 't', game: 'blind' },
+    bp: { mode: 'p', game: 'blind' }
+};
+const GAMES = ['single', 'multi', 'blind'];
+
+// ig 'm' value -> { mode: session mode, game }
+function parseGameMode(m) {
+    if (VARIANTS[m]) return { ...VARIANTS[m] };
+    return { mode: m === 'p' ? 'p' : 't', game: 'single' };
+}
+
+function leaderboardKey(tournamentId, game = 'single') {
+    return game === 'single' ? tournamentId : `${tournamentId}:${game}`;
+}
+
+// Leaderboard key → tournament id (inverse of leaderboardKey)
+function tournamentOf(boardKey) {
+    const [id, game] = String(boardKey).split(':');
+    return GAMES.includes(game) ? id : boardKey;
+}
+
+module.exports = { parseGameMode, leaderboardKey, tournamentOf, GAMES };
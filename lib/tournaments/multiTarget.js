@@ -0,0 +1,37 @@
+// --- MULTI-TARGET ROUNDS (lap stops) ---
+// 'ig' with m: 'mt' (tournament) or 'mp' (practice) starts rounds with 2-5 targets.
+// After 'st' the player taps 'lp' at the end of each lap and 'sp' on the last one.
+// Each lap is timed from the previous tap on the server, so only the first lap carries
+// the start/stop latency and only it gets the clock-sync correction.
+// Score = sum or max of the per-lap misses, ranked in its own sorted set (see ./modes.js).
+const { MULTI_TARGET_MIN_LAPS, MULTI_TARGET_MAX_LAPS, MULTI_TARGET_DEFAULT_LAPS } = require('../config');
+
+// Practice: fresh random targets per round (2.0000s-3.4999s in tenths of ms)
+function randomLapTargets(count) {
+    const laps = Math.min(MULTI_TARGET_MAX_LAPS, Math.max(MULTI_TARGET_MIN_LAPS, parseInt(count) || MULTI_TARGET_DEFAULT_LAPS));
+    return Array.from({ length: laps }, () => Math.floor(Math.random() * 15000) + 20000);
+}
+
+// splits: hrtime (bigint) of each 'lp' tap and the final 'sp' → lap durations in tenths of ms
+function lapDurations(startHrtime, splits) {
+    let prev = startHrtime;
+    return splits.map(s => {
+        const d = Number((s - prev) / 100000n);
+        prev = s;
+        return d;
+    });
+}
+
+// Laps the player never reached count as a full miss (d = target)
+function scoreLaps(durations, targets, scoring, firstLapCorrection = 0) {
+    const laps = targets.map((tt, i) => {
+        if (i >= durations.length) return { ft: null, tt, d: tt };
+        const ft = i === 0 ? Math.max(0, durations[0] - firstLapCorrection) : durations[i];
+        return { ft, tt, d: Math.abs(ft - tt) };
+    });
+    const misses = laps.map(l => l.d);
+    const score = scoring === 'max' ? Math.max(...misses) : misses.reduce((a, b) => a + b, 0);
+    return { laps, score };
+}
+
+module.exports = { randomLapTargets, lapDurations, scoreLaps };
@@ -0,0 +1,219 @@
+// --- LEADERBOARD RANKING (ties) ---
+// A sorted set orders equal scores by member, i.e. by userId, which used to decide who got
+// the 1st-place prize. The 'sp' handler records when each best score was achieved
+// (tournament_achieved:<board>, userId → ms) and every ranked read resolves ties by policy:
+//   'earliest' — the earlier achievement ranks higher: 1, 2, 3
+//   'shared'   — equal scores share the group's best rank: 1, 1, 3, and split the rewards
+//                of the positions they cover (see allocateRewards)
+// Policy per tournament: admin `tieBreak`, stored as tournament:info tie_break (default TIE_BREAK).
+const { TIE_BREAK } = require('../config');
+const { tournamentOf } = require('./modes');
+
+const TIE_BREAKS = ['earliest', 'shared'];
+const achievedKey = boardKey => `tournament_achieved:${boardKey}`;
+const versionKey = boardKey => `tournament_version:${boardKey}`; // Bumped on every change (live pushes, see ./liveBoard.js)
+
+// Admin input: { tieBreak } → { policy } (null = default) or { error }
+function parseTieBreak(body = {}) {
+    if (body.tieBreak === undefined || body.tieBreak === null || body.tieBreak === '') return { policy: null };
+    if (!TIE_BREAKS.includes(body.tieBreak)) return { error: `tieBreak must be one of ${TIE_BREAKS.join(', ')}` };
+    return { policy: body.tieBreak };
+}
+
+function tieBreakInfoFields(policy) {
+    return policy ? { tie_break: policy } : {};
+}
+
+// Score, then achievement time (unknown = last), then userId so the order is always total
+function compareEntries(a, b) {
+    if (a.score !== b.score) return a.score - b.score;
+    const at = a.achievedAt === null || a.achievedAt === undefined ? Infinity : a.achievedAt;
+    const bt = b.achievedAt === null || b.achievedAt === undefined ? Infinity : b.achievedAt;
+    if (at !== bt) return at < bt ? -1 : 1;
+    return a.member < b.member ? -1 : a.member > b.member ? 1 : 0;
+}
+
+// [{ member, score, achievedAt }] from the top of a board → ordered, each with its 1-based rank
+function rankEntries(entries, policy = TIE_BREAK) {
+    const sorted = entries.slice().sort(compareEntries);
+    let rank = 0;
+    return sorted.map((e, i) => {
+        if (policy !== 'shared' || i === 0 || e.score !== sorted[i - 1].score) rank = i + 1;
+        return { ...e, rank };
+    });
+}
+
+// Ranked entries + reward tiers [{ name, min, max, ... }] → entries with rewards: [{ tier, share }].
+// A rank held by k players covers positions rank..rank+k-1: the tiers of those positions are
+// pooled and each player gets an even share of every tier in the pool (three tied for 1st with
+// a 1-3 tier get one each; two tied for 1st with 1st = A, 2nd = B get half of each).
+// Unique ranks ('earliest') simply get their own tier with share 1.
+function allocateRewards(ranked, tiers) {
+    const tierAt = pos => tiers.find(r => pos >= parseInt(r.min) && pos <= parseInt(r.max)) || null;
+    const groupSize = new Map();
+    for (const e of ranked) groupSize.set(e.rank, (groupSize.get(e.rank) || 0) + 1);
+
+    return ranked.map(e => {
+        const k = groupSize.get(e.rank);
+        const pool = new Map(); // tier → positions it covers in the group
+        for (let pos = e.rank; pos < e.rank + k; pos++) {
+            const tier = tierAt(pos);
+            if (tier) pool.set(tier, (pool.get(tier) || 0) + 1);
+        }
+        return { ...e, rewards: Array.from(pool, ([tier, n]) => ({ tier, share: n / k })) };
+    });
+}
+
+// Share of the board at or below `rank`, one decimal (1st of 200 → 100, 200th of 200 → 0.5)
+function percentileOf(rank, total) {
+    return total > 0 ? Math.round(1000 * (total - rank + 1) / total) / 10 : null;
+}
+
+// Page cursor (see page below): opaque base64url of { s: score, k: players with that score already listed }
+const encodeCursor = c => Buffer.from(JSON.stringify(c)).toString('base64url');
+
+function decodeCursor(cursor) {
+    try {
+        const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (Number.isFinite(c.s) && Number.isInteger(c.k) && c.k >= 0) return c;
+    } catch (e) { /* fall through */ }
+    throw new Error('Invalid cursor');
+}
+
+function createRanking(ctx) {
+    const { redis } = ctx;
+    const policies = new Map(); // tournamentId → policy (fixed when the tournament is created)
+
+    async function policyOf(boardKey) {
+        const id = tournamentOf(boardKey);
+        if (!policies.has(id)) {
+            if (policies.size > 1000) policies.clear();
+            let policy = null;
+            try { policy = await redis.hget(`tournament:info:${id}`, 'tie_break'); } catch (e) { /* default */ }
+            policies.set(id, TIE_BREAKS.includes(policy) ? policy : TIE_BREAK);
+        }
+        return policies.get(id);
+    }
+
+    // New best score for a player, with when it was achieved
+    async function record(boardKey, member, score, achievedAt = ctx.now()) {
+        await redis.leaderboard.add(boardKey, score, member);
+        await redis.hset(achievedKey(boardKey), member, String(achievedAt));
+        await bump(boardKey);
+    }
+
+    async function remove(boardKey, member) {
+        const removed = await redis.leaderboard.remove(boardKey, member);
+        await redis.hdel(achievedKey(boardKey), member);
+        await bump(boardKey);
+        return removed;
+    }
+
+    async function bump(boardKey) {
+        await redis.incr(versionKey(boardKey));
+        await redis.expire(versionKey(boardKey), 86400);
+    }
+
+    // Change counter of a board: 0 = never written
+    async function version(boardKey) {
+        return parseInt(await redis.get(versionKey(boardKey))) || 0;
+    }
+
+    async function withAchieved(boardKey, entries) {
+        if (entries.length === 0) return entries;
+        const members = entries.map(e => e.member);
+        const raw = await redis.hmget(achievedKey(boardKey), ...members);
+        const times = Array.isArray(raw) ? raw : members.map(m => (raw || {})[m]); // Upstash answers with an object
+        return entries.map((e, i) => ({
+            ...e,
+            achievedAt: times[i] !== null && times[i] !== undefined ? parseInt(times[i]) : null
+        }));
+    }
+
+    // Top `count` → [{ member, score, achievedAt, rank }]. Players tied with the last one across
+    // the cut are looked at too: 'earliest' keeps the earlier achievers, 'shared' keeps the
+    // whole group (so the list can be longer than count).
+    async function top(boardKey, count) {
+        if (count <= 0) return [];
+        let entries = await redis.leaderboard.top(boardKey, count);
+        if (entries.length === count) {
+            const last = entries[count - 1].score;
+            const tied = Number(await redis.zcount(boardKey, last, last));
+            const inside = entries.filter(e => e.score === last).length;
+            if (tied > inside) entries = entries.concat(await redis.leaderboard.range(boardKey, count, count + tied - inside - 1));
+        }
+        const policy = await policyOf(boardKey);
+        const ranked = rankEntries(await withAchieved(boardKey, entries), policy);
+        return policy === 'shared' ? ranked.filter(e => e.rank <= count) : ranked.slice(0, count);
+    }
+
+    // Whole board, ranked
+    async function range(boardKey) {
+        const entries = await redis.leaderboard.range(boardKey);
+        return rankEntries(await withAchieved(boardKey, entries), await policyOf(boardKey));
+    }
+
+    // 1-based rank of one player, null if they're not on the board
+    async function rank(boardKey, member) {
+        const score = await redis.leaderboard.score(boardKey, member);
+        if (score === null) return null;
+        const tied = Number(await redis.zcount(boardKey, score, score));
+        if (tied <= 1) {
+            const index = await redis.leaderboard.rank(boardKey, member);
+            return index === null ? null : index + 1;
+        }
+
+        const better = Number(await redis.zcount(boardKey, '-inf', `(${score}`));
+        const policy = await policyOf(boardKey);
+        if (policy === 'shared') return better + 1;
+        const group = rankEntries(await withAchieved(boardKey, await redis.leaderboard.range(boardKey, better, better + tied - 1)), policy);
+        return better + group.findIndex(e => e.member === member) + 1;
+    }
+
+    // Board positions start..end (0-based), ranked. The read is widened to whole tied groups at
+    // its edges so the ranks inside are exact → { entries, from } (entries start at position `from`).
+    async function rankedSpan(boardKey, start, end) {
+        const window = await redis.leaderboard.range(boardKey, Math.max(0, start), end);
+        if (window.length === 0) return { entries: [], from: start };
+        const from = Number(await redis.zcount(boardKey, '-inf', `(${window[0].score}`));
+        const to = Number(await redis.zcount(boardKey, '-inf', window[window.length - 1].score)) - 1;
+        const entries = rankEntries(await withAchieved(boardKey, await redis.leaderboard.range(boardKey, from, to)), await policyOf(boardKey))
+            .map(e => ({ ...e, rank: e.rank + from }));
+        return { entries, from };
+    }
+
+    // The player and up to `radius` ranked neighbours on each side → [{ member, score, achievedAt, rank }]
+    async function around(boardKey, member, radius) {
+        const score = await redis.leaderboard.score(boardKey, member);
+        if (score === null) return [];
+        // Within a tied group the ranked order isn't the stored order: read around the whole group
+        const groupStart = Number(await redis.zcount(boardKey, '-inf', `(${score}`));
+        const groupEnd = groupStart + Number(await redis.zcount(boardKey, score, score)) - 1;
+        const { entries } = await rankedSpan(boardKey, groupStart - radius, groupEnd + radius);
+        const at = entries.findIndex(e => e.member === member);
+        return entries.slice(Math.max(0, at - radius), at + radius + 1);
+    }
+
+    // Cursor pages → { entries, nextCursor }. The cursor is the last entry's score plus how many
+    // players with that score were already listed, so a page doesn't shift when players below it
+    // improve or new players join further down (players overtaking the cursor can still repeat).
+    async function page(boardKey, { cursor = null, limit }) {
+        let start = 0;
+        if (cursor) {
+            const { s, k } = decodeCursor(cursor);
+            start = Number(await redis.zcount(boardKey, '-inf', `(${s}`)) + k;
+        }
+        const { entries, from } = await rankedSpan(boardKey, start, start + limit - 1);
+        const list = entries.slice(start - from, start - from + limit);
+        if (list.length < limit) return { entries: list, nextCursor: null };
+
+        const last = list[list.length - 1];
+        const listed = start + list.length - Number(await redis.zcount(boardKey, '-inf', `(${last.score}`));
+        const more = start + list.length < await redis.leaderboard.count(boardKey);
+        return { entries: list, nextCursor: more ? encodeCursor({ s: last.score, k: listed }) : null };
+    }
+
+    return { policyOf, record, remove, version, top, range, rank, around, page };
+}
+
+module.exports = { createRanking, parseTieBreak, tieBreakInfoFields, rankEntries, allocateRewards, percentileOf, TIE_BREAKS };
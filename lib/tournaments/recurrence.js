@@ -0,0 +1,202 @@
+// --- RECURRENCE ENGINE (daily schedules) ---
+// A daily schedule carries a rule evaluated in its own IANA timezone:
+//   { tz, times: ['HH:MM', ...], days: [0-6] | null, everyHours, from, until, blackout: ['YYYY-MM-DD'] }
+// days: 0 = Sunday (null = every day). everyHours repeats from each start time until midnight.
+// from / until / blackout are local calendar dates (until inclusive).
+// Schedules saved before rules existed only have `time` and run daily in IST (see toRule).
+const { RECURRENCE_DEFAULT_TZ } = require('../config');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_PRESETS = { weekdays: [1, 2, 3, 4, 5], weekends: [0, 6], daily: null };
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_RE = /^(\d{2}):(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+function formatter(tz) {
+    if (!formatters.has(tz)) {
+        formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+            timeZone: tz,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(tz);
+}
+
+function isValidTimeZone(tz) {
+    try {
+        formatter(tz);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Wall clock in `tz` at a UTC timestamp → { year, month (1-12), day, hour, minute, weekday (0 = Sun) }
+function localParts(ts, tz) {
+    const parts = {};
+    for (const p of formatter(tz).formatToParts(new Date(ts))) parts[p.type] = p.value;
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+// Offset of `tz` from UTC at a timestamp (ms, positive east of Greenwich)
+function offsetAt(ts, tz) {
+    const p = localParts(ts, tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+}
+
+// Local wall clock → UTC timestamp. A time skipped by a DST jump lands just after it.
+function zonedTime(year, month, day, hour, minute, tz) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const first = guess - offsetAt(guess, tz);
+    const second = guess - offsetAt(first, tz);
+    return first === second ? first : Math.max(first, second);
+}
+
+const dateString = (y, m, d) => `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+const timeString = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+function parseTime(value) {
+    const match = TIME_RE.exec(String(value || ''));
+    if (!match) return null;
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+function parseDate(value) {
+    const match = DATE_RE.exec(String(value || ''));
+    if (!match) return null;
+    const [y, m, d] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+    const check = new Date(Date.UTC(y, m - 1, d));
+    if (check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return null;
+    return dateString(y, m, d);
+}
+
+function parseDays(value) {
+    if (value === undefined || value === null || value === '') return { days: null };
+    if (typeof value === 'string') {
+        if (value.toLowerCase() in DAY_PRESETS) return { days: DAY_PRESETS[value.toLowerCase()] };
+        value = value.split(',');
+    }
+    if (!Array.isArray(value) || value.length === 0) return { error: 'days must be "weekdays", "weekends" or a list of days' };
+    const days = new Set();
+    for (const raw of value) {
+        const name = String(raw).trim().toLowerCase().slice(0, 3);
+        const day = DAY_NAMES.includes(name) ? DAY_NAMES.indexOf(name) : parseInt(raw);
+        if (!(day >= 0 && day <= 6)) return { error: `Unknown day: ${raw}` };
+        days.add(day);
+    }
+    return { days: Array.from(days).sort((a, b) => a - b) };
+}
+
+// Admin input: { time | times, days, everyHours, from, until, blackout, timezone }
+// Returns { config } or { error }
+function parseRecurrence(body = {}) {
+    const tz = body.timezone || body.tz || RECURRENCE_DEFAULT_TZ;
+    if (!isValidTimeZone(tz)) return { error: `Unknown timezone: ${tz}` };
+
+    const rawTimes = body.times !== undefined ? body.times : (body.time !== undefined ? [body.time] : []);
+    if (!Array.isArray(rawTimes) || rawTimes.length === 0) return { error: 'time is required (HH:MM format)' };
+    const times = [];
+    for (const t of rawTimes) {
+        if (parseTime(t) === null) return { error: `Invalid time ${t}. Use HH:MM (e.g., 14:30)` };
+        times.push(timeString(parseTime(t)));
+    }
+
+    const days = parseDays(body.days);
+    if (days.error) return { error: days.error };
+
+    let everyHours = null;
+    if (body.everyHours !== undefined && body.everyHours !== null && body.everyHours !== '') {
+        everyHours = parseInt(body.everyHours);
+        if (!(everyHours >= 1 && everyHours <= 23)) return { error: 'everyHours must be between 1 and 23' };
+    }
+
+    const from = body.from ? parseDate(body.from) : null;
+    const until = body.until ? parseDate(body.until) : null;
+    if ((body.from && !from) || (body.until && !until)) return { error: 'from / until must be dates (YYYY-MM-DD)' };
+    if (from && until && until < from) return { error: 'until must not be before from' };
+
+    const blackout = [];
+    for (const d of body.blackout || []) {
+        const date = parseDate(d);
+        if (!date) return { error: `Invalid blackout date ${d}. Use YYYY-MM-DD` };
+        blackout.push(date);
+    }
+
+    return {
+        config: {
+            tz,
+            times: Array.from(new Set(times)).sort(),
+            days: days.days,
+            everyHours,
+            from,
+            until,
+            blackout: Array.from(new Set(blackout)).sort()
+        }
+    };
+}
+
+// Stored schedule → rule (legacy `time`-only schedules: every day in IST)
+function toRule(schedule) {
+    if (schedule.recurrence) return schedule.recurrence;
+    return { tz: RECURRENCE_DEFAULT_TZ, times: [schedule.time], days: null, everyHours: null, from: null, until: null, blackout: [] };
+}
+
+// Minutes after local midnight at which the rule fires on an allowed day
+function slotsOf(rule) {
+    const slots = new Set();
+    for (const t of rule.times) {
+        const start = parseTime(t);
+        if (start === null) continue;
+        if (!rule.everyHours) {
+            slots.add(start);
+            continue;
+        }
+        for (let m = start; m < 24 * 60; m += rule.everyHours * 60) slots.add(m);
+    }
+    return Array.from(slots).sort((a, b) => a - b);
+}
+
+// Next `count` occurrences strictly after `after` → [{ at (UTC ms), date, time }] (local date / time).
+// Scans at most `horizonDays` local days so a rule with nothing left ends the search.
+function nextOccurrences(rule, after, count = 1, horizonDays = 400) {
+    const slots = slotsOf(rule);
+    const out = [];
+    if (slots.length === 0 || count <= 0) return out;
+
+    // Start a day early: `after` may still be "yesterday" in the schedule's timezone
+    const start = localParts(after - DAY_MS, rule.tz);
+    let cursor = Date.UTC(start.year, start.month - 1, start.day);
+    for (let i = 0; i < horizonDays && out.length < count; i++, cursor += DAY_MS) {
+        const day = new Date(cursor);
+        const [y, m, d] = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate()];
+        const date = dateString(y, m, d);
+        if (rule.until && date > rule.until) break;
+        if (rule.from && date < rule.from) continue;
+        if (rule.days && !rule.days.includes(day.getUTCDay())) continue;
+        if (rule.blackout && rule.blackout.includes(date)) continue;
+
+        for (const minutes of slots) {
+            const at = zonedTime(y, m, d, Math.floor(minutes / 60), minutes % 60, rule.tz);
+            if (at > after) out.push({ at, date, time: timeString(minutes) });
+            if (out.length >= count) break;
+        }
+    }
+    return out;
+}
+
+module.exports = { parseRecurrence, toRule, nextOccurrences, zonedTime, localParts, isValidTimeZone };
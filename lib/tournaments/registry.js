@@ -0,0 +1,121 @@
+// --- ACTIVE TOURNAMENT REGISTRY ---
+// Several tournaments can run at once: the rotating auto slot plus any number of
+// scheduled / manual / daily tournaments. Each entry keeps its own phase state for the
+// scheduler loop. state.currentTournamentKey stays as the featured tournament
+// (newest custom one, else the auto slot) for clients that don't pick one in 'ig'.
+// Private rooms are tracked separately (see ./rooms.js).
+// The registry is shared by every server instance through the Redis hash tournaments:active
+// (id → entry JSON): state.tournaments is this instance's copy, written through on every
+// change and reloaded by sync() (see lib/cluster.js).
+
+const { leaderboardKey, GAMES } = require('./modes');
+
+const ACTIVE_KEY = 'tournaments:active';
+const tournamentChannel = id => `tournament:${id}`; // Socket.IO room for scoped 'tu' events
+
+function tournamentType(id) {
+    if (!id) return null;
+    if (id.includes('_scheduled_')) return 'scheduled';
+    if (id.includes('_manual_')) return 'manual';
+    if (id.includes('_daily_')) return 'daily';
+    if (id.includes('_room_')) return 'room';
+    return 'auto';
+}
+
+function createTournamentRegistry(ctx) {
+    const { redis, state } = ctx;
+    const pending = new Set(); // Writes to Redis still in flight (sync waits for them)
+
+    // Cached top 3 of the tournament and its variant boards
+    const dropCache = id => GAMES.forEach(game => state.leaderboardCache.delete(leaderboardKey(id, game)));
+
+    function write(promise) {
+        const p = promise
+            .catch(e => console.error('❌ [REGISTRY] Redis write error:', e.message))
+            .finally(() => pending.delete(p));
+        pending.add(p);
+    }
+
+    // fields: overrides for a tournament restored after a restart ({ startedAt, lastPhase, archived })
+    function register(id, type = tournamentType(id), fields = {}) {
+        if (!state.tournaments.has(id)) {
+            const entry = {
+                id,
+                type,
+                startedAt: ctx.now(),
+                lastPhase: null, // Last phase broadcast for this tournament
+                archived: false, // Play-time-end archive already ran
+                ...fields
+            };
+            state.tournaments.set(id, entry);
+            write(redis.hsetnx(ACTIVE_KEY, id, JSON.stringify(entry))); // Another instance may have it already
+        }
+        refreshFeatured();
+        return state.tournaments.get(id);
+    }
+
+    // Persist changes to an entry's phase state (lastPhase / archived)
+    function save(entry) {
+        write(redis.hset(ACTIVE_KEY, entry.id, JSON.stringify(entry)));
+    }
+
+    function unregister(id) {
+        state.tournaments.delete(id);
+        dropCache(id);
+        write(redis.hdel(ACTIVE_KEY, id));
+        refreshFeatured();
+    }
+
+    // Reload the shared registry: tournaments started or ended by other instances
+    async function sync() {
+        await Promise.all(Array.from(pending));
+        try {
+            const saved = await redis.hgetall(ACTIVE_KEY) || {};
+            const next = new Map();
+            for (const [id, raw] of Object.entries(saved)) {
+                try { next.set(id, typeof raw === 'string' ? JSON.parse(raw) : raw); } catch (e) { /* skip bad data */ }
+            }
+            for (const id of state.tournaments.keys()) {
+                if (!next.has(id)) dropCache(id);
+            }
+            state.tournaments = next;
+            refreshFeatured();
+        } catch (e) {
+            console.error('❌ [REGISTRY] sync error:', e.message);
+        }
+    }
+
+    function get(id) {
+        return state.tournaments.get(id) || null;
+    }
+
+    function has(id) {
+        return state.tournaments.has(id);
+    }
+
+    function list() {
+        return Array.from(state.tournaments.values());
+    }
+
+    // Newest custom tournament wins the spotlight, the auto slot is the fallback
+    function featured() {
+        const all = list();
+        const custom = all.filter(t => t.type !== 'auto').sort((a, b) => b.startedAt - a.startedAt);
+        if (custom.length > 0) return custom[0].id;
+        const auto = all.find(t => t.type === 'auto');
+        return auto ? auto.id : null;
+    }
+
+    function refreshFeatured() {
+        state.currentTournamentKey = featured();
+    }
+
+    function isArchived(id) {
+        const entry = get(id);
+        return !!(entry && entry.archived);
+    }
+
+    return { register, save, unregister, sync, get, has, list, featured, isArchived };
+}
+
+module.exports = { createTournamentRegistry, tournamentType, tournamentChannel };
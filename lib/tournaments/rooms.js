@@ -0,0 +1,205 @@
+// --- PRIVATE ROOMS (invite-code tournaments) ---
+// A player creates a room (POST /api/rooms) and shares its short join code; friends play it
+// with 'ig' { m: 't', rc: code }. A room is a custom tournament (id tournament_room_<code>_<ts>)
+// with its own leaderboard and timing keys (read by getCustomTournamentTiming), running next to
+// the global tournament. 'tu', 'tournament_winners' and 'tou_end' go to the Socket.IO room
+// `room:<id>` instead of everyone. No rewards unless an admin sponsors the room.
+const crypto = require('crypto');
+const {
+    ROOM_CODE_LENGTH,
+    ROOM_DEFAULT_PLAY_MS,
+    ROOM_MIN_PLAY_MS,
+    ROOM_MAX_PLAY_MS,
+    ROOM_LEADERBOARD_MS,
+    ROOM_MAX_PER_HOST
+} = require('../config');
+const { parseTargetConfig } = require('./target');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O/1/I
+const ACTIVE_KEY = 'rooms:active';
+const codeKey = code => `room:code:${code}`;
+const roomChannel = id => `room:${id}`;
+
+function generateCode(length = ROOM_CODE_LENGTH) {
+    let code = '';
+    for (let i = 0; i < length; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    return code;
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// Host input: { name, playTime, leaderboardTime (ms), target / targetMin / targetMax, laps, lapScoring }
+// Returns { config } or { error }
+function parseRoomConfig(body = {}) {
+    const playTime = body.playTime ? parseInt(body.playTime) : ROOM_DEFAULT_PLAY_MS;
+    if (!(playTime >= ROOM_MIN_PLAY_MS && playTime <= ROOM_MAX_PLAY_MS)) {
+        return { error: `playTime must be between ${ROOM_MIN_PLAY_MS} and ${ROOM_MAX_PLAY_MS} ms` };
+    }
+    const leaderboardTime = body.leaderboardTime ? parseInt(body.leaderboardTime) : ROOM_LEADERBOARD_MS;
+    if (!(leaderboardTime >= 30 * 1000 && leaderboardTime <= 10 * 60 * 1000)) {
+        return { error: 'leaderboardTime must be between 30000 and 600000 ms' };
+    }
+    const target = parseTargetConfig(body);
+    if (target.error) return { error: target.error };
+    const name = String(body.name || '').trim().slice(0, 40) || 'Private Room';
+    return { config: { name, playTime, leaderboardTime, target: target.config } };
+}
+
+// Sponsored reward tiers: [{ name, img, min, max, reward_type, link_url }]
+function parseRewardTiers(rewards) {
+    if (!Array.isArray(rewards) || rewards.length === 0) return { error: 'rewards must be a non-empty array' };
+    for (const r of rewards) {
+        if (!r || !r.name || !(parseInt(r.min) >= 1) || !(parseInt(r.max) >= parseInt(r.min))) {
+            return { error: 'Each reward needs a name and 1 <= min <= max' };
+        }
+    }
+    return { rewards };
+}
+
+function createRooms(ctx) {
+    const { redis, io } = ctx;
+    const { getCustomTournamentTiming, getTournamentTimeLeft, getTournamentPhase, getLeaderboardTimeLeft } = ctx.timing;
+    const { endTournament, handlePlayTimeEnded } = ctx.lifecycle;
+    const targets = ctx.targets;
+
+    async function openRoomsOf(hostId) {
+        let count = 0;
+        for (const id of await redis.smembers(ACTIVE_KEY) || []) {
+            if (await redis.hget(`tournament:info:${id}`, 'room_host') === hostId) count++;
+        }
+        return count;
+    }
+
+    async function create(host, config) {
+        if (await openRoomsOf(host.userId) >= ROOM_MAX_PER_HOST) {
+            return { error: `You can host at most ${ROOM_MAX_PER_HOST} open rooms` };
+        }
+
+        const now = ctx.now();
+        const duration = config.playTime + config.leaderboardTime;
+        const ttl = Math.ceil(duration / 1000);
+
+        // Short codes collide eventually: claim one atomically
+        let code = null;
+        let id = null;
+        for (let i = 0; i < 5 && !code; i++) {
+            const candidate = generateCode();
+            const candidateId = `tournament_room_${candidate}_${now}`;
+            if (await redis.setIfAbsent(codeKey(candidate), candidateId, ttl + 300)) {
+                code = candidate;
+                id = candidateId;
+            }
+        }
+        if (!code) return { error: 'Could not allocate a room code, try again' };
+
+        await redis.setex(`tournament:${id}:duration`, ttl, duration.toString());
+        await redis.setex(`tournament:${id}:playTime`, ttl, config.playTime.toString());
+        await redis.setex(`tournament:${id}:leaderboardTime`, ttl, config.leaderboardTime.toString());
+        await redis.setex(`tournament:${id}:startTime`, ttl, now.toString());
+        await targets.assign(id, config.target, ttl + 300);
+
+        await redis.hset(`tournament:info:${id}`, {
+            schedule_id: '',
+            room_code: code,
+            room_name: config.name,
+            room_host: host.userId,
+            room_host_name: host.username || '',
+            room_phase: 'p' // Last phase sent to the room (see checkRooms)
+        });
+        await redis.expire(`tournament:info:${id}`, ttl + 300);
+        await redis.sadd(ACTIVE_KEY, id);
+
+        console.log(`🚪 [ROOM] ${host.userId} opened ${code} (${id}) | Play: ${config.playTime / 60000}min`);
+        return { room: await get(id) };
+    }
+
+    // Join code (or full room id) → room id, null if the room is unknown or over
+    async function resolve(codeOrId) {
+        const value = String(codeOrId || '').trim();
+        if (value.startsWith('tournament_room_')) {
+            return await redis.sismember(ACTIVE_KEY, value) ? value : null;
+        }
+        const id = await redis.get(codeKey(normalizeCode(value)));
+        return id && await redis.sismember(ACTIVE_KEY, id) ? id : null;
+    }
+
+    async function get(id) {
+        const info = await redis.hgetall(`tournament:info:${id}`);
+        if (!info || !info.room_code) return null;
+        let rewards = [];
+        try { rewards = info.rewards ? JSON.parse(info.rewards) : []; } catch (e) { /* ignore */ }
+        return {
+            id,
+            code: info.room_code,
+            name: info.room_name,
+            host: info.room_host,
+            hostName: info.room_host_name || null,
+            sponsored: info.room_sponsored === '1',
+            rewards,
+            ph: await getTournamentPhase(id),
+            tl: await getTournamentTimeLeft(id),
+            ltl: await getLeaderboardTimeLeft(id),
+            players: await redis.leaderboard.count(id)
+        };
+    }
+
+    async function list() {
+        const rooms = [];
+        for (const id of await redis.smembers(ACTIVE_KEY) || []) {
+            const room = await get(id);
+            if (room) rooms.push(room);
+        }
+        return rooms;
+    }
+
+    // Admin: attach reward tiers so the usual distribution runs for this room
+    async function sponsor(id, rewards) {
+        await redis.hset(`tournament:info:${id}`, {
+            rewards: JSON.stringify(rewards),
+            room_sponsored: '1'
+        });
+        console.log(`🎁 [ROOM] ${id} sponsored with ${rewards.length} reward tiers`);
+        return get(id);
+    }
+
+    // One pass over open rooms (runs with the tournament loop): phase broadcasts, p→l results, end
+    async function checkRooms() {
+        const ids = await redis.smembers(ACTIVE_KEY) || [];
+        for (const id of ids) {
+            try {
+                const to = io.to(roomChannel(id));
+                const info = await redis.hgetall(`tournament:info:${id}`) || {};
+                const custom = await getCustomTournamentTiming(id);
+                const elapsed = custom ? ctx.now() - custom.startTime : Infinity;
+
+                if (!custom || elapsed >= custom.playTime + custom.leaderboardTime) {
+                    console.log(`🏁 [ROOM ENDED] ${id}`);
+                    await endTournament(id, { to, archived: info.room_archived === '1' });
+                    await redis.srem(ACTIVE_KEY, id);
+                    if (info.room_code) await redis.del(codeKey(info.room_code));
+                    continue;
+                }
+
+                const phase = await getTournamentPhase(id);
+                if (phase === info.room_phase) continue;
+                const tl = await getTournamentTimeLeft(id);
+                const ltl = await getLeaderboardTimeLeft(id);
+                await redis.hset(`tournament:info:${id}`, { room_phase: phase });
+                to.emit('tu', { ph: phase, tl, ltl, tid: id });
+
+                if (info.room_phase === 'p' && phase === 'l') {
+                    await redis.hset(`tournament:info:${id}`, { room_archived: '1' });
+                    await handlePlayTimeEnded(id, ltl, to);
+                }
+            } catch (e) {
+                console.error(`❌ [ROOM CHECK ERROR] ${id}:`, e);
+            }
+        }
+    }
+
+    return { create, resolve, get, list, sponsor, checkRooms };
+}
+
+module.exports = { createRooms, parseRoomConfig, parseRewardTiers, normalizeCode, roomChannel };
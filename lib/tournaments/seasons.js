@@ -0,0 +1,353 @@
+// --- SEASONS (season points, season pass levels, end-of-season rewards) ---
+// A season is a window of time (Supabase table seasons). Every tournament archived while a season
+// is open (private rooms excepted) awards season points by finishing rank; the running totals live
+// in season_standings, one row per player, like period_stats (see ./globalBoards.js).
+// Points also climb the season pass: one level per `level_points`.
+// Closing a season (admin) ranks the standings and writes user_rewards through the usual reward
+// pipeline: rank tiers `rewards` [{ name, img, min, max, reward_type, link_url }] and pass tiers
+// `pass_rewards` [{ level, name, img, reward_type, link_url }] for everyone who reached the level.
+// Redeem codes come from reward_redeem_codes: schedule_id <seasonId> by rank_position for rank
+// tiers, schedule_id <seasonId>_pass by rank_position = level for pass tiers.
+const { SEASON_DEFAULT_POINTS, SEASON_LEVEL_POINTS } = require('../config');
+const { parseRewardTiers } = require('./rooms');
+const { allocateRewards } = require('./ranking');
+
+// Standings order: points, then wins and podiums, then who got there first (user id keeps it total)
+const STANDINGS_ORDER = [['points', false], ['wins', false], ['podiums', false], ['updated_at', true], ['user_id', true]];
+const AWARDED_TTL_S = 7 * 86400;
+const CLOSING_TTL_S = 10 * 60;
+const CHUNK_SIZE = 500;
+const PAGE_SIZE = 1000; // Supabase caps a select at 1000 rows
+
+// Points tiers: [{ min, max, points }], max null = every rank from min on
+function parsePointTiers(input) {
+    if (input === undefined || input === null) return { points: SEASON_DEFAULT_POINTS };
+    if (!Array.isArray(input) || input.length === 0) return { error: 'points must be a non-empty array' };
+    const points = [];
+    for (const t of input) {
+        const min = parseInt(t && t.min);
+        const max = t && t.max !== undefined && t.max !== null ? parseInt(t.max) : null;
+        const value = parseInt(t && t.points);
+        if (!(min >= 1) || (max !== null && !(max >= min)) || !(value >= 0)) {
+            return { error: 'Each points tier needs 1 <= min <= max and points >= 0' };
+        }
+        points.push({ min, max, points: value });
+    }
+    return { points };
+}
+
+// Season pass tiers: [{ level, name, img, reward_type, link_url }]
+function parsePassRewards(input) {
+    if (input === undefined || input === null) return { passRewards: [] };
+    if (!Array.isArray(input)) return { error: 'passRewards must be an array' };
+    for (const r of input) {
+        if (!r || !r.name || !(parseInt(r.level) >= 1)) return { error: 'Each pass reward needs a name and a level >= 1' };
+    }
+    return { passRewards: input.map(r => ({ ...r, level: parseInt(r.level) })) };
+}
+
+// Admin input: { name, startsAt, endsAt (Unix ms), points, levelPoints, rewards, passRewards }
+// Returns { config } or { error }
+function parseSeasonConfig(body = {}) {
+    const name = String(body.name || '').trim().slice(0, 60);
+    if (!name) return { error: 'name is required' };
+    const startsAt = parseInt(body.startsAt);
+    const endsAt = parseInt(body.endsAt);
+    if (!(startsAt > 0) || !(endsAt > startsAt)) return { error: 'startsAt and endsAt are required (Unix timestamps in ms, endsAt after startsAt)' };
+
+    const points = parsePointTiers(body.points);
+    if (points.error) return { error: points.error };
+    const levelPoints = body.levelPoints !== undefined ? parseInt(body.levelPoints) : SEASON_LEVEL_POINTS;
+    if (!(levelPoints >= 1)) return { error: 'levelPoints must be a positive integer' };
+
+    let rewards = [];
+    if (Array.isArray(body.rewards) && body.rewards.length > 0) {
+        const parsed = parseRewardTiers(body.rewards);
+        if (parsed.error) return { error: parsed.error };
+        rewards = parsed.rewards;
+    }
+    const pass = parsePassRewards(body.passRewards);
+    if (pass.error) return { error: pass.error };
+
+    return { config: { name, startsAt, endsAt, points: points.points, levelPoints, rewards, passRewards: pass.passRewards } };
+}
+
+function pointsFor(rank, tiers) {
+    const tier = tiers.find(t => rank >= t.min && (t.max === null || t.max === undefined || rank <= t.max));
+    return tier ? tier.points : 0;
+}
+
+const rewardKey = r => `${r.user_id}|${r.reward_name}|${r.rank_achieved}`;
+
+const orderStandings = query => STANDINGS_ORDER.reduce((q, [column, ascending]) => q.order(column, { ascending }), query);
+
+function createSeasons(ctx) {
+    const { redis, supabase } = ctx;
+    const antiCheat = ctx.antiCheat;
+    let queue = Promise.resolve(); // This process's awards, in order: close() waits for the ones in flight
+
+    async function get(seasonId) {
+        const { data, error } = await supabase.from('seasons').select('*').eq('id', seasonId).maybeSingle();
+        if (error) throw new Error(error.message);
+        return data || null;
+    }
+
+    // The open season whose window contains ts (seasons can't overlap)
+    async function openAt(ts) {
+        const at = new Date(ts).toISOString();
+        const { data, error } = await supabase
+            .from('seasons')
+            .select('*')
+            .eq('status', 'open')
+            .lte('starts_at', at)
+            .gte('ends_at', at)
+            .limit(1);
+        if (error) throw new Error(error.message);
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    async function create(config) {
+        if (!supabase) return { error: 'Database not configured' };
+        const startsAt = new Date(config.startsAt).toISOString();
+        const endsAt = new Date(config.endsAt).toISOString();
+        const { data: overlapping, error } = await supabase
+            .from('seasons')
+            .select('id, name')
+            .neq('status', 'closed')
+            .lte('starts_at', endsAt)
+            .gte('ends_at', startsAt)
+            .limit(1);
+        if (error) throw new Error(error.message);
+        if (overlapping && overlapping.length > 0) return { error: `Overlaps season '${overlapping[0].name}'` };
+
+        const now = ctx.now();
+        const season = {
+            id: `season_${now}`,
+            name: config.name,
+            starts_at: startsAt,
+            ends_at: endsAt,
+            points: config.points,
+            level_points: config.levelPoints,
+            rewards: config.rewards,
+            pass_rewards: config.passRewards,
+            status: 'open',
+            created_at: new Date(now).toISOString()
+        };
+        const { error: insertError } = await supabase.from('seasons').insert(season);
+        if (insertError) throw new Error(insertError.message);
+        console.log(`🏅 [SEASON] Created ${season.id} '${season.name}' (${startsAt} → ${endsAt})`);
+        return { season };
+    }
+
+    async function list() {
+        if (!supabase) return [];
+        const { data, error } = await supabase.from('seasons').select('*').order('starts_at', { ascending: false });
+        if (error) throw new Error(error.message);
+        return data || [];
+    }
+
+    // participants: [{ userId, username, rank, score }] of a finished tournament started at startedAt
+    function award(tournamentId, participants, startedAt) {
+        const run = queue.then(() => awardNow(tournamentId, participants, startedAt));
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    // add_season_points (supabase_schema.sql) adds the whole tournament in one transaction,
+    // incrementing in SQL, and only while the season is still open
+    async function awardNow(tournamentId, participants, startedAt) {
+        if (!supabase || participants.length === 0) return false;
+        const season = await openAt(startedAt);
+        if (!season) return false;
+        // Archive can run again for the same tournament: award once
+        const marker = `tournament:season_points:${tournamentId}`;
+        if (!await redis.setIfAbsent(marker, season.id, AWARDED_TTL_S)) return false;
+
+        let awarded;
+        try {
+            const { data, error } = await supabase.rpc('add_season_points', {
+                p_season_id: season.id,
+                p_at: new Date(ctx.now()).toISOString(),
+                p_results: participants.map(p => ({
+                    user_id: p.userId,
+                    username: p.username,
+                    points: pointsFor(p.rank, season.points),
+                    win: p.rank === 1 ? 1 : 0,
+                    podium: p.rank <= 3 ? 1 : 0
+                }))
+            });
+            if (error) throw new Error(error.message);
+            awarded = data;
+        } catch (e) {
+            await redis.del(marker); // Nothing was written: the next archive pass retries
+            throw e;
+        }
+        if (awarded) console.log(`🏅 [SEASON] ${tournamentId} → ${season.id} points for ${participants.length} players`);
+        return !!awarded;
+    }
+
+    // One page of a season's standings → { entries: [row], me: row | null }
+    async function standings(seasonId, { limit, offset = 0, userId = null }) {
+        const { data, error } = await orderStandings(supabase
+            .from('season_standings')
+            .select('*')
+            .eq('season_id', seasonId))
+            .range(offset, offset + limit - 1);
+        if (error) throw new Error(error.message);
+
+        let me = null;
+        if (userId) {
+            const { data: mine } = await supabase
+                .from('season_standings')
+                .select('*')
+                .eq('season_id', seasonId)
+                .eq('user_id', userId)
+                .maybeSingle();
+            me = mine || null;
+        }
+        return { entries: data || [], me };
+    }
+
+    async function allStandings(seasonId) {
+        const all = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { entries } = await standings(seasonId, { limit: PAGE_SIZE, offset });
+            all.push(...entries);
+            if (entries.length < PAGE_SIZE) return all;
+        }
+    }
+
+    // Unassigned redeem codes of a schedule id → { rank_position: [code rows] }
+    async function codePool(scheduleId) {
+        const pool = {};
+        try {
+            const { data: codes } = await supabase
+                .from('reward_redeem_codes')
+                .select('*')
+                .eq('schedule_id', scheduleId)
+                .is('assigned_to', null)
+                .order('rank_position')
+                .order('id');
+            (codes || []).forEach(c => {
+                if (!pool[c.rank_position]) pool[c.rank_position] = [];
+                pool[c.rank_position].push(c);
+            });
+        } catch (e) { /* redeem codes table may not exist */ }
+        return pool;
+    }
+
+    // The season's user_rewards rows already written (a close that failed part way) → Map rewardKey → redeem_code
+    async function writtenRewards(seasonId) {
+        const written = new Map();
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from('user_rewards')
+                .select('user_id, reward_name, rank_achieved, redeem_code')
+                .eq('tournament_id', seasonId)
+                .order('id')
+                .range(offset, offset + PAGE_SIZE - 1);
+            if (error) throw new Error(error.message);
+            (data || []).forEach(r => written.set(rewardKey(r), r.redeem_code || null));
+            if (!data || data.length < PAGE_SIZE) return written;
+        }
+    }
+
+    // End the season: rank the standings and distribute rank and pass rewards
+    // Safe to call again after a failure: standings are frozen once 'closing', and rewards
+    // already written are skipped and keep their codes
+    // → { season, players, rewards, held } | { error } | null (unknown season)
+    async function close(seasonId) {
+        if (!supabase) return { error: 'Database not configured' };
+        const season = await get(seasonId);
+        if (!season) return null;
+        if (season.status === 'closed') return { error: 'Season is already closed' };
+        if (!await redis.setIfAbsent(`season:closing:${seasonId}`, ctx.instanceId || '1', CLOSING_TTL_S)) {
+            return { error: 'Season is already closing' };
+        }
+
+        try {
+            // No more points from here on (add_season_points needs 'open'); finish the awards in flight
+            const { error: closingError } = await supabase.from('seasons').update({ status: 'closing' }).eq('id', seasonId);
+            if (closingError) return { error: closingError.message };
+            await queue;
+
+            const ranked = (await allStandings(seasonId))
+                .map((row, i) => ({ u: row.user_id, n: row.username || row.user_id, rank: i + 1, level: row.level }));
+            const rankCodes = await codePool(seasonId);
+            const passCodes = await codePool(`${seasonId}_pass`);
+
+            // Rewards written by an earlier attempt keep their row and code
+            const written = await writtenRewards(seasonId);
+            const usedCodes = new Set(Array.from(written.values()).filter(Boolean));
+            const takeCode = codes => {
+                while (codes && codes.length > 0) {
+                    const code = codes.shift().code;
+                    if (!usedCodes.has(code)) return code;
+                }
+                return null;
+            };
+
+            const rewardInserts = [];
+            const addReward = (player, tier, codes) => {
+                const row = {
+                    user_id: player.u,
+                    tournament_id: seasonId,
+                    reward_name: tier.name,
+                    reward_image: tier.img || null,
+                    reward_type: tier.reward_type || 'default',
+                    redeem_code: null,
+                    link_url: tier.link_url || null,
+                    rank_achieved: player.rank,
+                    is_claimed: false
+                };
+                if (written.has(rewardKey(row))) row.redeem_code = written.get(rewardKey(row));
+                else if (row.reward_type === 'redeem_code') row.redeem_code = takeCode(codes);
+                rewardInserts.push(row);
+            };
+            // Standings ranks are distinct, so every rank tier goes whole to one player
+            for (const player of allocateRewards(ranked, season.rewards || [])) {
+                for (const { tier } of player.rewards) addReward(player, tier, rankCodes[player.rank]);
+                for (const tier of (season.pass_rewards || []).filter(t => player.level >= t.level)) {
+                    addReward(player, tier, passCodes[tier.level]);
+                }
+            }
+
+            // Flagged players' rows wait in the anti-cheat review queue (held once per reward)
+            const allowedInserts = await antiCheat.holdRewards(rewardInserts);
+            const pending = allowedInserts.filter(r => !written.has(rewardKey(r)));
+            for (let i = 0; i < pending.length; i += CHUNK_SIZE) {
+                const { error } = await supabase.from('user_rewards').insert(pending.slice(i, i + CHUNK_SIZE));
+                if (error) {
+                    console.error("❌ [SEASON] user_rewards insert failed (close again to resume):", error);
+                    return { error: error.message };
+                }
+            }
+            // Mark every handed-out code, held ones included (marking twice is harmless)
+            for (const row of rewardInserts.filter(r => r.redeem_code)) {
+                try {
+                    await supabase.from('reward_redeem_codes')
+                        .update({ assigned_to: row.user_id, assigned_tournament: seasonId })
+                        .in('schedule_id', [seasonId, `${seasonId}_pass`])
+                        .eq('code', row.redeem_code);
+                } catch (e) { /* ignore */ }
+            }
+
+            const closedAt = new Date(ctx.now()).toISOString();
+            const { error: closedError } = await supabase.from('seasons').update({ status: 'closed', closed_at: closedAt }).eq('id', seasonId);
+            if (closedError) return { error: `Rewards written but the season is still closing: ${closedError.message}` };
+            console.log(`🏁 [SEASON] Closed ${seasonId} | ${ranked.length} players | ${allowedInserts.length} rewards (${rewardInserts.length - allowedInserts.length} held)`);
+            return {
+                season: { ...season, status: 'closed', closed_at: closedAt },
+                players: ranked.length,
+                rewards: allowedInserts.length,
+                held: rewardInserts.length - allowedInserts.length
+            };
+        } finally {
+            await redis.del(`season:closing:${seasonId}`);
+        }
+    }
+
+    return { create, list, get, openAt, award, standings, close };
+}
+
+module.exports = { createSeasons, parseSeasonConfig, pointsFor };
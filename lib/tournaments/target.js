@@ -0,0 +1,172 @@
+// --- TOURNAMENT TARGET TIME (configurable, seeded, auditable) ---
+// Each tournament gets ONE target for all players, generated when the tournament is
+// created (auto tournaments: on first join). The target is derived from a random seed:
+//   target = min + HMAC-SHA256(seed, tournamentId) mod (max - min + 1)
+// Only sha256(seed) (the commitment) is public while the tournament runs; the seed is
+// revealed when it ends, so anyone can check the target wasn't picked by hand.
+// Multi-target rounds derive lap i (i > 0) the same way from `${tournamentId}:lap${i}`.
+// All values are tenths of ms.
+const crypto = require('crypto');
+const {
+    MULTI_TARGET_MIN_LAPS,
+    MULTI_TARGET_MAX_LAPS,
+    MULTI_TARGET_DEFAULT_LAPS,
+    MULTI_TARGET_SCORING
+} = require('../config');
+
+const DEFAULT_TARGET_RANGE = { mode: 'range', min: 20000, max: 34999 }; // 2.0000s - 3.4999s
+const TARGET_LIMITS_MS = { min: 1000, max: 60000 }; // What admins may configure
+const TARGET_TTL_SECONDS = 3600; // Minimum lifetime of target keys
+
+function commitSeed(seed) {
+    return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+function deriveTarget(seed, tournamentId, config) {
+    if (config.mode === 'fixed') return config.target;
+    const digest = crypto.createHmac('sha256', seed).update(tournamentId).digest();
+    return config.min + (digest.readUIntBE(0, 6) % (config.max - config.min + 1));
+}
+
+// Lap 0 is the tournament's single target, so both game modes share it
+function deriveLapTargets(seed, tournamentId, config, laps) {
+    return Array.from({ length: laps }, (_, i) => deriveTarget(seed, i === 0 ? tournamentId : `${tournamentId}:lap${i}`, config));
+}
+
+// Admin input (milliseconds, 0.1ms precision): { target } or { targetMin, targetMax }
+// plus optional multi-target settings: { laps: 2-5, lapScoring: 'sum' | 'max' }
+// Returns { config } (null = default range) or { error }
+function parseTargetConfig(body = {}) {
+    const parsed = parseTargetRange(body);
+    if (parsed.error) return parsed;
+
+    const hasLaps = body.laps !== undefined && body.laps !== null && body.laps !== '';
+    const hasScoring = body.lapScoring !== undefined && body.lapScoring !== null && body.lapScoring !== '';
+    if (!hasLaps && !hasScoring) return parsed;
+
+    const config = { ...(parsed.config || DEFAULT_TARGET_RANGE) };
+    if (hasLaps) {
+        const laps = parseInt(body.laps);
+        if (!(laps >= MULTI_TARGET_MIN_LAPS && laps <= MULTI_TARGET_MAX_LAPS)) {
+            return { error: `laps must be between ${MULTI_TARGET_MIN_LAPS} and ${MULTI_TARGET_MAX_LAPS}` };
+        }
+        config.laps = laps;
+    }
+    if (hasScoring) {
+        if (body.lapScoring !== 'sum' && body.lapScoring !== 'max') return { error: "lapScoring must be 'sum' or 'max'" };
+        config.lapScoring = body.lapScoring;
+    }
+    return { config };
+}
+
+function parseTargetRange(body) {
+    const toTenths = ms => Math.round(parseFloat(ms) * 10);
+    const inLimits = ms => Number.isFinite(parseFloat(ms)) &&
+        parseFloat(ms) >= TARGET_LIMITS_MS.min && parseFloat(ms) <= TARGET_LIMITS_MS.max;
+    const limitsMsg = `must be between ${TARGET_LIMITS_MS.min} and ${TARGET_LIMITS_MS.max} ms`;
+
+    if (body.target !== undefined && body.target !== null && body.target !== '') {
+        if (!inLimits(body.target)) return { error: `target ${limitsMsg}` };
+        return { config: { mode: 'fixed', target: toTenths(body.target) } };
+    }
+    const hasMin = body.targetMin !== undefined && body.targetMin !== null && body.targetMin !== '';
+    const hasMax = body.targetMax !== undefined && body.targetMax !== null && body.targetMax !== '';
+    if (!hasMin && !hasMax) return { config: null };
+    if (!hasMin || !hasMax) return { error: 'targetMin and targetMax must be set together' };
+    if (!inLimits(body.targetMin) || !inLimits(body.targetMax)) return { error: `targetMin/targetMax ${limitsMsg}` };
+    const min = toTenths(body.targetMin);
+    const max = toTenths(body.targetMax);
+    if (min > max) return { error: 'targetMin must not exceed targetMax' };
+    return { config: { mode: 'range', min, max } };
+}
+
+function createTargets(ctx) {
+    const { redis } = ctx;
+    const proofKey = id => `tournament:target:${id}`;
+
+    // Get the tournament's target, creating it (once, race-safe) if it doesn't exist yet
+    async function assign(tournamentId, config = null, ttlSeconds = TARGET_TTL_SECONDS) {
+        const existing = await redis.get(`tournament:${tournamentId}:target`) || await redis.get(`${tournamentId}_target`);
+        if (existing) return parseInt(existing);
+
+        const cfg = config || DEFAULT_TARGET_RANGE;
+        const seed = crypto.randomBytes(32).toString('hex');
+        const target = deriveTarget(seed, tournamentId, cfg);
+        const ttl = Math.max(TARGET_TTL_SECONDS, ttlSeconds);
+
+        // Two players joining at once: only the first write wins, the other reads it back
+        const created = await redis.setIfAbsent(`tournament:${tournamentId}:target`, target.toString(), ttl);
+        if (!created) return parseInt(await redis.get(`tournament:${tournamentId}:target`));
+
+        await redis.setex(`${tournamentId}_target`, ttl, target.toString()); // Legacy key format
+        await redis.hset(proofKey(tournamentId), {
+            mode: cfg.mode,
+            min: cfg.mode === 'range' ? cfg.min : cfg.target,
+            max: cfg.mode === 'range' ? cfg.max : cfg.target,
+            target,
+            laps: cfg.laps || MULTI_TARGET_DEFAULT_LAPS,
+            lapScoring: cfg.lapScoring || MULTI_TARGET_SCORING,
+            seed,
+            commitment: commitSeed(seed),
+            revealed: '0'
+        });
+        await redis.expire(proofKey(tournamentId), 86400 * 7); // Proof outlives the tournament
+        console.log(`🎯 Target for ${tournamentId}: ${target} (${cfg.mode}${cfg.mode === 'range' ? ` ${cfg.min}-${cfg.max}` : ''})`);
+        return target;
+    }
+
+    // Public view: seed only once revealed
+    async function getProof(tournamentId) {
+        const p = await redis.hgetall(proofKey(tournamentId));
+        if (!p || !p.commitment) return null;
+        const revealed = p.revealed === '1';
+        const lapInfo = lapSettings(p);
+        return {
+            tournamentId,
+            mode: p.mode,
+            min: parseInt(p.min),
+            max: parseInt(p.max),
+            laps: lapInfo.laps,
+            lapScoring: lapInfo.scoring,
+            commitment: p.commitment,
+            revealed,
+            seed: revealed ? p.seed : null,
+            target: revealed ? parseInt(p.target) : null,
+            lapTargets: revealed ? deriveLapTargets(p.seed, tournamentId, rangeOf(p), lapInfo.laps) : null
+        };
+    }
+
+    function rangeOf(p) {
+        return p.mode === 'fixed'
+            ? { mode: 'fixed', target: parseInt(p.target) }
+            : { mode: 'range', min: parseInt(p.min), max: parseInt(p.max) };
+    }
+
+    function lapSettings(p) {
+        return {
+            laps: parseInt(p.laps) || MULTI_TARGET_DEFAULT_LAPS,
+            scoring: p.lapScoring === 'max' || p.lapScoring === 'sum' ? p.lapScoring : MULTI_TARGET_SCORING
+        };
+    }
+
+    // Multi-target rounds: the tournament's lap sequence (creates the seed if needed)
+    async function getLapTargets(tournamentId) {
+        await assign(tournamentId);
+        const p = await redis.hgetall(proofKey(tournamentId));
+        if (!p || !p.seed) return null; // Target set without a proof (legacy key)
+        const { laps, scoring } = lapSettings(p);
+        return { targets: deriveLapTargets(p.seed, tournamentId, rangeOf(p), laps), scoring };
+    }
+
+    // Called when the tournament ends
+    async function reveal(tournamentId) {
+        const exists = await redis.hget(proofKey(tournamentId), 'commitment');
+        if (!exists) return null;
+        await redis.hset(proofKey(tournamentId), { revealed: '1' });
+        return getProof(tournamentId);
+    }
+
+    return { assign, getProof, reveal, getLapTargets };
+}
+
+module.exports = { createTargets, parseTargetConfig, deriveTarget, deriveLapTargets, commitSeed, DEFAULT_TARGET_RANGE };
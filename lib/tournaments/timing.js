@@ -0,0 +1,124 @@
+// --- TOURNAMENT HELPERS (keys, phases, time left) ---
+const { TOURNAMENT_DURATION_MS, PLAY_TIME_MS, LEADERBOARD_TIME_MS } = require('../config');
+
+function getTournamentKey(timestamp = Date.now()) {
+    // Calculate which 15-minute interval we're in
+    const intervalStart = Math.floor(timestamp / TOURNAMENT_DURATION_MS) * TOURNAMENT_DURATION_MS;
+    const date = new Date(intervalStart);
+    // Format: tournament_YYYY_MM_DD_HH_MM (includes minute for 15-min intervals)
+    const key = `tournament_${date.getUTCFullYear()}_${String(date.getUTCMonth() + 1).padStart(2, '0')}_${String(date.getUTCDate()).padStart(2, '0')}_${String(date.getUTCHours()).padStart(2, '0')}_${String(date.getUTCMinutes()).padStart(2, '0')}`;
+    return key;
+}
+
+function createTournamentTiming(ctx) {
+    const { redis } = ctx;
+
+    // Helper to get custom tournament timing from Redis
+    async function getCustomTournamentTiming(tournamentId) {
+        try {
+            const duration = await redis.get(`tournament:${tournamentId}:duration`);
+            const playTime = await redis.get(`tournament:${tournamentId}:playTime`);
+            const leaderboardTime = await redis.get(`tournament:${tournamentId}:leaderboardTime`);
+            const startTime = await redis.get(`tournament:${tournamentId}:startTime`);
+
+            if (duration && playTime && leaderboardTime && startTime) {
+                return {
+                    duration: parseInt(duration),
+                    playTime: parseInt(playTime),
+                    leaderboardTime: parseInt(leaderboardTime),
+                    startTime: parseInt(startTime)
+                };
+            }
+        } catch (e) {
+            console.error("Error getting custom tournament timing:", e);
+        }
+        return null;
+    }
+
+    async function getTournamentTimeLeft(tournamentId = null) {
+        const now = ctx.now();
+
+        // If tournamentId provided, check for custom timing
+        if (tournamentId) {
+            const custom = await getCustomTournamentTiming(tournamentId);
+            if (custom) {
+                const elapsed = now - custom.startTime;
+
+                // If we're in leaderboard time (after play time), return 0
+                if (elapsed >= custom.playTime) {
+                    return 0; // Tournament ended, leaderboard time
+                }
+
+                // Return remaining play time
+                const remaining = custom.playTime - elapsed;
+                return Math.max(0, remaining); // Return in ms
+            }
+        }
+
+        // Default: Find the start of current 15-minute interval
+        const intervalStart = Math.floor(now / TOURNAMENT_DURATION_MS) * TOURNAMENT_DURATION_MS;
+        const elapsed = now - intervalStart;
+
+        // If we're in winner/leaderboard time (last 3 minutes), return 0
+        if (elapsed >= PLAY_TIME_MS) {
+            return 0; // Tournament ended, winner/leaderboard time
+        }
+
+        // Return remaining play time
+        const remaining = PLAY_TIME_MS - elapsed;
+        return remaining; // Return in ms
+    }
+
+    // Helper: Get Tournament Phase
+    // 'p' = Playing (0 - 12 mins)
+    // 'l' = Leaderboard (12 - 15 mins)
+    // 'n' = None (No active tournament)
+    async function getTournamentPhase(tournamentId = null) {
+        if (!tournamentId) return 'n';
+
+        const now = ctx.now();
+        let elapsed = 0;
+        let playTime = PLAY_TIME_MS;
+
+        // Check custom timing
+        const custom = await getCustomTournamentTiming(tournamentId);
+        if (custom) {
+            elapsed = now - custom.startTime;
+            playTime = custom.playTime;
+        } else {
+            // Default 15-min interval
+            const intervalStart = Math.floor(now / TOURNAMENT_DURATION_MS) * TOURNAMENT_DURATION_MS;
+            elapsed = now - intervalStart;
+        }
+
+        if (elapsed < playTime) {
+            return 'p';
+        } else {
+            return 'l';
+        }
+    }
+
+    // Helper: Get Leaderboard Time Left (ms until next tournament starts)
+    async function getLeaderboardTimeLeft(tournamentId = null) {
+        if (!tournamentId) return 0;
+
+        const now = ctx.now();
+
+        // Check custom timing
+        const custom = await getCustomTournamentTiming(tournamentId);
+        if (custom) {
+            const totalDuration = custom.playTime + (custom.leaderboardTime || LEADERBOARD_TIME_MS);
+            const elapsed = now - custom.startTime;
+            return Math.max(0, totalDuration - elapsed);
+        }
+
+        // Default 15-min interval
+        const intervalStart = Math.floor(now / TOURNAMENT_DURATION_MS) * TOURNAMENT_DURATION_MS;
+        const elapsed = now - intervalStart;
+        return Math.max(0, TOURNAMENT_DURATION_MS - elapsed);
+    }
+
+    return { getCustomTournamentTiming, getTournamentTimeLeft, getTournamentPhase, getLeaderboardTimeLeft };
+}
+
+module.exports = { getTournamentKey, createTournamentTiming };
@@ -6,13 +6,17 @@
 -- 1. TOURNAMENTS TABLE — Every tournament's record
 CREATE TABLE IF NOT EXISTS tournaments (
     id TEXT PRIMARY KEY,                    -- tournament key (e.g., tournament_2026_02_13_00_00)
-    type TEXT DEFAULT 'auto',               -- 'auto', 'scheduled', 'manual'
+    type TEXT DEFAULT 'auto',               -- 'auto', 'scheduled', 'manual', 'daily', 'room' (private)
     started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     ended_at TIMESTAMPTZ DEFAULT NOW(),
     duration_ms INTEGER DEFAULT 900000,     -- total duration in ms
     play_time_ms INTEGER DEFAULT 720000,    -- play phase duration
     leaderboard_time_ms INTEGER DEFAULT 180000,
     target_time INTEGER,                    -- target time in ms (same for all players)
+    target_min INTEGER,                     -- target range (tenths of ms); min = max for a fixed target
+    target_max INTEGER,
+    target_commitment TEXT,                 -- sha256(target_seed), published while the tournament runs
+    target_seed TEXT,                       -- revealed when the tournament ends
     total_players INTEGER DEFAULT 0,
     
     -- Winner info (denormalized for fast queries)
@@ -39,6 +43,13 @@ CREATE TABLE IF NOT EXISTS tournament_scores (
     best_score REAL NOT NULL,               -- difference in ms (lower = better)
     rank INTEGER,
     
+    -- Timing audit for the best attempt (tenths of ms, see lib/sockets/clockSync.js)
+    raw_time INTEGER,                       -- server-measured duration
+    corrected_time INTEGER,                 -- after latency compensation
+    latency_correction INTEGER DEFAULT 0,
+    rtt_ms REAL,
+    scoring_mode TEXT DEFAULT 'raw',        -- which of the two was ranked
+    
     created_at TIMESTAMPTZ DEFAULT NOW(),
     
     -- Prevent duplicate entries per user per tournament
@@ -86,6 +97,192 @@ CREATE INDEX IF NOT EXISTS idx_users_wins ON users(total_wins DESC);
 -- Fast lookup: top users by best score
 CREATE INDEX IF NOT EXISTS idx_users_best ON users(best_ever_score ASC);
 
+-- 4. ROUND ATTEMPTS — Every finished round (batched from the server, see lib/attempts.js)
+CREATE TABLE IF NOT EXISTS round_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    tournament_id TEXT,                     -- NULL for practice rounds
+    mode TEXT NOT NULL,                     -- 't' = tournament, 'p' = practice, 'd' = duel
+    target_time INTEGER NOT NULL,           -- tenths of ms (multi-target: sum of lap targets)
+    duration INTEGER NOT NULL,              -- scored duration (tenths of ms)
+    raw_duration INTEGER,                   -- before latency compensation
+    diff INTEGER NOT NULL,                  -- |duration - target| (multi-target: lap score)
+    latency_correction INTEGER DEFAULT 0,
+    rtt_ms REAL,
+    verified BOOLEAN DEFAULT FALSE,
+    new_record BOOLEAN DEFAULT FALSE,
+    game TEXT DEFAULT 'single',             -- 'single' | 'multi' (lap stops) | 'blind' | 'duel'
+    laps JSONB,                             -- multi-target: [{ ft, tt, d }]
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attempts_user ON round_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_attempts_tournament ON round_attempts(tournament_id);
+
+-- 5. DUELS — Finished head-to-head matches (see lib/duels/index.js)
+CREATE TABLE IF NOT EXISTS duels (
+    id TEXT PRIMARY KEY,                    -- duel_<timestamp>_<hex>
+    player_a TEXT NOT NULL,
+    player_b TEXT NOT NULL,
+    winner_id TEXT,                         -- NULL = draw
+    reason TEXT NOT NULL,                   -- 'score' | 'rounds' (tiebreak cap) | 'forfeit'
+    best_of INTEGER NOT NULL,
+    score_a INTEGER DEFAULT 0,
+    score_b INTEGER DEFAULT 0,
+    rating_a_before INTEGER,
+    rating_a_after INTEGER,
+    rating_b_before INTEGER,
+    rating_b_after INTEGER,
+    rounds JSONB,                           -- [{ rd, t, res: [{ u, ft, d }], w }]
+    started_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Current Elo rating per player (mirrors Redis duel:player:<userId>)
+CREATE TABLE IF NOT EXISTS duel_ratings (
+    user_id TEXT PRIMARY KEY,
+    username TEXT,
+    rating INTEGER DEFAULT 1200,
+    played INTEGER DEFAULT 0,
+    wins INTEGER DEFAULT 0,
+    losses INTEGER DEFAULT 0,
+    draws INTEGER DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_duels_player_a ON duels(player_a, ended_at DESC);
+CREATE INDEX IF NOT EXISTS idx_duels_player_b ON duels(player_b, ended_at DESC);
+CREATE INDEX IF NOT EXISTS idx_duel_ratings_rating ON duel_ratings(rating DESC);
+
+-- 6. PERIOD STATS — Weekly / monthly / all-time leaderboards (see lib/tournaments/globalBoards.js)
+-- Running totals, updated when a tournament is archived (never aggregated at query time)
+CREATE TABLE IF NOT EXISTS period_stats (
+    period TEXT NOT NULL,                   -- 'weekly' | 'monthly' | 'all_time'
+    period_key TEXT NOT NULL,               -- '2025-W02' | '2025-01' | 'all'
+    user_id TEXT NOT NULL,
+    username TEXT,
+    tournaments INTEGER DEFAULT 0,
+    wins INTEGER DEFAULT 0,                 -- rank 1
+    podiums INTEGER DEFAULT 0,              -- top 3
+    percentile_sum REAL DEFAULT 0,          -- sum of per-tournament rank percentiles
+    avg_percentile REAL,                    -- percentile_sum / tournaments
+    best_score REAL,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (period_key, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_period_stats_wins ON period_stats(period_key, wins DESC, podiums DESC);
+CREATE INDEX IF NOT EXISTS idx_period_stats_podiums ON period_stats(period_key, podiums DESC);
+CREATE INDEX IF NOT EXISTS idx_period_stats_percentile ON period_stats(period_key, avg_percentile DESC);
+CREATE INDEX IF NOT EXISTS idx_period_stats_best ON period_stats(period_key, best_score ASC);
+
+-- One archived tournament → all three periods, in one transaction. Totals are incremented here,
+-- not read and rewritten by the server, so concurrent archives can't overwrite each other.
+-- p_keys: { weekly, monthly, all_time }; p_results: [{ user_id, username, win, podium, percentile, score }]
+CREATE OR REPLACE FUNCTION add_period_results(p_keys JSONB, p_at TIMESTAMPTZ, p_results JSONB)
+RETURNS VOID LANGUAGE plpgsql AS $$
+BEGIN
+    INSERT INTO period_stats AS s (period, period_key, user_id, username, tournaments, wins, podiums,
+                                   percentile_sum, avg_percentile, best_score, updated_at)
+    SELECT p.period, p_keys->>p.period, r.user_id, r.username, 1, r.win, r.podium,
+           r.percentile, ROUND(r.percentile::NUMERIC, 1), r.score, p_at
+    FROM jsonb_to_recordset(p_results) AS r(user_id TEXT, username TEXT, win INTEGER, podium INTEGER, percentile REAL, score REAL)
+    CROSS JOIN (VALUES ('weekly'), ('monthly'), ('all_time')) AS p(period)
+    ON CONFLICT (period_key, user_id) DO UPDATE SET
+        username = EXCLUDED.username,
+        tournaments = s.tournaments + 1,
+        wins = s.wins + EXCLUDED.wins,
+        podiums = s.podiums + EXCLUDED.podiums,
+        percentile_sum = s.percentile_sum + EXCLUDED.percentile_sum,
+        avg_percentile = ROUND(((s.percentile_sum + EXCLUDED.percentile_sum) / (s.tournaments + 1))::NUMERIC, 1),
+        best_score = LEAST(s.best_score, EXCLUDED.best_score),
+        updated_at = EXCLUDED.updated_at;
+END;
+$$;
+
+-- 7. SEASONS — Season points, season pass levels, end-of-season rewards (see lib/tournaments/seasons.js)
+CREATE TABLE IF NOT EXISTS seasons (
+    id TEXT PRIMARY KEY,                    -- 'season_<createdAt ms>'
+    name TEXT NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    points JSONB NOT NULL,                  -- [{ min, max, points }] by finishing rank
+    level_points INTEGER DEFAULT 100,       -- season pass: points per level
+    rewards JSONB DEFAULT '[]',             -- [{ name, img, min, max, reward_type, link_url }] by season rank
+    pass_rewards JSONB DEFAULT '[]',        -- [{ level, name, img, reward_type, link_url }]
+    status TEXT DEFAULT 'open',             -- 'open' | 'closing' | 'closed'
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    closed_at TIMESTAMPTZ
+);
+
+-- Running totals, updated when a tournament is archived
+CREATE TABLE IF NOT EXISTS season_standings (
+    season_id TEXT NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    username TEXT,
+    points INTEGER DEFAULT 0,
+    level INTEGER DEFAULT 0,
+    tournaments INTEGER DEFAULT 0,
+    wins INTEGER DEFAULT 0,
+    podiums INTEGER DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (season_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasons_window ON seasons(status, starts_at, ends_at);
+CREATE INDEX IF NOT EXISTS idx_season_standings_points ON season_standings(season_id, points DESC, wins DESC, podiums DESC, updated_at ASC, user_id ASC);
+
+-- One archived tournament → season points, in one transaction and only while the season is 'open'.
+-- FOR SHARE makes closing (UPDATE status) wait for awards in flight, and later awards see it closed.
+-- p_results: [{ user_id, username, points, win, podium }] → false if the season isn't open
+CREATE OR REPLACE FUNCTION add_season_points(p_season_id TEXT, p_at TIMESTAMPTZ, p_results JSONB)
+RETURNS BOOLEAN LANGUAGE plpgsql AS $$
+DECLARE
+    v_level_points INTEGER;
+BEGIN
+    SELECT level_points INTO v_level_points FROM seasons WHERE id = p_season_id AND status = 'open' FOR SHARE;
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+    INSERT INTO season_standings AS s (season_id, user_id, username, points, level, tournaments, wins, podiums, updated_at)
+    SELECT p_season_id, r.user_id, r.username, r.points, r.points / v_level_points, 1, r.win, r.podium, p_at
+    FROM jsonb_to_recordset(p_results) AS r(user_id TEXT, username TEXT, points INTEGER, win INTEGER, podium INTEGER)
+    ON CONFLICT (season_id, user_id) DO UPDATE SET
+        username = EXCLUDED.username,
+        points = s.points + EXCLUDED.points,
+        level = (s.points + EXCLUDED.points) / v_level_points,
+        tournaments = s.tournaments + 1,
+        wins = s.wins + EXCLUDED.wins,
+        podiums = s.podiums + EXCLUDED.podiums,
+        updated_at = EXCLUDED.updated_at;
+    RETURN TRUE;
+END;
+$$;
+
+-- Existing databases: add the timing audit columns
+ALTER TABLE tournament_scores ADD COLUMN IF NOT EXISTS raw_time INTEGER;
+ALTER TABLE tournament_scores ADD COLUMN IF NOT EXISTS corrected_time INTEGER;
+ALTER TABLE tournament_scores ADD COLUMN IF NOT EXISTS latency_correction INTEGER DEFAULT 0;
+ALTER TABLE tournament_scores ADD COLUMN IF NOT EXISTS rtt_ms REAL;
+ALTER TABLE tournament_scores ADD COLUMN IF NOT EXISTS scoring_mode TEXT DEFAULT 'raw';
+
+-- Existing databases: add the target proof columns
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS target_min INTEGER;
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS target_max INTEGER;
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS target_commitment TEXT;
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS target_seed TEXT;
+
+-- Existing databases: add the multi-target columns
+ALTER TABLE round_attempts ADD COLUMN IF NOT EXISTS game TEXT DEFAULT 'single';
+ALTER TABLE round_attempts ADD COLUMN IF NOT EXISTS laps JSONB;
+
+-- Entry requirements: qualifiers referenced by schedule id (see lib/tournaments/entry.js)
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS schedule_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_tournaments_schedule ON tournaments(schedule_id, started_at DESC);
+
+-- Shared ranks (tie_break 'shared'): tied players split the rewards of their positions (see lib/tournaments/ranking.js)
+ALTER TABLE user_rewards ADD COLUMN IF NOT EXISTS reward_share REAL DEFAULT 1;
+
 -- ============================================
 -- RLS (Row Level Security) - Optional for now
 -- ============================================
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeRounds } = require('../lib/anticheat/detector');
+const { createHarness } = require('./helpers/harness');
+
+// Deterministic "human-ish" noise so tests don't depend on Math.random
+function humanRounds(n, spread = 400) {
+    return Array.from({ length: n }, (_, i) => ({
+        e: Math.round(Math.sin(i * 12.9898) * spread),
+        g: 1500 + Math.round(Math.abs(Math.cos(i * 78.233)) * 2500)
+    }));
+}
+
+describe('analyzeRounds', () => {
+    it('does not judge short histories', () => {
+        const bot = Array.from({ length: 5 }, () => ({ e: 1, g: 1000 }));
+        assert.equal(analyzeRounds(bot).flagged, false);
+    });
+
+    it('passes a normal human distribution', () => {
+        const result = analyzeRounds(humanRounds(30));
+        assert.deepEqual(result.reasons, []);
+    });
+
+    it('flags implausibly tight stop errors', () => {
+        const rounds = humanRounds(12).map((r, i) => ({ ...r, e: (i % 3) - 1 }));
+        assert.ok(analyzeRounds(rounds).reasons.includes('tight'));
+    });
+
+    it('flags machine-regular start gaps', () => {
+        const rounds = humanRounds(12).map((r, i) => ({ ...r, g: 2000 + (i % 2) }));
+        assert.deepEqual(analyzeRounds(rounds).reasons, ['machine_timing']);
+    });
+
+    it('flags a sudden skill jump against the player\'s own baseline', () => {
+        const recent = [3, -2, 1, 0, -4].map((e, i) => ({ e, g: 1800 + i * 700 }));
+        const rounds = [...recent, ...humanRounds(10, 600)];
+        assert.ok(analyzeRounds(rounds).reasons.includes('skill_jump'));
+    });
+});
+
+describe('anti-cheat review queue', () => {
+    const TID = 'tournament_manual_ac';
+    let h;
+    beforeEach(async () => {
+        h = createHarness();
+        await h.redis.hset(`tournament:info:${TID}`, {
+            rewards: JSON.stringify([{ name: 'Gold', min: 1, max: 1 }, { name: 'Silver', min: 2, max: 2 }])
+        });
+        await h.redis.leaderboard.add(TID, 1, 'bot');
+        await h.redis.leaderboard.add(TID, 250, 'human');
+
+        // The bot stops within ±0.1ms every single round
+        for (let i = 0; i < 10; i++) {
+            await h.app.ctx.antiCheat.recordRound('bot', { e: i % 2, g: 2000, tid: TID });
+        }
+    });
+    afterEach(() => h.close());
+
+    it('holds rewards for flagged players instead of inserting them', async () => {
+        assert.equal(await h.app.ctx.antiCheat.isFlagged('bot'), true);
+
+        await h.lifecycle.handlePlayTimeEnded(TID, 0);
+        await h.lifecycle.endTournament(TID); // Fallback pass must not hold twice
+
+        assert.deepEqual(h.supabase.rows('user_rewards').map(r => r.user_id), ['human']);
+        const { entries } = await h.adminRequest('GET', '/api/admin/anticheat/queue');
+        assert.equal(entries.length, 1);
+        assert.deepEqual(entries[0].reasons.sort(), ['machine_timing', 'tight']);
+        assert.deepEqual(entries[0].held.map(r => r.reward_name), ['Gold']);
+    });
+
+    it('releases held rewards on approval', async () => {
+        await h.lifecycle.handlePlayTimeEnded(TID, 0);
+
+        const res = await h.adminRequest('POST', '/api/admin/anticheat/review', { userId: 'bot', action: 'approve' });
+        assert.deepEqual(res, { success: true, status: 'approved', released: 1 });
+        assert.deepEqual(h.supabase.rows('user_rewards').map(r => r.user_id).sort(), ['bot', 'human']);
+        assert.deepEqual(await h.redis.lrange('anticheat:rounds:bot', 0, -1), []);
+    });
+
+    it('discards held rewards on rejection', async () => {
+        await h.lifecycle.handlePlayTimeEnded(TID, 0);
+
+        const res = await h.adminRequest('POST', '/api/admin/anticheat/review', { userId: 'bot', action: 'reject' });
+        assert.equal(res.status, 'rejected');
+        assert.deepEqual(h.supabase.rows('user_rewards').map(r => r.user_id), ['human']);
+        assert.equal((await h.adminRequest('GET', '/api/admin/anticheat/queue')).count, 0);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { createAttemptLog } = require('../lib/attempts');
+const { createFakeClock } = require('./helpers/fakeClock');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createHarness } = require('./helpers/harness');
+const { ATTEMPT_QUEUE_MAX } = require('../lib/config');
+
+function setup(supabase = createFakeSupabase()) {
+    const clock = createFakeClock();
+    const redis = createStorage({ url: 'memory://', now: clock.now });
+    return { clock, redis, supabase, log: createAttemptLog({ redis, supabase, now: clock.now, instanceId: 'i1' }) };
+}
+
+const attempt = (i) => ({
+    userId: 'u1', tournamentId: 't1', mode: 't', target: 25000,
+    duration: 25000 + i, rawDuration: 25010 + i, diff: i, correction: 10, rtt: 1.2, verified: true, newRecord: i === 0
+});
+
+describe('attempt log', () => {
+    it('flushes queued attempts to round_attempts in order', async () => {
+        const { log, redis, supabase } = setup();
+        for (let i = 0; i < 3; i++) await log.record(attempt(i));
+
+        assert.equal(await log.flush(), 3);
+        const rows = supabase.rows('round_attempts');
+        assert.deepEqual(rows.map(r => r.diff), [0, 1, 2]);
+        assert.equal(rows[0].raw_duration, 25010);
+        assert.equal(rows[0].latency_correction, 10);
+        assert.equal(rows[0].new_record, true);
+        assert.equal(await redis.llen('attempts:queue'), 0);
+    });
+
+    it('keeps the batch queued when the insert fails', async () => {
+        let fail = true;
+        const real = createFakeSupabase();
+        const flaky = {
+            from: (table) => fail ? { insert: async () => ({ error: { message: 'down' } }) } : real.from(table)
+        };
+        const { log, redis } = setup(flaky);
+        await log.record(attempt(5));
+
+        assert.equal(await log.flush(), 0);
+        assert.equal(await redis.llen('attempts:queue'), 1);
+
+        fail = false;
+        assert.equal(await log.flush(), 1);
+        assert.equal(real.rows('round_attempts').length, 1);
+    });
+
+    it('caps the queue from the flush, not while recording', async () => {
+        const { log, redis } = setup(null);
+        const fill = Array.from({ length: ATTEMPT_QUEUE_MAX }, (_, i) => JSON.stringify({ ...attempt(i), ts: 0 }));
+        await redis.rpush('attempts:queue', ...fill);
+        await log.record(attempt(-1));
+        await log.record(attempt(-2));
+        assert.equal(await redis.llen('attempts:queue'), ATTEMPT_QUEUE_MAX + 2);
+
+        assert.equal(await log.flush(), 0);
+        assert.equal(await redis.llen('attempts:queue'), ATTEMPT_QUEUE_MAX);
+        const [newest] = await redis.lrange('attempts:queue', -1, -1);
+        assert.equal(JSON.parse(newest).diff, -2);
+    });
+
+    it('flushes from one instance only', async () => {
+        const { log, redis, supabase, clock } = setup();
+        const other = createAttemptLog({ redis, supabase, now: clock.now, instanceId: 'i2' });
+        for (let i = 0; i < 3; i++) await other.record(attempt(i));
+
+        assert.deepEqual(await Promise.all([log.flush(), other.flush()]), [3, 0]);
+        assert.equal(supabase.rows('round_attempts').length, 3);
+
+        // The leader hands over on shutdown
+        await log.drain();
+        await other.record(attempt(3));
+        assert.equal(await other.flush(), 1);
+        assert.equal(supabase.rows('round_attempts').length, 4);
+    });
+});
+
+describe('attempt stats', () => {
+    const DAY = 86400000;
+    const START = Date.UTC(2025, 0, 6, 10, 0, 0);
+    // Firebase stand-in: the bearer token is the uid
+    const firebaseAdmin = { auth: () => ({ verifyIdToken: async token => ({ uid: token }) }) };
+
+    it('counts every attempt in the window, one game at a time', async () => {
+        const h = createHarness({ start: START, firebaseAdmin });
+        try {
+            const rows = [];
+            for (let i = 0; i < 1500; i++) {
+                rows.push({ user_id: 'u1', mode: i % 3 === 0 ? 'p' : 't', game: 'single', diff: 100 + (i % 50), created_at: new Date(START - DAY - i * 1000).toISOString() });
+            }
+            rows.push({ user_id: 'u1', mode: 't', game: 'single', diff: 7, created_at: new Date(START - 1000).toISOString() }); // Newest
+            rows.push({ user_id: 'u1', mode: 't', game: 'multi', diff: 2, created_at: new Date(START - 1000).toISOString() });
+            rows.push({ user_id: 'u2', mode: 't', game: 'single', diff: 1, created_at: new Date(START - 1000).toISOString() });
+            h.supabase.rows('round_attempts').push(...rows);
+
+            const stats = query => h.app.fastify.inject({ method: 'GET', url: `/api/user-attempt-stats?${query}`, headers: { authorization: 'Bearer u1' } });
+            const single = (await stats('days=7')).json();
+            assert.deepEqual([single.game, single.total, single.practice, single.best], ['single', 1501, 500, 7]);
+            assert.equal(single.curve.at(-1).best, 7);
+
+            const multi = (await stats('game=multi')).json();
+            assert.deepEqual([multi.total, multi.best], [1, 2]);
+            assert.equal((await stats('game=duel')).statusCode, 400);
+        } finally {
+            await h.close();
+        }
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STRICT_TOURNAMENT_AUTH = 'false'; // Fake sockets carry no Firebase token
+
+const { createHarness } = require('./helpers/harness');
+const { parseBlindConfig, cutoffTenths } = require('../lib/tournaments/blind');
+const { parseGameMode, leaderboardKey } = require('../lib/tournaments/modes');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // 15:30 IST
+
+describe('blind config', () => {
+    it('parses cutoff and reward tiers', () => {
+        assert.deepEqual(parseBlindConfig({}), { config: null });
+        assert.deepEqual(parseBlindConfig({ blindCutoff: 0 }), { config: { cutoff: 0, rewards: [] } });
+        assert.deepEqual(parseBlindConfig({ blindRewards: [{ name: 'Gold', min: 1, max: 1 }] }).config.cutoff, 0.5);
+        assert.ok(parseBlindConfig({ blindCutoff: 1.5 }).error);
+        assert.ok(parseBlindConfig({ blindCutoff: 0.3, blindRewards: [{ name: 'X', min: 3, max: 1 }] }).error);
+    });
+
+    it('cuts the stream at a fraction of the target', () => {
+        assert.equal(cutoffTenths(30000, 0.5), 15000);
+        assert.equal(cutoffTenths(30000, 0), 0);
+    });
+
+    it('ranks blind rounds in their own sorted set', () => {
+        assert.deepEqual(parseGameMode('bt'), { mode: 't', game: 'blind' });
+        assert.equal(leaderboardKey('tournament_x', 'blind'), 'tournament_x:blind');
+        assert.equal(leaderboardKey('tournament_x'), 'tournament_x');
+    });
+});
+
+describe('blind tournaments', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    it('flags grd and never streams the timer with cutoff 0', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 2 * MIN, playTime: MIN, leaderboardTime: MIN, blindCutoff: 0
+        });
+        assert.equal(res.success, true);
+        await h.redis.set('health:u1', 5);
+
+        const client = h.connect();
+        await client.send('ig', { u: 'u1', m: 'bt' });
+        const [grd] = client.received('grd');
+        assert.equal(grd.gm, 'blind');
+        assert.equal(grd.bl, 0);
+
+        await client.send('st', { n: grd.n });
+        assert.equal(client.received('th').length, 1);
+        assert.equal(h.state.gameIntervals.size, 0);
+
+        await client.send('sp', { n: grd.n });
+        const [gr] = client.received('gr');
+        assert.equal(gr.gm, 'blind');
+        assert.equal(await h.redis.leaderboard.score(`${res.tournamentId}:blind`, 'u1'), gr.d);
+        assert.equal(await h.redis.leaderboard.count(res.tournamentId), 0);
+    });
+
+    it('falls back to a regular round when the tournament has no blind variant', async () => {
+        const client = h.connect();
+        await client.send('ig', { u: 'u1', m: 'bt' });
+        const [grd] = client.received('grd');
+        assert.equal(grd.gm, 'single');
+        assert.equal(grd.bl, undefined);
+    });
+
+    it('hands out blind reward tiers from the blind leaderboard once', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/daily-schedule', {
+            time: '15:31',
+            playTime: 1,
+            leaderboardTime: 1,
+            rewards: [{ name: 'Gold', min: 1, max: 1 }],
+            blindCutoff: 0.25,
+            blindRewards: [{ name: 'Blind Ace', min: 1, max: 2 }]
+        });
+        assert.equal(res.success, true);
+        assert.deepEqual(res.schedule.blind, { cutoff: 0.25, rewards: [{ name: 'Blind Ace', min: 1, max: 2 }] });
+
+        await h.run(MIN);
+        const id = h.state.currentTournamentKey;
+        assert.match(id, /_daily_/);
+        await h.redis.leaderboard.add(id, 50, 'main');
+        await h.redis.leaderboard.add(`${id}:blind`, 900, 'b1');
+        await h.redis.leaderboard.add(`${id}:blind`, 300, 'b2');
+        await h.redis.leaderboard.add(`${id}:blind`, 700, 'b3');
+
+        await h.run(MIN);
+        const [announced] = h.events('tournament_winners');
+        assert.deepEqual(announced.blind.winners.map(w => [w.u, w.rank, w.reward && w.reward.name]),
+            [['b2', 1, 'Blind Ace'], ['b3', 2, 'Blind Ace'], ['b1', 3, null]]);
+
+        await h.run(MIN);
+        assert.ok(h.events('tou_end').some(e => e.id === id));
+        const rewards = h.supabase.rows('user_rewards').map(r => [r.user_id, r.tournament_id, r.reward_name]);
+        assert.deepEqual(rewards, [
+            ['b2', `${id}:blind`, 'Blind Ace'],
+            ['b3', `${id}:blind`, 'Blind Ace'],
+            ['main', id, 'Gold']
+        ]);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClockSync, estimateLatency } = require('../lib/sockets/clockSync');
+const { createState } = require('../lib/state');
+const { MAX_LATENCY_CORRECTION_MS, CLOCK_SYNC_SAMPLES, CLOCK_SYNC_MAX_AGE_MS } = require('../lib/config');
+const { createFakeClock } = require('./helpers/fakeClock');
+
+const samples = rtts => rtts.map(rtt => ({ rtt, offset: 0 }));
+
+describe('estimateLatency', () => {
+    it('uses the fastest round trip for the correction', () => {
+        const e = estimateLatency(samples([80, 62, 70, 65, 90]));
+        assert.equal(e.rtt, 62);
+        assert.equal(e.oneWay, 31);
+        assert.equal(e.jitter, 70 - 62);
+        assert.equal(e.confident, true);
+        assert.equal(e.correctionMs, 62);
+    });
+
+    it('corrects by half the round trip in one_way mode', () => {
+        const e = estimateLatency(samples([80, 62, 70, 65, 90]), 'one_way');
+        assert.equal(e.correctionMs, 31);
+        assert.equal(estimateLatency(samples([900, 905, 910]), 'one_way').correctionMs, MAX_LATENCY_CORRECTION_MS);
+    });
+
+    it('does not correct an unstable connection', () => {
+        const e = estimateLatency(samples([40, 300, 250, 280, 45]));
+        assert.equal(e.confident, false);
+        assert.equal(e.correctionMs, 0);
+    });
+
+    it('does not correct with too few samples', () => {
+        assert.equal(estimateLatency(samples([50, 52])).correctionMs, 0);
+        assert.equal(estimateLatency([]), null);
+    });
+
+    it('caps the correction', () => {
+        const e = estimateLatency(samples([900, 905, 910]));
+        assert.equal(e.correctionMs, MAX_LATENCY_CORRECTION_MS);
+    });
+});
+
+describe('clock sync handshake', () => {
+    function fakeSocket() {
+        const sent = [];
+        return { id: 's1', sent, emit: (event, payload) => sent.push({ event, payload }) };
+    }
+
+    it('pings until enough samples, then corrects durations while fresh', () => {
+        const clock = createFakeClock();
+        const sync = createClockSync({ state: createState(), now: clock.now });
+        const socket = fakeSocket();
+
+        sync.start(socket);
+        for (let n = 0; n < CLOCK_SYNC_SAMPLES; n++) {
+            const ping = socket.sent.at(-1);
+            assert.equal(ping.event, 'cp');
+            sync.handlePong(socket, { i: ping.payload.i, c: clock.now() });
+        }
+        const summary = socket.sent.at(-1);
+        assert.equal(summary.event, 'cs');
+        assert.equal(summary.payload.n, CLOCK_SYNC_SAMPLES);
+
+        // Loopback RTT is well under a millisecond: corrected stays within 10 tenths of raw
+        const t = sync.correctDuration('s1', 25000);
+        assert.equal(t.raw, 25000);
+        assert.ok(t.corrected <= 25000 && t.corrected >= 24990);
+
+        clock.advance(CLOCK_SYNC_MAX_AGE_MS + 1);
+        assert.deepEqual(sync.correctDuration('s1', 25000), { raw: 25000, corrected: 25000, correction: 0, estimate: null });
+    });
+
+    it('ignores pongs that do not match the outstanding ping', () => {
+        const sync = createClockSync({ state: createState(), now: Date.now });
+        const socket = fakeSocket();
+        sync.start(socket);
+        sync.handlePong(socket, { i: 99, c: 0 });
+        assert.equal(socket.sent.length, 1);
+    });
+
+    it('leaves the duration untouched without a handshake', () => {
+        const sync = createClockSync({ state: createState(), now: Date.now });
+        assert.equal(sync.correctDuration('nobody', 31234).corrected, 31234);
+    });
+});
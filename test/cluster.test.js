@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STRICT_TOURNAMENT_AUTH = 'false'; // Fake sockets carry no Firebase token
+
+const { createHarness } = require('./helpers/harness');
+const { createSocketAdapter } = require('../lib/cluster');
+const { tournamentChannel } = require('../lib/tournaments/registry');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0);
+
+describe('several instances on one Redis', () => {
+    let a;
+    let b;
+    beforeEach(async () => {
+        a = createHarness({ start: SLOT_START, instanceId: 'a' });
+        b = createHarness({ clock: a.clock, redis: a.redis, supabase: a.supabase, instanceId: 'b' });
+        await a.scheduler.loadTournamentState();
+        await b.scheduler.loadTournamentState();
+        await a.tick(0); // a leads
+        await b.tick(0);
+    });
+    afterEach(async () => {
+        await a.close();
+        await b.close();
+    });
+
+    // Both loops, like two processes whose intervals fire at the same moment
+    async function tickBoth(ms = 10000) {
+        await a.tick(ms);
+        await b.tick(0);
+    }
+
+    it('shares the registry and leaves the loop to the leader', async () => {
+        const res = await b.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 5 * MIN, playTime: 4 * MIN, leaderboardTime: MIN
+        });
+        assert.equal(res.success, true);
+        await tickBoth();
+
+        for (const h of [a, b]) {
+            assert.equal(h.state.currentTournamentKey, res.tournamentId);
+            assert.ok(h.app.ctx.tournaments.has(res.tournamentId));
+        }
+        const channel = tournamentChannel(res.tournamentId);
+        assert.equal(a.events('tu', channel).length, 1);
+        assert.equal(b.events('tu', channel).length, 0);
+
+        // Play time ends: archived once, ended once, gone from both copies
+        for (let i = 0; i < 30; i++) await tickBoth();
+        assert.equal(a.supabase.rows('tournaments').filter(t => t.id === res.tournamentId).length, 1);
+        assert.equal([...a.events('tou_end'), ...b.events('tou_end')].filter(e => e.id === res.tournamentId).length, 1);
+        assert.ok(!b.app.ctx.tournaments.has(res.tournamentId));
+    });
+
+    it('lets a follower join a tournament it has not synced yet', async () => {
+        const res = await a.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 5 * MIN, playTime: 4 * MIN, leaderboardTime: MIN
+        });
+        const client = b.connect();
+        await client.send('ig', { m: 't', tid: res.tournamentId, u: 'u1', e: 'u1@example.com' });
+        const [grd] = client.received('grd');
+        assert.equal(grd.tid, res.tournamentId);
+        assert.ok(!grd.noTournament);
+    });
+
+    it('follows the auto toggle made on another instance', async () => {
+        await b.adminRequest('POST', '/api/admin/tournament/toggle-auto');
+        await tickBoth();
+        assert.equal(a.state.autoTournamentEnabled, false);
+        await a.adminRequest('POST', '/api/admin/tournament/toggle-auto');
+        await tickBoth();
+        assert.equal(b.state.autoTournamentEnabled, true);
+    });
+
+    it('lists users connected to any instance until theirs goes away', async () => {
+        const one = a.connect();
+        const two = b.connect();
+        await one.send('ig', { m: 't', u: 'u1', e: 'u1@example.com' });
+        await two.send('ig', { m: 't', u: 'u2', e: 'u2@example.com' });
+
+        const listed = async () => (await a.adminRequest('GET', '/api/admin/firebase-active-users')).users.map(u => u.uid).sort();
+        assert.deepEqual(await listed(), ['u1', 'u2']);
+
+        await one.send('disconnect');
+        assert.deepEqual(await listed(), ['u2']);
+
+        // b stops heartbeating (crashed): its users drop out once the presence TTL passes
+        await a.tick(61 * 1000);
+        assert.deepEqual(await listed(), []);
+    });
+
+    it('hands the loop over when the leader stops', async () => {
+        const res = await a.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 5 * MIN, playTime: 4 * MIN, leaderboardTime: MIN
+        });
+        await tickBoth();
+        assert.equal(a.events('tu', tournamentChannel(res.tournamentId)).length, 1);
+
+        // a is gone: b waits out the lock, then runs the loop without repeating the start
+        await b.run(30 * 1000);
+        assert.equal(await b.redis.get('lock:scheduler'), 'b');
+        assert.equal(b.events('tu', tournamentChannel(res.tournamentId)).length, 0);
+        await b.run(4 * MIN);
+        assert.deepEqual(b.events('tu', tournamentChannel(res.tournamentId)).map(e => e.ph), ['l']);
+        assert.equal(b.supabase.rows('tournaments').filter(t => t.id === res.tournamentId).length, 1);
+    });
+});
+
+describe('socket adapter', () => {
+    it('needs Redis pub/sub', () => {
+        assert.equal(createSocketAdapter({ driver: 'memory' }), null);
+        assert.equal(createSocketAdapter({ driver: 'upstash' }), null);
+    });
+});
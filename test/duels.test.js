@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STRICT_TOURNAMENT_AUTH = 'false'; // Fake sockets carry no Firebase token
+
+const { createHarness } = require('./helpers/harness');
+const { expectedScore, updateRatings } = require('../lib/duels/elo');
+const { findMatch, matchWindow } = require('../lib/duels/matchmaking');
+const { roundWinner } = require('../lib/duels');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('duel ratings and matchmaking', () => {
+    it('moves Elo by K/2 between equal players', () => {
+        assert.equal(expectedScore(1200, 1200), 0.5);
+        assert.deepEqual(updateRatings(1200, 1200, 1), { a: 1216, b: 1184, deltaA: 16 });
+        assert.deepEqual(updateRatings(1200, 1200, 0.5), { a: 1200, b: 1200, deltaA: 0 });
+        // Upset: the underdog gains more
+        assert.ok(updateRatings(1000, 1400, 1).deltaA > 16);
+    });
+
+    it('pairs the oldest player with the closest rating inside the window', () => {
+        const now = 100000;
+        const queue = [
+            { userId: 'a', rating: 1200, bestOf: 3, joinedAt: now },
+            { userId: 'b', rating: 1500, bestOf: 3, joinedAt: now },
+            { userId: 'c', rating: 1290, bestOf: 3, joinedAt: now },
+            { userId: 'd', rating: 1210, bestOf: 5, joinedAt: now }
+        ];
+        assert.deepEqual(findMatch(queue, now), [0, 2]);
+        assert.equal(findMatch([queue[0], queue[1]], now), null);
+    });
+
+    it('widens the rating window the longer a player waits', () => {
+        const entry = { joinedAt: 0 };
+        assert.equal(matchWindow(entry, 0), 150);
+        assert.equal(matchWindow(entry, 30000), 450);
+        const queue = [
+            { userId: 'a', rating: 1200, bestOf: 3, joinedAt: 0 },
+            { userId: 'b', rating: 1500, bestOf: 3, joinedAt: 30000 }
+        ];
+        assert.equal(findMatch(queue, 10000), null);
+        assert.deepEqual(findMatch(queue, 30000), [0, 1]);
+    });
+
+    it('awards a round to the smaller miss; a missing stop loses', () => {
+        assert.equal(roundWinner([{ d: 120 }, { d: 80 }]), 1);
+        assert.equal(roundWinner([{ d: 50 }, { d: null }]), 0);
+        assert.equal(roundWinner([{ d: 50 }, { d: 50 }]), null);
+        assert.equal(roundWinner([{ d: null }, { d: null }]), null);
+    });
+});
+
+describe('duel matches', () => {
+    let h;
+    beforeEach(() => {
+        h = createHarness({ start: Date.UTC(2025, 0, 6, 10, 0, 0), duels: { countdownMs: 0 } });
+    });
+    afterEach(() => h.close());
+
+    async function matchPlayers(bo) {
+        const a = h.connect('sock_a');
+        const b = h.connect('sock_b');
+        await a.send('dq', { u: 'alice', n: 'Alice', bo });
+        await b.send('dq', { u: 'bob', n: 'Bob', bo });
+        return { a, b };
+    }
+
+    it('plays a best-of-1 duel in a shared room and updates ratings', async () => {
+        const { a, b } = await matchPlayers(1);
+        assert.deepEqual(a.received('dqw')[0], { bo: 1, r: 1200, q: 1 });
+
+        const [dm] = b.received('dm');
+        assert.deepEqual(dm.p.map(p => p.u), ['alice', 'bob']);
+        assert.ok(a.socket.rooms.has(`duel:${dm.id}`));
+        const [drsA] = a.received('drs');
+        const [drsB] = b.received('drs');
+        assert.equal(drsA.t, drsB.t); // Shared target
+
+        await wait(5);
+        assert.equal(a.received('dgo').length, 1);
+        assert.equal(b.received('dgo').length, 1);
+
+        await a.send('dsp');
+        await wait(2);
+        await b.send('dsp'); // Later stop = closer to a 2s+ target
+        assert.equal(a.received('dst').length, 1);
+
+        const [dr] = a.received('dr');
+        assert.equal(dr.w, 'bob');
+        assert.deepEqual(dr.sc, [0, 1]);
+        const [de] = b.received('de');
+        assert.equal(de.w, 'bob');
+        assert.equal(de.reason, 'score');
+        assert.deepEqual(de.ra, [{ u: 'alice', r: 1184, d: -16 }, { u: 'bob', r: 1216, d: 16 }]);
+        assert.ok(!a.socket.rooms.has(`duel:${dm.id}`));
+        assert.equal(h.state.duels.size, 0);
+
+        const rating = await h.app.fastify.inject({ method: 'GET', url: '/api/duel-rating/bob' }).then(r => r.json());
+        assert.deepEqual(rating, { userId: 'bob', rating: 1216, played: 1, wins: 1, losses: 0, draws: 0 });
+
+        const [row] = h.supabase.rows('duels');
+        assert.equal(row.id, dm.id);
+        assert.equal(row.winner_id, 'bob');
+        assert.equal(row.rounds.length, 1);
+        assert.deepEqual(h.supabase.rows('duel_ratings').map(r => [r.user_id, r.rating]), [['alice', 1184], ['bob', 1216]]);
+    });
+
+    it('keeps a player out of the queue twice', async () => {
+        const a = h.connect();
+        await a.send('dq', { u: 'alice', bo: 3 });
+        await a.send('dq', { u: 'alice', bo: 3 });
+        assert.equal(h.state.duelQueue.length, 1);
+        assert.equal(a.received('to').length, 1);
+
+        await a.send('dl');
+        assert.equal(h.state.duelQueue.length, 0);
+    });
+
+    it('queues a user once when two of their sockets join together', async () => {
+        const a = h.connect('sock_a');
+        const b = h.connect('sock_b');
+        await Promise.all([a.send('dq', { u: 'alice', bo: 3 }), b.send('dq', { u: 'alice', bo: 3 })]);
+        assert.equal(h.state.duelQueue.length, 1);
+        assert.equal(h.state.duels.size, 0);
+        assert.equal(a.received('to').length + b.received('to').length, 1);
+    });
+
+    it('tells the player when their rating cannot be read', async () => {
+        h.redis.hgetall = async () => { throw new Error('connection lost'); };
+        const a = h.connect();
+        await a.send('dq', { u: 'alice', bo: 3 });
+        assert.equal(h.state.duelQueue.length, 0);
+        assert.equal(a.received('to').length, 1);
+    });
+
+    it('forfeits the duel when a player disconnects', async () => {
+        const { a, b } = await matchPlayers(3);
+        await wait(5);
+        await a.send('disconnect');
+
+        const [de] = b.received('de');
+        assert.equal(de.w, 'bob');
+        assert.equal(de.reason, 'forfeit');
+        assert.equal(h.state.duelBySocket.size, 0);
+        assert.equal((await h.app.ctx.duels.getRating('alice')).losses, 1);
+    });
+});
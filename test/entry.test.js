@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STRICT_TOURNAMENT_AUTH = 'false'; // Fake sockets carry no Firebase token
+
+const { createHarness } = require('./helpers/harness');
+const { parseEntryRules } = require('../lib/tournaments/entry');
+
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0);
+
+describe('entry rules config', () => {
+    it('parses each rule and rejects bad values', () => {
+        assert.deepEqual(parseEntryRules({}), { config: null });
+        assert.deepEqual(parseEntryRules({
+            entryMinGames: '10',
+            entryMinAccountDays: 7,
+            entryQualifier: 'daily_1',
+            entryQualifierTop: 8,
+            entryInvite: ['U1', 'Friend@Example.com']
+        }).config, {
+            minGames: 10,
+            minAccountDays: 7,
+            qualifier: { id: 'daily_1', top: 8 },
+            invite: ['u1', 'friend@example.com']
+        });
+        assert.ok(parseEntryRules({ entryMinGames: 0 }).error);
+        assert.ok(parseEntryRules({ entryQualifierTop: 3 }).error);
+        assert.ok(parseEntryRules({ entryQualifier: 'daily_1' }).error);
+        assert.ok(parseEntryRules({ entryInvite: [] }).error);
+    });
+});
+
+describe('tournament entry requirements', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    async function createTournament(rules) {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 10 * MIN, playTime: 8 * MIN, leaderboardTime: 2 * MIN, ...rules
+        });
+        assert.equal(res.success, true);
+        return res.tournamentId;
+    }
+
+    async function join(u, extra = {}) {
+        const client = h.connect();
+        await client.send('ig', { u, m: 't', ...extra });
+        return client.received('grd')[0];
+    }
+
+    it('checks games played and account age from the users archive', async () => {
+        const id = await createTournament({ entryMinGames: 5, entryMinAccountDays: 3 });
+        h.supabase.rows('users').push(
+            { id: 'veteran', total_games: 12, created_at: new Date(SLOT_START - 30 * DAY).toISOString() },
+            { id: 'rookie', total_games: 2, created_at: new Date(SLOT_START - 30 * DAY).toISOString() },
+            { id: 'fresh', total_games: 50, created_at: new Date(SLOT_START - DAY).toISOString() }
+        );
+
+        const ok = await join('veteran');
+        assert.equal(ok.tid, id);
+        assert.equal(ok.entryDenied, undefined);
+        assert.ok(ok.n);
+
+        const rookie = await join('rookie');
+        assert.equal(rookie.entryDenied, true);
+        assert.equal(rookie.tid, id);
+        assert.deepEqual([rookie.er.code, rookie.er.need, rookie.er.have], ['min_games', 5, 2]);
+        assert.ok(rookie.er.msg);
+        assert.equal(rookie.n, undefined);
+        assert.equal(h.state.sessionStore.size, 1);
+
+        const fresh = await join('fresh');
+        assert.deepEqual([fresh.er.code, fresh.er.have], ['account_age', 1]);
+
+        const unknown = await join('nobody');
+        assert.equal(unknown.er.code, 'min_games');
+    });
+
+    it('lets in invited user ids or emails only', async () => {
+        await createTournament({ entryInvite: ['vip', 'guest@example.com'] });
+        assert.equal((await join('vip')).entryDenied, undefined);
+        assert.equal((await join('other', { e: 'Guest@Example.com' })).entryDenied, undefined);
+        assert.equal((await join('stranger')).er.code, 'invite_only');
+    });
+
+    it('denies entry when the rules cannot be read', async () => {
+        const id = await createTournament({ entryInvite: ['vip'] });
+        const hgetall = h.redis.hgetall;
+        h.redis.hgetall = key => key === `tournament:info:${id}` ? Promise.reject(new Error('ECONNRESET')) : hgetall(key);
+        const denied = await join('vip');
+        assert.deepEqual([denied.entryDenied, denied.er.code], [true, 'entry_unavailable']);
+    });
+
+    it('chains a final to the top finishers of a qualifier schedule', async () => {
+        // Two archived runs of the qualifier schedule: only the newest one counts
+        h.supabase.rows('tournaments').push(
+            { id: 'tournament_daily_q_1', schedule_id: 'q', started_at: new Date(SLOT_START - 2 * DAY).toISOString() },
+            { id: 'tournament_daily_q_2', schedule_id: 'q', started_at: new Date(SLOT_START - DAY).toISOString() }
+        );
+        h.supabase.rows('tournament_scores').push(
+            { tournament_id: 'tournament_daily_q_1', user_id: 'old_champ', rank: 1 },
+            { tournament_id: 'tournament_daily_q_2', user_id: 'a', rank: 1 },
+            { tournament_id: 'tournament_daily_q_2', user_id: 'b', rank: 2 },
+            { tournament_id: 'tournament_daily_q_2', user_id: 'c', rank: 3 }
+        );
+        await createTournament({ entryQualifier: 'q', entryQualifierTop: 2 });
+
+        assert.equal((await join('a')).entryDenied, undefined);
+        assert.equal((await join('b')).entryDenied, undefined);
+        const third = await join('c');
+        assert.deepEqual([third.er.code, third.er.need, third.er.have, third.er.qid], ['qualifier', 2, 3, 'tournament_daily_q_2']);
+        assert.equal((await join('old_champ')).er.have, null);
+    });
+
+    it('reads a qualifier tournament id from its live leaderboard', async () => {
+        const qualifierId = h.state.currentTournamentKey;
+        await h.redis.leaderboard.add(qualifierId, 10, 'fast');
+        await h.redis.leaderboard.add(qualifierId, 90, 'slow');
+        const finalId = await createTournament({ entryQualifier: qualifierId, entryQualifierTop: 1 });
+
+        assert.equal((await join('fast', { tid: finalId })).entryDenied, undefined);
+        assert.equal((await join('slow', { tid: finalId })).er.code, 'qualifier');
+
+        // The qualifier itself stays open
+        assert.equal((await join('slow', { tid: qualifierId })).entryDenied, undefined);
+    });
+
+    it('stores entry rules with schedules', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/daily-schedule', {
+            time: '15:31', playTime: 5, leaderboardTime: 1, entryMinGames: 3
+        });
+        assert.deepEqual(res.schedule.entry, { minGames: 3 });
+        await h.run(MIN);
+        assert.equal((await join('nobody')).er.code, 'min_games');
+
+        const bad = await h.adminRequest('POST', '/api/admin/tournament/schedule', {
+            scheduledTime: h.clock.now() + MIN, entryInvite: 'everyone'
+        });
+        assert.ok(bad.error);
+    });
+});
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STRICT_TOURNAMENT_AUTH = 'false'; // Fake sockets carry no Firebase token
+
+const { createHarness } = require('./helpers/harness');
+const { parseEventConfig } = require('../lib/tournaments/events');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0);
+
+// Records every multicast instead of talking to FCM
+function fakeFirebase(sent) {
+    return {
+        auth: () => ({ verifyIdToken: async token => ({ uid: token }) }),
+        messaging: () => ({
+            sendEachForMulticast: async message => {
+                sent.push(message);
+                return { successCount: message.tokens.length, failureCount: 0, responses: message.tokens.map(() => ({ success: true })) };
+            }
+        })
+    };
+}
+
+function stages(start) {
+    return [
+        { name: 'Qualifier', scheduledTime: start + MIN, playTime: 2 * MIN, leaderboardTime: MIN, advance: 2 },
+        {
+            name: 'Grand Final', scheduledTime: start + 5 * MIN, playTime: 2 * MIN, leaderboardTime: MIN,
+            rewards: [{ name: 'Trophy', min: 1, max: 1 }]
+        }
+    ];
+}
+
+describe('event config', () => {
+    it('validates stages, advancement and ordering', () => {
+        const { config } = parseEventConfig({ name: 'Cup', stages: stages(SLOT_START) });
+        assert.deepEqual(config.stages.map(s => [s.name, s.advance]), [['Qualifier', 2], ['Grand Final', null]]);
+        assert.deepEqual(config.stages[1].rewards, [{ name: 'Trophy', min: 1, max: 1 }]);
+
+        assert.ok(parseEventConfig({ stages: stages(SLOT_START) }).error);
+        assert.ok(parseEventConfig({ name: 'Cup', stages: stages(SLOT_START).slice(0, 1) }).error);
+        const noAdvance = stages(SLOT_START);
+        delete noAdvance[0].advance;
+        assert.match(parseEventConfig({ name: 'Cup', stages: noAdvance }).error, /advance/);
+        const overlap = stages(SLOT_START);
+        overlap[1].scheduledTime = SLOT_START + 2 * MIN;
+        assert.match(parseEventConfig({ name: 'Cup', stages: overlap }).error, /before Qualifier ends/);
+    });
+});
+
+describe('bracket events', () => {
+    let h;
+    let pushes;
+    beforeEach(async () => {
+        pushes = [];
+        h = createHarness({ start: SLOT_START, firebaseAdmin: fakeFirebase(pushes) });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    async function join(u, tid) {
+        const client = h.connect();
+        await client.send('ig', { u, m: 't', tid });
+        return client.received('grd')[0];
+    }
+
+    const bracket = id => h.app.fastify.inject({ method: 'GET', url: `/api/events/${id}` }).then(r => r.json());
+
+    it('advances the top finishers to the final and crowns a champion', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/events', { name: 'Winter Cup', stages: stages(h.clock.now()) });
+        assert.equal(res.success, true);
+        const eventId = res.event.id;
+        await h.redis.sadd('fcm:tokens', 'tok_a');
+        await h.redis.hset('fcm:token_users', 'tok_a', JSON.stringify({ userId: 'a' }));
+
+        await h.run(MIN);
+        let view = await bracket(eventId);
+        assert.equal(view.status, 'running');
+        const qualifierId = view.stages[0].tournamentId;
+        assert.match(qualifierId, new RegExp(`^tournament_scheduled_${eventId}_s0_`));
+        assert.equal(view.stages[0].status, 'live');
+
+        for (const [score, user] of [[10, 'a'], [20, 'b'], [30, 'c']]) {
+            assert.equal((await join(user, qualifierId)).entryDenied, undefined);
+            await h.redis.leaderboard.add(qualifierId, score, user);
+        }
+
+        // Qualifier over: a and b move on, only a has a device to push to
+        await h.run(3 * MIN);
+        view = await bracket(eventId);
+        assert.equal(view.stages[0].status, 'done');
+        assert.deepEqual(view.stages[0].advanced.map(x => x.u), ['a', 'b']);
+        assert.equal(view.stages[0].players, 3);
+        const [advance] = h.events('event_advance');
+        assert.deepEqual([advance.eid, advance.next, advance.advanced], [eventId, 1, ['a', 'b']]);
+        const advancePushes = pushes.filter(p => p.data.action === 'open_event'); // Not the stage-start broadcast
+        assert.equal(advancePushes.length, 1);
+        assert.deepEqual(advancePushes[0].tokens, ['tok_a']);
+        assert.equal(advancePushes[0].data.eventId, eventId);
+
+        await h.run(MIN);
+        view = await bracket(eventId);
+        const finalId = view.stages[1].tournamentId;
+        assert.ok(finalId);
+        assert.equal((await join('a', finalId)).entryDenied, undefined);
+        const denied = await join('c', finalId);
+        assert.deepEqual([denied.er.code, denied.er.eid], ['not_advanced', eventId]);
+
+        await h.redis.leaderboard.add(finalId, 15, 'b');
+        await h.redis.leaderboard.add(finalId, 25, 'a');
+        await h.run(3 * MIN);
+
+        view = await bracket(eventId);
+        assert.equal(view.status, 'finished');
+        assert.equal(view.champion.u, 'b');
+        assert.deepEqual(h.supabase.rows('user_rewards').map(r => [r.user_id, r.reward_name]), [['b', 'Trophy']]);
+    });
+
+    it('cancels the stages that have not started', async () => {
+        const { event } = await h.adminRequest('POST', '/api/admin/events', { name: 'Cup', stages: stages(h.clock.now()) });
+        assert.equal((await h.redis.lrange('tournament:scheduled', 0, -1)).length, 2);
+
+        const res = await h.adminRequest('DELETE', `/api/admin/events/${event.id}`);
+        assert.equal(res.event.status, 'cancelled');
+        assert.deepEqual(await h.redis.lrange('tournament:scheduled', 0, -1), []);
+        assert.deepEqual((await bracket(event.id)).stages.map(s => s.status), ['cancelled', 'cancelled']);
+
+        const missing = await h.app.fastify.inject({ method: 'GET', url: '/api/events/event_nope' });
+        assert.equal(missing.statusCode, 404);
+        assert.equal((await h.adminRequest('GET', '/api/admin/events')).events.length, 1);
+    });
+
+    it('rejects an event that starts in the past', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/events', { name: 'Cup', stages: stages(h.clock.now() - 2 * MIN) });
+        assert.ok(res.error);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers/harness');
+const { periodKeys } = require('../lib/tournaments/globalBoards');
+
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // Monday 15:30 IST
+
+describe('leaderboard periods', () => {
+    it('buckets by ISO week and month in IST', () => {
+        assert.deepEqual(periodKeys(SLOT_START), { weekly: '2025-W02', monthly: '2025-01', all_time: 'all' });
+        // Tuesday 01:30 IST, still Monday in UTC: week 1 of 2025, December
+        assert.deepEqual(periodKeys(Date.UTC(2024, 11, 30, 20, 0)), { weekly: '2025-W01', monthly: '2024-12', all_time: 'all' });
+        // Sunday night IST closes 2024-W52
+        assert.equal(periodKeys(Date.UTC(2024, 11, 29, 18, 0)).weekly, '2024-W52');
+    });
+});
+
+describe('global leaderboards', () => {
+    let h;
+    beforeEach(() => {
+        h = createHarness({ start: SLOT_START });
+    });
+    afterEach(() => h.close());
+
+    // Scores on a board, then the archive (which rolls the periods up)
+    async function play(id, scores) {
+        for (const [user, score] of scores) await h.app.ctx.ranking.record(id, user, score);
+        await h.lifecycle.archiveTournamentToSupabase(id, []);
+    }
+
+    const board = (period, query = '') => h.app.fastify.inject({ method: 'GET', url: `/api/leaderboards/${period}?${query}` }).then(r => r.json());
+
+    it('rolls archived tournaments into weekly, monthly and all-time totals', async () => {
+        await play('tournament_manual_1', [['a', 10], ['b', 20], ['c', 30], ['d', 40]]);
+        await play('tournament_manual_2', [['b', 5], ['a', 15], ['d', 25]]);
+        await play('tournament_manual_2', [['b', 5], ['a', 15], ['d', 25]]); // Archived again: counted once
+        await play('tournament_room_x', [['d', 1]]); // Private rooms don't count
+
+        const rows = h.supabase.rows('period_stats');
+        assert.deepEqual(rows.map(r => r.period_key).filter((k, i, all) => all.indexOf(k) === i), ['2025-W02', '2025-01', 'all']);
+        const a = rows.find(r => r.period === 'all_time' && r.user_id === 'a');
+        assert.deepEqual([a.tournaments, a.wins, a.podiums, a.best_score, a.avg_percentile], [2, 1, 2, 10, 83.4]);
+
+        const wins = await board('weekly', 'userId=d');
+        assert.equal(wins.key, '2025-W02');
+        // a and b: one win, two podiums each; the best score decides
+        assert.deepEqual(wins.entries.map(e => [e.rank, e.userId, e.wins]), [[1, 'b', 1], [2, 'a', 1], [3, 'd', 0], [4, 'c', 0]]);
+        assert.equal(wins.me.podiums, 1);
+
+        const best = await board('all-time', 'metric=best&limit=2');
+        assert.deepEqual(best.entries.map(e => [e.userId, e.bestScore]), [['b', 5], ['a', 10]]);
+    });
+
+    it('ranks by average percentile only with enough tournaments', async () => {
+        await play('tournament_manual_1', [['a', 10], ['b', 20], ['c', 30]]);
+        await play('tournament_manual_2', [['a', 10], ['b', 20], ['c', 30]]);
+        await play('tournament_manual_3', [['b', 5], ['a', 10], ['c', 30]]);
+        await play('tournament_manual_solo', [['solo', 1]]); // 100 but only once
+
+        const res = await board('monthly', 'metric=percentile');
+        assert.deepEqual(res.entries.map(e => e.userId), ['a', 'b', 'c']);
+        assert.deepEqual(res.entries.map(e => e.avgPercentile), [88.9, 77.8, 33.3]);
+    });
+
+    it('retries a rollup that failed', async () => {
+        const rpc = h.supabase.rpc;
+        h.supabase.rpc = async () => ({ data: null, error: { message: 'statement timeout' } });
+        await play('tournament_manual_1', [['a', 10], ['b', 20]]);
+        assert.equal(h.supabase.rows('period_stats').length, 0);
+
+        h.supabase.rpc = rpc;
+        await h.lifecycle.archiveTournamentToSupabase('tournament_manual_1', []);
+        assert.deepEqual(h.supabase.rows('period_stats').map(r => [r.period, r.user_id, r.tournaments]), [
+            ['weekly', 'a', 1], ['weekly', 'b', 1], ['monthly', 'a', 1], ['monthly', 'b', 1], ['all_time', 'a', 1], ['all_time', 'b', 1]
+        ]);
+    });
+
+    it('looks up a past period and rejects bad input', async () => {
+        await play('tournament_manual_1', [['a', 10]]);
+        h.clock.advance(8 * 24 * 60 * 60 * 1000);
+        assert.deepEqual((await board('weekly')).entries, []);
+        assert.equal((await board('weekly', 'key=2025-W02')).entries.length, 1);
+        assert.ok((await board('weekly', 'key=2025-01')).error);
+        assert.ok((await board('monthly', 'metric=luck')).error);
+        assert.equal((await h.app.fastify.inject({ method: 'GET', url: '/api/leaderboards/yearly' })).statusCode, 404);
+    });
+});
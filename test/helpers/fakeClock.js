@@ -0,0 +1,11 @@
+// Controllable clock: pass clock.now to createApp and createStorage({ url: 'memory://', now })
+function createFakeClock(start = Date.UTC(2025, 0, 6, 10, 0, 0)) {
+    let current = start;
+    return {
+        now: () => current,
+        set(ts) { current = ts; },
+        advance(ms) { current += ms; return current; }
+    };
+}
+
+module.exports = { createFakeClock };
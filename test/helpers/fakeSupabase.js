@@ -0,0 +1,175 @@
+// In-memory stand-in for the supabase-js query builder.
+// Supports the calls the server makes: select/insert/update/upsert/delete with
+// eq/neq/is/in/gte/lte filters, order, limit/range, single/maybeSingle, and rpc() for the
+// SQL functions in supabase_schema.sql (reimplemented below). Rows live in `tables`.
+// Like PostgREST, a select returns at most MAX_ROWS rows.
+const MAX_ROWS = 1000;
+
+function createFakeSupabase() {
+    const tables = new Map();
+    let nextId = 1;
+
+    function rows(name) {
+        if (!tables.has(name)) tables.set(name, []);
+        return tables.get(name);
+    }
+
+    function from(name) {
+        let action = 'select';
+        let payload = null;
+        let upsertKeys = ['id'];
+        let returning = false;
+        const filters = [];
+        const sorts = []; // order() calls, first one decides
+        let max = null;
+        let offset = null;
+        let singleMode = null;
+
+        const matches = row => filters.every(f => f(row));
+
+        function run() {
+            const table = rows(name);
+            let data = null;
+
+            if (action === 'insert' || action === 'upsert') {
+                const list = (Array.isArray(payload) ? payload : [payload]).map(r => ({ ...r }));
+                data = [];
+                for (const row of list) {
+                    const existing = action === 'upsert'
+                        ? table.find(r => upsertKeys.every(k => r[k] === row[k]))
+                        : null;
+                    if (existing) {
+                        Object.assign(existing, row);
+                        data.push(existing);
+                    } else {
+                        if (row.id === undefined) row.id = nextId++;
+                        table.push(row);
+                        data.push(row);
+                    }
+                }
+                if (!returning) data = null;
+            } else if (action === 'update') {
+                data = table.filter(matches);
+                data.forEach(r => Object.assign(r, payload));
+                if (!returning) data = null;
+            } else if (action === 'delete') {
+                const kept = table.filter(r => !matches(r));
+                table.splice(0, table.length, ...kept);
+            } else {
+                data = table.filter(matches).map(r => ({ ...r }));
+                if (sorts.length > 0) {
+                    data.sort((a, b) => {
+                        for (const { col, ascending } of sorts) {
+                            const cmp = a[col] > b[col] ? 1 : a[col] < b[col] ? -1 : 0;
+                            if (cmp !== 0) return ascending ? cmp : -cmp;
+                        }
+                        return 0;
+                    });
+                }
+                if (offset !== null) data = data.slice(offset);
+                data = data.slice(0, max !== null ? Math.min(max, MAX_ROWS) : MAX_ROWS);
+            }
+
+            if (singleMode) {
+                const first = data && data.length > 0 ? data[0] : null;
+                if (!first && singleMode === 'single') {
+                    return { data: null, error: { code: 'PGRST116', message: 'No rows found' } };
+                }
+                return { data: first, error: null };
+            }
+            return { data, error: null };
+        }
+
+        const query = {
+            // After insert/update/upsert, select() means "return the affected rows"
+            select() {
+                if (action !== 'select') returning = true;
+                return query;
+            },
+            insert(value) { action = 'insert'; payload = value; return query; },
+            upsert(value, opts = {}) {
+                action = 'upsert';
+                payload = value;
+                if (opts.onConflict) upsertKeys = opts.onConflict.split(',').map(s => s.trim());
+                return query;
+            },
+            update(value) { action = 'update'; payload = value; return query; },
+            delete() { action = 'delete'; return query; },
+            eq(col, v) { filters.push(r => r[col] === v); return query; },
+            neq(col, v) { filters.push(r => r[col] !== v); return query; },
+            is(col, v) { filters.push(r => (r[col] === undefined ? null : r[col]) === v); return query; },
+            in(col, list) { filters.push(r => list.includes(r[col])); return query; },
+            gte(col, v) { filters.push(r => r[col] >= v); return query; },
+            lte(col, v) { filters.push(r => r[col] <= v); return query; },
+            order(col, opts = {}) { sorts.push({ col, ascending: opts.ascending !== false }); return query; },
+            limit(n) { max = n; return query; },
+            range(start, end) { offset = start; max = end - start + 1; return query; },
+            single() { singleMode = 'single'; return query; },
+            maybeSingle() { singleMode = 'maybe'; return query; },
+            then(resolve, reject) {
+                try {
+                    return Promise.resolve(run()).then(resolve, reject);
+                } catch (e) {
+                    return Promise.reject(e).then(resolve, reject);
+                }
+            }
+        };
+        return query;
+    }
+
+    // supabase_schema.sql functions over the in-memory tables (each call is all-or-nothing)
+    const functions = {
+        add_period_results({ p_keys, p_at, p_results }) {
+            const table = rows('period_stats');
+            for (const period of ['weekly', 'monthly', 'all_time']) {
+                for (const r of p_results) {
+                    let row = table.find(x => x.period_key === p_keys[period] && x.user_id === r.user_id);
+                    if (!row) {
+                        row = { period, period_key: p_keys[period], user_id: r.user_id, tournaments: 0, wins: 0, podiums: 0, percentile_sum: 0, best_score: null };
+                        table.push(row);
+                    }
+                    row.username = r.username;
+                    row.tournaments += 1;
+                    row.wins += r.win;
+                    row.podiums += r.podium;
+                    row.percentile_sum += r.percentile;
+                    row.avg_percentile = Math.round(10 * row.percentile_sum / row.tournaments) / 10;
+                    row.best_score = row.best_score === null ? r.score : Math.min(row.best_score, r.score);
+                    row.updated_at = p_at;
+                }
+            }
+            return null;
+        },
+        add_season_points({ p_season_id, p_at, p_results }) {
+            const season = rows('seasons').find(x => x.id === p_season_id && x.status === 'open');
+            if (!season) return false;
+            const table = rows('season_standings');
+            for (const r of p_results) {
+                let row = table.find(x => x.season_id === p_season_id && x.user_id === r.user_id);
+                if (!row) {
+                    row = { season_id: p_season_id, user_id: r.user_id, points: 0, tournaments: 0, wins: 0, podiums: 0 };
+                    table.push(row);
+                }
+                row.username = r.username;
+                row.points += r.points;
+                row.level = Math.floor(row.points / season.level_points);
+                row.tournaments += 1;
+                row.wins += r.win;
+                row.podiums += r.podium;
+                row.updated_at = p_at;
+            }
+            return true;
+        }
+    };
+
+    function rpc(name, params = {}) {
+        if (!functions[name]) {
+            return Promise.resolve({ data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } });
+        }
+        return Promise.resolve({ data: functions[name](params), error: null });
+    }
+
+    return { from, rpc, tables, rows };
+}
+
+module.exports = { createFakeSupabase };
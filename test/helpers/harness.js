@@ -0,0 +1,116 @@
+// Test harness: the real app (createApp) on in-memory storage, a fake clock and a fake
+// Supabase. Nothing listens on a port and no intervals run — tests drive the scheduler
+// by calling tick(), which advances the clock and runs one pass of both loops.
+const { createApp } = require('../../lib/app');
+const { createStorage } = require('../../lib/storage');
+const { createFakeClock } = require('./fakeClock');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+const ADMIN_KEY = 'test-admin-key';
+
+// Server logs are noisy; set TEST_LOGS=1 to see them
+if (!process.env.TEST_LOGS) console.log = () => {};
+
+// Pass `clock` and `redis` from another harness to run a second instance on the same storage
+function createHarness({
+    start,
+    clock = createFakeClock(start),
+    redis = createStorage({ url: 'memory://', now: clock.now }),
+    supabase = createFakeSupabase(),
+    ...appOptions
+} = {}) {
+    const app = createApp({
+        redis,
+        supabase,
+        adminSecret: ADMIN_KEY,
+        logger: false,
+        fbTrack: async () => {},
+        now: clock.now,
+        ...appOptions
+    });
+
+    // Record every broadcast so tests can assert on tu / tournament_winners / tou_end
+    const emitted = [];
+    const realEmit = app.io.emit.bind(app.io);
+    app.io.emit = (event, payload) => {
+        emitted.push({ event, payload });
+        return realEmit(event, payload);
+    };
+
+    // Room broadcasts go to the fake sockets that joined the room (recorded with their room)
+    const fakeSockets = new Map();
+    app.io.to = room => ({
+        emit: (event, payload) => {
+            emitted.push({ event, payload, room });
+            for (const socket of fakeSockets.values()) {
+                if (socket.rooms.has(room)) socket.emit(event, payload);
+            }
+        }
+    });
+
+    const { state, scheduler, lifecycle, timing } = app.ctx;
+
+    async function tick(ms = 10000) {
+        clock.advance(ms);
+        await scheduler.checkSchedules();
+        await scheduler.checkTournament();
+        await flush();
+    }
+
+    // Run ticks until `ms` has passed (one tick per loop interval, like production)
+    async function run(ms, step = 10000) {
+        for (let elapsed = 0; elapsed < ms; elapsed += step) await tick(step);
+    }
+
+    function adminRequest(method, url, payload) {
+        return app.fastify.inject({ method, url, payload, headers: { 'x-admin-key': ADMIN_KEY } })
+            .then(res => res.json());
+    }
+
+    // Broadcasts to everyone; pass a Socket.IO room for the ones scoped to it
+    function events(name, room) {
+        return emitted.filter(e => e.event === name && e.room === room).map(e => e.payload);
+    }
+
+    // Fake client socket wired to the real game and duel handlers (no network):
+    // await client.send('ig', {...}); client.received('grd')
+    function connect(id = `sock_${Math.random().toString(36).slice(2, 8)}`) {
+        const handlers = {};
+        const sent = [];
+        const socket = {
+            id,
+            handshake: {},
+            data: {},
+            rooms: new Set([id]),
+            on: (event, fn) => { (handlers[event] = handlers[event] || []).push(fn); },
+            emit: (event, payload) => { sent.push({ event, payload }); },
+            join: room => { socket.rooms.add(room); },
+            leave: room => { socket.rooms.delete(room); }
+        };
+        fakeSockets.set(id, socket);
+        app.io.sockets.listeners('connection').forEach(fn => fn(socket));
+        return {
+            socket,
+            sent,
+            send: async (event, payload) => {
+                for (const fn of handlers[event] || []) await fn(payload);
+                if (event === 'disconnect') fakeSockets.delete(id);
+                await flush();
+            },
+            received: name => sent.filter(e => e.event === name).map(e => e.payload)
+        };
+    }
+
+    return {
+        app, clock, redis, supabase, state, scheduler, lifecycle, timing,
+        tick, run, adminRequest, events, emitted, connect,
+        close: () => app.close()
+    };
+}
+
+// Let fire-and-forget work (archives, push) settle before asserting
+async function flush() {
+    for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { createHarness, flush, ADMIN_KEY };
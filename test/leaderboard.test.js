@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers/harness');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // 15:30 IST
+
+describe('leaderboard pages', () => {
+    let h;
+    let tid;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 10 * MIN, playTime: 8 * MIN, leaderboardTime: 2 * MIN
+        });
+        tid = res.tournamentId;
+        // p01..p12 with scores 10..120, p05 and p06 tied (p06 got there first)
+        for (let i = 1; i <= 12; i++) {
+            const user = `p${String(i).padStart(2, '0')}`;
+            if (user === 'p05') continue;
+            await h.app.ctx.ranking.record(tid, user, i === 6 ? 50 : i * 10);
+            await h.redis.hset(`user_meta:${user}`, { username: `Player ${i}`, email: `${user}@example.com` });
+            h.clock.advance(1000);
+        }
+        await h.app.ctx.ranking.record(tid, 'p05', 50);
+    });
+    afterEach(() => h.close());
+
+    const get = query => h.app.fastify.inject({ method: 'GET', url: `/api/leaderboard/${tid}?${query}` }).then(r => r.json());
+
+    it('walks the whole board with cursors', async () => {
+        const seen = [];
+        let cursor = null;
+        let pages = 0;
+        do {
+            const page = await get(`limit=5${cursor ? `&cursor=${cursor}` : ''}`);
+            assert.equal(page.total, 12);
+            seen.push(...page.entries.map(e => [e.rank, e.userId]));
+            cursor = page.nextCursor;
+            pages++;
+        } while (cursor);
+
+        assert.equal(pages, 3);
+        assert.deepEqual(seen.map(e => e[0]), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        assert.deepEqual(seen.slice(3, 6).map(e => e[1]), ['p04', 'p06', 'p05']);
+    });
+
+    it('keeps a page boundary inside a tie stable when players join below', async () => {
+        const first = await get('limit=5');
+        assert.equal(first.entries[4].userId, 'p06');
+        await h.app.ctx.ranking.record(tid, 'late', 500);
+        const second = await get(`limit=5&cursor=${first.nextCursor}`);
+        assert.deepEqual(second.entries.map(e => e.userId), ['p05', 'p07', 'p08', 'p09', 'p10']);
+        assert.equal(second.total, 13);
+    });
+
+    it('shows a player where they stand', async () => {
+        const res = await get('limit=1&userId=p10&around=2');
+        assert.deepEqual(res.me, { rank: 10, score: 100, percentile: 25 });
+        assert.deepEqual(res.around.map(e => [e.rank, e.userId, e.name]),
+            [[8, 'p08', 'Player 8'], [9, 'p09', 'Player 9'], [10, 'p10', 'Player 10'], [11, 'p11', 'Player 11'], [12, 'p12', 'Player 12']]);
+        assert.equal((await get('userId=p01')).me.percentile, 100);
+        assert.equal((await get('userId=nobody')).me, null);
+    });
+
+    it('rejects a bad cursor', async () => {
+        const res = await h.app.fastify.inject({ method: 'GET', url: `/api/leaderboard/${tid}?cursor=nope` });
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('resolves names in one batch', async () => {
+        let batches = 0;
+        let single = 0;
+        const { hgetallMany, hgetall } = h.redis;
+        h.redis.hgetallMany = keys => { batches++; return hgetallMany(keys); };
+        h.redis.hgetall = key => { if (key.startsWith('user_meta:')) single++; return hgetall(key); };
+
+        const res = await get('limit=10&userId=p12');
+        assert.equal(res.entries[0].name, 'Player 1');
+        assert.equal(batches, 1);
+        assert.equal(single, 0);
+
+        h.state.currentTournamentKey = tid;
+        const results = await h.app.fastify.inject({ method: 'GET', url: '/api/tournament-results?userId=p12' }).then(r => r.json());
+        assert.equal(results.winners.length, 12);
+        assert.equal(results.userRank.percentile, Math.round(1000 / 12) / 10);
+        assert.equal(batches, 2);
+        assert.equal(single, 0);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STRICT_TOURNAMENT_AUTH = 'false'; // Fake sockets carry no Firebase token
+
+const { createHarness } = require('./helpers/harness');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // 15:30 IST
+
+describe('live leaderboard', () => {
+    let h;
+    let tid;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 10 * MIN, playTime: 8 * MIN, leaderboardTime: 2 * MIN
+        });
+        tid = res.tournamentId;
+    });
+    afterEach(() => h.close());
+
+    const record = (user, score) => h.app.ctx.ranking.record(tid, user, score);
+    const push = () => h.app.ctx.liveBoards.push();
+
+    async function join(user) {
+        const client = h.connect();
+        await client.send('ig', { m: 't', tid, u: user, e: `${user}@example.com` });
+        return client;
+    }
+
+    it('sends a snapshot, then only what changed', async () => {
+        for (const [user, score] of [['a', 100], ['b', 200], ['c', 300], ['d', 400], ['e', 500]]) await record(user, score);
+        const client = await join('d');
+        await client.send('ls', { n: 2, a: 1 });
+
+        const [snapshot] = client.received('lb');
+        assert.equal(snapshot.tid, tid);
+        assert.equal(snapshot.c, 5);
+        assert.deepEqual(snapshot.top.map(e => [e.u, e.s, e.r]), [['a', 100, 1], ['b', 200, 2]]);
+        assert.equal(snapshot.top[0].n, 'a'); // No username saved: the id stands in
+        assert.deepEqual(snapshot.me, { s: 400, r: 4 });
+        assert.deepEqual(snapshot.ar.map(e => e.u), ['c', 'd', 'e']);
+
+        // Nothing changed: nothing sent
+        await push();
+        assert.equal(client.received('lbd').length, 0);
+
+        // Several writes between pushes arrive as one diff
+        await record('x', 50);
+        await record('y', 250);
+        await push();
+        const diffs = client.received('lbd');
+        assert.equal(diffs.length, 1);
+        assert.equal(diffs[0].c, 7);
+        assert.deepEqual(diffs[0].top.map(e => [e.u, e.r, e.n !== undefined]), [['x', 1, true], ['a', 2, false]]);
+        assert.deepEqual(diffs[0].rm, ['b']);
+        assert.deepEqual(diffs[0].me, { s: 400, r: 6 });
+        assert.deepEqual(diffs[0].ar.map(e => [e.u, e.r]), [['c', 5], ['d', 6], ['e', 7]]);
+    });
+
+    it('pushes the subscriber\'s own rounds', async () => {
+        await h.redis.set('health:u1', 5);
+        const client = await join('u1');
+        await client.send('ls', {});
+        assert.deepEqual(client.received('lb')[0].top, []);
+
+        const [grd] = client.received('grd');
+        await client.send('st', { n: grd.n });
+        await client.send('sp', { n: grd.n });
+        await push();
+        const [diff] = client.received('lbd');
+        assert.deepEqual(diff.top.map(e => [e.u, e.r]), [['u1', 1]]);
+        assert.equal(diff.me.r, 1);
+    });
+
+    it('follows the session to another tournament and stops on unsubscribe', async () => {
+        const client = await join('a');
+        await client.send('ls', { n: 3 });
+        assert.equal(client.received('lb')[0].tid, tid);
+
+        // Back to the auto slot: the next push is a snapshot of that board
+        const auto = h.app.ctx.tournaments.list().find(t => t.type === 'auto').id;
+        await h.app.ctx.ranking.record(auto, 'z', 10);
+        await client.send('ig', { m: 't', tid: auto, u: 'a', e: 'a@example.com' });
+        await push();
+        const snapshots = client.received('lb');
+        assert.equal(snapshots.length, 2);
+        assert.equal(snapshots[1].tid, auto);
+        assert.deepEqual(snapshots[1].top.map(e => e.u), ['z']);
+
+        await client.send('lu');
+        await h.app.ctx.ranking.record(auto, 'y', 5);
+        await push();
+        assert.equal(client.received('lbd').length, 0);
+    });
+
+    it('keeps a tied group together in the around-me window', async () => {
+        for (const [user, score] of [['a', 100], ['b', 200], ['c', 200], ['d', 200], ['e', 300]]) {
+            await record(user, score);
+            h.clock.advance(1000);
+        }
+        const window = await h.app.ctx.ranking.around(tid, 'c', 1);
+        assert.deepEqual(window.map(e => [e.member, e.rank]), [['b', 2], ['c', 3], ['d', 4]]);
+        assert.deepEqual(await h.app.ctx.ranking.around(tid, 'nobody', 1), []);
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers/harness');
+const { parseGameMode } = require('../lib/tournaments/modes');
+const { randomLapTargets, lapDurations, scoreLaps } = require('../lib/tournaments/multiTarget');
+const { parseTargetConfig, deriveLapTargets } = require('../lib/tournaments/target');
+
+describe('multi-target scoring', () => {
+    it('maps the ig mode field to session mode and game', () => {
+        assert.deepEqual(parseGameMode('mt'), { mode: 't', game: 'multi' });
+        assert.deepEqual(parseGameMode('mp'), { mode: 'p', game: 'multi' });
+        assert.deepEqual(parseGameMode('p'), { mode: 'p', game: 'single' });
+        assert.deepEqual(parseGameMode(undefined), { mode: 't', game: 'single' });
+    });
+
+    it('times every lap from the previous tap', () => {
+        const start = 1000000000n;
+        const splits = [start + 2000000000n, start + 4500000000n]; // taps at 2.0s and 4.5s
+        assert.deepEqual(lapDurations(start, splits), [20000, 25000]);
+    });
+
+    it('sums or maxes lap misses and corrects only the first lap', () => {
+        const targets = [20000, 25000, 30000];
+        const durations = [20100, 24800, 30050];
+        assert.equal(scoreLaps(durations, targets, 'sum').score, 100 + 200 + 50);
+        assert.equal(scoreLaps(durations, targets, 'max').score, 200);
+
+        const corrected = scoreLaps(durations, targets, 'sum', 100);
+        assert.deepEqual(corrected.laps.map(l => l.d), [0, 200, 50]);
+    });
+
+    it('counts laps never reached as a full miss', () => {
+        const { laps, score } = scoreLaps([20000], [20000, 25000], 'sum');
+        assert.deepEqual(laps[1], { ft: null, tt: 25000, d: 25000 });
+        assert.equal(score, 25000);
+    });
+
+    it('clamps practice lap counts to 2-5', () => {
+        assert.equal(randomLapTargets(9).length, 5);
+        assert.equal(randomLapTargets(1).length, 2);
+        assert.equal(randomLapTargets().length, 3);
+    });
+
+    it('parses lap settings alongside the target range', () => {
+        assert.deepEqual(parseTargetConfig({ laps: 4, lapScoring: 'max' }).config,
+            { mode: 'range', min: 20000, max: 34999, laps: 4, lapScoring: 'max' });
+        assert.ok(parseTargetConfig({ laps: 6 }).error);
+        assert.ok(parseTargetConfig({ lapScoring: 'avg' }).error);
+    });
+});
+
+describe('tournament lap targets', () => {
+    let h;
+    beforeEach(() => {
+        h = createHarness({ start: Date.UTC(2025, 0, 6, 10, 0, 0) });
+    });
+    afterEach(() => h.close());
+
+    it('derives the same sequence for everyone, starting with the tournament target', async () => {
+        const { targets } = h.app.ctx;
+        const id = 'tournament_manual_laps';
+        const single = await targets.assign(id, { mode: 'range', min: 20000, max: 30000, laps: 4, lapScoring: 'max' });
+
+        const seq = await targets.getLapTargets(id);
+        assert.equal(seq.targets.length, 4);
+        assert.equal(seq.targets[0], single);
+        assert.equal(seq.scoring, 'max');
+        assert.ok(seq.targets.every(t => t >= 20000 && t <= 30000));
+        assert.deepEqual((await targets.getLapTargets(id)).targets, seq.targets);
+
+        // Revealed proof lets anyone recompute the laps
+        const proof = await targets.reveal(id);
+        assert.deepEqual(proof.lapTargets, seq.targets);
+        assert.deepEqual(deriveLapTargets(proof.seed, id, { mode: 'range', min: proof.min, max: proof.max }, proof.laps), seq.targets);
+    });
+});
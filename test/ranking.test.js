@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers/harness');
+const { rankEntries, allocateRewards, parseTieBreak } = require('../lib/tournaments/ranking');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // 15:30 IST
+
+describe('tie-break policy', () => {
+    const entries = [
+        { member: 'a', score: 10, achievedAt: 300 },
+        { member: 'b', score: 10, achievedAt: 100 },
+        { member: 'c', score: 20, achievedAt: 50 },
+        { member: 'd', score: 10, achievedAt: null }
+    ];
+
+    it('orders equal scores by achievement time', () => {
+        assert.deepEqual(rankEntries(entries, 'earliest').map(e => [e.member, e.rank]),
+            [['b', 1], ['a', 2], ['d', 3], ['c', 4]]);
+    });
+
+    it('gives equal scores the same rank when shared', () => {
+        assert.deepEqual(rankEntries(entries, 'shared').map(e => e.rank), [1, 1, 1, 4]);
+    });
+
+    it('pools the tiers of the positions a shared rank covers', () => {
+        const gold = { name: 'Gold', min: 1, max: 1 };
+        const silver = { name: 'Silver', min: 2, max: 3 };
+        const ranked = rankEntries(entries.slice(0, 2), 'shared');
+        assert.deepEqual(allocateRewards(ranked, [gold, silver]).map(e => e.rewards),
+            [[{ tier: gold, share: 0.5 }, { tier: silver, share: 0.5 }], [{ tier: gold, share: 0.5 }, { tier: silver, share: 0.5 }]]);
+        assert.deepEqual(allocateRewards(rankEntries(entries, 'earliest'), [gold]).map(e => e.rewards.length), [1, 0, 0, 0]);
+    });
+
+    it('validates the policy name', () => {
+        assert.deepEqual(parseTieBreak({}), { policy: null });
+        assert.ok(parseTieBreak({ tieBreak: 'random' }).error);
+    });
+});
+
+describe('tied tournaments', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    async function createWithTie(body = {}) {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 3 * MIN, playTime: 2 * MIN, leaderboardTime: MIN, ...body
+        });
+        assert.equal(res.success, true);
+        await h.redis.hset(`tournament:info:${res.tournamentId}`, {
+            rewards: JSON.stringify([{ name: 'Gold', min: 1, max: 1 }, { name: 'Silver', min: 2, max: 2 }])
+        });
+        // 'z' gets there first; a plain sorted set would put 'a' ahead
+        await h.app.ctx.ranking.record(res.tournamentId, 'z', 120);
+        h.clock.advance(1000);
+        await h.adminRequest('POST', '/api/admin/update-score', { tournamentId: res.tournamentId, userId: 'a', newScore: 120 });
+        await h.app.ctx.ranking.record(res.tournamentId, 'm', 300);
+        return res.tournamentId;
+    }
+
+    const topScores = id => h.app.fastify.inject({ method: 'GET', url: `/api/tournament-top-scores?tournamentId=${id}` }).then(r => r.json());
+
+    it('ranks the earlier achiever first and gives them the 1st-place reward', async () => {
+        const id = await createWithTie();
+        assert.deepEqual((await topScores(id)).scores.map(p => [p.rank, p.score]), [[1, 120], [2, 120], [3, 300]]);
+
+        await h.run(2 * MIN);
+        assert.deepEqual(h.supabase.rows('user_rewards').map(r => [r.user_id, r.rank_achieved, r.reward_name]),
+            [['z', 1, 'Gold'], ['a', 2, 'Silver']]);
+        assert.deepEqual(h.supabase.rows('tournament_results').map(r => [r.user_id, r.rank_position]),
+            [['z', 1], ['a', 2], ['m', 3]]);
+    });
+
+    it('shares the rank and splits the rewards when configured', async () => {
+        const id = await createWithTie({ tieBreak: 'shared' });
+        assert.deepEqual((await topScores(id)).scores.map(p => p.rank), [1, 1, 3]);
+
+        await h.run(2 * MIN);
+        const rewards = h.supabase.rows('user_rewards')
+            .map(r => [r.user_id, r.rank_achieved, r.reward_name, r.reward_share])
+            .sort((x, y) => (x[0] + x[2]).localeCompare(y[0] + y[2]));
+        assert.deepEqual(rewards, [['a', 1, 'Gold', 0.5], ['a', 1, 'Silver', 0.5], ['z', 1, 'Gold', 0.5], ['z', 1, 'Silver', 0.5]]);
+        const [winners] = h.events('tournament_winners');
+        assert.deepEqual(winners.winners.slice(0, 2).map(w => w.split.length), [2, 2]);
+    });
+
+    it('rejects an unknown policy', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', { tieBreak: 'coin' });
+        assert.ok(res.error);
+    });
+});
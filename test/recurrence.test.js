@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers/harness');
+const { parseRecurrence, toRule, nextOccurrences } = require('../lib/tournaments/recurrence');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // Monday, 15:30 IST
+
+const iso = list => list.map(o => new Date(o.at).toISOString());
+
+describe('recurrence rules', () => {
+    it('parses days, intervals, ranges and timezones', () => {
+        const { config } = parseRecurrence({
+            times: ['18:00', '09:30'], days: ['Fri', 'mon', 1], everyHours: 6,
+            from: '2025-01-01', until: '2025-02-01', blackout: ['2025-01-10'], timezone: 'Europe/London'
+        });
+        assert.deepEqual(config, {
+            tz: 'Europe/London', times: ['09:30', '18:00'], days: [1, 5], everyHours: 6,
+            from: '2025-01-01', until: '2025-02-01', blackout: ['2025-01-10']
+        });
+        assert.deepEqual(parseRecurrence({ time: '08:00', days: 'weekdays' }).config.days, [1, 2, 3, 4, 5]);
+        assert.equal(parseRecurrence({ time: '08:00' }).config.tz, 'Asia/Kolkata');
+
+        assert.ok(parseRecurrence({}).error);
+        assert.ok(parseRecurrence({ time: '24:00' }).error);
+        assert.ok(parseRecurrence({ time: '08:00', timezone: 'Nowhere/City' }).error);
+        assert.ok(parseRecurrence({ time: '08:00', days: ['funday'] }).error);
+        assert.ok(parseRecurrence({ time: '08:00', everyHours: 24 }).error);
+        assert.ok(parseRecurrence({ time: '08:00', from: '2025-02-30' }).error);
+        assert.ok(parseRecurrence({ time: '08:00', from: '2025-02-01', until: '2025-01-01' }).error);
+    });
+
+    it('keeps legacy time-only schedules on IST every day', () => {
+        const rule = toRule({ time: '20:00' });
+        assert.deepEqual(iso(nextOccurrences(rule, SLOT_START, 2)), ['2025-01-06T14:30:00.000Z', '2025-01-07T14:30:00.000Z']);
+    });
+
+    it('skips weekends, blackout dates and days outside the range', () => {
+        const rule = parseRecurrence({
+            time: '09:00', days: 'weekdays', from: '2025-01-07', until: '2025-01-14', blackout: ['2025-01-09'], timezone: 'UTC'
+        }).config;
+        assert.deepEqual(nextOccurrences(rule, SLOT_START, 10).map(o => o.date),
+            ['2025-01-07', '2025-01-08', '2025-01-10', '2025-01-13', '2025-01-14']);
+    });
+
+    it('repeats every N hours until local midnight', () => {
+        const rule = parseRecurrence({ time: '06:00', everyHours: 8, timezone: 'Asia/Tokyo' }).config;
+        assert.deepEqual(nextOccurrences(rule, SLOT_START, 4).map(o => `${o.date} ${o.time}`),
+            ['2025-01-06 22:00', '2025-01-07 06:00', '2025-01-07 14:00', '2025-01-07 22:00']);
+    });
+
+    it('follows daylight saving in the schedule timezone', () => {
+        const rule = parseRecurrence({ time: '09:00', timezone: 'America/New_York' }).config;
+        assert.deepEqual(iso(nextOccurrences(rule, Date.UTC(2025, 2, 8), 2)), ['2025-03-08T14:00:00.000Z', '2025-03-09T13:00:00.000Z']);
+
+        // 02:30 doesn't exist on the spring-forward day: it runs right after the jump
+        const gap = parseRecurrence({ time: '02:30', timezone: 'America/New_York' }).config;
+        assert.equal(iso(nextOccurrences(gap, Date.UTC(2025, 2, 9), 1))[0], '2025-03-09T07:30:00.000Z');
+    });
+});
+
+describe('recurring daily schedules', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    it('runs each occurrence in its own timezone and reports the next one', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/daily-schedule', {
+            time: '10:01', everyHours: 12, days: 'weekdays', timezone: 'Europe/London', playTime: 1, leaderboardTime: 1
+        });
+        assert.equal(res.success, true);
+        assert.equal(res.schedule.time, '10:01');
+
+        await h.run(MIN);
+        assert.match(h.state.currentTournamentKey, new RegExp(`^tournament_daily_${res.scheduleId}_`));
+        assert.ok(await h.redis.get(`tournament:daily-executed:${res.scheduleId}:2025-01-06_10:01`));
+
+        const data = await h.app.fastify.inject({ method: 'GET', url: '/api/tournament-data' }).then(r => r.json());
+        assert.equal(data.scheduled.id, res.scheduleId);
+        assert.equal(data.scheduled.scheduledTime, Date.UTC(2025, 0, 6, 22, 1));
+        assert.deepEqual([data.scheduled.time, data.scheduled.tz], ['22:01', 'Europe/London']);
+
+        const preview = await h.adminRequest('GET', `/api/admin/tournament/daily-schedule/${res.scheduleId}/occurrences?count=10`);
+        assert.equal(preview.occurrences.length, 10);
+        assert.ok(preview.occurrences.every(o => ![0, 6].includes(new Date(o.at).getUTCDay())));
+        assert.equal(preview.occurrences[0].time, '22:01');
+    });
+
+    it('previews a rule before it is saved', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/recurrence/preview', {
+            times: ['12:00'], days: ['sat'], timezone: 'UTC', count: 3
+        });
+        assert.deepEqual(res.occurrences.map(o => o.date), ['2025-01-11', '2025-01-18', '2025-01-25']);
+        assert.ok((await h.adminRequest('POST', '/api/admin/tournament/recurrence/preview', { time: 'noon' })).error);
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers/harness');
+const { parseRoomConfig, parseRewardTiers, roomChannel } = require('../lib/tournaments/rooms');
+
+const MIN = 60 * 1000;
+
+// Any bearer token is accepted and becomes the uid
+const fakeFirebase = { auth: () => ({ verifyIdToken: async token => ({ uid: token }) }) };
+
+describe('room config', () => {
+    it('bounds play and results time and keeps the target options', () => {
+        const { config } = parseRoomConfig({ name: 'Friday', playTime: 2 * MIN, target: 2500 });
+        assert.equal(config.name, 'Friday');
+        assert.equal(config.playTime, 2 * MIN);
+        assert.equal(config.leaderboardTime, 2 * MIN);
+        assert.deepEqual(config.target, { mode: 'fixed', target: 25000 });
+        assert.equal(parseRoomConfig({}).config.name, 'Private Room');
+        assert.ok(parseRoomConfig({ playTime: 1000 }).error);
+        assert.ok(parseRoomConfig({ leaderboardTime: 60 * MIN }).error);
+        assert.ok(parseRoomConfig({ targetMin: 5000, targetMax: 1000 }).error);
+    });
+
+    it('validates sponsored reward tiers', () => {
+        assert.ok(parseRewardTiers([]).error);
+        assert.ok(parseRewardTiers([{ name: 'X', min: 2, max: 1 }]).error);
+        assert.deepEqual(parseRewardTiers([{ name: 'Gold', min: 1, max: 1 }]).rewards, [{ name: 'Gold', min: 1, max: 1 }]);
+    });
+});
+
+describe('private rooms', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: Date.UTC(2025, 0, 6, 10, 0, 0), firebaseAdmin: fakeFirebase });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    async function openRoom(host, body = { playTime: MIN, leaderboardTime: MIN }) {
+        const res = await h.app.fastify.inject({
+            method: 'POST', url: '/api/rooms', payload: body, headers: { authorization: `Bearer ${host}` }
+        });
+        return { status: res.statusCode, body: res.json() };
+    }
+
+    async function playRound(client, uid) {
+        await h.redis.set(`health:${uid}`, 5);
+        const [grd] = client.received('grd').slice(-1);
+        await client.send('st', { n: grd.n });
+        await client.send('sp', { n: grd.n });
+        return client.received('gr').slice(-1)[0];
+    }
+
+    it('runs its own leaderboard and sends events only to the room', async () => {
+        const { body } = await openRoom('host');
+        assert.equal(body.success, true);
+        const { id, code } = body.room;
+        assert.match(code, /^[A-Z2-9]{6}$/);
+        assert.equal(body.room.ph, 'p');
+
+        const alice = h.connect();
+        const outsider = h.connect();
+        await alice.send('ig', { m: 't', rc: code.toLowerCase(), t: 'alice' });
+        await outsider.send('ig', { m: 't', t: 'bob' });
+        const [grd] = alice.received('grd');
+        assert.equal(grd.tid, id);
+        assert.deepEqual(grd.rw, []);
+        assert.ok(alice.socket.rooms.has(roomChannel(id)));
+        assert.notEqual(outsider.received('grd')[0].tid, id);
+
+        const gr = await playRound(alice, 'alice');
+        assert.equal(await h.redis.leaderboard.score(id, 'alice'), gr.d);
+        assert.equal(await h.redis.leaderboard.count(h.state.currentTournamentKey), 0);
+
+        const status = await h.app.fastify.inject({ method: 'GET', url: `/api/rooms/${code}` }).then(r => r.json());
+        assert.equal(status.players, 1);
+        assert.equal(status.top[0].u, 'alice');
+
+        // Play time over: results go to the room, not to everyone
+        await h.run(MIN);
+        assert.deepEqual(alice.received('tu').map(t => [t.ph, t.tid]), [['l', id]]);
+        const [winners] = alice.received('tournament_winners');
+        assert.equal(winners.tid, id);
+        assert.equal(winners.winners[0].u, 'alice');
+        assert.equal(outsider.received('tournament_winners').length, 0);
+        assert.ok(!h.events('tournament_winners').some(e => e.tid === id));
+
+        await h.run(MIN);
+        assert.equal(alice.received('tou_end')[0].id, id);
+        assert.ok(!h.events('tou_end').some(e => e.id === id));
+        assert.equal(h.supabase.rows('user_rewards').length, 0); // Not sponsored
+        // Nor does it count toward lifetime stats
+        assert.equal(h.supabase.rows('users').length, 0);
+        assert.equal(h.supabase.rows('tournament_results').length, 0);
+        assert.equal(h.supabase.rows('tournaments').find(t => t.id === id).type, 'room');
+
+        const gone = await h.app.fastify.inject({ method: 'GET', url: `/api/rooms/${code}` });
+        assert.equal(gone.statusCode, 404);
+        await alice.send('ig', { m: 't', rc: code, t: 'alice' });
+        assert.equal(alice.received('to').length, 1);
+    });
+
+    it('pays out only when an admin sponsors the room', async () => {
+        const { body } = await openRoom('host');
+        const { id, code } = body.room;
+        const res = await h.adminRequest('POST', `/api/admin/rooms/${code}/sponsor`, {
+            rewards: [{ name: 'Pizza', min: 1, max: 1 }]
+        });
+        assert.equal(res.room.sponsored, true);
+
+        const alice = h.connect();
+        await alice.send('ig', { m: 't', rc: code, t: 'alice' });
+        assert.deepEqual(alice.received('grd')[0].rw, [{ name: 'Pizza', min: 1, max: 1 }]);
+        await playRound(alice, 'alice');
+
+        await h.run(MIN);
+        assert.deepEqual(h.supabase.rows('user_rewards').map(r => [r.user_id, r.tournament_id, r.reward_name]),
+            [['alice', id, 'Pizza']]);
+        assert.deepEqual(h.supabase.rows('tournament_results').map(r => [r.user_id, r.rank_position]), [['alice', 1]]);
+        await h.run(MIN);
+        assert.equal(h.supabase.rows('users').find(u => u.id === 'alice').total_wins, 1);
+    });
+
+    it('answers a join with a toast when the room lookup fails', async () => {
+        const { body } = await openRoom('host');
+        const alice = h.connect();
+        h.redis.get = async () => { throw new Error('ECONNRESET'); };
+        await alice.send('ig', { m: 't', rc: body.room.code, t: 'alice' });
+        assert.deepEqual(alice.received('to'), ['Could not join the room, try again.']);
+        assert.equal(alice.received('grd').length, 0);
+    });
+
+    it('needs a signed-in host and caps open rooms per host', async () => {
+        const anon = await h.app.fastify.inject({ method: 'POST', url: '/api/rooms', payload: {} });
+        assert.equal(anon.statusCode, 401);
+
+        for (let i = 0; i < 3; i++) assert.equal((await openRoom('host')).status, 200);
+        assert.equal((await openRoom('host')).status, 409);
+        assert.equal((await h.adminRequest('GET', '/api/admin/rooms')).rooms.length, 3);
+    });
+});
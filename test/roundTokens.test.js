@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoundTokens } = require('../lib/sockets/roundTokens');
+
+function newSession(overrides = {}) {
+    return { userId: 'u1', tournamentId: 'tournament_2025_01_06_10_00', targetTime: 25000, round: null, usedRounds: [], ...overrides };
+}
+
+// Play one full round the way the socket handlers do
+function playRound(tokens, session, token) {
+    assert.equal(tokens.verify(session, token, 'st'), null);
+    tokens.markStarted(session);
+    assert.equal(tokens.verify(session, token, 'sp'), null);
+    tokens.markFinished(session);
+}
+
+describe('round tokens', () => {
+    it('accepts st then sp with the issued token', () => {
+        const tokens = createRoundTokens({ secret: 'test' });
+        const session = newSession();
+        playRound(tokens, session, tokens.issue(session));
+    });
+
+    it('rejects a missing, forged or foreign-secret token', () => {
+        const tokens = createRoundTokens({ secret: 'test' });
+        const session = newSession();
+        const token = tokens.issue(session);
+        const [body] = token.split('.');
+
+        assert.equal(tokens.verify(session, undefined, 'st'), 'ROUND_TOKEN_MISSING');
+        assert.equal(tokens.verify(session, `${body}.AAAA`, 'st'), 'ROUND_TOKEN_INVALID');
+        const other = createRoundTokens({ secret: 'other' });
+        assert.equal(tokens.verify(session, other.issue(newSession()), 'st'), 'ROUND_TOKEN_INVALID');
+    });
+
+    it('rejects a token replayed after its round finished', () => {
+        const tokens = createRoundTokens({ secret: 'test' });
+        const session = newSession();
+        const first = tokens.issue(session);
+        playRound(tokens, session, first);
+        tokens.issue(session);
+
+        assert.equal(tokens.verify(session, first, 'st'), 'ROUND_TOKEN_REPLAYED');
+        assert.equal(tokens.verify(session, first, 'sp'), 'ROUND_TOKEN_REPLAYED');
+    });
+
+    it('rejects out-of-order events', () => {
+        const tokens = createRoundTokens({ secret: 'test' });
+        const session = newSession();
+        const token = tokens.issue(session);
+
+        assert.equal(tokens.verify(session, token, 'sp'), 'ROUND_OUT_OF_ORDER');
+        tokens.markStarted(session);
+        assert.equal(tokens.verify(session, token, 'st'), 'ROUND_OUT_OF_ORDER');
+    });
+
+    it('rejects a superseded token as stale', () => {
+        const tokens = createRoundTokens({ secret: 'test' });
+        const session = newSession();
+        const old = tokens.issue(session);
+        tokens.issue(session);
+        assert.equal(tokens.verify(session, old, 'st'), 'ROUND_TOKEN_STALE');
+    });
+
+    it('binds the round to the tournament and target', () => {
+        const tokens = createRoundTokens({ secret: 'test' });
+        const session = newSession();
+        const token = tokens.issue(session);
+
+        assert.equal(tokens.verify({ ...session, tournamentId: 'tournament_manual_1' }, token, 'st'), 'ROUND_TOKEN_MISMATCH');
+        assert.equal(tokens.verify({ ...session, targetTime: 30000 }, token, 'st'), 'ROUND_TOKEN_MISMATCH');
+    });
+});
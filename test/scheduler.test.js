@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers/harness');
+const { planRun, parseCatchUp } = require('../lib/tournaments/catchUp');
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // 15:30 IST
+
+describe('catch-up policy', () => {
+    const durations = { playTime: 10 * MIN };
+
+    it('starts on time within the grace window', () => {
+        assert.deepEqual(planRun(1000, 6000, durations, 'skip', 15000), { action: 'run', startTime: 6000, late: 5000 });
+    });
+
+    it('runs late, shortens or skips a missed start', () => {
+        const due = SLOT_START;
+        const now = due + 3 * MIN;
+        assert.deepEqual(planRun(due, now, durations, 'run', 15000), { action: 'run', startTime: now, late: 3 * MIN });
+        assert.deepEqual(planRun(due, now, durations, 'shorten', 15000), { action: 'run', startTime: due, late: 3 * MIN });
+        assert.equal(planRun(due, now, durations, 'skip', 15000).reason, 'policy');
+        assert.equal(planRun(due, due + 11 * MIN, durations, 'shorten', 15000).reason, 'play_time_over');
+        assert.equal(planRun(due, due + 7 * HOUR, durations, 'run', 15000).reason, 'too_late');
+    });
+
+    it('validates the policy name', () => {
+        assert.equal(parseCatchUp({}).policy, 'shorten');
+        assert.ok(parseCatchUp({ catchUp: 'later' }).error);
+    });
+});
+
+describe('missed schedules', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    async function scheduleAt(offset, catchUp) {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/schedule', {
+            scheduledTime: h.clock.now() + offset, playTime: 5 * MIN, leaderboardTime: MIN, catchUp
+        });
+        assert.equal(res.success, true);
+        return res.schedule;
+    }
+
+    const customIds = () => h.app.ctx.tournaments.list().filter(t => t.type !== 'auto').map(t => t.id);
+
+    it('shortens a one-time start missed during downtime to its original end', async () => {
+        const schedule = await scheduleAt(MIN, 'shorten');
+        h.clock.advance(3 * MIN); // Nobody was checking
+        await h.tick(0);
+
+        const [id] = customIds();
+        assert.equal(id, `tournament_scheduled_${schedule.id}_${schedule.scheduledTime}`);
+        assert.equal(await h.timing.getTournamentTimeLeft(id), 3 * MIN); // 2 of its 5 minutes are gone
+        assert.deepEqual(await h.redis.lrange('tournament:scheduled', 0, -1), []);
+    });
+
+    it('runs late with full play time, or skips, per schedule', async () => {
+        const late = await scheduleAt(MIN, 'run');
+        h.clock.advance(1000);
+        await scheduleAt(MIN, 'skip');
+        h.clock.advance(3 * MIN);
+        await h.tick(0);
+
+        const ids = customIds();
+        assert.deepEqual(ids, [`tournament_scheduled_${late.id}_${h.clock.now()}`]);
+        assert.equal(await h.timing.getTournamentTimeLeft(ids[0]), 5 * MIN);
+        assert.deepEqual(await h.redis.lrange('tournament:scheduled', 0, -1), []);
+    });
+
+    it('catches up a missed daily occurrence exactly once', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/daily-schedule', {
+            times: ['10:00', '10:02'], timezone: 'UTC', playTime: 10, leaderboardTime: 1, catchUp: 'run'
+        });
+        h.clock.advance(5 * MIN); // 10:02 passed with nobody checking
+        await h.tick(0);
+        await h.tick();
+
+        const ids = customIds();
+        assert.equal(ids.length, 1);
+        assert.match(ids[0], new RegExp(`^tournament_daily_${res.scheduleId}_`));
+        assert.ok(await h.redis.get(`tournament:daily-executed:${res.scheduleId}:2025-01-06_10:02`));
+        assert.equal(await h.redis.get(`tournament:daily-executed:${res.scheduleId}:2025-01-06_10:00`), null);
+    });
+});
+
+describe('restarts and multiple instances', () => {
+    let a;
+    let b;
+    beforeEach(async () => {
+        a = createHarness({ start: SLOT_START });
+        await a.scheduler.loadTournamentState();
+        await a.tick(0);
+    });
+    afterEach(async () => {
+        await a.close();
+        if (b) await b.close();
+        b = null;
+    });
+
+    const second = async () => {
+        b = createHarness({ clock: a.clock, redis: a.redis, supabase: a.supabase });
+        await b.scheduler.loadTournamentState();
+        return b;
+    };
+
+    it('restores the in-flight custom tournament on boot', async () => {
+        const res = await a.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 10 * MIN, playTime: 8 * MIN, leaderboardTime: 2 * MIN
+        });
+        await a.run(MIN);
+
+        // A fresh process on the same Redis
+        await second();
+        assert.equal(b.state.currentTournamentKey, res.tournamentId);
+        const entry = b.app.ctx.tournaments.get(res.tournamentId);
+        assert.equal(entry.startedAt, SLOT_START);
+        assert.equal(entry.lastPhase, 'p');
+
+        // Play time ends on the restored instance: archived once, then ended on time
+        await b.run(7 * MIN);
+        assert.equal(b.supabase.rows('tournaments').filter(t => t.id === res.tournamentId).length, 1);
+        await b.run(2 * MIN);
+        assert.ok(b.events('tou_end').some(e => e.id === res.tournamentId));
+        assert.ok(!b.app.ctx.tournaments.has(res.tournamentId));
+    });
+
+    it('lets only the lock holder start schedules', async () => {
+        await second();
+        await a.adminRequest('POST', '/api/admin/tournament/schedule', {
+            scheduledTime: a.clock.now() + 10 * 1000, playTime: 5 * MIN, leaderboardTime: MIN
+        });
+        a.clock.advance(10 * 1000);
+        await b.scheduler.checkSchedules(); // a holds the lock from its first pass
+        assert.equal((await a.redis.lrange('tournament:scheduled', 0, -1)).length, 1);
+        await a.scheduler.checkSchedules();
+        assert.equal((await a.redis.lrange('tournament:scheduled', 0, -1)).length, 0);
+        assert.equal(a.app.ctx.tournaments.list().filter(t => t.type === 'scheduled').length, 1);
+        assert.equal(b.app.ctx.tournaments.list().filter(t => t.type === 'scheduled').length, 0);
+
+        // a goes quiet: b takes over once the lock expires
+        a.clock.advance(31 * 1000);
+        await b.scheduler.checkSchedules();
+        assert.equal(await a.redis.get('lock:scheduler'), b.app.ctx.instanceId);
+    });
+
+    it('hands the lock over when the scheduler stops', async () => {
+        await a.scheduler.start();
+        await a.scheduler.checkSchedules();
+        assert.equal(await a.redis.get('lock:scheduler'), a.app.ctx.instanceId);
+        await a.scheduler.stop();
+        assert.equal(await a.redis.get('lock:scheduler'), null);
+    });
+});
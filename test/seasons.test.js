@@ -0,0 +1,163 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers/harness');
+const { parseSeasonConfig, pointsFor } = require('../lib/tournaments/seasons');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // 15:30 IST
+
+describe('season config', () => {
+    it('validates the window and tiers', () => {
+        const base = { name: 'Winter', startsAt: SLOT_START, endsAt: SLOT_START + 30 * DAY };
+        const { config } = parseSeasonConfig(base);
+        assert.equal(config.levelPoints, 100);
+        assert.equal(pointsFor(1, config.points), 100);
+        assert.equal(pointsFor(5000, config.points), 5); // Open-ended last tier
+
+        assert.ok(parseSeasonConfig({ ...base, name: '' }).error);
+        assert.ok(parseSeasonConfig({ ...base, endsAt: SLOT_START }).error);
+        assert.ok(parseSeasonConfig({ ...base, points: [{ min: 3, max: 1, points: 10 }] }).error);
+        assert.ok(parseSeasonConfig({ ...base, rewards: [{ name: 'Cap', min: 0, max: 1 }] }).error);
+        assert.ok(parseSeasonConfig({ ...base, passRewards: [{ name: 'Badge' }] }).error);
+        assert.equal(pointsFor(4, parseSeasonConfig({ ...base, points: [{ min: 1, max: 3, points: 10 }] }).config.points), 0);
+    });
+});
+
+describe('seasons', () => {
+    let h;
+    let season;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        const res = await h.adminRequest('POST', '/api/admin/seasons', {
+            name: 'Season 1',
+            startsAt: SLOT_START - DAY,
+            endsAt: SLOT_START + 7 * DAY,
+            levelPoints: 150,
+            rewards: [
+                { name: 'Gift Card', min: 1, max: 1, reward_type: 'redeem_code' },
+                { name: 'T-Shirt', min: 2, max: 3, reward_type: 'physical_reward' }
+            ],
+            passRewards: [{ level: 1, name: 'Season Badge', reward_type: 'redeem_code' }]
+        });
+        season = res.season;
+    });
+    afterEach(() => h.close());
+
+    // Scores on a board, then the archive (which awards season points)
+    async function play(id, scores) {
+        for (const [user, score] of scores) await h.app.ctx.ranking.record(id, user, score);
+        await h.lifecycle.archiveTournamentToSupabase(id, []);
+    }
+
+    const standings = (id, query = '') => h.app.fastify.inject({ method: 'GET', url: `/api/seasons/${id}?${query}` });
+
+    it('awards points by rank and closes with rank and pass rewards', async () => {
+        await play('tournament_manual_1', [['a', 10], ['b', 20], ['c', 30]]);
+        await play('tournament_manual_2', [['b', 5], ['c', 15], ['a', 25]]);
+        await play('tournament_manual_2', [['b', 5], ['c', 15], ['a', 25]]); // Archived again: counted once
+        await play('tournament_room_x', [['d', 1]]); // Private rooms don't count
+        await play('tournament_manual_3', [['d', 10]]);
+
+        const current = (await standings('current', 'userId=b')).json();
+        assert.equal(current.season.id, season.id);
+        // b 80+100, a 100+65, c 65+80, d 100
+        assert.deepEqual(current.entries.map(e => [e.rank, e.userId, e.points, e.level]),
+            [[1, 'b', 180, 1], [2, 'a', 165, 1], [3, 'c', 145, 0], [4, 'd', 100, 0]]);
+        assert.deepEqual([current.me.wins, current.me.podiums, current.me.nextLevelAt], [1, 2, 300]);
+
+        await h.adminRequest('POST', '/api/admin/redeem-codes', { schedule_id: season.id, codes: [{ rank_position: 1, code: 'GIFT-1' }] });
+        await h.adminRequest('POST', '/api/admin/redeem-codes', {
+            schedule_id: `${season.id}_pass`, codes: [{ rank_position: 1, code: 'PASS-1' }, { rank_position: 1, code: 'PASS-2' }]
+        });
+
+        const closed = await h.adminRequest('POST', `/api/admin/seasons/${season.id}/close`);
+        assert.equal(closed.success, true);
+        assert.deepEqual([closed.season.status, closed.players, closed.rewards, closed.held], ['closed', 4, 5, 0]);
+
+        const rewards = h.supabase.rows('user_rewards').filter(r => r.tournament_id === season.id);
+        assert.deepEqual(rewards.map(r => [r.user_id, r.reward_name, r.reward_type, r.redeem_code, r.rank_achieved]), [
+            ['b', 'Gift Card', 'redeem_code', 'GIFT-1', 1],
+            ['b', 'Season Badge', 'redeem_code', 'PASS-1', 1],
+            ['a', 'T-Shirt', 'physical_reward', null, 2],
+            ['a', 'Season Badge', 'redeem_code', 'PASS-2', 2],
+            ['c', 'T-Shirt', 'physical_reward', null, 3]
+        ]);
+        assert.deepEqual(h.supabase.rows('reward_redeem_codes').map(c => [c.code, c.assigned_to, c.assigned_tournament]),
+            [['GIFT-1', 'b', season.id], ['PASS-1', 'b', season.id], ['PASS-2', 'a', season.id]]);
+
+        // Closed: no more points, no second payout
+        await play('tournament_manual_4', [['c', 1]]);
+        assert.equal((await standings(season.id, 'userId=c')).json().me.points, 145);
+        assert.equal((await standings('current')).statusCode, 404);
+        assert.ok((await h.adminRequest('POST', `/api/admin/seasons/${season.id}/close`)).error);
+        assert.equal(h.supabase.rows('user_rewards').length, 5);
+    });
+
+    it('resumes a close that failed part way without paying twice', async () => {
+        await play('tournament_manual_1', [['a', 10], ['b', 20], ['c', 30]]);
+        await play('tournament_manual_2', [['b', 5], ['c', 15], ['a', 25]]);
+        await h.adminRequest('POST', '/api/admin/redeem-codes', { schedule_id: season.id, codes: [{ rank_position: 1, code: 'GIFT-1' }] });
+        await h.adminRequest('POST', '/api/admin/redeem-codes', {
+            schedule_id: `${season.id}_pass`, codes: [{ rank_position: 1, code: 'PASS-1' }, { rank_position: 1, code: 'PASS-2' }]
+        });
+
+        // The first user_rewards insert writes two rows, then the connection drops
+        const from = h.supabase.from;
+        let dropped = false;
+        h.supabase.from = table => {
+            const query = from(table);
+            if (table !== 'user_rewards' || dropped) return query;
+            return { ...query, insert: rows => { dropped = true; return from(table).insert(rows.slice(0, 2)).then(() => ({ error: { message: 'connection reset' } })); } };
+        };
+        assert.equal((await h.adminRequest('POST', `/api/admin/seasons/${season.id}/close`)).error, 'connection reset');
+        assert.equal(h.supabase.rows('seasons')[0].status, 'closing');
+        assert.equal(h.supabase.rows('user_rewards').length, 2);
+
+        // No points while closing
+        await play('tournament_manual_3', [['c', 1]]);
+        assert.equal((await standings(season.id, 'userId=c')).json().me.points, 145);
+
+        h.supabase.from = from;
+        const closed = await h.adminRequest('POST', `/api/admin/seasons/${season.id}/close`);
+        assert.equal(closed.success, true);
+        assert.deepEqual(h.supabase.rows('user_rewards').map(r => [r.user_id, r.reward_name, r.redeem_code]), [
+            ['b', 'Gift Card', 'GIFT-1'],
+            ['b', 'Season Badge', 'PASS-1'],
+            ['a', 'T-Shirt', null],
+            ['a', 'Season Badge', 'PASS-2'],
+            ['c', 'T-Shirt', null]
+        ]);
+        assert.deepEqual(h.supabase.rows('reward_redeem_codes').map(c => c.assigned_to), ['b', 'b', 'a']);
+    });
+
+    it('retries season points that failed to save', async () => {
+        const rpc = h.supabase.rpc;
+        h.supabase.rpc = async () => ({ data: null, error: { message: 'statement timeout' } });
+        await play('tournament_manual_1', [['a', 10]]);
+        assert.equal(h.supabase.rows('season_standings').length, 0);
+
+        h.supabase.rpc = rpc;
+        await h.lifecycle.archiveTournamentToSupabase('tournament_manual_1', []);
+        await h.lifecycle.archiveTournamentToSupabase('tournament_manual_1', []);
+        assert.deepEqual(h.supabase.rows('season_standings').map(r => [r.user_id, r.points, r.tournaments]), [['a', 100, 1]]);
+    });
+
+    it('only counts tournaments inside the window and keeps seasons apart', async () => {
+        h.clock.advance(8 * DAY);
+        await play('tournament_manual_late', [['a', 10]]);
+        assert.deepEqual((await standings(season.id)).json().entries, []);
+
+        const overlapping = await h.adminRequest('POST', '/api/admin/seasons', {
+            name: 'Season 2', startsAt: SLOT_START + 6 * DAY, endsAt: SLOT_START + 30 * DAY
+        });
+        assert.match(overlapping.error, /Season 1/);
+        const next = await h.adminRequest('POST', '/api/admin/seasons', {
+            name: 'Season 2', startsAt: SLOT_START + 8 * DAY, endsAt: SLOT_START + 30 * DAY
+        });
+        assert.equal(next.success, true);
+
+        const list = await h.adminRequest('GET', '/api/admin/seasons');
+        assert.deepEqual(list.seasons.map(s => s.name), ['Season 2', 'Season 1']);
+        assert.equal((await h.adminRequest('POST', '/api/admin/seasons/season_0/close')).error, 'Season not found');
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./helpers/harness');
+const { parseTargetConfig, deriveTarget, commitSeed } = require('../lib/tournaments/target');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0);
+
+describe('target config', () => {
+    it('parses ranges and fixed targets from milliseconds into tenths', () => {
+        assert.deepEqual(parseTargetConfig({}), { config: null });
+        assert.deepEqual(parseTargetConfig({ target: 2500.5 }), { config: { mode: 'fixed', target: 25005 } });
+        assert.deepEqual(parseTargetConfig({ targetMin: 1500, targetMax: '4000' }),
+            { config: { mode: 'range', min: 15000, max: 40000 } });
+    });
+
+    it('rejects incomplete, inverted and out-of-bounds ranges', () => {
+        assert.ok(parseTargetConfig({ targetMin: 1500 }).error);
+        assert.ok(parseTargetConfig({ targetMin: 4000, targetMax: 1500 }).error);
+        assert.ok(parseTargetConfig({ target: 10 }).error);
+        assert.ok(parseTargetConfig({ targetMin: 'abc', targetMax: 2000 }).error);
+    });
+
+    it('derives the same in-range target from the same seed', () => {
+        const config = { mode: 'range', min: 15000, max: 15009 };
+        const a = deriveTarget('seed', 'tournament_x', config);
+        assert.equal(deriveTarget('seed', 'tournament_x', config), a);
+        assert.ok(a >= 15000 && a <= 15009);
+        assert.equal(deriveTarget('seed', 'tournament_x', { mode: 'fixed', target: 22222 }), 22222);
+    });
+});
+
+describe('tournament targets', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    async function getProof(id) {
+        const res = await h.app.fastify.inject({ method: 'GET', url: `/api/tournament-target/${id}` });
+        return res.json();
+    }
+
+    it('generates a scheduled tournament target at creation and reveals the seed at the end', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/schedule', {
+            scheduledTime: h.clock.now() + 10 * 1000,
+            playTime: MIN,
+            leaderboardTime: MIN,
+            targetMin: 1500,
+            targetMax: 1600
+        });
+        assert.equal(res.success, true);
+        assert.deepEqual(res.schedule.target, { mode: 'range', min: 15000, max: 16000 });
+
+        await h.run(20 * 1000);
+        const id = h.state.currentTournamentKey;
+        assert.match(id, /_scheduled_/);
+
+        const target = parseInt(await h.redis.get(`tournament:${id}:target`));
+        assert.ok(target >= 15000 && target <= 16000);
+        assert.equal(await h.redis.get(`${id}_target`), String(target));
+
+        const running = await getProof(id);
+        assert.equal(running.revealed, false);
+        assert.equal(running.seed, null);
+        assert.equal(running.target, null);
+        assert.match(running.commitment, /^[0-9a-f]{64}$/);
+
+        await h.run(2 * MIN);
+        assert.ok(h.events('tou_end').some(e => e.id === id));
+        await flush();
+
+        const proof = await getProof(id);
+        assert.equal(proof.revealed, true);
+        assert.equal(proof.target, target);
+        assert.equal(commitSeed(proof.seed), running.commitment);
+        assert.equal(deriveTarget(proof.seed, id, { mode: 'range', min: proof.min, max: proof.max }), target);
+        assert.equal(h.events('tou_end').find(e => e.id === id).tp.seed, proof.seed);
+    });
+
+    it('uses a fixed target for manual tournaments and rejects bad config', async () => {
+        const bad = await h.adminRequest('POST', '/api/admin/tournament/create', { targetMin: 3000 });
+        assert.ok(bad.error);
+        assert.equal(h.state.currentTournamentKey, 'tournament_2025_01_06_10_00');
+
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 2 * MIN, playTime: MIN, leaderboardTime: MIN, target: 2750
+        });
+        assert.equal(res.success, true);
+        assert.equal(await h.redis.get(`tournament:${res.tournamentId}:target`), '27500');
+        assert.equal((await getProof(res.tournamentId)).mode, 'fixed');
+    });
+
+    it('never overwrites an existing target', async () => {
+        const id = h.state.currentTournamentKey;
+        const first = await h.app.ctx.targets.assign(id);
+        const second = await h.app.ctx.targets.assign(id, { mode: 'fixed', target: 11111 });
+        assert.equal(second, first);
+    });
+});
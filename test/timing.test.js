@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { getTournamentKey, createTournamentTiming } = require('../lib/tournaments/timing');
+const { PLAY_TIME_MS, LEADERBOARD_TIME_MS } = require('../lib/config');
+const { createFakeClock } = require('./helpers/fakeClock');
+
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0);
+
+function setup(start = SLOT_START) {
+    const clock = createFakeClock(start);
+    const redis = createStorage({ url: 'memory://', now: clock.now });
+    return { clock, redis, timing: createTournamentTiming({ redis, now: clock.now }) };
+}
+
+async function setCustomTiming(redis, id, { startTime, playTime, leaderboardTime }) {
+    const duration = playTime + leaderboardTime;
+    const ttl = Math.ceil(duration / 1000);
+    await redis.setex(`tournament:${id}:duration`, ttl, String(duration));
+    await redis.setex(`tournament:${id}:playTime`, ttl, String(playTime));
+    await redis.setex(`tournament:${id}:leaderboardTime`, ttl, String(leaderboardTime));
+    await redis.setex(`tournament:${id}:startTime`, ttl, String(startTime));
+}
+
+describe('getTournamentKey', () => {
+    it('names the 15-minute UTC slot', () => {
+        assert.equal(getTournamentKey(SLOT_START + 14 * 60 * 1000), 'tournament_2025_01_06_10_00');
+        assert.equal(getTournamentKey(SLOT_START + 15 * 60 * 1000), 'tournament_2025_01_06_10_15');
+    });
+});
+
+describe('auto tournament timing', () => {
+    it('plays for 12 minutes, then shows the leaderboard for 3', async () => {
+        const { clock, timing } = setup();
+        const id = getTournamentKey(clock.now());
+
+        assert.equal(await timing.getTournamentPhase(id), 'p');
+        assert.equal(await timing.getTournamentTimeLeft(id), PLAY_TIME_MS);
+
+        clock.advance(PLAY_TIME_MS - 1);
+        assert.equal(await timing.getTournamentPhase(id), 'p');
+        assert.equal(await timing.getTournamentTimeLeft(id), 1);
+
+        clock.advance(1);
+        assert.equal(await timing.getTournamentPhase(id), 'l');
+        assert.equal(await timing.getTournamentTimeLeft(id), 0);
+        assert.equal(await timing.getLeaderboardTimeLeft(id), LEADERBOARD_TIME_MS);
+    });
+
+    it("reports phase 'n' and no leaderboard time without a tournament", async () => {
+        const { timing } = setup();
+        assert.equal(await timing.getTournamentPhase(null), 'n');
+        assert.equal(await timing.getLeaderboardTimeLeft(null), 0);
+    });
+});
+
+describe('custom tournament timing', () => {
+    it('follows the stored start time instead of the 15-minute grid', async () => {
+        // Starts 10 minutes into an auto slot: the grid would say 2 minutes of play left
+        const start = SLOT_START + 10 * 60 * 1000;
+        const { clock, redis, timing } = setup(start);
+        await setCustomTiming(redis, 'tournament_manual_1', { startTime: start, playTime: 5 * 60 * 1000, leaderboardTime: 60 * 1000 });
+
+        clock.advance(4 * 60 * 1000);
+        assert.equal(await timing.getTournamentPhase('tournament_manual_1'), 'p');
+        assert.equal(await timing.getTournamentTimeLeft('tournament_manual_1'), 60 * 1000);
+        assert.equal(await timing.getLeaderboardTimeLeft('tournament_manual_1'), 2 * 60 * 1000);
+
+        clock.advance(60 * 1000);
+        assert.equal(await timing.getTournamentPhase('tournament_manual_1'), 'l');
+        assert.equal(await timing.getTournamentTimeLeft('tournament_manual_1'), 0);
+        assert.equal(await timing.getLeaderboardTimeLeft('tournament_manual_1'), 60 * 1000);
+    });
+
+    it('returns null timing once the keys expire', async () => {
+        const { clock, redis, timing } = setup();
+        await setCustomTiming(redis, 'tournament_manual_2', { startTime: clock.now(), playTime: 60 * 1000, leaderboardTime: 30 * 1000 });
+
+        assert.ok(await timing.getCustomTournamentTiming('tournament_manual_2'));
+        clock.advance(90 * 1000);
+        assert.equal(await timing.getCustomTournamentTiming('tournament_manual_2'), null);
+    });
+});
@@ -0,0 +1,315 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./helpers/harness');
+
+const MIN = 60 * 1000;
+const SLOT_START = Date.UTC(2025, 0, 6, 10, 0, 0); // 15:30 IST
+
+describe('auto tournaments', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+    });
+    afterEach(() => h.close());
+
+    it('rotates on the 15-minute boundary and archives the old slot', async () => {
+        await h.tick(0);
+        assert.equal(h.state.currentTournamentKey, 'tournament_2025_01_06_10_00');
+        assert.equal(h.events('tu').at(-1).ph, 'p');
+
+        await h.run(15 * MIN);
+        assert.equal(h.state.currentTournamentKey, 'tournament_2025_01_06_10_15');
+        assert.deepEqual(h.events('tou_end').map(e => e.id), ['tournament_2025_01_06_10_00']);
+
+        const history = await h.redis.lrange('tournament_history', 0, -1);
+        assert.equal(JSON.parse(history[0]).id, 'tournament_2025_01_06_10_00');
+    });
+
+    it('announces winners in score order when play time ends', async () => {
+        await h.tick(0);
+        const id = h.state.currentTournamentKey;
+        await h.redis.leaderboard.add(id, 500, 'u1');
+        await h.redis.leaderboard.add(id, 200, 'u2');
+        await h.redis.leaderboard.add(id, 900, 'u3');
+        await h.redis.hset('user_meta:u2', { username: 'Asha' });
+
+        await h.run(12 * MIN);
+        assert.equal(h.events('tu').at(-1).ph, 'l');
+
+        const [announced] = h.events('tournament_winners');
+        assert.equal(announced.tid, id);
+        assert.deepEqual(announced.winners.map(w => [w.u, w.rank]), [['u2', 1], ['u1', 2], ['u3', 3]]);
+        assert.equal(announced.winners[0].n, 'Asha');
+        assert.equal(h.supabase.rows('tournament_results').length, 3);
+    });
+
+    it('stops creating tournaments when auto mode is toggled off', async () => {
+        await h.tick(0);
+        const res = await h.adminRequest('POST', '/api/admin/tournament/toggle-auto', {});
+        assert.equal(res.autoEnabled, false);
+        assert.equal(await h.redis.get('tournament:auto_enabled'), 'false');
+
+        await h.run(15 * MIN);
+        assert.equal(h.state.currentTournamentKey, null);
+        assert.equal(h.events('tu').at(-1).ph, 'n');
+    });
+});
+
+describe('manual tournaments', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    it('runs for its own play and leaderboard time next to the auto slot', async () => {
+        const autoKey = h.state.currentTournamentKey;
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', {
+            duration: 90 * 1000, playTime: 60 * 1000, leaderboardTime: 30 * 1000
+        });
+        assert.equal(res.success, true);
+        assert.equal(h.state.currentTournamentKey, res.tournamentId);
+        assert.ok(h.app.ctx.tournaments.has(autoKey));
+        assert.ok(!h.events('tou_end').some(e => e.id === autoKey));
+
+        // Regression: manual tournaments used to be ended on the very next loop pass
+        await h.tick();
+        assert.equal(h.state.currentTournamentKey, res.tournamentId);
+
+        await h.run(50 * 1000);
+        assert.equal(await h.timing.getTournamentPhase(res.tournamentId), 'l');
+        assert.equal(h.events('tu').at(-1).ph, 'l');
+
+        await h.run(30 * 1000);
+        assert.ok(h.events('tou_end').some(e => e.id === res.tournamentId));
+        assert.equal(h.state.currentTournamentKey, 'tournament_2025_01_06_10_00');
+    });
+});
+
+describe('scheduled tournaments', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START + 10 * MIN });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    it('starts at the scheduled time and is not replaced at the auto boundary', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/schedule', {
+            scheduledTime: h.clock.now() + 30 * 1000,
+            playTime: 12 * MIN,
+            leaderboardTime: 3 * MIN
+        });
+        assert.equal(res.success, true);
+
+        await h.run(20 * 1000);
+        assert.equal(h.state.currentTournamentKey, 'tournament_2025_01_06_10_00');
+
+        await h.tick();
+        const id = h.state.currentTournamentKey;
+        assert.match(id, new RegExp(`^tournament_scheduled_${res.schedule.id}_`));
+        assert.deepEqual(await h.redis.lrange('tournament:scheduled', 0, -1), []);
+
+        // 10:15 passes while the scheduled tournament is still in play
+        await h.run(6 * MIN);
+        assert.equal(h.state.currentTournamentKey, id);
+        assert.equal(await h.timing.getTournamentPhase(id), 'p');
+    });
+});
+
+describe('daily tournaments', () => {
+    let h;
+    beforeEach(async () => {
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => h.close());
+
+    it('runs once per IST day and distributes rewards at play-time end', async () => {
+        const res = await h.adminRequest('POST', '/api/admin/tournament/daily-schedule', {
+            time: '15:31',
+            playTime: 1,
+            leaderboardTime: 1,
+            rewards: [
+                { name: 'Gold', min: 1, max: 1 },
+                { name: 'Silver', min: 2, max: 3 }
+            ]
+        });
+        assert.equal(res.success, true);
+
+        await h.run(MIN);
+        const id = h.state.currentTournamentKey;
+        assert.match(id, new RegExp(`^tournament_daily_${res.scheduleId}_`));
+
+        for (const [score, user] of [[40, 'a'], [10, 'b'], [30, 'c'], [20, 'd']]) {
+            await h.redis.leaderboard.add(id, score, user);
+        }
+
+        await h.run(MIN);
+        const rewards = h.supabase.rows('user_rewards')
+            .map(r => [r.user_id, r.rank_achieved, r.reward_name]);
+        assert.deepEqual(rewards, [['b', 1, 'Gold'], ['d', 2, 'Silver'], ['c', 3, 'Silver']]);
+        assert.equal(h.events('tournament_winners')[0].winners[0].reward.name, 'Gold');
+
+        // Leaderboard time ends: the endTournament fallback must not hand out rewards twice
+        await h.run(MIN);
+        assert.ok(h.events('tou_end').some(e => e.id === id));
+        assert.equal(h.supabase.rows('user_rewards').length, 3);
+        assert.equal(h.state.currentTournamentKey, 'tournament_2025_01_06_10_00');
+
+        // Same day: the 15:31 slot is marked as executed
+        await h.run(2 * MIN);
+        assert.doesNotMatch(h.state.currentTournamentKey, /_daily_/);
+    });
+});
+
+describe('endTournament reward fallback', () => {
+    let h;
+    beforeEach(() => {
+        h = createHarness({ start: SLOT_START });
+    });
+    afterEach(() => h.close());
+
+    async function seedTournament(id) {
+        await h.redis.hset(`tournament:info:${id}`, {
+            rewards: JSON.stringify([{ name: 'Winner', min: 1, max: 2 }])
+        });
+        await h.redis.leaderboard.add(id, 300, 'slow');
+        await h.redis.leaderboard.add(id, 100, 'fast');
+        await h.redis.leaderboard.add(id, 900, 'last');
+    }
+
+    it('distributes rewards when the p→l pass never ran', async () => {
+        const id = 'tournament_manual_fallback';
+        await seedTournament(id);
+
+        await h.lifecycle.endTournament(id);
+        await flush();
+
+        const rewards = h.supabase.rows('user_rewards').map(r => [r.user_id, r.rank_achieved]);
+        assert.deepEqual(rewards, [['fast', 1], ['slow', 2]]);
+        assert.ok(h.supabase.rows('tournaments').some(t => t.id === id));
+    });
+
+    it('is a no-op for rewards that were already distributed', async () => {
+        const id = 'tournament_manual_fallback';
+        await seedTournament(id);
+
+        await h.lifecycle.handlePlayTimeEnded(id, 0);
+        await h.lifecycle.endTournament(id);
+        await flush();
+
+        assert.equal(h.supabase.rows('user_rewards').length, 2);
+    });
+});
+
+describe('concurrent tournaments', () => {
+    let h;
+    beforeEach(async () => {
+        process.env.STRICT_TOURNAMENT_AUTH = 'false'; // Fake sockets carry no Firebase token
+        h = createHarness({ start: SLOT_START });
+        await h.scheduler.loadTournamentState();
+        await h.tick(0);
+    });
+    afterEach(() => {
+        delete process.env.STRICT_TOURNAMENT_AUTH;
+        return h.close();
+    });
+
+    it('starts a daily tournament without ending the auto slot', async () => {
+        const autoKey = h.state.currentTournamentKey;
+        await h.adminRequest('POST', '/api/admin/tournament/daily-schedule', { time: '15:31', playTime: 5, leaderboardTime: 1 });
+
+        await h.run(MIN);
+        const dailyId = h.state.currentTournamentKey;
+        assert.match(dailyId, /_daily_/);
+        assert.deepEqual(h.app.ctx.tournaments.list().map(t => t.id).sort(), [autoKey, dailyId].sort());
+        assert.ok(!h.events('tou_end').some(e => e.id === autoKey));
+
+        // Each tournament gets its own scoped phase updates
+        assert.equal(h.events('tu', `tournament:${dailyId}`).at(-1).ph, 'p');
+        assert.equal(h.events('tu', `tournament:${autoKey}`).at(-1).ph, 'p');
+
+        const data = await h.app.fastify.inject({ method: 'GET', url: '/api/tournament-data' }).then(r => r.json());
+        assert.equal(data.currentId, dailyId);
+        assert.deepEqual(data.active.map(t => [t.id, t.featured]), [[dailyId, true], [autoKey, false]]);
+        const scoped = await h.app.fastify.inject({ method: 'GET', url: `/api/tournament-data?tournamentId=${autoKey}` }).then(r => r.json());
+        assert.equal(scoped.currentId, autoKey);
+        assert.equal(scoped.hasActiveTournament, false); // No players, no custom timing
+    });
+
+    it('starts every schedule that is due in the same pass', async () => {
+        const at = h.clock.now() + 10 * 1000;
+        for (let i = 0; i < 2; i++) {
+            await h.adminRequest('POST', '/api/admin/tournament/schedule', { scheduledTime: at, playTime: 5 * MIN, leaderboardTime: MIN });
+            h.clock.advance(1); // Distinct schedule ids
+        }
+        await h.tick();
+        const scheduled = h.app.ctx.tournaments.list().filter(t => t.type === 'scheduled');
+        assert.equal(scheduled.length, 2);
+        assert.deepEqual(await h.redis.lrange('tournament:scheduled', 0, -1), []);
+    });
+
+    it('lets players pick a tournament in ig and scopes its leaderboard', async () => {
+        const autoKey = h.state.currentTournamentKey;
+        const res = await h.adminRequest('POST', '/api/admin/tournament/create', { duration: 2 * MIN, playTime: MIN, leaderboardTime: MIN });
+        await h.redis.set('health:u1', 5);
+
+        const client = h.connect();
+        await client.send('ig', { u: 'u1', m: 't', tid: autoKey });
+        const [grd] = client.received('grd');
+        assert.equal(grd.tid, autoKey);
+        assert.ok(client.socket.rooms.has(`tournament:${autoKey}`));
+
+        await client.send('st', { n: grd.n });
+        await client.send('sp', { n: grd.n });
+        assert.equal(await h.redis.leaderboard.count(autoKey), 1);
+        assert.equal(await h.redis.leaderboard.count(res.tournamentId), 0);
+
+        const top = await h.app.fastify.inject({ method: 'GET', url: `/api/tournament-top-scores?tournamentId=${autoKey}` }).then(r => r.json());
+        assert.equal(top.tournament, autoKey);
+        assert.equal(top.scores.length, 1);
+        const featured = await h.app.fastify.inject({ method: 'GET', url: '/api/tournament-top-scores' }).then(r => r.json());
+        assert.equal(featured.tournament, res.tournamentId);
+        assert.equal(featured.scores.length, 0);
+
+        // Switching tournaments moves the socket to the new one's room
+        await client.send('ig', { u: 'u1', m: 't', tid: res.tournamentId });
+        assert.ok(!client.socket.rooms.has(`tournament:${autoKey}`));
+        assert.ok(client.socket.rooms.has(`tournament:${res.tournamentId}`));
+
+        await client.send('ig', { u: 'u1', m: 't', tid: 'tournament_manual_nope' });
+        assert.equal(client.received('grd').at(-1).noTournament, true);
+    });
+
+    it('charges one health for a round started twice at once', async () => {
+        await h.redis.set('health:u1', 5);
+        const client = h.connect();
+        await client.send('ig', { u: 'u1', m: 't', tid: h.state.currentTournamentKey });
+        const [grd] = client.received('grd');
+
+        await Promise.all([client.send('st', { n: grd.n }), client.send('st', { n: grd.n })]);
+        assert.equal(await h.redis.get('health:u1'), '4');
+        assert.deepEqual(client.received('round_error').map(e => e.code), ['ROUND_OUT_OF_ORDER']);
+        assert.deepEqual(client.received('health_update'), [{ health: 4 }]);
+    });
+
+    it('keeps the round unstarted when health is empty', async () => {
+        const client = h.connect();
+        await client.send('ig', { u: 'u1', m: 't', tid: h.state.currentTournamentKey });
+        const [grd] = client.received('grd');
+
+        await client.send('st', { n: grd.n });
+        assert.equal(client.received('no_health').length, 1);
+        assert.equal(parseInt(await h.redis.get('health:u1')) || 0, 0);
+
+        await h.redis.set('health:u1', 1);
+        await client.send('st', { n: grd.n });
+        assert.deepEqual(client.received('health_update'), [{ health: 0 }]);
+    });
+});
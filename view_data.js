@@ -1,7 +1,7 @@
 require('dotenv').config();
+const { createStorage } = require('./lib/storage');
 
 async function viewData() {
-    let redis;
     const REDIS_URL = process.env.REDIS_URL;
 
     console.log("🔍 Checking Redis Connection...");
@@ -11,19 +11,8 @@ async function viewData() {
         return;
     }
 
-    // 1. Connect
-    if (REDIS_URL.includes('upstash')) {
-        console.log("☁️ Connecting to Upstash (HTTP Mode)...");
-        const { Redis } = require('@upstash/redis');
-        redis = new Redis({
-            url: process.env.REDIS_URL,
-            token: process.env.REDIS_TOKEN
-        });
-    } else {
-        console.log("🏢 Connecting to Standard/Render Redis (TCP Mode)...");
-        const IORedis = require('ioredis');
-        redis = new IORedis(REDIS_URL);
-    }
+    // 1. Connect (Upstash / ioredis picked from REDIS_URL — see lib/storage)
+    const redis = createStorage({ url: REDIS_URL, token: process.env.REDIS_TOKEN });
 
     try {
         // 2. Fetch Keys
@@ -39,8 +28,8 @@ async function viewData() {
             if (type === 'string') {
                 value = await redis.get(key);
             } else if (type === 'zset') {
-                // Fetch top 100 with scores
-                value = await redis.zrange(key, 0, -1, 'WITHSCORES');
+                // Fetch all members with scores
+                value = await redis.leaderboard.range(key);
             } else if (type === 'hash') {
                 value = await redis.hgetall(key);
             } else if (type === 'list') {